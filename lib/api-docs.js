@@ -0,0 +1,994 @@
+// What the API docs (GET /api/v1/openapi.json, see lib/openapi.js) say about
+// each route beyond the schemas it validates against: a summary, and the
+// shape of what it sends back. Keys are v1 paths, the v2 docs are worked out
+// from these (see V2_ROUTES in server.js). Every route needs an entry here,
+// `npm run check:openapi` fails otherwise.
+
+import { any, array, boolean, date, email, integer, number, object, oneOf, string, url, uuid } from './validation.js'
+import { COUPON_TYPES } from './coupons.js'
+import { CURRENCY_CODES } from './currency.js'
+import { WEBHOOK_EVENTS, WEBHOOK_SCOPES } from './webhooks.js'
+
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled']
+
+const ErrorBody = object({
+  error: string({ description: 'What went wrong, for people' }),
+  code: string({ description: 'What went wrong, for programs, e.g. VALIDATION_ERROR or PRODUCT_NOT_FOUND' }),
+  issues: array(object({
+    location: oneOf(['params', 'query', 'body']),
+    path: string(),
+    message: string()
+  }), { description: 'Every problem found, for VALIDATION_ERROR' }).optional(),
+  details: string({ description: 'The underlying error, left out of server errors in production' }).optional()
+})
+
+const Pagination = object({
+  total: integer(),
+  limit: integer(),
+  offset: integer(),
+  page: integer(),
+  totalPages: integer(),
+  hasMore: boolean(),
+  nextCursor: string({ description: 'Pass as ?cursor= for the next page' }).nullable()
+})
+
+const CURRENCY = oneOf(CURRENCY_CODES)
+
+const Money = object({
+  currency: CURRENCY,
+  amount: number(),
+  amount_minor: integer({ description: 'In the minor unit of the currency, e.g. cents' })
+})
+
+// A price converted to the currency asked for with ?currency= (or set in
+// the profile), null when there is no exchange rate for it
+const DISPLAY_PRICE = Money.nullable().optional()
+
+const ProductOption = object({
+  id: uuid(),
+  name: string(),
+  values: array(string()),
+  position: integer()
+})
+
+const ProductVariant = object({
+  id: uuid(),
+  sku: string(),
+  options: any({ description: 'Option values, e.g. { "Size": "M", "Color": "Red" }' }),
+  price: number({ description: "null means the product's price" }).nullable(),
+  price_minor: integer().nullable().optional(),
+  display_price: DISPLAY_PRICE,
+  stock_quantity: integer(),
+  is_active: boolean()
+})
+
+const ProductImage = object({
+  id: uuid(),
+  url: url(),
+  medium_url: url(),
+  thumbnail_url: url(),
+  width: integer(),
+  height: integer(),
+  position: integer(),
+  is_primary: boolean()
+})
+
+const Product = object({
+  id: uuid(),
+  seller_id: uuid(),
+  title: string(),
+  description: string(),
+  price: number(),
+  currency: CURRENCY,
+  price_minor: integer().optional(),
+  display_price: DISPLAY_PRICE,
+  stock_quantity: integer(),
+  weight_kg: number(),
+  image_url: url().nullable(),
+  category: string().nullable(),
+  sku: string().nullable(),
+  is_active: boolean(),
+  low_stock_threshold: integer().nullable(),
+  average_rating: number().nullable(),
+  review_count: integer(),
+  moderated_at: date({ description: 'Set while an admin has deactivated the listing' }).nullable().optional(),
+  moderation_reason: string().nullable().optional(),
+  created_at: date(),
+  updated_at: date(),
+  product_options: array(ProductOption).optional(),
+  product_variants: array(ProductVariant).optional(),
+  product_images: array(ProductImage).optional()
+})
+
+const Review = object({
+  id: uuid(),
+  product_id: uuid(),
+  user_id: uuid(),
+  rating: integer({ min: 1, max: 5 }),
+  body: string(),
+  created_at: date(),
+  updated_at: date()
+})
+
+const CartItem = object({
+  id: uuid(),
+  product_id: uuid(),
+  variant_id: uuid().nullable(),
+  quantity: integer({ min: 1 }),
+  added_at: date(),
+  products: object({
+    id: uuid(),
+    title: string(),
+    price: number(),
+    currency: CURRENCY,
+    price_minor: integer().optional(),
+    display_price: DISPLAY_PRICE,
+    image_url: url().nullable(),
+    stock_quantity: integer(),
+    is_active: boolean()
+  }),
+  product_variants: ProductVariant.nullable(),
+  discount: number({ description: "The applied coupon's share, in discount_currency" }).optional(),
+  discount_minor: integer().optional(),
+  discount_currency: CURRENCY.nullable().optional(),
+  coupon_code: string().nullable().optional(),
+  hold: object({
+    quantity: integer(),
+    expires_at: date(),
+    expires_in_seconds: integer()
+  }, { description: 'Stock held for this line, null once the hold has run out' }).nullable().optional()
+})
+
+const PublicCoupon = object({
+  code: string(),
+  description: string().nullable(),
+  discount_type: oneOf(COUPON_TYPES),
+  discount_value: number(),
+  min_cart_value: number(),
+  currency: CURRENCY,
+  expires_at: date().nullable(),
+  category: string().nullable(),
+  seller_id: uuid().nullable()
+})
+
+const Coupon = object({
+  id: uuid(),
+  code: string(),
+  description: string().nullable(),
+  discount_type: oneOf(COUPON_TYPES),
+  discount_value: number(),
+  min_cart_value: number(),
+  currency: CURRENCY,
+  starts_at: date().nullable(),
+  expires_at: date().nullable(),
+  max_uses: integer().nullable(),
+  max_uses_per_user: integer().nullable(),
+  category: string().nullable(),
+  seller_id: uuid().nullable(),
+  is_active: boolean(),
+  created_at: date(),
+  updated_at: date()
+})
+
+const CartLine = object({
+  id: uuid(),
+  product_id: uuid(),
+  variant_id: uuid().nullable(),
+  title: string(),
+  unit_price: number(),
+  unit_price_minor: integer(),
+  quantity: integer(),
+  line_total: number(),
+  line_total_minor: integer(),
+  discount: number(),
+  discount_minor: integer(),
+  total: number(),
+  total_minor: integer()
+})
+
+const UnavailableItem = object({
+  product_id: uuid(),
+  variant_id: uuid().nullable(),
+  title: string().optional(),
+  reason: oneOf(['not_found', 'inactive', 'insufficient_stock']),
+  available: integer().optional(),
+  requested: integer().optional()
+})
+
+const CartMerge = object({
+  merged: array(any()),
+  capped: array(any({ description: 'Lines cut down to the stock available' })),
+  skipped: array(any())
+})
+
+const WishlistItem = object({
+  id: uuid(),
+  product_id: uuid(),
+  added_at: date(),
+  products: Product.nullable()
+})
+
+const OrderItem = object({
+  id: uuid(),
+  product_id: uuid().nullable(),
+  variant_id: uuid().nullable(),
+  sku: string().nullable(),
+  variant_options: any().nullable(),
+  seller_id: uuid().nullable(),
+  title: string(),
+  image_url: url().nullable(),
+  unit_price: number(),
+  quantity: integer(),
+  line_total: number(),
+  discount_amount: number()
+})
+
+const Order = object({
+  id: uuid(),
+  user_id: uuid({ description: 'Null once the buyer has deleted their account' }).nullable(),
+  status: oneOf(ORDER_STATUSES),
+  currency: CURRENCY,
+  subtotal_amount: number(),
+  discount_amount: number(),
+  shipping_amount: number(),
+  tax_amount: number(),
+  tax_region: string().nullable(),
+  total_amount: number(),
+  coupon_id: uuid().nullable(),
+  item_count: integer(),
+  created_at: date(),
+  updated_at: date(),
+  order_items: array(OrderItem)
+})
+
+const AuthUser = object({
+  id: uuid(),
+  email: email(),
+  name: string(),
+  avatar_url: url().nullable().optional()
+})
+
+// Not a named schema, Supabase decides its shape
+const session = any({
+  description: 'The Supabase session; send access_token as the bearer token and keep refresh_token ' +
+    'for POST /api/auth/refresh. With AUTH_COOKIES on, both tokens come as httpOnly cookies instead.'
+})
+
+const Profile = object({
+  id: uuid(),
+  email: email(),
+  name: string(),
+  username: string().nullable(),
+  website: string(),
+  avatar_url: url().nullable(),
+  google_id: string().nullable().optional(),
+  created_at: date().optional(),
+  last_sign_in_at: date().nullable().optional(),
+  email_confirmed_at: date().nullable().optional(),
+  currency: CURRENCY.nullable().optional(),
+  deletion_scheduled_for: date().nullable().optional()
+})
+
+const WEBHOOK_FIELDS = {
+  id: uuid(),
+  scope: oneOf(WEBHOOK_SCOPES),
+  url: url(),
+  events: array(oneOf(WEBHOOK_EVENTS)),
+  description: string().nullable(),
+  is_active: boolean(),
+  created_at: date(),
+  updated_at: date()
+}
+
+const Webhook = object(WEBHOOK_FIELDS)
+
+const WebhookDelivery = object({
+  id: uuid(),
+  endpoint_id: uuid(),
+  event_id: uuid(),
+  event: oneOf(WEBHOOK_EVENTS),
+  payload: any(),
+  status: oneOf(['pending', 'succeeded', 'failed']),
+  attempts: integer(),
+  next_attempt_at: date().nullable(),
+  last_attempt_at: date().nullable(),
+  response_status: integer().nullable(),
+  error: string().nullable(),
+  created_at: date(),
+  delivered_at: date().nullable()
+})
+
+const AdminUser = object({
+  id: uuid(),
+  email: email(),
+  username: string().nullable(),
+  avatar_url: url().nullable(),
+  role: oneOf(['user', 'admin']),
+  is_suspended: boolean(),
+  suspended_at: date().nullable(),
+  suspension_reason: string().nullable(),
+  product_count: integer(),
+  created_at: date(),
+  last_sign_in_at: date().nullable()
+})
+
+const AdminAction = object({
+  id: uuid(),
+  admin_id: uuid().nullable(),
+  action: string(),
+  target_type: oneOf(['user', 'product']),
+  target_id: uuid(),
+  reason: string().nullable(),
+  details: any(),
+  created_at: date()
+})
+
+// Shown under #/components/schemas and referred to by name
+export const API_SCHEMAS = {
+  Error: ErrorBody,
+  Pagination,
+  Money,
+  Product,
+  ProductOption,
+  ProductVariant,
+  ProductImage,
+  Review,
+  CartItem,
+  CartLine,
+  UnavailableItem,
+  CartMerge,
+  PublicCoupon,
+  Coupon,
+  WishlistItem,
+  Order,
+  OrderItem,
+  AuthUser,
+  Profile,
+  Webhook,
+  WebhookDelivery,
+  AdminUser,
+  AdminAction
+}
+
+// Besides the bearer token lib/openapi.js sets up
+export const API_SECURITY_SCHEMES = {
+  guestToken: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-Guest-Token',
+    description: 'A guest cart token, handed out by POST /api/cart to visitors without one'
+  }
+}
+
+const message = string()
+
+// Either a signed-in user or a guest with an X-Guest-Token
+const CART_SECURITY = [{ bearerAuth: [] }, { guestToken: [] }]
+
+const CART_DESCRIPTION = 'Works for signed-in users and for guests, who send the X-Guest-Token header.'
+
+const multipartImages = (field, description) => ({
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: {
+        type: 'object',
+        properties: { [field]: { type: 'array', items: { type: 'string', format: 'binary' }, description } },
+        required: [field]
+      }
+    }
+  }
+})
+
+const ImportedRow = object({
+  row: integer(),
+  id: uuid().nullable(),
+  sku: string().nullable(),
+  title: string().nullable(),
+  action: oneOf(['created', 'updated', 'rejected']),
+  error: string().optional(),
+  warnings: array(string()).optional()
+})
+
+// Keyed by "METHOD /path" as registered with Express. Entries take:
+//   tag, summary, description   shown in the docs
+//   status                      the success status, 200 by default
+//   response                    schema of the success body
+//   responseContent             success content by media type, instead of response
+//   requestBody                 OpenAPI requestBody, for bodies that aren't JSON
+//   security                    instead of the bearer token requireAuth implies
+//   errors                      error statuses beyond the ones implied by the route
+export const API_DOCS = {
+  'GET /posts': {
+    tag: 'Products',
+    summary: 'List and search active products',
+    description: 'Page with ?limit= and ?page=, or follow the X-Next-Cursor header with ?cursor=. ' +
+      'X-Total-Count has the number of matches; ?with_pagination=true sends { products, pagination } instead. ' +
+      'is_active=false or all lists your own inactive products (every seller\'s for admins). ' +
+      'Prices are sorted and filtered after converting them to one currency; listings without an exchange rate ' +
+      'sort last and are left out by min_price and max_price.',
+    errors: [401, 409],
+    response: array(Product),
+    // v2 always sends the pagination, in meta
+    v2Response: object({ products: array(Product), pagination: Pagination })
+  },
+  'GET /posts/:id': {
+    tag: 'Products',
+    summary: 'Get a product with its variants, images, seller and related products',
+    response: object({
+      product: Product,
+      seller: object({ id: uuid(), username: string().nullable(), avatar_url: url().nullable() }),
+      related: array(Product)
+    })
+  },
+  'POST /posts': {
+    tag: 'Products',
+    summary: 'Create a product',
+    description: 'options and variants are sent together; a product with variants is stocked per variant.',
+    status: 201,
+    errors: [409],
+    response: object({ message, product: Product })
+  },
+  'GET /posts/:id/reviews': {
+    tag: 'Reviews',
+    summary: "List a product's reviews",
+    response: object({
+      reviews: array(Review),
+      average_rating: number().nullable(),
+      review_count: integer(),
+      pagination: Pagination
+    })
+  },
+  'POST /posts/:id/reviews': {
+    tag: 'Reviews',
+    summary: 'Review a product',
+    description: 'One review per product; sellers cannot review their own products.',
+    status: 201,
+    errors: [403, 409],
+    response: object({ message, review: Review })
+  },
+  'PUT /posts/:id/reviews/:reviewId': {
+    tag: 'Reviews',
+    summary: 'Edit your review',
+    errors: [403],
+    response: object({ message, review: Review })
+  },
+  'DELETE /posts/:id/reviews/:reviewId': {
+    tag: 'Reviews',
+    summary: 'Delete your review',
+    errors: [403],
+    response: object({ message })
+  },
+
+  'POST /auth/register': {
+    tag: 'Auth',
+    summary: 'Register with email and password',
+    status: 201,
+    errors: [429],
+    response: object({ message })
+  },
+  'POST /auth/login': {
+    tag: 'Auth',
+    summary: 'Log in with email and password',
+    description: 'Send X-Guest-Token to merge the guest cart into the account. Repeated failures lock the email out for a while.',
+    errors: [401, 429],
+    response: object({
+      message,
+      user: AuthUser,
+      session,
+      cartMerge: CartMerge.optional()
+    })
+  },
+  'POST /auth/refresh': {
+    tag: 'Auth',
+    summary: 'Swap a refresh token for a new session',
+    description: 'The refresh token comes from the body, or the refresh token cookie. ' +
+      'Each one works once: the new session carries the next.',
+    errors: [401, 403],
+    response: object({ message, user: AuthUser, session })
+  },
+  'POST /auth/forgot-password': {
+    tag: 'Auth',
+    summary: 'Email a password reset link',
+    description: 'Answers the same whether or not the email has an account. The link goes to the frontend ' +
+      'with a token_hash for POST /api/auth/reset-password.',
+    errors: [429],
+    response: object({ message })
+  },
+  'POST /auth/reset-password': {
+    tag: 'Auth',
+    summary: 'Set a new password from a reset link',
+    description: 'Logs out every session of the account.',
+    errors: [429],
+    response: object({ message })
+  },
+  'PUT /auth/password': {
+    tag: 'Auth',
+    summary: 'Change your password',
+    description: 'Needs the current password. Logs out every other session, including the one used to ask: ' +
+      'carry on with the session sent back.',
+    errors: [403, 429],
+    response: object({ message, session })
+  },
+  'PUT /auth/email': {
+    tag: 'Auth',
+    summary: 'Change your email',
+    description: 'Needs the current password. The email only changes once the link sent to the new address ' +
+      'is followed (POST /api/auth/email/confirm).',
+    errors: [403, 409, 429],
+    response: object({ message, pending_email: email() })
+  },
+  'POST /auth/email/confirm': {
+    tag: 'Auth',
+    summary: 'Confirm an email change',
+    description: 'With secure email change on, links go to both addresses and both have to be followed; ' +
+      'pending_email is set until then.',
+    errors: [409, 429],
+    response: object({ message, email: email(), pending_email: email().nullable() })
+  },
+  'POST /auth/magic-link': {
+    tag: 'Auth',
+    summary: 'Email a sign-in link',
+    errors: [429],
+    response: object({ message, email: email() })
+  },
+  'POST /auth/google': {
+    tag: 'Auth',
+    summary: 'Start signing in with Google',
+    response: object({ message, redirectUrl: url() })
+  },
+  'GET /auth/session': {
+    tag: 'Auth',
+    summary: 'Check the current token and get its user',
+    response: object({ session: any(), user: AuthUser })
+  },
+  'POST /auth/logout': {
+    tag: 'Auth',
+    summary: 'Log out',
+    description: 'Ends the session the access token belongs to, or with everywhere every session of its user.',
+    errors: [401],
+    response: object({ message })
+  },
+  'GET /auth/profile': {
+    tag: 'Profile',
+    summary: 'Get your profile',
+    response: object({ user: Profile })
+  },
+  'PUT /auth/profile': {
+    tag: 'Profile',
+    summary: 'Update your profile',
+    response: object({ message, user: any() })
+  },
+  'POST /auth/profile/avatar': {
+    tag: 'Profile',
+    summary: 'Upload an avatar',
+    requestBody: multipartImages('avatar', 'One JPEG, PNG or WebP image'),
+    errors: [413, 502],
+    response: object({
+      message,
+      avatar: object({ url: url(), medium_url: url(), thumbnail_url: url() }),
+      avatar_url: url()
+    })
+  },
+  'DELETE /auth/profile/avatar': {
+    tag: 'Profile',
+    summary: 'Remove your avatar',
+    response: object({ message })
+  },
+  'GET /auth/profile/export': {
+    tag: 'Profile',
+    summary: 'Download your data',
+    description: 'Everything kept about you as a JSON file: your account, profile, cart, wishlist, orders, reviews and the products you list.',
+    response: object({
+      exported_at: date(),
+      account: any(),
+      profile: any().nullable(),
+      cart_items: array(any()),
+      wishlist_items: array(any()),
+      orders: array(Order),
+      reviews: array(Review),
+      products: array(any())
+    })
+  },
+  'DELETE /auth/profile': {
+    tag: 'Profile',
+    summary: 'Delete your account',
+    description: 'The account is deleted after a grace period (ACCOUNT_DELETION_GRACE_DAYS, 14 by default) and ' +
+      'until then works as before and can be restored. Then your listings are taken off sale and out of ' +
+      'every cart, your orders are kept without your name on them for the sellers\' records, and your cart, ' +
+      'profile and account are deleted along with your reviews and wishlist.',
+    response: object({ message, deletion_scheduled_for: date() })
+  },
+  'POST /auth/profile/restore': {
+    tag: 'Profile',
+    summary: 'Cancel deleting your account',
+    errors: [409],
+    response: object({ message })
+  },
+
+  'GET /cart': {
+    tag: 'Cart',
+    summary: 'Get the cart',
+    description: CART_DESCRIPTION,
+    security: CART_SECURITY,
+    response: array(CartItem)
+  },
+  'GET /cart/summary': {
+    tag: 'Cart',
+    summary: 'Get cart totals with discount, shipping and tax',
+    description: CART_DESCRIPTION,
+    security: CART_SECURITY,
+    errors: [409],
+    response: object({
+      currency: CURRENCY,
+      checkout_currency: CURRENCY.nullable(),
+      lines: array(CartLine),
+      subtotal: number(),
+      subtotal_minor: integer(),
+      discount: number(),
+      discount_minor: integer(),
+      shipping: number(),
+      shipping_minor: integer(),
+      tax: number(),
+      tax_minor: integer(),
+      tax_rate: number(),
+      region: string().nullable(),
+      total: number(),
+      total_minor: integer(),
+      coupon: PublicCoupon.nullable(),
+      unavailable: array(UnavailableItem)
+    })
+  },
+  'POST /cart': {
+    tag: 'Cart',
+    summary: 'Add a product to the cart',
+    description: `${CART_DESCRIPTION} A visitor with neither gets a new guestToken in the response. ` +
+      'Carting an item holds its stock for a while. Guests can cart a limited quantity of each item, ' +
+      'and new guest carts and guest adds are rate limited per IP.',
+    security: [...CART_SECURITY, {}],
+    status: 201,
+    errors: [429],
+    response: object({ message, cartItem: CartItem, guestToken: string().optional() })
+  },
+  'POST /cart/merge': {
+    tag: 'Cart',
+    summary: "Merge a guest cart (X-Guest-Token) into the user's cart",
+    response: object({ message, cartMerge: CartMerge })
+  },
+  'POST /cart/coupon': {
+    tag: 'Cart',
+    summary: 'Apply a coupon to the cart',
+    errors: [409],
+    response: object({
+      message,
+      coupon: PublicCoupon,
+      currency: CURRENCY,
+      discount: number(),
+      discount_minor: integer(),
+      lines: array(any())
+    })
+  },
+  'DELETE /cart/coupon': {
+    tag: 'Cart',
+    summary: 'Remove the coupon from the cart',
+    response: object({ message })
+  },
+  'PUT /cart/:id': {
+    tag: 'Cart',
+    summary: 'Change the quantity of a cart line',
+    description: CART_DESCRIPTION,
+    security: CART_SECURITY,
+    response: object({ message, cartItem: CartItem })
+  },
+  'DELETE /cart/:id': {
+    tag: 'Cart',
+    summary: 'Remove a cart line',
+    description: CART_DESCRIPTION,
+    security: CART_SECURITY,
+    response: object({ message })
+  },
+  'DELETE /cart': {
+    tag: 'Cart',
+    summary: 'Empty the cart',
+    description: CART_DESCRIPTION,
+    security: CART_SECURITY,
+    response: object({ message })
+  },
+
+  'GET /wishlist': {
+    tag: 'Wishlist',
+    summary: 'Get your wishlist',
+    response: array(object({
+      id: uuid(),
+      product_id: uuid(),
+      added_at: date(),
+      products: Product.nullable(),
+      available: boolean(),
+      unavailable_reason: oneOf(['not_found', 'inactive', 'out_of_stock']).nullable()
+    }))
+  },
+  'POST /wishlist': {
+    tag: 'Wishlist',
+    summary: 'Save a product to your wishlist',
+    status: 201,
+    response: object({ message, wishlistItem: WishlistItem.nullable() })
+  },
+  'DELETE /wishlist/:id': {
+    tag: 'Wishlist',
+    summary: 'Remove a wishlist item',
+    response: object({ message })
+  },
+  'POST /wishlist/:id/move-to-cart': {
+    tag: 'Wishlist',
+    summary: 'Move a wishlist item to the cart',
+    status: 201,
+    response: object({ message, cartItem: CartItem })
+  },
+
+  'POST /orders': {
+    tag: 'Orders',
+    summary: 'Check out the cart',
+    description: 'Stock is taken and the coupon redeemed in one transaction.',
+    status: 201,
+    errors: [409],
+    response: object({ message, order: Order })
+  },
+  'GET /orders': {
+    tag: 'Orders',
+    summary: 'Get your order history',
+    response: object({ orders: array(Order), count: integer() })
+  },
+  'GET /orders/:id': {
+    tag: 'Orders',
+    summary: 'Get an order',
+    response: object({ order: Order })
+  },
+  'PUT /orders/:id/status': {
+    tag: 'Orders',
+    summary: 'Move an order on (paid, shipped, delivered) or cancel it',
+    description: 'Buyers can cancel their orders. Sellers can ship, deliver or cancel orders whose every item is theirs. Only admins can mark an order paid.',
+    errors: [403, 409],
+    response: object({ message, order: Order })
+  },
+
+  'GET /my-products': {
+    tag: 'Selling',
+    summary: 'List your products',
+    response: object({
+      products: array(Product),
+      count: integer(),
+      seller: object({ id: uuid(), email: email(), name: string() })
+    })
+  },
+  'POST /my-products/import': {
+    tag: 'Selling',
+    summary: 'Create or update products in bulk from CSV or JSON',
+    description: 'Rows are matched to your products by id or SKU. With ?dry_run=true nothing is saved.',
+    requestBody: {
+      required: true,
+      content: {
+        'text/csv': { schema: { type: 'string' } },
+        'application/json': { schema: { type: 'array', items: { type: 'object' } } }
+      }
+    },
+    response: object({
+      message,
+      dry_run: boolean(),
+      summary: object({ total: integer(), created: integer(), updated: integer(), rejected: integer() }),
+      report: array(ImportedRow)
+    })
+  },
+  'GET /my-products/export': {
+    tag: 'Selling',
+    summary: 'Export your products as CSV or JSON',
+    responseContent: {
+      'application/json': { schema: { type: 'object' } },
+      'text/csv': { schema: { type: 'string' } }
+    }
+  },
+  'PUT /my-products/:id': {
+    tag: 'Selling',
+    summary: 'Update one of your products',
+    errors: [403, 409],
+    response: object({ message, product: Product })
+  },
+  'DELETE /my-products/:id': {
+    tag: 'Selling',
+    summary: 'Delete one of your products',
+    description: 'Products still in customer carts cannot be deleted, deactivate them instead.',
+    errors: [403],
+    response: object({ message })
+  },
+  'POST /my-products/:id/images': {
+    tag: 'Selling',
+    summary: 'Upload product images',
+    requestBody: multipartImages('images', 'JPEG, PNG or WebP images'),
+    status: 201,
+    errors: [403, 413, 502],
+    response: object({ message, images: array(ProductImage) })
+  },
+  'PUT /my-products/:id/images/order': {
+    tag: 'Selling',
+    summary: "Reorder a product's images",
+    errors: [403],
+    response: object({ message, images: array(ProductImage) })
+  },
+  'PUT /my-products/:id/images/:imageId/primary': {
+    tag: 'Selling',
+    summary: "Set a product's primary image",
+    errors: [403],
+    response: object({ message, images: array(ProductImage) })
+  },
+  'DELETE /my-products/:id/images/:imageId': {
+    tag: 'Selling',
+    summary: 'Delete a product image',
+    errors: [403],
+    response: object({ message, images: array(ProductImage) })
+  },
+  'GET /seller-stats': {
+    tag: 'Selling',
+    summary: 'Sales and stock statistics for a date range',
+    response: object({
+      seller: object({ id: uuid(), email: email(), name: string() }),
+      range: object({ from: string(), to: string() }),
+      currency: CURRENCY,
+      statistics: any(),
+      categories: array(any()),
+      priceBands: array(any()),
+      lowStock: array(any()),
+      daily: array(any()),
+      summary: object({ message })
+    })
+  },
+
+  'GET /my-coupons': {
+    tag: 'Coupons',
+    summary: 'List your coupons with how often each was used',
+    response: object({ coupons: array(Coupon), count: integer() })
+  },
+  'POST /my-coupons': {
+    tag: 'Coupons',
+    summary: 'Create a coupon for your products',
+    status: 201,
+    errors: [409],
+    response: object({ message, coupon: Coupon })
+  },
+  'PUT /my-coupons/:id': {
+    tag: 'Coupons',
+    summary: 'Update one of your coupons',
+    errors: [409],
+    response: object({ message, coupon: Coupon })
+  },
+
+  'GET /webhooks': {
+    tag: 'Webhooks',
+    summary: 'List your webhooks and the events they can subscribe to',
+    response: object({ webhooks: array(Webhook), events: array(string()) })
+  },
+  'POST /webhooks': {
+    tag: 'Webhooks',
+    summary: 'Register a webhook',
+    description: 'The response holds the signing secret, it is not shown again. Only admins can register platform webhooks.',
+    status: 201,
+    errors: [403],
+    response: object({
+      message,
+      webhook: object({ ...WEBHOOK_FIELDS, secret: string({ description: 'Signs deliveries, see X-Webhook-Signature' }) })
+    })
+  },
+  'PUT /webhooks/:id': {
+    tag: 'Webhooks',
+    summary: 'Update a webhook',
+    response: object({ message, webhook: Webhook })
+  },
+  'DELETE /webhooks/:id': {
+    tag: 'Webhooks',
+    summary: 'Delete a webhook',
+    response: object({ message })
+  },
+  'GET /webhooks/:id/deliveries': {
+    tag: 'Webhooks',
+    summary: "List a webhook's deliveries",
+    response: object({ deliveries: array(WebhookDelivery), pagination: Pagination })
+  },
+  'POST /webhooks/:id/deliveries/:deliveryId/redeliver': {
+    tag: 'Webhooks',
+    summary: 'Send a delivery again now',
+    errors: [409],
+    response: object({ message, delivery: WebhookDelivery })
+  },
+
+  'GET /admin/users': {
+    tag: 'Admin',
+    summary: 'List and search users',
+    response: object({ users: array(AdminUser), pagination: Pagination })
+  },
+  'POST /admin/users/:id/suspend': {
+    tag: 'Admin',
+    summary: 'Suspend a user',
+    response: object({ message, user: any() })
+  },
+  'POST /admin/users/:id/unsuspend': {
+    tag: 'Admin',
+    summary: "Lift a user's suspension",
+    response: object({ message, user: any() })
+  },
+  'GET /admin/products': {
+    tag: 'Admin',
+    summary: 'List and search every product, active or not',
+    errors: [409],
+    response: object({ products: array(Product), pagination: Pagination })
+  },
+  'POST /admin/products/:id/deactivate': {
+    tag: 'Admin',
+    summary: 'Deactivate a listing that breaks policy',
+    response: object({ message, product: Product })
+  },
+  'POST /admin/products/:id/reactivate': {
+    tag: 'Admin',
+    summary: 'Reactivate a deactivated listing',
+    response: object({ message, product: Product })
+  },
+  'DELETE /admin/products/:id': {
+    tag: 'Admin',
+    summary: 'Remove a listing for good, taking it out of every cart',
+    response: object({ message })
+  },
+  'GET /admin/stats': {
+    tag: 'Admin',
+    summary: 'Platform-wide statistics',
+    response: object({ currency: CURRENCY, statistics: any(), summary: object({ message }) })
+  },
+  'PUT /admin/exchange-rates': {
+    tag: 'Admin',
+    summary: 'Set exchange rates',
+    description: 'Each rate is how much of the currency one of the base currency buys. Currencies left out keep theirs.',
+    response: object({
+      message,
+      base_currency: CURRENCY,
+      rates: array(object({ currency: CURRENCY, rate: number(), updated_at: date() }))
+    })
+  },
+  'GET /admin/actions': {
+    tag: 'Admin',
+    summary: 'Moderation log, newest first',
+    response: object({ actions: array(AdminAction), pagination: Pagination })
+  },
+
+  'GET /currencies': {
+    tag: 'Meta',
+    summary: 'Supported currencies and their exchange rates',
+    description: 'Products are charged in the currency they are listed in; other currencies are for display.',
+    response: object({
+      base_currency: CURRENCY,
+      currencies: array(object({
+        code: CURRENCY,
+        minor_units: integer({ description: 'Digits after the decimal point' }),
+        rate: number({ description: 'How much of it one of the base currency buys, null if not set' }).nullable(),
+        rate_updated_at: date().nullable()
+      }))
+    })
+  },
+
+  'GET /health': {
+    tag: 'Meta',
+    summary: 'Check the server is up',
+    response: object({
+      status: string(),
+      message,
+      timestamp: date(),
+      versions: array(string(), { description: 'The API versions mounted, e.g. v1 and v2' }),
+      endpoints: any({ description: 'The v1 routes' })
+    })
+  },
+  'GET /openapi.json': {
+    tag: 'Meta',
+    summary: 'This document',
+    response: any()
+  },
+  'GET /docs': {
+    tag: 'Meta',
+    summary: 'Interactive API docs',
+    responseContent: { 'text/html': { schema: { type: 'string' } } }
+  }
+}
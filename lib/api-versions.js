@@ -0,0 +1,113 @@
+// API versions. Routes are written once, on the v1 router; v2 mounts the same
+// handlers under resource-style paths (see V2_ROUTES in server.js) and wraps
+// what they send in an envelope:
+//
+//   { data, meta }
+//
+// data is the resource or list the route is about (null when there isn't
+// one, e.g. after a delete) and meta everything else sent with it
+// (pagination, messages, tokens...). Errors look the same in every version,
+// see lib/errors.js.
+//
+// v1 is deprecated: its responses carry Deprecation and Sunset headers
+// (RFC 9745 and RFC 8594) until it is switched off with API_VERSIONS.
+
+import { any, object } from './validation.js'
+
+export const API_VERSIONS = ['v1', 'v2']
+
+// When v2 came out
+export const V1_DEPRECATED_AT = '2026-10-19'
+
+// Used when API_V1_SUNSET isn't set
+export const DEFAULT_V1_SUNSET = '2027-04-30'
+
+// Build the version settings from API_VERSIONS (a comma separated list of
+// versions to mount, all of them by default) and API_V1_SUNSET (a date).
+// Throws if either is invalid.
+export function loadApiVersions({ versions, v1Sunset } = {}) {
+  const mounted = versions
+    ? [...new Set(versions.split(',').map(version => version.trim()).filter(Boolean))]
+    : API_VERSIONS
+
+  const unknown = mounted.filter(version => !API_VERSIONS.includes(version))
+
+  if (unknown.length > 0) {
+    throw new Error(`unknown version ${unknown.join(', ')}, expected ${API_VERSIONS.join(', ')}`)
+  }
+  if (mounted.length === 0) {
+    throw new Error('at least one version must be mounted')
+  }
+
+  const sunset = new Date(v1Sunset || DEFAULT_V1_SUNSET)
+
+  if (Number.isNaN(sunset.getTime())) {
+    throw new Error('API_V1_SUNSET must be a date')
+  }
+
+  return { mounted, v1Sunset: sunset }
+}
+
+// Middleware marking every response as deprecated. link, if given, points
+// at what to use instead.
+export function createDeprecationHeaders({ deprecatedAt, sunset, link }) {
+  const headers = {
+    Deprecation: `@${Math.floor(new Date(deprecatedAt).getTime() / 1000)}`,
+    Sunset: sunset.toUTCString(),
+    ...(link && { Link: link })
+  }
+
+  return (req, res, next) => {
+    res.set(headers)
+    next()
+  }
+}
+
+// Middleware putting a route's successful JSON bodies in the envelope above.
+// dataKey names the field holding the resource; true means the whole body is
+// the resource and null that there isn't one. Routes whose v1 body is too
+// bare to fill meta can check res.locals.envelope and send more.
+export function createEnvelope(dataKey) {
+  return (req, res, next) => {
+    const json = res.json.bind(res)
+    res.locals.envelope = true
+
+    res.json = body => {
+      if (res.statusCode >= 400) return json(body)
+
+      return json(toEnvelope(body, dataKey))
+    }
+
+    next()
+  }
+}
+
+function toEnvelope(body, dataKey) {
+  if (dataKey === true || !body || typeof body !== 'object' || Array.isArray(body)) {
+    return { data: body ?? null, meta: {} }
+  }
+
+  if (dataKey === null) return { data: null, meta: body }
+
+  const { [dataKey]: data = null, ...meta } = body
+  return { data, meta }
+}
+
+// The enveloped version of a response schema, for the API docs
+export function envelopeSchema(schema, dataKey) {
+  const shape = schema?.type === 'object' ? schema.options.shape : {}
+
+  if (dataKey === true || !schema) {
+    return object({ data: schema || any(), meta: object({}) })
+  }
+
+  if (dataKey === null) {
+    return object({ data: any({ description: 'Always null' }).nullable(), meta: object(shape) })
+  }
+
+  const { [dataKey]: data = any(), ...meta } = shape
+  return object({
+    data: data.isOptional ? { ...data, isOptional: false, isNullable: true } : data,
+    meta: object(meta)
+  })
+}
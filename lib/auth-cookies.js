@@ -0,0 +1,91 @@
+// Login sessions in httpOnly cookies, for frontends that would rather not keep
+// tokens where scripts can read them. When enabled, login and refresh set the
+// access and refresh tokens as cookies and leave them out of the JSON body;
+// requests without an Authorization header are then authenticated by cookie.
+//
+// Browsers send cookies along whoever made the request, so cookie requests
+// that change something must carry an X-Requested-With header: other sites
+// can't add one without passing CORS (see needsCsrfHeader).
+
+export const ACCESS_TOKEN_COOKIE = 'gobuy_access_token'
+export const REFRESH_TOKEN_COOKIE = 'gobuy_refresh_token'
+
+export const SAME_SITE_VALUES = ['lax', 'strict', 'none']
+
+// Supabase refresh tokens don't run out on their own, the cookie does
+const REFRESH_COOKIE_DAYS = 30
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+// The value of one cookie from the Cookie header, or null
+export function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const separator = part.indexOf('=')
+    if (separator === -1 || part.slice(0, separator).trim() !== name) continue
+
+    try {
+      return decodeURIComponent(part.slice(separator + 1).trim())
+    } catch {
+      return null
+    }
+  }
+
+  return null
+}
+
+// true if a request authenticated by cookie changes something without the
+// X-Requested-With header
+export function needsCsrfHeader(req) {
+  return !SAFE_METHODS.includes(req.method) && !req.headers['x-requested-with']
+}
+
+// options: { enabled, sameSite (default lax), secure (default: on for
+// SameSite=None and in production), path }. Throws if sameSite is invalid.
+export function createAuthCookies({
+  enabled = false,
+  sameSite = 'lax',
+  secure = sameSite === 'none' || process.env.NODE_ENV === 'production',
+  path = '/api'
+} = {}) {
+  if (!SAME_SITE_VALUES.includes(sameSite)) {
+    throw new Error(`sameSite must be one of: ${SAME_SITE_VALUES.join(', ')}`)
+  }
+  if (sameSite === 'none' && !secure) {
+    throw new Error('SameSite=None cookies have to be secure')
+  }
+
+  const options = { httpOnly: true, sameSite, secure, path }
+
+  return {
+    enabled,
+
+    accessToken: req => enabled ? readCookie(req, ACCESS_TOKEN_COOKIE) : null,
+
+    refreshToken: req => enabled ? readCookie(req, REFRESH_TOKEN_COOKIE) : null,
+
+    // Sets the session's cookies and gives back the session to put in the
+    // body, without its tokens. Does nothing when cookies are off.
+    setSession(res, session) {
+      if (!enabled || !session) return session
+
+      res.cookie(ACCESS_TOKEN_COOKIE, session.access_token, {
+        ...options,
+        maxAge: (session.expires_in || 3600) * 1000
+      })
+      res.cookie(REFRESH_TOKEN_COOKIE, session.refresh_token, {
+        ...options,
+        maxAge: REFRESH_COOKIE_DAYS * 24 * 60 * 60 * 1000
+      })
+
+      const { access_token, refresh_token, ...rest } = session
+      return rest
+    },
+
+    clear(res) {
+      if (!enabled) return
+
+      res.clearCookie(ACCESS_TOKEN_COOKIE, options)
+      res.clearCookie(REFRESH_TOKEN_COOKIE, options)
+    }
+  }
+}
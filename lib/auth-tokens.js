@@ -0,0 +1,275 @@
+// Access token verification without a round trip to Supabase Auth.
+// HS256 tokens are checked against the project's JWT secret, RS256/ES256
+// ones against the project's JWKS. Tokens that can't be checked locally
+// (no secret, unknown key, JWKS unreachable) fall back to getUser(token),
+// whose answers are cached briefly.
+//
+// A local check can't see that a session was ended (logout), so revoke()
+// remembers ended sessions until their tokens would have expired anyway.
+// That list is per process, like the getUser cache.
+
+import crypto from 'crypto'
+
+const DEFAULT_CACHE_TTL_MS = 30 * 1000
+const MAX_CACHED_TOKENS = 10000
+const JWKS_TTL_MS = 10 * 60 * 1000
+// Don't refetch the JWKS for unknown key ids more often than this
+const JWKS_RETRY_MS = 60 * 1000
+// Allowed clock difference between us and the token issuer
+const CLOCK_SKEW_SECONDS = 30
+// How long "every session of a user" revocations are kept: longer than any
+// access token lives
+const USER_REVOCATION_TTL_MS = 24 * 60 * 60 * 1000
+
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' }
+}
+
+function decodePart(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString())
+}
+
+// A token's claims without checking them, or null if it can't be read
+function decodeClaims(token) {
+  try {
+    return decodePart(token.split('.')[1])
+  } catch {
+    return null
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('base64url')
+}
+
+// The user object routes see, built from verified claims. Same field names as
+// a supabase-js User; fields tokens don't carry (created_at...) are left out.
+export function userFromClaims(claims) {
+  return {
+    id: claims.sub,
+    aud: claims.aud,
+    role: claims.role,
+    email: claims.email,
+    phone: claims.phone,
+    app_metadata: claims.app_metadata || {},
+    user_metadata: claims.user_metadata || {},
+    is_anonymous: claims.is_anonymous || false,
+    session_id: claims.session_id
+  }
+}
+
+// options: { jwtSecret, jwksUrl, issuer, audience, getUser, cacheTtlMs, fetch }
+// verify(token) resolves to { user, claims?, verifiedLocally } or { error }.
+export function createTokenVerifier({
+  jwtSecret,
+  jwksUrl,
+  issuer,
+  audience = 'authenticated',
+  getUser,
+  cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+  fetch = globalThis.fetch
+} = {}) {
+  const cache = new Map()
+  // session id -> when its tokens expire (ms); user id -> { before, until,
+  // except }, tokens issued up to `before` (seconds) being turned away until
+  // `until` (ms) unless they belong to session `except`
+  const revokedSessions = new Map()
+  const revokedUsers = new Map()
+  let jwks = { keys: new Map(), fetchedAt: 0, failedAt: 0 }
+
+  async function loadJwks() {
+    const response = await fetch(jwksUrl)
+    if (!response.ok) throw new Error(`JWKS request failed with ${response.status}`)
+
+    const { keys = [] } = await response.json()
+    jwks = {
+      keys: new Map(keys.filter(key => key.kid).map(key => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })])),
+      fetchedAt: Date.now(),
+      failedAt: 0
+    }
+  }
+
+  // The public key for a key id, or null if it can't be found
+  async function getPublicKey(kid) {
+    const stale = Date.now() - jwks.fetchedAt > JWKS_TTL_MS
+    const unknown = !jwks.keys.has(kid)
+    const mayRetry = Date.now() - jwks.failedAt > JWKS_RETRY_MS
+
+    if ((stale || unknown) && mayRetry) {
+      try {
+        await loadJwks()
+      } catch {
+        jwks.failedAt = Date.now()
+      }
+    }
+
+    return jwks.keys.get(kid) || null
+  }
+
+  // true if the signature is good, false if it's bad, undefined if we can't tell
+  async function checkSignature(token, header) {
+    const [head, body, signature] = token.split('.')
+    const signed = Buffer.from(`${head}.${body}`)
+    const given = Buffer.from(signature, 'base64url')
+
+    if (header.alg === 'HS256') {
+      if (!jwtSecret) return undefined
+      const expected = crypto.createHmac('sha256', jwtSecret).update(signed).digest()
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+    }
+
+    const algorithm = ALGORITHMS[header.alg]
+    if (!algorithm || !jwksUrl || !header.kid) return undefined
+
+    const key = await getPublicKey(header.kid)
+    if (!key) return undefined
+
+    return crypto.verify(algorithm.hash, signed, { key, dsaEncoding: algorithm.dsaEncoding }, given)
+  }
+
+  // Why verified claims can't be used, or null if they can
+  function getClaimsProblem(claims) {
+    const now = Math.floor(Date.now() / 1000)
+    const audiences = [].concat(claims.aud ?? [])
+
+    if (!claims.sub) return 'Token has no subject'
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) return 'Token has expired'
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) return 'Token is not valid yet'
+    if (audience && !audiences.includes(audience)) return 'Token has the wrong audience'
+    if (issuer && claims.iss !== issuer) return 'Token has the wrong issuer'
+
+    return null
+  }
+
+  function isRevoked(claims) {
+    const now = Date.now()
+
+    const sessionUntil = revokedSessions.get(claims.session_id)
+    if (sessionUntil !== undefined) {
+      if (sessionUntil > now) return true
+      revokedSessions.delete(claims.session_id)
+    }
+
+    const user = revokedUsers.get(claims.sub)
+    if (user) {
+      if (user.until <= now) {
+        revokedUsers.delete(claims.sub)
+      } else if ((!user.except || claims.session_id !== user.except) &&
+        (typeof claims.iat !== 'number' || claims.iat <= user.before)) {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  async function verifyWithGetUser(token, claims) {
+    const key = hashToken(token)
+    const cached = cache.get(key)
+
+    if (cached && cached.expiresAt > Date.now()) return cached.result
+
+    const { data, error } = await getUser(token)
+    const result = error || !data?.user
+      ? { error: error || new Error('User not found') }
+      : { user: data.user, verifiedLocally: false }
+
+    // Only successes are cached, and never past the token's own expiry
+    if (result.user) {
+      const expiresAt = Math.min(Date.now() + cacheTtlMs, typeof claims.exp === 'number' ? claims.exp * 1000 : Infinity)
+      if (cache.size >= MAX_CACHED_TOKENS) cache.clear()
+      cache.set(key, { result, expiresAt })
+    }
+
+    return result
+  }
+
+  async function verify(token) {
+    if (typeof token !== 'string' || token.split('.').length !== 3) {
+      return { error: new Error('Malformed token') }
+    }
+
+    let header, claims
+    try {
+      header = decodePart(token.split('.')[0])
+      claims = decodePart(token.split('.')[1])
+    } catch {
+      return { error: new Error('Malformed token') }
+    }
+
+    const valid = await checkSignature(token, header)
+
+    if (isRevoked(claims)) {
+      return { error: new Error('Session has ended') }
+    }
+
+    if (valid === undefined) {
+      return verifyWithGetUser(token, claims)
+    }
+
+    if (!valid) {
+      return { error: new Error('Invalid token signature') }
+    }
+
+    const problem = getClaimsProblem(claims)
+    if (problem) {
+      return { error: new Error(problem) }
+    }
+
+    return { user: userFromClaims(claims), claims, verifiedLocally: true }
+  }
+
+  // Forget cached getUser answers, e.g. after signing a user out
+  function forget(token) {
+    if (token) cache.delete(hashToken(token))
+    else cache.clear()
+  }
+
+  // Make room for one more revocation: expired ones go first, then the
+  // oldest, so a full list never drops everything it is still turning away
+  function makeRoom(revocations, getUntil) {
+    if (revocations.size < MAX_CACHED_TOKENS) return
+
+    const now = Date.now()
+    for (const [key, value] of revocations) {
+      if (getUntil(value) <= now) revocations.delete(key)
+    }
+
+    const oldest = revocations.keys()
+    while (revocations.size >= MAX_CACHED_TOKENS) {
+      revocations.delete(oldest.next().value)
+    }
+  }
+
+  // Turn away tokens of an ended session: { token } for the session the
+  // token belongs to, { userId } for every session the user has right now,
+  // but the one exceptToken belongs to if given
+  function revoke({ token, userId, exceptToken }) {
+    if (token) {
+      forget(token)
+
+      const claims = decodeClaims(token)
+
+      if (claims?.session_id && typeof claims.exp === 'number') {
+        revokedSessions.delete(claims.session_id)
+        makeRoom(revokedSessions, until => until)
+        revokedSessions.set(claims.session_id, (claims.exp + CLOCK_SKEW_SECONDS) * 1000)
+      }
+    }
+
+    if (userId) {
+      revokedUsers.delete(userId)
+      makeRoom(revokedUsers, user => user.until)
+      revokedUsers.set(userId, {
+        before: Math.floor(Date.now() / 1000),
+        until: Date.now() + USER_REVOCATION_TTL_MS,
+        except: exceptToken ? decodeClaims(exceptToken)?.session_id : undefined
+      })
+      // Cached getUser answers are keyed by token, so they all have to go
+      forget()
+    }
+  }
+
+  return { verify, forget, revoke }
+}
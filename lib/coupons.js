@@ -0,0 +1,100 @@
+// Coupon rules: whether a coupon can be used and how much it takes off a cart.
+// Amounts are worked out in minor units of the cart's currency so the
+// per-line discounts add up exactly. Fixed amounts and min_cart_value are in
+// the coupon's own currency and converted.
+
+import { BASE_CURRENCY, CURRENCIES, convertMinor, fromMinor, toMinor } from './currency.js'
+
+export const COUPON_TYPES = ['percentage', 'fixed']
+
+// Why a coupon can't be used right now (usage counts aside), or null if it can
+export function getCouponProblem(coupon, now = new Date()) {
+  if (!coupon.is_active) return 'Coupon is not active'
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) return 'Coupon is not valid yet'
+  if (coupon.expires_at && new Date(coupon.expires_at) <= now) return 'Coupon has expired'
+  return null
+}
+
+// Why a coupon has been used up, given how often it was redeemed, or null
+export function getUsageProblem(coupon, { totalUses, userUses }) {
+  if (coupon.max_uses != null && totalUses >= coupon.max_uses) {
+    return 'Coupon usage limit has been reached'
+  }
+  if (coupon.max_uses_per_user != null && userUses >= coupon.max_uses_per_user) {
+    return 'You have already used this coupon the maximum number of times'
+  }
+  return null
+}
+
+// Whether a cart line falls under the coupon's category/seller restriction
+export function isLineEligible(coupon, line) {
+  if (coupon.category && line.category !== coupon.category) return false
+  if (coupon.seller_id && line.seller_id !== coupon.seller_id) return false
+  return true
+}
+
+// Work out a coupon's discount for cart lines shaped like
+// { id, product_id, unit_price_minor, quantity, category, seller_id }, priced
+// in currency. rates (see lib/currency.js) convert the coupon's amounts.
+// Returns { subtotal, discount, lines: [{ id, product_id, discount, discount_minor }] }
+// (plus *_minor), or { error } when the cart doesn't qualify.
+export function calculateCouponDiscount(coupon, lines, { currency = BASE_CURRENCY, rates = {} } = {}) {
+  const couponCurrency = coupon.currency || BASE_CURRENCY
+  const toCartMinor = amount => convertMinor(toMinor(amount, couponCurrency), couponCurrency, currency, rates)
+
+  const minCartMinor = toCartMinor(coupon.min_cart_value)
+  const fixedMinor = coupon.discount_type === 'fixed' ? toCartMinor(coupon.discount_value) : 0
+
+  if (minCartMinor === null || fixedMinor === null) {
+    return { error: `This coupon can't be used with prices in ${currency}` }
+  }
+
+  const lineTotals = lines.map(line => line.unit_price_minor * line.quantity)
+  const subtotalMinor = lineTotals.reduce((sum, minor) => sum + minor, 0)
+
+  if (subtotalMinor < minCartMinor) {
+    const minimum = Number(coupon.min_cart_value).toFixed(CURRENCIES[couponCurrency])
+    return { error: `Cart total must be at least ${minimum} ${couponCurrency} to use this coupon` }
+  }
+
+  const eligible = lines
+    .map((line, index) => ({ line, minor: lineTotals[index] }))
+    .filter(({ line }) => isLineEligible(coupon, line))
+  const eligibleMinor = eligible.reduce((sum, { minor }) => sum + minor, 0)
+
+  if (eligibleMinor === 0) {
+    return { error: 'Coupon does not apply to any items in your cart' }
+  }
+
+  // Neither kind can take off more than the eligible items cost
+  const discountMinor = Math.min(coupon.discount_type === 'percentage'
+    ? Math.round(eligibleMinor * Number(coupon.discount_value) / 100)
+    : fixedMinor, eligibleMinor)
+
+  // Spread the discount over eligible lines by their share of the total;
+  // the last one takes whatever rounding left over
+  const discounts = new Map()
+  let remaining = discountMinor
+
+  eligible.forEach(({ line, minor }, index) => {
+    const share = index === eligible.length - 1
+      ? remaining
+      : Math.round(discountMinor * minor / eligibleMinor)
+    discounts.set(line, share)
+    remaining -= share
+  })
+
+  return {
+    currency,
+    subtotal: fromMinor(subtotalMinor, currency),
+    subtotal_minor: subtotalMinor,
+    discount: fromMinor(discountMinor, currency),
+    discount_minor: discountMinor,
+    lines: lines.map(line => ({
+      id: line.id,
+      product_id: line.product_id,
+      discount: fromMinor(discounts.get(line) || 0, currency),
+      discount_minor: discounts.get(line) || 0
+    }))
+  }
+}
@@ -0,0 +1,80 @@
+// Minimal CSV reading/writing (RFC 4180: quoted fields, "" escapes,
+// commas and newlines inside quotes) for product import/export.
+
+// Parse CSV text into objects keyed by the header row
+export function parseCsv(text) {
+  const rows = parseRows(text.replace(/^\uFEFF/, ''))
+  const [header, ...records] = rows
+
+  if (!header) return []
+
+  const keys = header.map(key => key.trim())
+
+  return records
+    .filter(record => record.some(cell => cell !== ''))
+    .map(record => Object.fromEntries(keys.map((key, index) => [key, record[index] ?? ''])))
+}
+
+function parseRows(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field')
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+// Turn objects into CSV text with the given columns as the header
+export function toCsv(records, columns) {
+  const lines = [columns.map(escapeCell).join(',')]
+
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCell(record[column])).join(','))
+  }
+
+  return lines.join('\r\n') + '\r\n'
+}
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return ''
+
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
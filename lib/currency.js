@@ -0,0 +1,91 @@
+// Currencies and money. Amounts are worked out as integers in the currency's
+// minor unit (cents for USD, yen for JPY) so they add up exactly; decimal
+// amounts only come in with requests and go out next to the minor units.
+//
+// Exchange rates say how much of a currency one BASE_CURRENCY buys (EUR 0.92
+// means 1 USD = 0.92 EUR). They live in the exchange_rates table, kept up to
+// date by admins. Converted prices are for display: orders are charged in the
+// currency products are listed in.
+
+export const BASE_CURRENCY = 'USD'
+
+// ISO 4217 codes accepted for listings and display, with the number of
+// digits in their minor unit
+export const CURRENCIES = {
+  AUD: 2,
+  CAD: 2,
+  CHF: 2,
+  CNY: 2,
+  DKK: 2,
+  EUR: 2,
+  GBP: 2,
+  HKD: 2,
+  IDR: 2,
+  INR: 2,
+  JPY: 0,
+  KRW: 0,
+  MYR: 2,
+  NOK: 2,
+  NZD: 2,
+  PHP: 2,
+  SEK: 2,
+  SGD: 2,
+  THB: 2,
+  USD: 2,
+  VND: 0
+}
+
+export const CURRENCY_CODES = Object.keys(CURRENCIES)
+
+const minorUnitFactor = currency => 10 ** CURRENCIES[currency]
+
+// An amount times its minor unit, without float noise (1.005 * 100 is
+// 100.49999999999999, this gives 100.5)
+const scaleToMinor = (amount, currency) =>
+  Number((Number(amount || 0) * minorUnitFactor(currency)).toPrecision(15))
+
+// Integer minor units for a decimal amount, e.g. 12.34 USD -> 1234
+export function toMinor(amount, currency) {
+  return Math.round(scaleToMinor(amount, currency))
+}
+
+export function fromMinor(minor, currency) {
+  return minor / minorUnitFactor(currency)
+}
+
+// true if an amount has no more decimals than its currency allows (5.5 JPY
+// doesn't fit)
+export function fitsMinorUnit(amount, currency) {
+  return Number.isInteger(scaleToMinor(amount, currency))
+}
+
+// Convert minor units from one currency to another with rates like
+// { USD: 1, EUR: 0.92 }. Returns null if either rate is missing.
+export function convertMinor(minor, from, to, rates) {
+  if (from === to) return minor
+
+  const fromRate = rates[from]
+  const toRate = rates[to]
+
+  if (!fromRate || !toRate) return null
+
+  const amount = fromMinor(minor, from) / fromRate * toRate
+  return toMinor(amount, to)
+}
+
+// An amount as sent in responses
+export function toMoney(minor, currency) {
+  return { currency, amount: fromMinor(minor, currency), amount_minor: minor }
+}
+
+// exchange_rates rows ({ currency, rate }) as a rates map; the base currency
+// is always 1
+export function toRateMap(rows) {
+  const rates = Object.fromEntries(
+    (rows || [])
+      .filter(row => CURRENCIES[row.currency] !== undefined && Number(row.rate) > 0)
+      .map(row => [row.currency, Number(row.rate)])
+  )
+
+  return { ...rates, [BASE_CURRENCY]: 1 }
+}
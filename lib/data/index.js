@@ -0,0 +1,50 @@
+// Data layer: everything the API stores behind one interface, backed by
+// Supabase or kept in memory. Pick with DATA_BACKEND.
+//
+//   auth               getUser, signUp, signInWithPassword, verifyPassword, signInWithOtp,
+//                      signInWithOAuth, resetPasswordForEmail, verifyOtp, refreshSession,
+//                      signOut(token, scope), updateUser(token, attributes, options),
+//                      getUserById, updateUserById, deleteUser (supabase-js auth results)
+//   profiles           findById, findByIds, upsert, update, remove, listDueForDeletion
+//   products           list, findById, findByIds, listBySeller, create, update, remove,
+//                      sellerStats
+//   productVariants    save, countByProduct
+//   productImages      listByProduct, insert, remove, reorder, setPrimary
+//   reviews            list, listByUser, findById, create, update, remove
+//   cartItems          list, findById, findLine, insert, update, remove, clear, hold,
+//                      releaseExpiredHolds, countByProduct, removeByProduct
+//   wishlistItems      list, findById, add, remove
+//   coupons            findByCode, findById, listBySeller, create, update, countRedemptions,
+//                      findApplied, apply, removeApplied
+//   orders             checkout, listByUser, findById, updateStatus, cancel,
+//                      anonymiseByUser
+//   exchangeRates      list, upsert
+//   webhookEndpoints   listByOwner, countByOwner, findById, findSubscribers, create,
+//                      update, remove
+//   webhookDeliveries  list, findById, insert, claim, update, listDue
+//   admin              searchUsers, platformStats, logAction, listActions
+//
+// Cart methods take an owner, { type: 'user' | 'guest', id }. Everything
+// returns { data, error } like supabase-js (plus count where it counts), so
+// callers check errors the same way. Errors from database functions keep
+// their message codes, e.g. INSUFFICIENT_STOCK:<product id>.
+
+import fs from 'fs'
+import { createMemoryRepositories } from './memory.js'
+import { createSupabaseRepositories } from './supabase.js'
+
+export const DATA_BACKENDS = ['supabase', 'memory']
+
+// config: { backend, supabase, url, anonKey, jwtSecret, seedFile }
+export function createRepositories({ backend = 'supabase', supabase, url, anonKey, jwtSecret, seedFile } = {}) {
+  if (backend === 'supabase') {
+    return createSupabaseRepositories(supabase, { url, anonKey })
+  }
+
+  if (backend === 'memory') {
+    const seed = seedFile ? JSON.parse(fs.readFileSync(seedFile, 'utf8')) : {}
+    return createMemoryRepositories({ jwtSecret, seed })
+  }
+
+  throw new Error(`Unknown data backend "${backend}", use one of: ${DATA_BACKENDS.join(', ')}`)
+}
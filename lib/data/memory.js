@@ -0,0 +1,1643 @@
+// In-memory implementation of the repositories (see lib/data/index.js), for
+// running the API locally and in tests without a Supabase project. Same
+// method names and { data, error } results as lib/data/supabase.js.
+//
+// Auth issues HS256 JWTs signed with jwtSecret, so tokens look and verify
+// like Supabase ones. Nothing is sent: sign-ups are confirmed straight away,
+// magic links are not delivered, and password reset and email change links
+// are logged so they can be followed by hand.
+
+import crypto from 'crypto'
+import { BASE_CURRENCY } from '../currency.js'
+
+const TOKEN_TTL_SECONDS = 60 * 60
+// How long password reset and email change links work
+const EMAIL_LINK_TTL_SECONDS = 60 * 60
+const MIN_PASSWORD_LENGTH = 6
+
+// Product fields embedded in cart and wishlist lines, like PRODUCT_JOIN in
+// lib/data/supabase.js
+const CART_PRODUCT_FIELDS = [
+  'id',
+  'title',
+  'description',
+  'price',
+  'currency',
+  'image_url',
+  'category',
+  'seller_id',
+  'stock_quantity',
+  'weight_kg',
+  'is_active'
+]
+
+// Variant fields embedded in cart lines
+const CART_VARIANT_FIELDS = ['id', 'sku', 'options', 'price', 'stock_quantity', 'is_active']
+
+// Shaped like supabase-js errors, so routes can read message, status and code
+class MemoryDataError extends Error {
+  constructor(message, { status = 400, code } = {}) {
+    super(message)
+    this.name = 'MemoryDataError'
+    this.status = status
+    this.code = code
+  }
+}
+
+const ok = data => ({ data, error: null })
+const fail = (message, options) => ({ data: null, error: new MemoryDataError(message, options) })
+const now = () => new Date().toISOString()
+const copy = value => structuredClone(value)
+// Rounded to cents, like numeric(12, 2) columns
+const toMoney = value => Math.round(value * 100) / 100
+
+// Keep only the listed columns ('a, b, c'); '*' keeps everything
+function pick(row, columns = '*') {
+  if (!row || columns.trim() === '*') return copy(row)
+
+  const names = columns.split(',').map(name => name.trim()).filter(Boolean)
+  return Object.fromEntries(names.map(name => [name, copy(row[name] ?? null)]))
+}
+
+function compare(a, b) {
+  if (a === b) return 0
+  if (a === null || a === undefined) return 1 // Nulls last, like Postgres ascending
+  if (b === null || b === undefined) return -1
+  return a < b ? -1 : 1
+}
+
+// Remove the rows that pass test, in place
+function removeWhere(rows, test) {
+  for (let i = rows.length - 1; i >= 0; i--) {
+    if (test(rows[i])) rows.splice(i, 1)
+  }
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url')
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return `${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`
+}
+
+function checkPassword(password, stored) {
+  const [salt, hash] = stored.split(':')
+  const attempt = crypto.scryptSync(password, salt, 32)
+  return crypto.timingSafeEqual(attempt, Buffer.from(hash, 'hex'))
+}
+
+export function createMemoryRepositories({ jwtSecret = crypto.randomBytes(32).toString('hex'), seed = {} } = {}) {
+  const users = new Map()
+  // session id -> { userId, refreshToken }, ended sessions are deleted
+  const sessions = new Map()
+  // token hash -> { userId, type, expiresAt }, for links sent by email
+  const emailLinks = new Map()
+  const profileRows = new Map()
+  const productRows = new Map()
+  const optionRows = new Map()
+  const variantRows = new Map()
+  const imageRows = new Map()
+  const reviewRows = new Map()
+  const cartRows = { user: [], guest: [] }
+  const wishlistRows = new Map()
+  const couponRows = new Map()
+  // user id -> { user_id, coupon_id, applied_at }
+  const cartCouponRows = new Map()
+  const redemptionRows = []
+  // Orders keep their order_items inside
+  const orderRows = new Map()
+  // Every change to a product's stock, like product_stock_changes
+  const stockChanges = []
+  const exchangeRateRows = new Map([[BASE_CURRENCY, { currency: BASE_CURRENCY, rate: 1, updated_at: now(), updated_by: null }]])
+  const webhookEndpointRows = new Map()
+  const webhookDeliveryRows = new Map()
+  const adminActionRows = []
+
+  // AUTH
+  const signToken = (user, sessionId) => {
+    const issuedAt = Math.floor(Date.now() / 1000)
+    const payload = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({
+      sub: user.id,
+      email: user.email,
+      aud: 'authenticated',
+      role: 'authenticated',
+      iat: issuedAt,
+      exp: issuedAt + TOKEN_TTL_SECONDS,
+      app_metadata: user.app_metadata,
+      user_metadata: user.user_metadata,
+      session_id: sessionId
+    })}`
+    const signature = crypto.createHmac('sha256', jwtSecret).update(payload).digest('base64url')
+    return { token: `${payload}.${signature}`, expiresAt: issuedAt + TOKEN_TTL_SECONDS }
+  }
+
+  const verifyToken = token => {
+    const [header, body, signature] = (token || '').split('.')
+    if (!header || !body || !signature) return null
+
+    const expected = crypto.createHmac('sha256', jwtSecret).update(`${header}.${body}`).digest()
+    const given = Buffer.from(signature, 'base64url')
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null
+
+    try {
+      const claims = JSON.parse(Buffer.from(body, 'base64url').toString())
+      return claims.exp * 1000 > Date.now() ? claims : null
+    } catch {
+      return null
+    }
+  }
+
+  const publicUser = user => {
+    if (!user) return null
+    const { password_hash, ...rest } = user
+    return copy(rest)
+  }
+
+  // A session's refresh token works once, like Supabase's: using it hands
+  // out a new one
+  const issueSession = (user, sessionId) => {
+    const { token, expiresAt } = signToken(user, sessionId)
+    const refreshToken = crypto.randomBytes(24).toString('base64url')
+
+    sessions.set(sessionId, { userId: user.id, refreshToken })
+
+    return {
+      access_token: token,
+      token_type: 'bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      expires_at: expiresAt,
+      refresh_token: refreshToken,
+      user: publicUser(user)
+    }
+  }
+
+  const startSession = user => {
+    user.last_sign_in_at = now()
+    return issueSession(user, crypto.randomUUID())
+  }
+
+  const isBanned = user => user.banned_until && new Date(user.banned_until) > new Date()
+
+  // The link Supabase would email, as {{ .RedirectTo }}?token_hash=...&type=...
+  const sendEmailLink = (user, type, email, redirectTo = '') => {
+    const tokenHash = crypto.randomBytes(24).toString('hex')
+    emailLinks.set(tokenHash, { userId: user.id, type, expiresAt: Date.now() + EMAIL_LINK_TTL_SECONDS * 1000 })
+    console.log(`[memory auth] ${type} link for ${email}: ${redirectTo}?token_hash=${tokenHash}&type=${type}`)
+  }
+
+  const addUser = ({ id = crypto.randomUUID(), email, password, user_metadata = {}, app_metadata = {} }) => {
+    const createdAt = now()
+    const user = {
+      id,
+      aud: 'authenticated',
+      role: 'authenticated',
+      email: email.toLowerCase(),
+      email_confirmed_at: createdAt,
+      phone: '',
+      app_metadata: { provider: 'email', providers: ['email'], ...app_metadata },
+      user_metadata: copy(user_metadata),
+      banned_until: null,
+      created_at: createdAt,
+      updated_at: createdAt,
+      last_sign_in_at: null,
+      password_hash: password ? hashPassword(password) : null
+    }
+
+    users.set(id, user)
+    return user
+  }
+
+  const findUserByEmail = email => [...users.values()].find(user => user.email === email?.toLowerCase())
+
+  const auth = {
+    async getUser(token) {
+      const claims = verifyToken(token)
+      const user = claims && sessions.has(claims.session_id) && users.get(claims.sub)
+
+      if (!user) {
+        return { data: { user: null }, error: new MemoryDataError('invalid JWT: unable to parse or verify signature', { status: 401 }) }
+      }
+
+      return { data: { user: publicUser(user) }, error: null }
+    },
+
+    async signUp({ email, password, options = {} }) {
+      if (!email || !password) {
+        return { data: { user: null, session: null }, error: new MemoryDataError('Email and password are required') }
+      }
+
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return { data: { user: null, session: null }, error: new MemoryDataError(`Password should be at least ${MIN_PASSWORD_LENGTH} characters.`, { status: 422, code: 'weak_password' }) }
+      }
+
+      if (findUserByEmail(email)) {
+        return { data: { user: null, session: null }, error: new MemoryDataError('User already registered', { status: 422, code: 'user_already_exists' }) }
+      }
+
+      const user = addUser({ email, password, user_metadata: options.data })
+      return { data: { user: publicUser(user), session: startSession(user) }, error: null }
+    },
+
+    async signInWithPassword({ email, password }) {
+      const user = findUserByEmail(email)
+
+      if (!user || !user.password_hash || !checkPassword(password || '', user.password_hash)) {
+        return { data: { user: null, session: null }, error: new MemoryDataError('Invalid login credentials', { code: 'invalid_credentials' }) }
+      }
+
+      if (isBanned(user)) {
+        return { data: { user: null, session: null }, error: new MemoryDataError('User is banned', { code: 'user_banned' }) }
+      }
+
+      return { data: { user: publicUser(user), session: startSession(user) }, error: null }
+    },
+
+    verifyPassword({ email, password }) {
+      return auth.signInWithPassword({ email, password })
+    },
+
+    async signInWithOtp({ email, options = {} }) {
+      if (!findUserByEmail(email) && options.shouldCreateUser !== false) {
+        addUser({ email })
+      }
+
+      return { data: { user: null, session: null }, error: null }
+    },
+
+    async signInWithOAuth({ provider, options = {} }) {
+      const params = new URLSearchParams({ provider, redirect_to: options.redirectTo || '' })
+      return { data: { provider, url: `memory://auth/authorize?${params}` }, error: null }
+    },
+
+    async resetPasswordForEmail(email, { redirectTo } = {}) {
+      const user = findUserByEmail(email)
+      if (user) sendEmailLink(user, 'recovery', user.email, redirectTo)
+
+      return { data: {}, error: null }
+    },
+
+    // Follows a link from resetPasswordForEmail or updateUser: type is
+    // 'recovery' or 'email_change'. Signs the user in, like Supabase.
+    async verifyOtp({ token_hash: tokenHash, type }) {
+      const link = emailLinks.get(tokenHash)
+      const user = link && link.type === type && link.expiresAt > Date.now() && users.get(link.userId)
+
+      if (!user) {
+        return { data: { user: null, session: null }, error: new MemoryDataError('Email link is invalid or has expired', { status: 403, code: 'otp_expired' }) }
+      }
+
+      emailLinks.delete(tokenHash)
+
+      if (type === 'email_change') {
+        if (findUserByEmail(user.new_email)) {
+          return { data: { user: null, session: null }, error: new MemoryDataError('A user with this email address has already been registered', { status: 422, code: 'email_exists' }) }
+        }
+
+        user.email = user.new_email
+        user.new_email = null
+        user.updated_at = now()
+      }
+
+      return { data: { user: publicUser(user), session: startSession(user) }, error: null }
+    },
+
+    // Changes for the signed-in user. Email changes wait for the link sent to
+    // the new address (new_email until then).
+    async updateUser(token, { email }, { redirectTo } = {}) {
+      const claims = verifyToken(token)
+      const user = claims && sessions.has(claims.session_id) && users.get(claims.sub)
+
+      if (!user) {
+        return { data: { user: null }, error: new MemoryDataError('invalid JWT: unable to parse or verify signature', { status: 401 }) }
+      }
+
+      if (email) {
+        if (findUserByEmail(email)) {
+          return { data: { user: null }, error: new MemoryDataError('A user with this email address has already been registered', { status: 422, code: 'email_exists' }) }
+        }
+
+        user.new_email = email.toLowerCase()
+        sendEmailLink(user, 'email_change', user.new_email, redirectTo)
+      }
+
+      return { data: { user: publicUser(user) }, error: null }
+    },
+
+    async refreshSession({ refresh_token: refreshToken }) {
+      const found = refreshToken && [...sessions].find(([, session]) => session.refreshToken === refreshToken)
+      const user = found && users.get(found[1].userId)
+
+      if (!user) {
+        return { data: { user: null, session: null }, error: new MemoryDataError('Invalid Refresh Token: Refresh Token Not Found', { status: 400, code: 'refresh_token_not_found' }) }
+      }
+
+      if (isBanned(user)) {
+        return { data: { user: null, session: null }, error: new MemoryDataError('User is banned', { code: 'user_banned' }) }
+      }
+
+      return { data: { user: publicUser(user), session: issueSession(user, found[0]) }, error: null }
+    },
+
+    // scope: 'local' ends the token's session, 'global' every session of its
+    // user, 'others' every session but the token's
+    async signOut(token, scope = 'local') {
+      const claims = verifyToken(token)
+
+      if (!claims || !sessions.has(claims.session_id)) {
+        return { data: null, error: new MemoryDataError('invalid JWT: unable to parse or verify signature', { status: 401 }) }
+      }
+
+      for (const [sessionId, session] of sessions) {
+        const isOwn = sessionId === claims.session_id
+        const ends = scope === 'local' ? isOwn : session.userId === claims.sub && (scope === 'global' || !isOwn)
+        if (ends) sessions.delete(sessionId)
+      }
+
+      return { data: null, error: null }
+    },
+
+    async getUserById(id) {
+      const user = users.get(id)
+
+      if (!user) {
+        return { data: { user: null }, error: new MemoryDataError('User not found', { status: 404, code: 'user_not_found' }) }
+      }
+
+      return { data: { user: publicUser(user) }, error: null }
+    },
+
+    async deleteUser(id) {
+      if (!users.delete(id)) {
+        return { data: null, error: new MemoryDataError('User not found', { status: 404, code: 'user_not_found' }) }
+      }
+
+      for (const [sessionId, session] of sessions) {
+        if (session.userId === id) sessions.delete(sessionId)
+      }
+
+      // What the foreign keys to auth.users do
+      const cascade = (rows, column) => {
+        for (const [key, row] of rows) if (row[column] === id) rows.delete(key)
+      }
+      cascade(reviewRows, 'user_id')
+      cascade(wishlistRows, 'user_id')
+      cascade(couponRows, 'seller_id')
+      cascade(webhookEndpointRows, 'owner_id')
+      cartCouponRows.delete(id)
+      cartRows.user = cartRows.user.filter(row => row.user_id !== id)
+
+      const setNull = (rows, column) => {
+        for (const row of rows) if (row[column] === id) row[column] = null
+      }
+      setNull(orderRows.values(), 'user_id')
+      setNull(redemptionRows, 'user_id')
+      setNull(adminActionRows, 'admin_id')
+      setNull(exchangeRateRows.values(), 'updated_by')
+
+      // ...and what the ones to the rows removed above do
+      for (const [key, row] of webhookDeliveryRows) {
+        if (!webhookEndpointRows.has(row.endpoint_id)) webhookDeliveryRows.delete(key)
+      }
+      for (const [key, row] of cartCouponRows) {
+        if (!couponRows.has(row.coupon_id)) cartCouponRows.delete(key)
+      }
+      removeWhere(redemptionRows, row => !couponRows.has(row.coupon_id))
+
+      return { data: {}, error: null }
+    },
+
+    async updateUserById(id, { email, password, user_metadata, app_metadata, ban_duration } = {}) {
+      const user = users.get(id)
+
+      if (!user) {
+        return { data: { user: null }, error: new MemoryDataError('User not found', { status: 404, code: 'user_not_found' }) }
+      }
+
+      if (email) user.email = email.toLowerCase()
+      if (password) user.password_hash = hashPassword(password)
+      if (user_metadata) user.user_metadata = { ...user.user_metadata, ...copy(user_metadata) }
+      if (app_metadata) user.app_metadata = { ...user.app_metadata, ...copy(app_metadata) }
+
+      // Durations like '24h' or '876000h'; 'none' lifts a ban
+      if (ban_duration === 'none') {
+        user.banned_until = null
+      } else if (ban_duration) {
+        const hours = Number.parseFloat(ban_duration)
+        user.banned_until = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString()
+      }
+
+      user.updated_at = now()
+      return { data: { user: publicUser(user) }, error: null }
+    }
+  }
+
+  // PROFILES
+  const profiles = {
+    findById: async (id, columns = '*') => ok(pick(profileRows.get(id), columns) ?? null),
+
+    findByIds: async (ids, columns = '*') => ok(
+      ids.filter(id => profileRows.has(id)).map(id => pick(profileRows.get(id), columns))
+    ),
+
+    async upsert(row) {
+      const merged = { ...profileRows.get(row.id), ...copy(row) }
+      profileRows.set(row.id, merged)
+      return ok([copy(merged)])
+    },
+
+    async update(id, changes) {
+      if (!profileRows.has(id)) return ok([])
+
+      const updated = { ...profileRows.get(id), ...copy(changes) }
+      profileRows.set(id, updated)
+      return ok([copy(updated)])
+    },
+
+    async remove(id) {
+      profileRows.delete(id)
+      return ok(null)
+    },
+
+    listDueForDeletion: async (before, limit = 100) => ok(
+      [...profileRows.values()]
+        .filter(profile => profile.deletion_scheduled_for && profile.deletion_scheduled_for <= before)
+        .sort((a, b) => compare(a.deletion_scheduled_for, b.deletion_scheduled_for))
+        .slice(0, limit)
+        .map(profile => pick(profile, 'id, deletion_scheduled_for'))
+    )
+  }
+
+  // PRODUCTS
+  const skuTaken = (sellerId, sku, exceptId) => sku && [...productRows.values()].some(product =>
+    product.seller_id === sellerId && product.sku === sku && product.id !== exceptId
+  )
+
+  // A product row with the column defaults the database would fill in
+  const newProduct = row => {
+    const createdAt = now()
+    return {
+      id: crypto.randomUUID(),
+      description: null,
+      image_url: null,
+      category: null,
+      stock_quantity: 0,
+      weight_kg: 0,
+      currency: BASE_CURRENCY,
+      is_active: true,
+      sku: null,
+      low_stock_threshold: null,
+      average_rating: null,
+      review_count: 0,
+      moderated_at: null,
+      moderated_by: null,
+      moderation_reason: null,
+      created_at: createdAt,
+      updated_at: createdAt,
+      ...copy(row)
+    }
+  }
+
+  // Set a product's stock, logging the change like products_log_stock_change
+  const setStock = (product, quantity) => {
+    const change = quantity - (product.stock_quantity ?? 0)
+    product.stock_quantity = quantity
+
+    if (change !== 0) {
+      stockChanges.push({ product_id: product.id, change, stock_quantity: quantity, changed_at: now() })
+    }
+  }
+
+  // A product with variants shows the total stock of its active ones, like
+  // sync_product_stock_from_variants
+  const syncVariantStock = productId => {
+    const product = productRows.get(productId)
+    if (!product) return
+
+    const stock = [...variantRows.values()]
+      .filter(variant => variant.product_id === productId && variant.is_active)
+      .reduce((sum, variant) => sum + variant.stock_quantity, 0)
+
+    setStock(product, stock)
+    product.updated_at = now()
+  }
+
+  const rowsOf = (rows, productId) => [...rows.values()].filter(row => row.product_id === productId).map(copy)
+
+  const withDetails = product => product && {
+    ...copy(product),
+    product_options: rowsOf(optionRows, product.id),
+    product_variants: rowsOf(variantRows, product.id),
+    product_images: rowsOf(imageRows, product.id)
+  }
+
+  // Price in another currency with the exchange rates, null without one
+  const convertPrice = (price, from, to) => {
+    if (from === to) return price
+
+    const fromRate = exchangeRateRows.get(from)?.rate
+    const toRate = exchangeRateRows.get(to)?.rate
+
+    return fromRate && toRate ? price / fromRate * toRate : null
+  }
+
+  // Work out a product's price_base, like set_product_price_base
+  const setPriceBase = product => {
+    const price = convertPrice(product.price, product.currency, BASE_CURRENCY)
+    product.price_base = price === null ? null : Math.round(price * 10000) / 10000
+  }
+
+  const products = {
+    async list({
+      search,
+      searchSku = false,
+      sellerId,
+      category,
+      minPrice,
+      maxPrice,
+      inStock,
+      isActive,
+      moderated,
+      excludeId,
+      sort = { column: 'created_at', ascending: false },
+      limit,
+      offset = 0,
+      columns = '*'
+    } = {}) {
+      const term = search?.toLowerCase()
+      const matches = [...productRows.values()].filter(product =>
+        (!term || [product.title, product.description, searchSku && product.sku]
+          .some(text => typeof text === 'string' && text.toLowerCase().includes(term))) &&
+        (!sellerId || product.seller_id === sellerId) &&
+        (!category || product.category === category) &&
+        (minPrice === undefined || (product.price_base !== null && product.price_base >= minPrice)) &&
+        (maxPrice === undefined || (product.price_base !== null && product.price_base <= maxPrice)) &&
+        (inStock === undefined || (product.stock_quantity > 0) === inStock) &&
+        (isActive === undefined || product.is_active === isActive) &&
+        (moderated === undefined || Boolean(product.moderated_at) === moderated) &&
+        (!excludeId || product.id !== excludeId)
+      )
+
+      // Nulls last whichever way, like the supabase repository
+      const direction = sort.ascending ? 1 : -1
+      const isNull = product => product[sort.column] === null || product[sort.column] === undefined
+      matches.sort((a, b) => (isNull(a) - isNull(b)) ||
+        direction * compare(a[sort.column], b[sort.column]) || compare(a.id, b.id))
+
+      const page = limit === undefined ? matches.slice(offset) : matches.slice(offset, offset + limit)
+      return { data: page.map(product => pick(product, columns)), count: matches.length, error: null }
+    },
+
+    findById: async (id, { columns = '*', details = false } = {}) => {
+      const product = productRows.get(id)
+      return ok(details ? withDetails(product) ?? null : pick(product, columns) ?? null)
+    },
+
+    findByIds: async (ids, columns = '*') => ok(
+      ids.filter(id => productRows.has(id)).map(id => pick(productRows.get(id), columns))
+    ),
+
+    async listBySeller(sellerId, { columns = '*', details = false, ascending = false } = {}) {
+      const rows = [...productRows.values()]
+        .filter(product => product.seller_id === sellerId)
+        .sort((a, b) => (ascending ? 1 : -1) * compare(a.created_at, b.created_at))
+
+      return ok(rows.map(product => details ? withDetails(product) : pick(product, columns)))
+    },
+
+    async create(row) {
+      if (!row.seller_id || !row.title || row.price === undefined) {
+        return fail('null value in column violates not-null constraint', { code: '23502' })
+      }
+
+      if (skuTaken(row.seller_id, row.sku)) {
+        return fail('duplicate key value violates unique constraint "products_seller_id_sku_key"', { code: '23505' })
+      }
+
+      const product = newProduct({ ...row, stock_quantity: 0 })
+      setPriceBase(product)
+      productRows.set(product.id, product)
+      setStock(product, row.stock_quantity ?? 0)
+      return ok([copy(product)])
+    },
+
+    async update(id, changes, { sellerId } = {}) {
+      const product = productRows.get(id)
+      if (!product || (sellerId && product.seller_id !== sellerId)) return ok([])
+
+      if (skuTaken(product.seller_id, changes.sku, id)) {
+        return fail('duplicate key value violates unique constraint "products_seller_id_sku_key"', { code: '23505' })
+      }
+
+      const { stock_quantity: stock, ...rest } = copy(changes)
+      Object.assign(product, rest)
+      setPriceBase(product)
+      if (stock !== undefined) setStock(product, stock)
+
+      return ok([copy(product)])
+    },
+
+    async remove(id, { sellerId } = {}) {
+      const product = productRows.get(id)
+
+      if (product && (!sellerId || product.seller_id === sellerId)) {
+        productRows.delete(id)
+
+        // What the foreign keys to products do
+        for (const rows of [optionRows, variantRows, imageRows, reviewRows, wishlistRows]) {
+          for (const [key, row] of rows) if (row.product_id === id) rows.delete(key)
+        }
+        for (const type of Object.keys(cartRows)) {
+          cartRows[type] = cartRows[type].filter(item => item.product_id !== id)
+        }
+        removeWhere(stockChanges, change => change.product_id === id)
+
+        for (const order of orderRows.values()) {
+          for (const item of order.order_items) {
+            if (item.product_id === id) item.product_id = null
+          }
+        }
+      }
+
+      return { data: null, error: null }
+    },
+
+    // Same numbers as seller_analytics, worked out over the rows in memory
+    async sellerStats(sellerId, { from, to, lowStockThreshold, priceBands, currency }) {
+      const rows = [...productRows.values()]
+        .filter(product => product.seller_id === sellerId)
+        .map(product => ({
+          ...product,
+          display_price: convertPrice(product.price, product.currency, currency),
+          threshold: product.low_stock_threshold ?? lowStockThreshold
+        }))
+      const inRange = date => new Date(date) >= from && new Date(date) < to
+      const inventoryValue = products => products.reduce((sum, product) =>
+        sum + (product.display_price ?? 0) * product.stock_quantity, 0)
+      const isLow = product => product.is_active && product.stock_quantity <= product.threshold
+
+      const categories = [...new Set(rows.map(product => product.category ?? null))]
+        .map(category => {
+          const products = rows.filter(product => (product.category ?? null) === category)
+          return {
+            category,
+            products: products.length,
+            activeProducts: products.filter(product => product.is_active).length,
+            stock: products.reduce((sum, product) => sum + product.stock_quantity, 0),
+            inventoryValue: inventoryValue(products)
+          }
+        })
+        .sort((a, b) => b.products - a.products || compare(a.category, b.category))
+
+      const edges = [...new Set([0, ...priceBands])].sort((a, b) => a - b)
+      const bands = edges.map((min, i) => {
+        const max = edges[i + 1] ?? null
+        return {
+          min,
+          max,
+          products: rows.filter(product => product.display_price !== null &&
+            product.display_price >= min && (max === null || product.display_price < max)).length
+        }
+      })
+
+      const ids = new Set(rows.map(product => product.id))
+      const daily = []
+      for (let day = new Date(from); day < to; day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+        const date = day.toISOString().slice(0, 10)
+        const changes = stockChanges.filter(change =>
+          ids.has(change.product_id) && inRange(change.changed_at) && change.changed_at.startsWith(date))
+
+        daily.push({
+          date,
+          listingsCreated: rows.filter(product => product.created_at.startsWith(date)).length,
+          stockAdded: changes.filter(change => change.change > 0).reduce((sum, change) => sum + change.change, 0),
+          stockRemoved: changes.filter(change => change.change < 0).reduce((sum, change) => sum - change.change, 0)
+        })
+      }
+
+      return ok({
+        statistics: {
+          totalProducts: rows.length,
+          activeProducts: rows.filter(product => product.is_active).length,
+          inactiveProducts: rows.filter(product => !product.is_active).length,
+          outOfStockProducts: rows.filter(product => product.stock_quantity === 0).length,
+          lowStockProducts: rows.filter(isLow).length,
+          recentProducts: rows.filter(product => inRange(product.created_at)).length,
+          totalInventoryValue: inventoryValue(rows),
+          unconvertedProducts: rows.filter(product => product.display_price === null).length
+        },
+        categories,
+        priceBands: bands,
+        lowStock: rows
+          .filter(isLow)
+          .sort((a, b) => a.stock_quantity - b.stock_quantity || compare(a.title, b.title))
+          .map(product => ({
+            id: product.id,
+            title: product.title,
+            sku: product.sku,
+            stock_quantity: product.stock_quantity,
+            low_stock_threshold: product.threshold
+          })),
+        daily
+      })
+    }
+  }
+
+  // VARIANTS
+  const isCarted = variantId => [...cartRows.user, ...cartRows.guest].some(row => row.variant_id === variantId)
+
+  const productVariants = {
+    // Same steps as save_product_variants, checked before anything changes
+    // so a failure leaves the old options and variants in place
+    async save(productId, { options, variants }) {
+      if (!productRows.has(productId)) return fail('PRODUCT_NOT_FOUND')
+
+      const existing = [...variantRows.values()].filter(variant => variant.product_id === productId)
+      const matches = []
+      for (const variant of variants) {
+        const candidates = existing.filter(row => !matches.includes(row) &&
+          ((variant.id && row.id === variant.id) || row.sku === variant.sku))
+        matches.push(candidates.find(row => row.id === variant.id) || candidates[0] || null)
+      }
+
+      const leftover = existing.filter(row => !matches.includes(row))
+      const kept = leftover.filter(row => isCarted(row.id))
+      const sameOptions = (a, b) => JSON.stringify(Object.entries(a).sort()) === JSON.stringify(Object.entries(b).sort())
+
+      if (variants.some(variant => kept.some(row => row.sku === variant.sku || sameOptions(row.options, variant.options)))) {
+        return fail('duplicate key value violates unique constraint "product_variants_product_id_sku_key"', { code: '23505' })
+      }
+
+      for (const [key, row] of optionRows) if (row.product_id === productId) optionRows.delete(key)
+      for (const option of options) {
+        const row = { id: crypto.randomUUID(), product_id: productId, ...copy(option) }
+        optionRows.set(row.id, row)
+      }
+
+      for (const row of leftover) {
+        if (kept.includes(row)) Object.assign(row, { is_active: false, updated_at: now() })
+        else variantRows.delete(row.id)
+      }
+
+      variants.forEach((variant, i) => {
+        const { id, ...fields } = copy(variant)
+        const values = {
+          ...fields,
+          price: fields.price ?? null,
+          stock_quantity: fields.stock_quantity ?? 0,
+          is_active: fields.is_active ?? true
+        }
+
+        if (matches[i]) {
+          Object.assign(matches[i], values, { updated_at: now() })
+        } else {
+          const createdAt = now()
+          const row = { id: crypto.randomUUID(), product_id: productId, ...values, created_at: createdAt, updated_at: createdAt }
+          variantRows.set(row.id, row)
+        }
+      })
+
+      syncVariantStock(productId)
+      return ok(null)
+    },
+
+    countByProduct: async productId => ({
+      data: null,
+      count: [...variantRows.values()].filter(variant => variant.product_id === productId).length,
+      error: null
+    })
+  }
+
+  // IMAGES
+  const imagesOf = productId => [...imageRows.values()]
+    .filter(image => image.product_id === productId)
+    .sort((a, b) => a.position - b.position || compare(a.created_at, b.created_at))
+
+  // Mirror the primary image to products.image_url, like sync_product_primary_image
+  const syncPrimaryImage = productId => {
+    const product = productRows.get(productId)
+    if (product) product.image_url = imagesOf(productId).find(image => image.is_primary)?.url ?? null
+  }
+
+  const productImages = {
+    listByProduct: async (productId, columns = '*') => ok(imagesOf(productId).map(image => pick(image, columns))),
+
+    async insert(rows) {
+      const inserted = rows.map(row => ({
+        id: crypto.randomUUID(),
+        position: 0,
+        is_primary: false,
+        created_at: now(),
+        ...copy(row)
+      }))
+
+      for (const image of inserted) imageRows.set(image.id, image)
+      for (const productId of new Set(inserted.map(image => image.product_id))) syncPrimaryImage(productId)
+
+      return ok(inserted.map(copy))
+    },
+
+    async remove(productId, id) {
+      const image = imageRows.get(id)
+      if (!image || image.product_id !== productId) return ok([])
+
+      imageRows.delete(id)
+
+      // Deleting the primary image promotes the first one left
+      if (image.is_primary) {
+        const next = imagesOf(productId)[0]
+        if (next) next.is_primary = true
+        syncPrimaryImage(productId)
+      }
+
+      return ok([pick(image, 'storage_path')])
+    },
+
+    async reorder(productId, imageIds) {
+      const ids = imagesOf(productId).map(image => image.id).sort()
+
+      if (new Set(imageIds).size !== imageIds.length || JSON.stringify([...imageIds].sort()) !== JSON.stringify(ids)) {
+        return fail('IMAGE_ORDER_MISMATCH')
+      }
+
+      imageIds.forEach((id, position) => { imageRows.get(id).position = position })
+      return ok(null)
+    },
+
+    async setPrimary(productId, imageId) {
+      const image = imageRows.get(imageId)
+      if (!image || image.product_id !== productId) return fail('IMAGE_NOT_FOUND')
+
+      for (const row of imagesOf(productId)) row.is_primary = row.id === imageId
+      syncPrimaryImage(productId)
+      return ok(null)
+    }
+  }
+
+  // CART ITEMS
+  const ownerColumn = owner => (owner.type === 'guest' ? 'guest_id' : 'user_id')
+
+  const ownedBy = owner => item => item[ownerColumn(owner)] === owner.id
+
+  const withProduct = item => {
+    const product = productRows.get(item.product_id)
+    return {
+      ...copy(item),
+      products: product ? pick(product, CART_PRODUCT_FIELDS.join(', ')) : null,
+      product_variants: item.variant_id ? pick(variantRows.get(item.variant_id), CART_VARIANT_FIELDS.join(', ')) ?? null : null
+    }
+  }
+
+  // Units of a product (or variant) live holds in other carts than owner's keep
+  const heldStock = (productId, variantId, owner) => [...cartRows.user, ...cartRows.guest]
+    .filter(row => row.product_id === productId && row.variant_id === variantId && !ownedBy(owner)(row))
+    .filter(row => row.held_until && new Date(row.held_until) > new Date())
+    .reduce((sum, row) => sum + row.held_quantity, 0)
+
+  const cartItems = {
+    list: async owner => ok(
+      cartRows[owner.type]
+        .filter(ownedBy(owner))
+        .sort((a, b) => compare(b.added_at, a.added_at))
+        .map(withProduct)
+    ),
+
+    async findById(owner, id) {
+      const item = cartRows[owner.type].find(row => row.id === id && ownedBy(owner)(row))
+      return ok(item ? withProduct(item) : null)
+    },
+
+    async findLine(owner, productId, variantId = null) {
+      const item = cartRows[owner.type].find(row =>
+        ownedBy(owner)(row) && row.product_id === productId && row.variant_id === variantId
+      )
+      return ok(copy(item) ?? null)
+    },
+
+    async insert(owner, { product_id, variant_id = null, quantity }) {
+      if (!productRows.has(product_id) || (variant_id && !variantRows.has(variant_id))) {
+        return fail('insert or update violates foreign key constraint', { code: '23503' })
+      }
+
+      if ((await cartItems.findLine(owner, product_id, variant_id)).data) {
+        return fail('duplicate key value violates unique constraint', { code: '23505' })
+      }
+
+      const item = {
+        id: crypto.randomUUID(),
+        [ownerColumn(owner)]: owner.id,
+        product_id,
+        variant_id,
+        quantity,
+        held_quantity: 0,
+        held_until: null,
+        added_at: now()
+      }
+
+      cartRows[owner.type].push(item)
+      return ok([copy(item)])
+    },
+
+    async update(owner, id, changes) {
+      const item = cartRows[owner.type].find(row => row.id === id && ownedBy(owner)(row))
+      if (!item) return ok([])
+
+      Object.assign(item, copy(changes))
+      return ok([copy(item)])
+    },
+
+    async remove(owner, id) {
+      cartRows[owner.type] = cartRows[owner.type].filter(row => !(row.id === id && ownedBy(owner)(row)))
+      return { data: null, error: null }
+    },
+
+    async clear(owner) {
+      cartRows[owner.type] = cartRows[owner.type].filter(row => !ownedBy(owner)(row))
+      return { data: null, error: null }
+    },
+
+    async hold(owner, { productId, variantId = null, quantity, holdSeconds, partial = false }) {
+      const product = productRows.get(productId)
+      if (!product) return fail('PRODUCT_NOT_FOUND')
+
+      const variant = variantId && variantRows.get(variantId)
+      if (variantId && variant?.product_id !== productId) return fail('VARIANT_NOT_FOUND')
+
+      const stock = (variant || product).stock_quantity
+      const available = Math.max(stock - heldStock(productId, variantId, owner), 0)
+
+      if (quantity > available && (!partial || available === 0)) {
+        return fail(`INSUFFICIENT_STOCK:${available}`)
+      }
+
+      const line = Math.min(quantity, available)
+      const changes = {
+        quantity: line,
+        held_quantity: line,
+        held_until: new Date(Date.now() + holdSeconds * 1000).toISOString()
+      }
+
+      let item = cartRows[owner.type].find(row =>
+        ownedBy(owner)(row) && row.product_id === productId && row.variant_id === variantId
+      )
+      if (!item) {
+        item = { id: crypto.randomUUID(), [ownerColumn(owner)]: owner.id, product_id: productId, variant_id: variantId, added_at: now() }
+        cartRows[owner.type].push(item)
+      }
+      Object.assign(item, changes)
+
+      return ok({ ...copy(item), available })
+    },
+
+    async releaseExpiredHolds() {
+      const expired = [...cartRows.user, ...cartRows.guest]
+        .filter(row => row.held_until && new Date(row.held_until) <= new Date())
+
+      for (const row of expired) Object.assign(row, { held_quantity: 0, held_until: null })
+
+      return ok(expired.length)
+    },
+
+    countByProduct: async productId => ({
+      data: null,
+      count: cartRows.user.filter(row => row.product_id === productId).length,
+      error: null
+    }),
+
+    async removeByProduct(productId) {
+      for (const type of Object.keys(cartRows)) {
+        cartRows[type] = cartRows[type].filter(row => row.product_id !== productId)
+      }
+      return { error: null }
+    }
+  }
+
+  // WISHLIST
+  const wishlistItems = {
+    list: async userId => ok(
+      [...wishlistRows.values()]
+        .filter(item => item.user_id === userId)
+        .sort((a, b) => compare(b.added_at, a.added_at))
+        .map(item => ({
+          ...copy(item),
+          products: pick(productRows.get(item.product_id), CART_PRODUCT_FIELDS.join(', ')) ?? null
+        }))
+    ),
+
+    async findById(userId, id, columns = '*') {
+      const item = wishlistRows.get(id)
+      return ok(item?.user_id === userId ? pick(item, columns) : null)
+    },
+
+    async add(userId, productId) {
+      if (!productRows.has(productId)) {
+        return fail('insert or update violates foreign key constraint', { code: '23503' })
+      }
+
+      if ([...wishlistRows.values()].some(item => item.user_id === userId && item.product_id === productId)) {
+        return ok([])
+      }
+
+      const item = { id: crypto.randomUUID(), user_id: userId, product_id: productId, added_at: now() }
+      wishlistRows.set(item.id, item)
+      return ok([copy(item)])
+    },
+
+    async remove(userId, id) {
+      const item = wishlistRows.get(id)
+      if (item?.user_id !== userId) return ok([])
+
+      wishlistRows.delete(id)
+      return ok([{ id, products: pick(productRows.get(item.product_id), 'title') ?? null }])
+    }
+  }
+
+  // REVIEWS
+  // Keep the product's rating summary up to date, like refresh_product_rating
+  const refreshRating = productId => {
+    const product = productRows.get(productId)
+    if (!product) return
+
+    const ratings = [...reviewRows.values()]
+      .filter(review => review.product_id === productId)
+      .map(review => review.rating)
+
+    product.review_count = ratings.length
+    product.average_rating = ratings.length > 0
+      ? toMoney(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length)
+      : null
+  }
+
+  const reviews = {
+    async list(productId, { limit, offset = 0 }) {
+      const rows = [...reviewRows.values()]
+        .filter(review => review.product_id === productId)
+        .sort((a, b) => compare(b.created_at, a.created_at) || compare(a.id, b.id))
+
+      return { data: rows.slice(offset, offset + limit).map(copy), count: rows.length, error: null }
+    },
+
+    listByUser: async userId => ok(
+      [...reviewRows.values()]
+        .filter(review => review.user_id === userId)
+        .sort((a, b) => compare(b.created_at, a.created_at))
+        .map(copy)
+    ),
+
+    async findById(productId, id, columns = '*') {
+      const review = reviewRows.get(id)
+      return ok(review?.product_id === productId ? pick(review, columns) : null)
+    },
+
+    async create(row) {
+      if (!productRows.has(row.product_id)) {
+        return fail('insert or update violates foreign key constraint', { code: '23503' })
+      }
+
+      if ([...reviewRows.values()].some(review => review.product_id === row.product_id && review.user_id === row.user_id)) {
+        return fail('duplicate key value violates unique constraint "product_reviews_product_id_user_id_key"', { code: '23505' })
+      }
+
+      const createdAt = now()
+      const review = { id: crypto.randomUUID(), body: '', created_at: createdAt, updated_at: createdAt, ...copy(row) }
+      reviewRows.set(review.id, review)
+      refreshRating(review.product_id)
+      return ok([copy(review)])
+    },
+
+    async update(id, changes, { userId } = {}) {
+      const review = reviewRows.get(id)
+      if (!review || (userId && review.user_id !== userId)) return ok([])
+
+      Object.assign(review, copy(changes))
+      refreshRating(review.product_id)
+      return ok([copy(review)])
+    },
+
+    async remove(id, { userId } = {}) {
+      const review = reviewRows.get(id)
+
+      if (review && (!userId || review.user_id === userId)) {
+        reviewRows.delete(id)
+        refreshRating(review.product_id)
+      }
+
+      return ok(null)
+    }
+  }
+
+  // COUPONS
+  const redemptionsOf = couponId => redemptionRows.filter(row => row.coupon_id === couponId)
+
+  const codeTaken = (code, exceptId) => code && [...couponRows.values()].some(coupon =>
+    coupon.code === code && coupon.id !== exceptId
+  )
+
+  // A coupon row with the column defaults the database would fill in
+  const newCoupon = row => {
+    const createdAt = now()
+    return {
+      id: crypto.randomUUID(),
+      description: null,
+      min_cart_value: 0,
+      starts_at: null,
+      expires_at: null,
+      max_uses: null,
+      max_uses_per_user: null,
+      category: null,
+      seller_id: null,
+      created_by: null,
+      currency: BASE_CURRENCY,
+      is_active: true,
+      created_at: createdAt,
+      updated_at: createdAt,
+      ...copy(row)
+    }
+  }
+
+  const coupons = {
+    findByCode: async code => ok(copy([...couponRows.values()].find(coupon => coupon.code === code)) ?? null),
+
+    async findById(id, { sellerId } = {}) {
+      const coupon = couponRows.get(id)
+      return ok(coupon && (!sellerId || coupon.seller_id === sellerId) ? copy(coupon) : null)
+    },
+
+    listBySeller: async sellerId => ok(
+      [...couponRows.values()]
+        .filter(coupon => coupon.seller_id === sellerId)
+        .sort((a, b) => compare(b.created_at, a.created_at))
+        .map(coupon => ({ ...copy(coupon), coupon_redemptions: [{ count: redemptionsOf(coupon.id).length }] }))
+    ),
+
+    async create(row) {
+      if (codeTaken(row.code)) {
+        return fail('duplicate key value violates unique constraint "coupons_code_key"', { code: '23505' })
+      }
+
+      const coupon = newCoupon(row)
+      couponRows.set(coupon.id, coupon)
+      return ok([copy(coupon)])
+    },
+
+    async update(id, changes, { sellerId } = {}) {
+      const coupon = couponRows.get(id)
+      if (!coupon || (sellerId && coupon.seller_id !== sellerId)) return ok([])
+
+      if (codeTaken(changes.code, id)) {
+        return fail('duplicate key value violates unique constraint "coupons_code_key"', { code: '23505' })
+      }
+
+      Object.assign(coupon, copy(changes))
+      return ok([copy(coupon)])
+    },
+
+    countRedemptions: async (couponId, { userId } = {}) => ({
+      data: null,
+      count: redemptionsOf(couponId).filter(row => !userId || row.user_id === userId).length,
+      error: null
+    }),
+
+    findApplied: async userId => ok(copy(couponRows.get(cartCouponRows.get(userId)?.coupon_id)) ?? null),
+
+    async apply(userId, couponId) {
+      cartCouponRows.set(userId, { user_id: userId, coupon_id: couponId, applied_at: now() })
+      return ok(null)
+    },
+
+    async removeApplied(userId) {
+      cartCouponRows.delete(userId)
+      return ok(null)
+    }
+  }
+
+  // ORDERS
+  const isCouponLive = coupon => coupon && coupon.is_active &&
+    (!coupon.starts_at || new Date(coupon.starts_at) <= new Date()) &&
+    (!coupon.expires_at || new Date(coupon.expires_at) > new Date())
+
+  // Take units off (or, negative, put them back on) a variant or product
+  const takeStock = (productId, variantId, quantity) => {
+    const variant = variantId && variantRows.get(variantId)
+
+    if (variant) {
+      Object.assign(variant, { stock_quantity: variant.stock_quantity - quantity, updated_at: now() })
+      syncVariantStock(productId)
+      return
+    }
+
+    const product = productRows.get(productId)
+    if (product) {
+      setStock(product, product.stock_quantity - quantity)
+      product.updated_at = now()
+    }
+  }
+
+  const orders = {
+    // Same checks and steps as checkout_cart
+    async checkout(userId, { couponId = null, lineDiscounts = {}, shippingAmount = 0, taxAmount = 0, taxRegion = null } = {}) {
+      const owner = { type: 'user', id: userId }
+      const lines = cartRows.user.filter(ownedBy(owner))
+
+      if (lines.length === 0) return fail('CART_EMPTY')
+
+      const currencies = new Set(lines.map(line => productRows.get(line.product_id).currency))
+      if (currencies.size > 1) return fail('MIXED_CURRENCIES')
+
+      for (const line of lines) {
+        const product = productRows.get(line.product_id)
+        const variant = line.variant_id ? variantRows.get(line.variant_id) : null
+
+        if (!product.is_active || variant?.is_active === false) {
+          return fail(`PRODUCT_INACTIVE:${line.product_id}`)
+        }
+
+        if ((variant || product).stock_quantity - heldStock(line.product_id, line.variant_id, owner) < line.quantity) {
+          return fail(`INSUFFICIENT_STOCK:${line.product_id}`)
+        }
+      }
+
+      if (couponId) {
+        const coupon = couponRows.get(couponId)
+        if (!isCouponLive(coupon)) return fail('COUPON_INVALID')
+
+        const uses = redemptionsOf(couponId)
+        if ((coupon.max_uses !== null && uses.length >= coupon.max_uses) ||
+          (coupon.max_uses_per_user !== null && uses.filter(row => row.user_id === userId).length >= coupon.max_uses_per_user)) {
+          return fail('COUPON_LIMIT_REACHED')
+        }
+      }
+
+      const orderId = crypto.randomUUID()
+      const items = lines.map(line => {
+        const product = productRows.get(line.product_id)
+        const variant = line.variant_id ? variantRows.get(line.variant_id) : null
+        const unitPrice = variant?.price ?? product.price
+        const lineTotal = toMoney(unitPrice * line.quantity)
+
+        return {
+          id: crypto.randomUUID(),
+          order_id: orderId,
+          product_id: product.id,
+          seller_id: product.seller_id,
+          title: product.title,
+          image_url: product.image_url,
+          variant_id: variant?.id ?? null,
+          sku: variant?.sku ?? null,
+          variant_options: copy(variant?.options ?? null),
+          unit_price: unitPrice,
+          quantity: line.quantity,
+          line_total: lineTotal,
+          discount_amount: Math.min(toMoney(lineDiscounts[line.id] ?? 0), lineTotal)
+        }
+      })
+
+      for (const line of lines) takeStock(line.product_id, line.variant_id, line.quantity)
+
+      const sum = key => items.reduce((total, item) => total + item[key], 0)
+      const subtotal = toMoney(sum('line_total'))
+      const discount = toMoney(sum('discount_amount'))
+      const createdAt = now()
+
+      orderRows.set(orderId, {
+        id: orderId,
+        user_id: userId,
+        status: 'pending',
+        currency: [...currencies][0],
+        coupon_id: couponId,
+        subtotal_amount: subtotal,
+        discount_amount: discount,
+        shipping_amount: shippingAmount,
+        tax_amount: taxAmount,
+        tax_region: taxRegion,
+        total_amount: toMoney(subtotal - discount + shippingAmount + taxAmount),
+        item_count: sum('quantity'),
+        created_at: createdAt,
+        updated_at: createdAt,
+        paid_at: null,
+        shipped_at: null,
+        delivered_at: null,
+        cancelled_at: null,
+        order_items: items
+      })
+
+      if (couponId) {
+        redemptionRows.push({
+          id: crypto.randomUUID(),
+          coupon_id: couponId,
+          user_id: userId,
+          order_id: orderId,
+          discount_amount: discount,
+          redeemed_at: createdAt
+        })
+      }
+
+      // Removing the lines releases their holds
+      cartRows.user = cartRows.user.filter(row => !ownedBy(owner)(row))
+      cartCouponRows.delete(userId)
+
+      return ok(orderId)
+    },
+
+    listByUser: async userId => ok(
+      [...orderRows.values()]
+        .filter(order => order.user_id === userId)
+        .sort((a, b) => compare(b.created_at, a.created_at))
+        .map(copy)
+    ),
+
+    async findById(id, { userId } = {}) {
+      const order = orderRows.get(id)
+      return ok(order && (!userId || order.user_id === userId) ? copy(order) : null)
+    },
+
+    async updateStatus(id, fromStatus, status) {
+      const order = orderRows.get(id)
+      if (order?.status !== fromStatus) return ok([])
+
+      const changedAt = now()
+      Object.assign(order, { status, [`${status}_at`]: changedAt, updated_at: changedAt })
+      return ok([copy(order)])
+    },
+
+    // Same steps as cancel_order
+    async cancel(id, fromStatus) {
+      const order = orderRows.get(id)
+      if (order?.status !== fromStatus) return fail('ORDER_STATUS_CHANGED')
+
+      const cancelledAt = now()
+      Object.assign(order, { status: 'cancelled', cancelled_at: cancelledAt, updated_at: cancelledAt })
+
+      for (const item of order.order_items) {
+        if (item.product_id) takeStock(item.product_id, item.variant_id, -item.quantity)
+      }
+      removeWhere(redemptionRows, row => row.order_id === id)
+
+      return ok(null)
+    },
+
+    async anonymiseByUser(userId) {
+      for (const order of orderRows.values()) {
+        if (order.user_id === userId) Object.assign(order, { user_id: null, tax_region: null, updated_at: now() })
+      }
+      return ok(null)
+    }
+  }
+
+  // EXCHANGE RATES
+  const exchangeRates = {
+    list: async (columns = 'currency, rate, updated_at') => ok(
+      [...exchangeRateRows.values()].map(row => pick(row, columns))
+    ),
+
+    async upsert(rows) {
+      for (const row of rows) {
+        exchangeRateRows.set(row.currency, { ...exchangeRateRows.get(row.currency), ...copy(row) })
+      }
+
+      // A changed rate reprices the listings in that currency, like
+      // refresh_product_price_base
+      for (const product of productRows.values()) {
+        if (rows.some(row => row.currency === product.currency)) setPriceBase(product)
+      }
+      return ok(rows.map(row => pick(exchangeRateRows.get(row.currency), 'currency, rate, updated_at')))
+    }
+  }
+
+  // WEBHOOKS
+  const webhookEndpoints = {
+    listByOwner: async (ownerId, columns = '*') => ok(
+      [...webhookEndpointRows.values()]
+        .filter(endpoint => endpoint.owner_id === ownerId)
+        .sort((a, b) => compare(b.created_at, a.created_at))
+        .map(endpoint => pick(endpoint, columns))
+    ),
+
+    countByOwner: async ownerId => ({
+      data: null,
+      count: [...webhookEndpointRows.values()].filter(endpoint => endpoint.owner_id === ownerId).length,
+      error: null
+    }),
+
+    async findById(id, ownerId, columns = '*') {
+      const endpoint = webhookEndpointRows.get(id)
+      return ok(endpoint?.owner_id === ownerId ? pick(endpoint, columns) : null)
+    },
+
+    findSubscribers: async (event, sellerId) => ok(
+      [...webhookEndpointRows.values()]
+        .filter(endpoint => endpoint.is_active && endpoint.events.includes(event) &&
+          (endpoint.scope === 'platform' || (sellerId && endpoint.scope === 'seller' && endpoint.owner_id === sellerId)))
+        .map(endpoint => pick(endpoint, 'id, url, secret'))
+    ),
+
+    async create(row, columns = '*') {
+      const createdAt = now()
+      const endpoint = {
+        id: crypto.randomUUID(),
+        scope: 'seller',
+        description: null,
+        is_active: true,
+        created_at: createdAt,
+        updated_at: createdAt,
+        ...copy(row)
+      }
+
+      webhookEndpointRows.set(endpoint.id, endpoint)
+      return ok(pick(endpoint, columns))
+    },
+
+    async update(id, ownerId, changes, columns = '*') {
+      const endpoint = webhookEndpointRows.get(id)
+      if (endpoint?.owner_id !== ownerId) return ok([])
+
+      Object.assign(endpoint, copy(changes))
+      return ok([pick(endpoint, columns)])
+    },
+
+    async remove(id, ownerId) {
+      const endpoint = webhookEndpointRows.get(id)
+      if (endpoint?.owner_id !== ownerId) return ok([])
+
+      webhookEndpointRows.delete(id)
+      for (const [key, delivery] of webhookDeliveryRows) {
+        if (delivery.endpoint_id === id) webhookDeliveryRows.delete(key)
+      }
+
+      return ok([{ id }])
+    }
+  }
+
+  const isDue = delivery => delivery.status === 'pending' &&
+    delivery.next_attempt_at !== null && new Date(delivery.next_attempt_at) <= new Date()
+
+  const webhookDeliveries = {
+    async list(endpointId, { status, event, limit, offset = 0 }) {
+      const rows = [...webhookDeliveryRows.values()]
+        .filter(delivery => delivery.endpoint_id === endpointId &&
+          (!status || delivery.status === status) && (!event || delivery.event === event))
+        .sort((a, b) => compare(b.created_at, a.created_at))
+
+      return { data: rows.slice(offset, offset + limit).map(copy), count: rows.length, error: null }
+    },
+
+    async findById(endpointId, id, columns = '*') {
+      const delivery = webhookDeliveryRows.get(id)
+      return ok(delivery?.endpoint_id === endpointId ? pick(delivery, columns) : null)
+    },
+
+    async insert(rows) {
+      const inserted = rows.map(row => ({
+        id: crypto.randomUUID(),
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now(),
+        last_attempt_at: null,
+        response_status: null,
+        error: null,
+        created_at: now(),
+        delivered_at: null,
+        ...copy(row)
+      }))
+
+      for (const delivery of inserted) webhookDeliveryRows.set(delivery.id, delivery)
+      return ok(inserted.map(delivery => pick(delivery, 'id')))
+    },
+
+    async claim(id, until) {
+      const delivery = webhookDeliveryRows.get(id)
+      if (!delivery || !isDue(delivery)) return ok(null)
+
+      delivery.next_attempt_at = until
+      return ok({
+        ...copy(delivery),
+        webhook_endpoints: pick(webhookEndpointRows.get(delivery.endpoint_id), 'url, secret, is_active') ?? null
+      })
+    },
+
+    async update(id, changes) {
+      const delivery = webhookDeliveryRows.get(id)
+      if (!delivery) return fail('Cannot coerce the result to a single JSON object', { status: 406, code: 'PGRST116' })
+
+      Object.assign(delivery, copy(changes))
+      return ok(copy(delivery))
+    },
+
+    listDue: async limit => ok(
+      [...webhookDeliveryRows.values()]
+        .filter(isDue)
+        .sort((a, b) => compare(a.next_attempt_at, b.next_attempt_at))
+        .slice(0, limit)
+        .map(delivery => pick(delivery, 'id'))
+    )
+  }
+
+  // ADMIN
+  const admin = {
+    // Same rows as admin_search_users
+    async searchUsers({ search = null, role = null, suspended = null, limit, offset = 0 }) {
+      const term = search?.toLowerCase()
+      const rows = [...users.values()]
+        .map(user => {
+          const profile = profileRows.get(user.id) || {}
+          return {
+            id: user.id,
+            email: user.email,
+            username: profile.username ?? null,
+            avatar_url: profile.avatar_url ?? null,
+            role: profile.role ?? 'user',
+            is_suspended: profile.is_suspended ?? false,
+            suspended_at: profile.suspended_at ?? null,
+            suspension_reason: profile.suspension_reason ?? null,
+            product_count: [...productRows.values()].filter(product => product.seller_id === user.id).length,
+            created_at: user.created_at,
+            last_sign_in_at: user.last_sign_in_at
+          }
+        })
+        .filter(row =>
+          (!term || row.email.includes(term) || row.username?.toLowerCase().includes(term)) &&
+          (!role || row.role === role) &&
+          (suspended === null || row.is_suspended === suspended)
+        )
+        .sort((a, b) => compare(b.created_at, a.created_at) || compare(a.id, b.id))
+
+      return ok(rows.slice(offset, offset + limit).map(row => ({ ...row, total_count: rows.length })))
+    },
+
+    // Same numbers as admin_platform_stats
+    async platformStats() {
+      const rows = [...productRows.values()]
+      const profilesList = [...profileRows.values()]
+      const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+      const rateOf = product => exchangeRateRows.get(product.currency)?.rate
+
+      return ok({
+        totalProducts: rows.length,
+        activeProducts: rows.filter(product => product.is_active).length,
+        inactiveProducts: rows.filter(product => !product.is_active).length,
+        moderatedProducts: rows.filter(product => product.moderated_at).length,
+        outOfStockProducts: rows.filter(product => product.stock_quantity === 0).length,
+        recentProducts: rows.filter(product => new Date(product.created_at) > weekAgo).length,
+        totalInventoryValue: rows
+          .filter(rateOf)
+          .reduce((sum, product) => sum + product.price / rateOf(product) * product.stock_quantity, 0),
+        unconvertedProducts: rows.filter(product => !rateOf(product)).length,
+        totalSellers: new Set(rows.map(product => product.seller_id).filter(Boolean)).size,
+        totalUsers: users.size,
+        suspendedUsers: profilesList.filter(profile => profile.is_suspended).length,
+        // Like hasRole in server.js: app_metadata.role, else the profile's
+        admins: [...users.values()]
+          .filter(user => user.app_metadata?.role === 'admin' || profileRows.get(user.id)?.role === 'admin')
+          .length
+      })
+    },
+
+    async logAction(row) {
+      adminActionRows.push({ id: crypto.randomUUID(), reason: null, details: {}, created_at: now(), ...copy(row) })
+      return ok(null)
+    },
+
+    async listActions({ targetType, targetId, adminId, limit, offset = 0 }) {
+      const rows = adminActionRows
+        .filter(action => (!targetType || action.target_type === targetType) &&
+          (!targetId || action.target_id === targetId) && (!adminId || action.admin_id === adminId))
+        .sort((a, b) => compare(b.created_at, a.created_at))
+
+      return { data: rows.slice(offset, offset + limit).map(copy), count: rows.length, error: null }
+    }
+  }
+
+  // Starting data, e.g. from DATA_SEED_FILE
+  for (const user of seed.users || []) addUser(user)
+  for (const profile of seed.profiles || []) profileRows.set(profile.id, copy(profile))
+  for (const coupon of seed.coupons || []) {
+    const row = newCoupon({ ...coupon, code: coupon.code.toUpperCase() })
+    couponRows.set(row.id, row)
+  }
+  for (const rate of seed.exchange_rates || []) {
+    exchangeRateRows.set(rate.currency, { updated_at: now(), updated_by: null, ...copy(rate) })
+  }
+  for (const product of seed.products || []) {
+    const row = newProduct(product)
+    setPriceBase(row)
+    productRows.set(row.id, row)
+  }
+
+  return {
+    backend: 'memory',
+    auth,
+    profiles,
+    products,
+    productVariants,
+    productImages,
+    reviews,
+    cartItems,
+    wishlistItems,
+    coupons,
+    orders,
+    exchangeRates,
+    webhookEndpoints,
+    webhookDeliveries,
+    admin
+  }
+}
@@ -0,0 +1,803 @@
+// Supabase implementation of the repositories (see lib/data/index.js).
+// Results keep supabase-js's { data, error } (and count) shape.
+
+import { createClient } from '@supabase/supabase-js'
+
+// Product fields cart and wishlist lines need
+const PRODUCT_JOIN = `
+  products (
+    id,
+    title,
+    description,
+    price,
+    currency,
+    image_url,
+    category,
+    seller_id,
+    stock_quantity,
+    weight_kg,
+    is_active
+  )
+`
+
+// Cart lines also carry the chosen variant, if any
+const CART_ITEM_SELECT = `
+  *,
+  ${PRODUCT_JOIN},
+  product_variants (
+    id,
+    sku,
+    options,
+    price,
+    stock_quantity,
+    is_active
+  )
+`
+
+// Wishlist lines carry the product's details too
+const WISHLIST_ITEM_SELECT = `*, ${PRODUCT_JOIN}`
+
+// Orders come with their line items
+const ORDER_SELECT = '*, order_items (*)'
+
+// Product with its options, variants and uploaded images
+const PRODUCT_DETAIL_SELECT = '*, product_options (*), product_variants (*), product_images (*)'
+
+// Where each kind of cart owner keeps its rows
+const CART_TABLES = {
+  user: { table: 'cart_items', column: 'user_id' },
+  guest: { table: 'guest_cart_items', column: 'guest_id' }
+}
+
+export function createSupabaseRepositories(supabase, { url, anonKey }) {
+  // A client acting as the signed-in user, so row level security applies
+  const userClient = token => createClient(url, anonKey, {
+    global: {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    }
+  })
+
+  // A client that keeps no session of its own, for auth calls that would
+  // otherwise sign the shared service client in as someone. Every sign-in
+  // goes through one: a session on the service client would make its later
+  // queries run as that user.
+  const sessionClient = () => createClient(url, anonKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  })
+
+  const cartTable = owner => {
+    const { table, column } = CART_TABLES[owner.type]
+    return { table, column, rows: () => supabase.from(table) }
+  }
+
+  const auth = {
+    getUser: token => supabase.auth.getUser(token),
+    signUp: credentials => sessionClient().auth.signUp(credentials),
+    signInWithPassword: credentials => sessionClient().auth.signInWithPassword(credentials),
+    // Checks a signed-in user's password on a client of its own, the session
+    // it returns proves the check and is never kept
+    verifyPassword: ({ email, password }) => sessionClient().auth.signInWithPassword({ email, password }),
+    signInWithOtp: credentials => sessionClient().auth.signInWithOtp(credentials),
+    signInWithOAuth: credentials => sessionClient().auth.signInWithOAuth(credentials),
+    resetPasswordForEmail: (email, options) => sessionClient().auth.resetPasswordForEmail(email, options),
+    verifyOtp: params => sessionClient().auth.verifyOtp(params),
+    refreshSession: credentials => sessionClient().auth.refreshSession(credentials),
+    // scope: 'local' (the token's session), 'global' or 'others'
+    signOut: (token, scope = 'local') => supabase.auth.admin.signOut(token, scope),
+    getUserById: id => supabase.auth.admin.getUserById(id),
+    updateUserById: (id, attributes) => supabase.auth.admin.updateUserById(id, attributes),
+    deleteUser: id => supabase.auth.admin.deleteUser(id),
+
+    // supabase-js only updates the user whose session it holds, so this calls
+    // the endpoint as the token's user. Email changes are confirmed by email.
+    async updateUser(token, attributes, { redirectTo } = {}) {
+      const query = redirectTo ? `?redirect_to=${encodeURIComponent(redirectTo)}` : ''
+      const response = await fetch(`${url.replace(/\/$/, '')}/auth/v1/user${query}`, {
+        method: 'PUT',
+        headers: {
+          apikey: anonKey,
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(attributes)
+      })
+      const body = await response.json().catch(() => ({}))
+
+      if (!response.ok) {
+        const error = new Error(body.msg || body.message || `Auth request failed with ${response.status}`)
+        error.status = response.status
+        error.code = body.error_code || body.code
+        return { data: { user: null }, error }
+      }
+
+      return { data: { user: body }, error: null }
+    }
+  }
+
+  const profiles = {
+    findById: (id, columns = '*') => supabase
+      .from('profiles')
+      .select(columns)
+      .eq('id', id)
+      .maybeSingle(),
+
+    findByIds: (ids, columns = '*') => supabase
+      .from('profiles')
+      .select(columns)
+      .in('id', ids),
+
+    upsert: row => supabase
+      .from('profiles')
+      .upsert(row, { onConflict: 'id' })
+      .select(),
+
+    update: (id, changes) => supabase
+      .from('profiles')
+      .update(changes)
+      .eq('id', id)
+      .select(),
+
+    remove: id => supabase
+      .from('profiles')
+      .delete()
+      .eq('id', id),
+
+    // Accounts whose deletion grace period ended by `before`, oldest first
+    listDueForDeletion: (before, limit = 100) => supabase
+      .from('profiles')
+      .select('id, deletion_scheduled_for')
+      .lte('deletion_scheduled_for', before)
+      .order('deletion_scheduled_for', { ascending: true })
+      .limit(limit)
+  }
+
+  const products = {
+    // Filtered, sorted page of products, with the total count. minPrice and
+    // maxPrice are in BASE_CURRENCY, compared with price_base.
+    list({
+      search,
+      searchSku = false,
+      sellerId,
+      category,
+      minPrice,
+      maxPrice,
+      inStock,
+      isActive,
+      moderated,
+      excludeId,
+      sort = { column: 'created_at', ascending: false },
+      limit,
+      offset = 0,
+      columns = '*'
+    } = {}) {
+      let query = supabase
+        .from('products')
+        .select(columns, { count: 'exact' })
+
+      if (search) {
+        const sku = searchSku ? `,sku.ilike."%${search}%"` : ''
+        query = query.or(`title.ilike."%${search}%",description.ilike."%${search}%"${sku}`)
+      }
+      if (sellerId) query = query.eq('seller_id', sellerId)
+      if (category) query = query.eq('category', category)
+      if (minPrice !== undefined) query = query.gte('price_base', minPrice)
+      if (maxPrice !== undefined) query = query.lte('price_base', maxPrice)
+      if (inStock === true) query = query.gt('stock_quantity', 0)
+      if (inStock === false) query = query.lte('stock_quantity', 0)
+      if (isActive !== undefined) query = query.eq('is_active', isActive)
+      if (moderated === true) query = query.not('moderated_at', 'is', null)
+      if (moderated === false) query = query.is('moderated_at', null)
+      if (excludeId) query = query.neq('id', excludeId)
+
+      // Listings without a price_base (no exchange rate) come last
+      query = query
+        .order(sort.column, { ascending: sort.ascending, nullsFirst: false })
+        .order('id', { ascending: true }) // Stable order across pages
+
+      return limit === undefined ? query : query.range(offset, offset + limit - 1)
+    },
+
+    // With details, the product's options, variants and images come embedded
+    findById: (id, { columns = '*', details = false } = {}) => supabase
+      .from('products')
+      .select(details ? PRODUCT_DETAIL_SELECT : columns)
+      .eq('id', id)
+      .maybeSingle(),
+
+    findByIds: (ids, columns = '*') => supabase
+      .from('products')
+      .select(columns)
+      .in('id', ids),
+
+    listBySeller: (sellerId, { columns = '*', details = false, ascending = false } = {}) => supabase
+      .from('products')
+      .select(details ? PRODUCT_DETAIL_SELECT : columns)
+      .eq('seller_id', sellerId)
+      .order('created_at', { ascending }),
+
+    // Writes made with the seller's token go through row level security
+    create: (row, { token } = {}) => (token ? userClient(token) : supabase)
+      .from('products')
+      .insert(row)
+      .select(),
+
+    update(id, changes, { sellerId, token } = {}) {
+      let query = (token ? userClient(token) : supabase)
+        .from('products')
+        .update(changes)
+        .eq('id', id)
+
+      if (sellerId) query = query.eq('seller_id', sellerId) // Double-check ownership
+
+      return query.select()
+    },
+
+    remove(id, { sellerId } = {}) {
+      let query = supabase
+        .from('products')
+        .delete()
+        .eq('id', id)
+
+      if (sellerId) query = query.eq('seller_id', sellerId)
+
+      return query
+    },
+
+    // A seller's dashboard numbers for [from, to), see seller_analytics
+    sellerStats: (sellerId, { from, to, lowStockThreshold, priceBands, currency }) => supabase
+      .rpc('seller_analytics', {
+        p_seller_id: sellerId,
+        p_from: from.toISOString(),
+        p_to: to.toISOString(),
+        p_low_stock_threshold: lowStockThreshold,
+        p_price_bands: priceBands,
+        p_currency: currency
+      })
+  }
+
+  const productVariants = {
+    // Replace a product's options and variants in one transaction, see
+    // save_product_variants
+    save: (productId, { options, variants }) => supabase
+      .rpc('save_product_variants', {
+        p_product_id: productId,
+        p_options: options,
+        p_variants: variants
+      }),
+
+    countByProduct: productId => supabase
+      .from('product_variants')
+      .select('id', { count: 'exact', head: true })
+      .eq('product_id', productId)
+  }
+
+  // The primary image is mirrored to products.image_url by a trigger
+  const productImages = {
+    // In display order
+    listByProduct: (productId, columns = '*') => supabase
+      .from('product_images')
+      .select(columns)
+      .eq('product_id', productId)
+      .order('position', { ascending: true }),
+
+    insert: rows => supabase
+      .from('product_images')
+      .insert(rows)
+      .select(),
+
+    // Comes back with the removed rows; removing the primary image promotes
+    // the next one
+    remove: (productId, id) => supabase
+      .from('product_images')
+      .delete()
+      .eq('id', id)
+      .eq('product_id', productId)
+      .select('storage_path'),
+
+    // imageIds must list every image of the product once, else it errors
+    // with IMAGE_ORDER_MISMATCH
+    reorder: (productId, imageIds) => supabase
+      .rpc('reorder_product_images', { p_product_id: productId, p_image_ids: imageIds }),
+
+    // Errors with IMAGE_NOT_FOUND if the image isn't the product's
+    setPrimary: (productId, imageId) => supabase
+      .rpc('set_primary_product_image', { p_product_id: productId, p_image_id: imageId })
+  }
+
+  // A product's average_rating and review_count follow its reviews (trigger)
+  const reviews = {
+    // Newest first, with the total count
+    list: (productId, { limit, offset = 0 }) => supabase
+      .from('product_reviews')
+      .select('*', { count: 'exact' })
+      .eq('product_id', productId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: true })
+      .range(offset, offset + limit - 1),
+
+    // Everything a user wrote, newest first
+    listByUser: userId => supabase
+      .from('product_reviews')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false }),
+
+    findById: (productId, id, columns = '*') => supabase
+      .from('product_reviews')
+      .select(columns)
+      .eq('id', id)
+      .eq('product_id', productId)
+      .maybeSingle(),
+
+    create: row => supabase
+      .from('product_reviews')
+      .insert(row)
+      .select(),
+
+    update(id, changes, { userId } = {}) {
+      let query = supabase
+        .from('product_reviews')
+        .update(changes)
+        .eq('id', id)
+
+      if (userId) query = query.eq('user_id', userId) // Double-check ownership
+
+      return query.select()
+    },
+
+    remove(id, { userId } = {}) {
+      let query = supabase
+        .from('product_reviews')
+        .delete()
+        .eq('id', id)
+
+      if (userId) query = query.eq('user_id', userId)
+
+      return query
+    }
+  }
+
+  const wishlistItems = {
+    // Newest first, joined with product details
+    list: userId => supabase
+      .from('wishlist_items')
+      .select(WISHLIST_ITEM_SELECT)
+      .eq('user_id', userId)
+      .order('added_at', { ascending: false }),
+
+    findById: (userId, id, columns = '*') => supabase
+      .from('wishlist_items')
+      .select(columns)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle(),
+
+    // Saving a product twice is a no-op, data is empty then
+    add: (userId, productId) => supabase
+      .from('wishlist_items')
+      .upsert({ user_id: userId, product_id: productId }, {
+        onConflict: 'user_id,product_id',
+        ignoreDuplicates: true
+      })
+      .select(),
+
+    // Comes back with the removed rows and their product's title
+    remove: (userId, id) => supabase
+      .from('wishlist_items')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select('id, products (title)')
+  }
+
+  // Coupons, the one applied to each user's cart, and their redemptions
+  const coupons = {
+    findByCode: code => supabase
+      .from('coupons')
+      .select('*')
+      .eq('code', code)
+      .maybeSingle(),
+
+    findById(id, { sellerId } = {}) {
+      let query = supabase
+        .from('coupons')
+        .select('*')
+        .eq('id', id)
+
+      if (sellerId) query = query.eq('seller_id', sellerId)
+
+      return query.maybeSingle()
+    },
+
+    // Newest first, with coupon_redemptions: [{ count }]
+    listBySeller: sellerId => supabase
+      .from('coupons')
+      .select('*, coupon_redemptions (count)')
+      .eq('seller_id', sellerId)
+      .order('created_at', { ascending: false }),
+
+    create: row => supabase
+      .from('coupons')
+      .insert(row)
+      .select(),
+
+    update(id, changes, { sellerId } = {}) {
+      let query = supabase
+        .from('coupons')
+        .update(changes)
+        .eq('id', id)
+
+      if (sellerId) query = query.eq('seller_id', sellerId)
+
+      return query.select()
+    },
+
+    // How many orders used a coupon, only userId's if given (count)
+    countRedemptions(couponId, { userId } = {}) {
+      let query = supabase
+        .from('coupon_redemptions')
+        .select('id', { count: 'exact', head: true })
+        .eq('coupon_id', couponId)
+
+      if (userId) query = query.eq('user_id', userId)
+
+      return query
+    },
+
+    // The coupon applied to a user's cart, or null
+    async findApplied(userId) {
+      const { data, error } = await supabase
+        .from('cart_coupons')
+        .select('coupons (*)')
+        .eq('user_id', userId)
+        .maybeSingle()
+
+      return { data: data?.coupons ?? null, error }
+    },
+
+    // One coupon per cart, applying another replaces it
+    apply: (userId, couponId) => supabase
+      .from('cart_coupons')
+      .upsert({
+        user_id: userId,
+        coupon_id: couponId,
+        applied_at: new Date().toISOString()
+      }, { onConflict: 'user_id' }),
+
+    removeApplied: userId => supabase
+      .from('cart_coupons')
+      .delete()
+      .eq('user_id', userId)
+  }
+
+  // Orders with their order_items
+  const orders = {
+    // Turn a user's cart into an order, see checkout_cart; data is the new
+    // order's id. Errors carry its codes, e.g. INSUFFICIENT_STOCK:<product id>.
+    checkout: (userId, { couponId = null, lineDiscounts = {}, shippingAmount = 0, taxAmount = 0, taxRegion = null } = {}) => supabase
+      .rpc('checkout_cart', {
+        p_user_id: userId,
+        p_coupon_id: couponId,
+        p_line_discounts: lineDiscounts,
+        p_shipping_amount: shippingAmount,
+        p_tax_amount: taxAmount,
+        p_tax_region: taxRegion
+      }),
+
+    // Newest first
+    listByUser: userId => supabase
+      .from('orders')
+      .select(ORDER_SELECT)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false }),
+
+    findById(id, { userId } = {}) {
+      let query = supabase
+        .from('orders')
+        .select(ORDER_SELECT)
+        .eq('id', id)
+
+      if (userId) query = query.eq('user_id', userId)
+
+      return query.maybeSingle()
+    },
+
+    // Move an order on from fromStatus, stamping <status>_at. data is empty
+    // if its status changed meanwhile.
+    updateStatus(id, fromStatus, status) {
+      const now = new Date().toISOString()
+
+      return supabase
+        .from('orders')
+        .update({ status, [`${status}_at`]: now, updated_at: now })
+        .eq('id', id)
+        .eq('status', fromStatus)
+        .select()
+    },
+
+    // Cancel an order and put its stock back, see cancel_order. Errors with
+    // ORDER_STATUS_CHANGED if it isn't in fromStatus any more.
+    cancel: (id, fromStatus) => supabase
+      .rpc('cancel_order', { p_order_id: id, p_from_status: fromStatus }),
+
+    // Keep a deleting buyer's orders for the sellers, without their buyer
+    // and tax region
+    anonymiseByUser: userId => supabase
+      .from('orders')
+      .update({ user_id: null, tax_region: null, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+  }
+
+  const exchangeRates = {
+    list: (columns = 'currency, rate, updated_at') => supabase
+      .from('exchange_rates')
+      .select(columns),
+
+    // rows: [{ currency, rate, updated_at, updated_by }]
+    upsert: rows => supabase
+      .from('exchange_rates')
+      .upsert(rows)
+      .select('currency, rate, updated_at')
+  }
+
+  const webhookEndpoints = {
+    // Newest first
+    listByOwner: (ownerId, columns = '*') => supabase
+      .from('webhook_endpoints')
+      .select(columns)
+      .eq('owner_id', ownerId)
+      .order('created_at', { ascending: false }),
+
+    countByOwner: ownerId => supabase
+      .from('webhook_endpoints')
+      .select('id', { count: 'exact', head: true })
+      .eq('owner_id', ownerId),
+
+    findById: (id, ownerId, columns = '*') => supabase
+      .from('webhook_endpoints')
+      .select(columns)
+      .eq('id', id)
+      .eq('owner_id', ownerId)
+      .maybeSingle(),
+
+    // Active endpoints that want an event: the seller's own, plus platform ones
+    findSubscribers(event, sellerId) {
+      const owners = sellerId ? `scope.eq.platform,and(scope.eq.seller,owner_id.eq.${sellerId})` : 'scope.eq.platform'
+
+      return supabase
+        .from('webhook_endpoints')
+        .select('id, url, secret')
+        .eq('is_active', true)
+        .contains('events', [event])
+        .or(owners)
+    },
+
+    create: (row, columns = '*') => supabase
+      .from('webhook_endpoints')
+      .insert(row)
+      .select(columns)
+      .single(),
+
+    update: (id, ownerId, changes, columns = '*') => supabase
+      .from('webhook_endpoints')
+      .update(changes)
+      .eq('id', id)
+      .eq('owner_id', ownerId)
+      .select(columns),
+
+    // Comes back with the removed rows; deliveries go with them
+    remove: (id, ownerId) => supabase
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', id)
+      .eq('owner_id', ownerId)
+      .select('id')
+  }
+
+  const webhookDeliveries = {
+    // Newest first, with the total count
+    list(endpointId, { status, event, limit, offset = 0 }) {
+      let query = supabase
+        .from('webhook_deliveries')
+        .select('*', { count: 'exact' })
+        .eq('endpoint_id', endpointId)
+
+      if (status) query = query.eq('status', status)
+      if (event) query = query.eq('event', event)
+
+      return query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1)
+    },
+
+    findById: (endpointId, id, columns = '*') => supabase
+      .from('webhook_deliveries')
+      .select(columns)
+      .eq('id', id)
+      .eq('endpoint_id', endpointId)
+      .maybeSingle(),
+
+    insert: rows => supabase
+      .from('webhook_deliveries')
+      .insert(rows)
+      .select('id'),
+
+    // Push a due pending delivery's next attempt to `until`, so no other
+    // worker takes it. Comes back with its endpoint, null if it wasn't due.
+    claim: (id, until) => supabase
+      .from('webhook_deliveries')
+      .update({ next_attempt_at: until })
+      .eq('id', id)
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .select('*, webhook_endpoints (url, secret, is_active)')
+      .maybeSingle(),
+
+    update: (id, changes) => supabase
+      .from('webhook_deliveries')
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .single(),
+
+    // Pending deliveries whose next attempt is due, soonest first
+    listDue: limit => supabase
+      .from('webhook_deliveries')
+      .select('id')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit)
+  }
+
+  const admin = {
+    // Users joined with their profile, see admin_search_users. Every row
+    // carries total_count, the number of matches.
+    searchUsers: ({ search = null, role = null, suspended = null, limit, offset = 0 }) => supabase
+      .rpc('admin_search_users', {
+        p_search: search,
+        p_role: role,
+        p_suspended: suspended,
+        p_limit: limit,
+        p_offset: offset
+      }),
+
+    platformStats: () => supabase.rpc('admin_platform_stats'),
+
+    logAction: row => supabase
+      .from('admin_actions')
+      .insert(row),
+
+    // Newest first, with the total count
+    listActions({ targetType, targetId, adminId, limit, offset = 0 }) {
+      let query = supabase
+        .from('admin_actions')
+        .select('*', { count: 'exact' })
+
+      if (targetType) query = query.eq('target_type', targetType)
+      if (targetId) query = query.eq('target_id', targetId)
+      if (adminId) query = query.eq('admin_id', adminId)
+
+      return query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1)
+    }
+  }
+
+  // Cart lines for an owner: { type: 'user' | 'guest', id }
+  const cartItems = {
+    // Newest first, joined with product and variant details
+    list(owner) {
+      const { column, rows } = cartTable(owner)
+      return rows()
+        .select(CART_ITEM_SELECT)
+        .eq(column, owner.id)
+        .order('added_at', { ascending: false })
+    },
+
+    findById(owner, id) {
+      const { column, rows } = cartTable(owner)
+      return rows()
+        .select(CART_ITEM_SELECT)
+        .eq('id', id)
+        .eq(column, owner.id)
+        .maybeSingle()
+    },
+
+    // The line for a product (and variant, or none), if there is one
+    findLine(owner, productId, variantId = null) {
+      const { column, rows } = cartTable(owner)
+      const query = rows()
+        .select('*')
+        .eq(column, owner.id)
+        .eq('product_id', productId)
+
+      return (variantId ? query.eq('variant_id', variantId) : query.is('variant_id', null))
+        .maybeSingle()
+    },
+
+    insert(owner, { product_id, variant_id = null, quantity }) {
+      const { column, rows } = cartTable(owner)
+      return rows()
+        .insert({ [column]: owner.id, product_id, variant_id, quantity })
+        .select()
+    },
+
+    update(owner, id, changes) {
+      const { column, rows } = cartTable(owner)
+      return rows()
+        .update(changes)
+        .eq('id', id)
+        .eq(column, owner.id)
+        .select()
+    },
+
+    remove(owner, id) {
+      const { column, rows } = cartTable(owner)
+      return rows()
+        .delete()
+        .eq('id', id)
+        .eq(column, owner.id)
+    },
+
+    clear(owner) {
+      const { column, rows } = cartTable(owner)
+      return rows()
+        .delete()
+        .eq(column, owner.id)
+    },
+
+    // Set the owner's line for a product (and variant) to quantity units and
+    // hold them for holdSeconds, if the stock other carts aren't holding allows.
+    // With partial it takes what's left instead. The line comes back with
+    // available; a shortfall errors with INSUFFICIENT_STOCK:<left>.
+    hold: (owner, { productId, variantId = null, quantity, holdSeconds, partial = false }) => supabase
+      .rpc('hold_cart_item', {
+        p_owner_type: owner.type,
+        p_owner_id: owner.id,
+        p_product_id: productId,
+        p_variant_id: variantId,
+        p_quantity: quantity,
+        p_hold_seconds: holdSeconds,
+        p_partial: partial
+      }),
+
+    // Clear holds that have run out, data is how many were released
+    releaseExpiredHolds: () => supabase.rpc('release_expired_stock_holds'),
+
+    // How many signed-in users' carts hold a product
+    countByProduct: productId => supabase
+      .from('cart_items')
+      .select('id', { count: 'exact', head: true })
+      .eq('product_id', productId),
+
+    // Take a product out of every cart, guest carts included
+    async removeByProduct(productId) {
+      for (const { table } of Object.values(CART_TABLES)) {
+        const { error } = await supabase.from(table).delete().eq('product_id', productId)
+        if (error) return { error }
+      }
+      return { error: null }
+    }
+  }
+
+  return {
+    backend: 'supabase',
+    auth,
+    profiles,
+    products,
+    productVariants,
+    productImages,
+    reviews,
+    cartItems,
+    wishlistItems,
+    coupons,
+    orders,
+    exchangeRates,
+    webhookEndpoints,
+    webhookDeliveries,
+    admin
+  }
+}
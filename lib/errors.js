@@ -0,0 +1,95 @@
+// Error responses all look like { error, code, ...context }: error is a
+// message for people, code a constant for programs to branch on, and
+// context anything else a route adds (the stock available, the allowed
+// values...). details, the underlying error message, is only for debugging
+// and is left out of server errors (5xx) unless exposeDetails is set.
+
+// Codes used when a route doesn't give a more specific one
+export const DEFAULT_ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE_ENTITY',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE'
+}
+
+export function getDefaultErrorCode(status) {
+  return DEFAULT_ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST')
+}
+
+// Middleware making sure every error body sent with res.json follows the
+// format above, whichever route or library sent it
+export function createErrorFormatter({ exposeDetails = false } = {}) {
+  return (req, res, next) => {
+    const json = res.json.bind(res)
+
+    res.json = body => {
+      if (res.statusCode < 400 || !body || typeof body !== 'object' || Array.isArray(body)) {
+        return json(body)
+      }
+
+      const { details, ...rest } = body
+      const showDetails = details !== undefined && (exposeDetails || res.statusCode < 500)
+
+      return json({
+        ...rest,
+        code: body.code || getDefaultErrorCode(res.statusCode),
+        ...(showDetails && { details })
+      })
+    }
+
+    next()
+  }
+}
+
+// Goes after every route: /api requests nothing answered
+export function apiNotFound(req, res) {
+  res.status(404).json({
+    error: `No route for ${req.method} ${req.originalUrl.split('?')[0]}`,
+    code: 'ROUTE_NOT_FOUND'
+  })
+}
+
+// Goes last: errors thrown by middleware (unreadable JSON, bodies over the
+// size limit) or passed to next(err)
+export function createErrorHandler({ exposeDetails = false } = {}) {
+  return (err, req, res, next) => {
+    if (res.headersSent) return next(err)
+
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({
+        error: 'Request body is not valid JSON',
+        code: 'INVALID_JSON',
+        details: err.message
+      })
+    }
+
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({
+        error: 'Request body is too large',
+        code: 'PAYLOAD_TOO_LARGE',
+        limit: err.limit
+      })
+    }
+
+    const status = err.status >= 400 && err.status < 600 ? err.status : 500
+
+    if (status >= 500) {
+      console.error(`${req.method} ${req.originalUrl} failed:`, err)
+    }
+
+    res.status(status).json({
+      error: status >= 500 ? 'Internal server error' : err.message,
+      code: getDefaultErrorCode(status),
+      ...(exposeDetails && { details: err.message })
+    })
+  }
+}
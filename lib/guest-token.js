@@ -0,0 +1,42 @@
+// Guest cart tokens let anonymous visitors keep a cart before signing up.
+// Format: '<guest id>.<expiry in ms>.<signature>', signed with HMAC-SHA256.
+
+import crypto from 'crypto'
+
+const DEFAULT_TTL_DAYS = 30
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url')
+}
+
+// Create a token for a new guest
+export function createGuestToken(secret, { ttlDays = DEFAULT_TTL_DAYS } = {}) {
+  const guestId = crypto.randomUUID()
+  const expiresAt = Date.now() + ttlDays * 24 * 60 * 60 * 1000
+  const payload = `${guestId}.${expiresAt}`
+
+  return {
+    token: `${payload}.${sign(payload, secret)}`,
+    guestId,
+    expiresAt: new Date(expiresAt).toISOString()
+  }
+}
+
+// Get the guest id from a token, or null if it's forged, malformed or expired
+export function verifyGuestToken(token, secret) {
+  if (typeof token !== 'string') return null
+
+  const [guestId, expiresAt, signature] = token.split('.')
+  if (!guestId || !expiresAt || !signature) return null
+
+  const expected = Buffer.from(sign(`${guestId}.${expiresAt}`, secret))
+  const actual = Buffer.from(signature)
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null
+  }
+
+  if (!(Number(expiresAt) > Date.now())) return null
+
+  return guestId
+}
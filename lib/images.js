@@ -0,0 +1,115 @@
+// Image upload checks and resizing. Uploads must be JPEG, PNG, WebP or GIF,
+// both by their declared MIME type and by their first bytes, and are stored
+// with a thumbnail and a medium version next to the original.
+
+import sharp from 'sharp'
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024
+
+// Largest side in pixels for each resized version
+export const IMAGE_SIZES = {
+  thumbnail: 200,
+  medium: 800
+}
+
+// Larger images would take too long to decode
+const MAX_INPUT_PIXELS = 40_000_000
+
+const IMAGE_TYPES = {
+  'image/jpeg': { extension: 'jpg', format: 'jpeg', matches: bytes => startsWith(bytes, [0xff, 0xd8, 0xff]) },
+  'image/png': { extension: 'png', format: 'png', matches: bytes => startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  'image/gif': { extension: 'gif', format: 'gif', matches: bytes => ascii(bytes, 0, 6) === 'GIF87a' || ascii(bytes, 0, 6) === 'GIF89a' },
+  'image/webp': { extension: 'webp', format: 'webp', matches: bytes => ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP' }
+}
+
+export const ALLOWED_IMAGE_TYPES = Object.keys(IMAGE_TYPES)
+
+function startsWith(bytes, signature) {
+  return bytes.length >= signature.length && signature.every((byte, i) => bytes[i] === byte)
+}
+
+function ascii(bytes, start, end) {
+  return bytes.subarray(start, end).toString('latin1')
+}
+
+// Why an upload can't be used as an image, or null if it can
+export function getImageProblem({ mimetype, size, buffer }) {
+  const type = IMAGE_TYPES[mimetype]
+
+  if (!type) {
+    return `Unsupported image type, use one of: ${ALLOWED_IMAGE_TYPES.join(', ')}`
+  }
+
+  if (size > MAX_IMAGE_BYTES) {
+    return `Image is too large, the limit is ${MAX_IMAGE_BYTES / 1024 / 1024} MB`
+  }
+
+  if (!type.matches(buffer)) {
+    return `File content is not a valid ${mimetype} image`
+  }
+
+  return null
+}
+
+// Decode an upload and build its versions. Every version is rotated upright
+// and re-encoded without the upload's metadata (EXIF, GPS position...): the
+// original in its own format (animations kept), resized versions as WebP.
+// With square: true the resized versions are cropped to a square (avatars).
+export async function processImage({ mimetype, buffer }, { square = false } = {}) {
+  const type = IMAGE_TYPES[mimetype]
+  const { data: original, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, animated: true })
+    .rotate()
+    .toFormat(type.format)
+    .toBuffer({ resolveWithObject: true })
+
+  // Animations are stacked frames, pageHeight is one frame's
+  const width = info.width
+  const height = info.pageHeight || info.height
+
+  if (!width || !height) {
+    throw new Error('Could not read image dimensions')
+  }
+
+  const resized = {}
+  for (const [name, size] of Object.entries(IMAGE_SIZES)) {
+    resized[name] = {
+      buffer: await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(size, size, { fit: square ? 'cover' : 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer(),
+      contentType: 'image/webp',
+      extension: 'webp'
+    }
+  }
+
+  return {
+    width,
+    height,
+    original: { buffer: original, contentType: mimetype, extension: type.extension },
+    ...resized
+  }
+}
+
+// Save every version of a processed image under one folder,
+// returning the folder and a URL per version
+export async function storeImage(storage, folder, processed) {
+  const urls = {}
+
+  for (const name of ['original', ...Object.keys(IMAGE_SIZES)]) {
+    const { buffer, contentType, extension } = processed[name]
+    urls[name] = await storage.put(`${folder}/${name}.${extension}`, buffer, contentType)
+  }
+
+  return { folder, urls }
+}
+
+// Every file path storeImage may have written for a folder
+export function imageFiles(folder) {
+  const extensions = [...new Set(Object.values(IMAGE_TYPES).map(type => type.extension))]
+
+  return [
+    ...extensions.map(extension => `${folder}/original.${extension}`),
+    ...Object.keys(IMAGE_SIZES).map(name => `${folder}/${name}.webp`)
+  ]
+}
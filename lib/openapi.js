@@ -0,0 +1,298 @@
+// OpenAPI 3 documents built from the app's own routes. Request shapes come
+// from the schemas each route validates against (lib/validation.js) and
+// security from its guards; summaries and response shapes come from a docs
+// map keyed by "METHOD /path" (the path within the router), e.g.
+//
+//   'GET /posts/:id': { tag: 'Products', summary: 'Get a product', response: object({...}) }
+//
+// Only routes in the map make it into the document, so findUndocumentedRoutes
+// can tell which ones were left out.
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete']
+
+// What each error status means, used for the error responses of every operation
+const ERROR_RESPONSES = {
+  400: 'The request is invalid (code VALIDATION_ERROR lists every problem in issues)',
+  401: 'No token was sent, or it is invalid or expired',
+  403: 'Not allowed',
+  404: 'Not found',
+  409: 'Conflicts with the current state',
+  413: 'Too large',
+  429: 'Too many requests, see the Retry-After header',
+  500: 'Something went wrong on the server',
+  502: 'A service the API relies on failed'
+}
+
+// Every route of an app (or router) as { method, path, handlers } in the
+// order they were registered
+export function listRoutes(router, prefix = '') {
+  const stack = router._router?.stack || router.stack || []
+
+  return stack.flatMap(layer => {
+    if (!layer.route) return []
+
+    return Object.keys(layer.route.methods)
+      .filter(method => METHODS.includes(method))
+      .map(method => ({
+        method,
+        path: prefix + layer.route.path,
+        handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+      }))
+  })
+}
+
+// JSON Schema (the OpenAPI 3.0 flavour) for a validation schema. components
+// maps schemas to names in #/components/schemas; those become $refs.
+export function toJsonSchema(schema, components = new Map()) {
+  const name = components.get(schema.options)
+  const base = name ? { $ref: `#/components/schemas/${name}` } : describeType(schema, components)
+
+  const extra = {
+    ...(schema.options.description && !name && { description: schema.options.description }),
+    ...(schema.isNullable && { nullable: true }),
+    ...(schema.defaultValue !== undefined && { default: schema.defaultValue })
+  }
+
+  if (Object.keys(extra).length === 0) return base
+
+  // Siblings of $ref are ignored in 3.0, so wrap it
+  return name ? { allOf: [base], ...extra } : { ...base, ...extra }
+}
+
+function describeType({ type, options }, components) {
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return {
+        type,
+        ...(options.min !== undefined && { minimum: options.min }),
+        ...(options.max !== undefined && { maximum: options.max }),
+        ...(options.positive && { minimum: 0, exclusiveMinimum: true })
+      }
+    case 'string':
+      return {
+        type: 'string',
+        ...(options.min !== undefined && { minLength: options.min }),
+        ...(options.max !== undefined && { maxLength: options.max }),
+        ...(options.pattern && { pattern: options.pattern.source })
+      }
+    case 'boolean':
+      return { type: 'boolean' }
+    case 'uuid':
+      return { type: 'string', format: 'uuid' }
+    case 'email':
+      return { type: 'string', format: 'email' }
+    case 'url':
+      return { type: 'string', format: 'uri' }
+    case 'date':
+      return { type: 'string', format: 'date-time' }
+    case 'enum':
+      return { type: typeof options.values[0] === 'number' ? 'number' : 'string', enum: options.values }
+    case 'array':
+      return {
+        type: 'array',
+        items: toJsonSchema(options.item, components),
+        ...(options.min !== undefined && { minItems: options.min }),
+        ...(options.max !== undefined && { maxItems: options.max })
+      }
+    case 'object': {
+      const entries = Object.entries(options.shape)
+      const required = entries.filter(([, field]) => isRequired(field)).map(([key]) => key)
+
+      return {
+        type: 'object',
+        properties: Object.fromEntries(entries.map(([key, field]) => [key, toJsonSchema(field, components)])),
+        ...(required.length > 0 && { required })
+      }
+    }
+    default:
+      return {}
+  }
+}
+
+const isRequired = schema => !schema.isOptional && schema.defaultValue === undefined
+
+// The schemas a route validates against, merged from its validate() middleware
+function findRouteSchemas(handlers) {
+  return handlers
+    .filter(handler => handler.schemas)
+    .reduce((merged, handler) => ({ ...merged, ...handler.schemas }), {})
+}
+
+// :id -> {id}
+const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}')
+
+function describeParameters(schema, location, components) {
+  if (!schema) return []
+
+  return Object.entries(schema.options.shape).map(([name, field]) => ({
+    name,
+    in: location,
+    required: location === 'path' || isRequired(field),
+    schema: toJsonSchema(field, components),
+    ...(field.options.description && { description: field.options.description })
+  }))
+}
+
+function describeOperation(route, doc, { authGuard, components }) {
+  const schemas = findRouteSchemas(route.handlers)
+  const role = route.handlers.find(handler => handler.role)?.role
+  const secured = route.handlers.includes(authGuard)
+
+  const security = doc.security || (secured ? [{ bearerAuth: [] }] : undefined)
+
+  const errors = new Set([
+    ...(schemas.params || schemas.query || schemas.body ? [400] : []),
+    ...(security ? [401] : []),
+    ...(role ? [403] : []),
+    ...(schemas.params ? [404] : []),
+    ...(doc.errors || []),
+    500
+  ])
+
+  const status = doc.status || 200
+  const description = [doc.description, role && `Requires the ${role} role.`].filter(Boolean).join('\n\n')
+
+  const parameters = [
+    ...describeParameters(schemas.params, 'path', components),
+    ...describeParameters(schemas.query, 'query', components)
+  ]
+
+  return {
+    tags: [doc.tag],
+    summary: doc.summary,
+    ...(description && { description }),
+    ...(security && { security }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(doc.requestBody
+      ? { requestBody: doc.requestBody }
+      : schemas.body && {
+        requestBody: {
+          required: Object.values(schemas.body.options.shape).some(isRequired),
+          content: { 'application/json': { schema: toJsonSchema(schemas.body, components) } }
+        }
+      }),
+    responses: {
+      [status]: {
+        description: doc.responseDescription || (status === 201 ? 'Created' : 'OK'),
+        content: doc.responseContent || {
+          'application/json': { schema: doc.response ? toJsonSchema(doc.response, components) : { type: 'object' } }
+        }
+      },
+      ...Object.fromEntries([...errors].sort().map(code => [code, { $ref: `#/components/responses/Error${code}` }]))
+    }
+  }
+}
+
+// options: {
+//   info,             OpenAPI info object ({ title, version, description })
+//   servers,          OpenAPI servers, e.g. [{ url: '/api/v1' }] for a router mounted there
+//   deprecated,       marks every operation deprecated
+//   routes,           from listRoutes
+//   docs,             the docs map described at the top
+//   schemas,          { Name: schema } shared schemas, shown under components
+//   authGuard,        middleware marking a route as needing a bearer token
+//   securitySchemes   extra schemes docs entries can name in security
+// }
+export function buildOpenApiSpec({
+  info,
+  servers,
+  deprecated = false,
+  routes,
+  docs,
+  schemas = {},
+  authGuard,
+  securitySchemes = {}
+}) {
+  const components = new Map(Object.entries(schemas).map(([name, schema]) => [schema.options, name]))
+  const paths = {}
+
+  for (const route of routes) {
+    const doc = docs[`${route.method.toUpperCase()} ${route.path}`]
+    if (!doc) continue
+
+    const path = toOpenApiPath(route.path)
+    paths[path] = {
+      ...paths[path],
+      [route.method]: {
+        ...describeOperation(route, doc, { authGuard, components }),
+        ...(deprecated && { deprecated: true })
+      }
+    }
+  }
+
+  const tags = [...new Set(Object.values(docs).map(doc => doc.tag))]
+
+  return {
+    openapi: '3.0.3',
+    info,
+    ...(servers && { servers }),
+    tags: tags.map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'The access_token from a login session'
+        },
+        ...securitySchemes
+      },
+      schemas: {
+        // Schemas may refer to each other, so each is described without a
+        // $ref to itself
+        ...Object.fromEntries(Object.entries(schemas).map(([name, schema]) => [
+          name,
+          toJsonSchema(schema, new Map([...components].filter(([, other]) => other !== name)))
+        ]))
+      },
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([code, description]) => [
+        `Error${code}`,
+        { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+      ]))
+    }
+  }
+}
+
+// Routes missing from a spec, as "METHOD /path" strings
+export function findUndocumentedRoutes(routes, spec) {
+  return routes
+    .filter(route => !spec.paths[toOpenApiPath(route.path)]?.[route.method])
+    .map(route => `${route.method.toUpperCase()} ${route.path}`)
+}
+
+// Docs entries that don't match a route, usually left behind by a rename
+export function findUnknownDocs(routes, docs) {
+  const registered = new Set(routes.map(route => `${route.method.toUpperCase()} ${route.path}`))
+  return Object.keys(docs).filter(key => !registered.has(key))
+}
+
+// Swagger UI from the CDN, pinned to one release and checked against its
+// hashes so a changed file is refused by the browser. Bump all three together.
+const SWAGGER_UI = {
+  base: 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.33.1',
+  css: 'sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW',
+  js: 'sha384-ZPehFMQommnnuaZ4rpxgkgTT2DKFVp4hZC/7pLit+9Lek9T1YGSo23eHFbvNkXkw'
+}
+
+// Swagger UI page (loaded from a CDN) showing the document at specUrl
+export function renderDocsPage({ title, specUrl }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <link rel="stylesheet" href="${SWAGGER_UI.base}/swagger-ui.css" integrity="${SWAGGER_UI.css}" crossorigin="anonymous">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI.base}/swagger-ui-bundle.js" integrity="${SWAGGER_UI.js}" crossorigin="anonymous"></script>
+  <script>
+    SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#docs', persistAuthorization: true })
+  </script>
+</body>
+</html>
+`
+}
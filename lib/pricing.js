@@ -0,0 +1,158 @@
+// Cart pricing: line totals, shipping, tax and grand total.
+// Used by the cart summary and by checkout so both always agree.
+// Amounts are worked out in minor units of the cart's currency (see
+// lib/currency.js) and returned both ways: 12.5 as well as 1250 in *_minor.
+
+import { BASE_CURRENCY, convertMinor, fromMinor, toMinor } from './currency.js'
+
+export const SHIPPING_METHODS = ['flat', 'weight', 'value']
+
+// Used when PRICING_RULES isn't set; anything set there overrides these.
+// Amounts are in BASE_CURRENCY and converted to the cart's currency.
+export const DEFAULT_PRICING_RULES = {
+  shipping: {
+    // flat: flat_rate per order
+    // weight: base_rate + per_kg_rate * total weight in kg
+    // value: rate of the first tier whose up_to covers the subtotal (null = no limit)
+    method: 'flat',
+    flat_rate: 5,
+    base_rate: 3,
+    per_kg_rate: 1.5,
+    value_tiers: [
+      { up_to: 50, rate: 7 },
+      { up_to: null, rate: 4 }
+    ],
+    // Subtotal (after discounts) at which shipping is free, null to turn off
+    free_shipping_threshold: 100
+  },
+  tax: {
+    // Rates as fractions, keyed by region code (e.g. 'AU', 'US-CA')
+    default_rate: 0,
+    regions: {},
+    shipping_taxable: false
+  }
+}
+
+// Build pricing rules from a PRICING_RULES JSON string. Throws if it's invalid.
+export function loadPricingRules(json) {
+  const overrides = json ? JSON.parse(json) : {}
+
+  const rules = {
+    shipping: { ...DEFAULT_PRICING_RULES.shipping, ...overrides.shipping },
+    tax: { ...DEFAULT_PRICING_RULES.tax, ...overrides.tax }
+  }
+
+  if (!SHIPPING_METHODS.includes(rules.shipping.method)) {
+    throw new Error(`shipping.method must be one of: ${SHIPPING_METHODS.join(', ')}`)
+  }
+
+  if (rules.shipping.method === 'value' && !Array.isArray(rules.shipping.value_tiers)) {
+    throw new Error('shipping.value_tiers must be a list when shipping.method is value')
+  }
+
+  const rates = [rules.tax.default_rate, ...Object.values(rules.tax.regions || {})]
+  if (rates.some(rate => typeof rate !== 'number' || rate < 0 || rate > 1)) {
+    throw new Error('Tax rates must be numbers between 0 and 1')
+  }
+
+  return rules
+}
+
+// Tax rate for a region code, falling back to the default rate
+export function getTaxRate(rules, region) {
+  const key = region ? region.toString().toUpperCase() : null
+  return key && rules.tax.regions?.[key] !== undefined
+    ? rules.tax.regions[key]
+    : rules.tax.default_rate
+}
+
+function calculateShippingMinor(rules, { subtotalMinor, weightKg, toCartMinor }) {
+  const shipping = rules.shipping
+
+  if (shipping.free_shipping_threshold != null && subtotalMinor >= toCartMinor(shipping.free_shipping_threshold)) {
+    return 0
+  }
+
+  if (shipping.method === 'weight') {
+    return toCartMinor(shipping.base_rate) + Math.round(toCartMinor(shipping.per_kg_rate) * weightKg)
+  }
+
+  if (shipping.method === 'value') {
+    const tier = shipping.value_tiers.find(t => t.up_to == null || subtotalMinor <= toCartMinor(t.up_to))
+    return tier ? toCartMinor(tier.rate) : 0
+  }
+
+  return toCartMinor(shipping.flat_rate)
+}
+
+// Price cart lines shaped like { id, product_id, variant_id, title, unit_price_minor, quantity, weight_kg },
+// with unit prices already in the cart's currency. lineDiscounts maps line id
+// to the discount on that line in minor units (from a coupon); rates (see
+// lib/currency.js) convert the rules' amounts when currency isn't BASE_CURRENCY.
+export function calculateCartTotals(lines, {
+  rules,
+  region = null,
+  lineDiscounts = new Map(),
+  currency = BASE_CURRENCY,
+  rates = {}
+}) {
+  const toCartMinor = amount => convertMinor(toMinor(amount, BASE_CURRENCY), BASE_CURRENCY, currency, rates) ?? 0
+  const money = minor => fromMinor(minor, currency)
+
+  const pricedLines = lines.map(line => {
+    const lineTotalMinor = line.unit_price_minor * line.quantity
+    const discountMinor = Math.min(lineDiscounts.get(line.id) || 0, lineTotalMinor)
+
+    return {
+      line,
+      lineTotalMinor,
+      discountMinor,
+      weightKg: Number(line.weight_kg || 0) * line.quantity
+    }
+  })
+
+  const sum = key => pricedLines.reduce((total, priced) => total + priced[key], 0)
+  const grossMinor = sum('lineTotalMinor')
+  const discountMinor = sum('discountMinor')
+  const subtotalMinor = grossMinor - discountMinor
+
+  const shippingMinor = lines.length === 0
+    ? 0
+    : calculateShippingMinor(rules, { subtotalMinor, weightKg: sum('weightKg'), toCartMinor })
+
+  const taxRate = getTaxRate(rules, region)
+  const taxableMinor = subtotalMinor + (rules.tax.shipping_taxable ? shippingMinor : 0)
+  const taxMinor = Math.round(taxableMinor * taxRate)
+  const totalMinor = subtotalMinor + shippingMinor + taxMinor
+
+  return {
+    currency,
+    lines: pricedLines.map(({ line, lineTotalMinor, discountMinor: lineDiscountMinor }) => ({
+      id: line.id,
+      product_id: line.product_id,
+      variant_id: line.variant_id ?? null,
+      title: line.title,
+      unit_price: money(line.unit_price_minor),
+      unit_price_minor: line.unit_price_minor,
+      quantity: line.quantity,
+      line_total: money(lineTotalMinor),
+      line_total_minor: lineTotalMinor,
+      discount: money(lineDiscountMinor),
+      discount_minor: lineDiscountMinor,
+      total: money(lineTotalMinor - lineDiscountMinor),
+      total_minor: lineTotalMinor - lineDiscountMinor
+    })),
+    subtotal: money(grossMinor),
+    subtotal_minor: grossMinor,
+    discount: money(discountMinor),
+    discount_minor: discountMinor,
+    shipping: money(shippingMinor),
+    shipping_minor: shippingMinor,
+    tax: money(taxMinor),
+    tax_minor: taxMinor,
+    tax_rate: taxRate,
+    region: region ? region.toString().toUpperCase() : null,
+    total: money(totalMinor),
+    total_minor: totalMinor
+  }
+}
@@ -0,0 +1,166 @@
+// Rate limiting and login lockouts. Counters live in a store with this shape
+// (every method async, so a shared store like Redis can be dropped in):
+//   increment(key, windowMs) -> { count, resetAt }, starting a window if none is open
+//   get(key)                 -> { count, resetAt } or null once the window is over
+//   reset(key)
+// resetAt is a timestamp in ms. createMemoryRateLimitStore keeps them in this
+// process, which is fine for a single instance.
+
+// Used when AUTH_RATE_LIMITS isn't set; anything set there overrides these
+export const DEFAULT_RATE_LIMITS = {
+  // Login and register attempts, per IP and per email from one IP
+  auth: { window_seconds: 15 * 60, per_ip: 20, per_email: 10 },
+  // Routes that send email (sign-up confirmations, magic links)
+  email: { window_seconds: 60 * 60, per_ip: 10, per_email: 3 },
+  // Guest carts: new guest tokens, and items added by guests
+  guest_cart: { window_seconds: 60 * 60, new_guests_per_ip: 20, per_ip: 100 },
+  // After max_failures failed logins for an email from one IP, further tries
+  // are locked out for base_seconds, doubling with each failure up to
+  // max_seconds. Failures are forgotten window_seconds after the first one.
+  lockout: { max_failures: 5, base_seconds: 60, max_seconds: 60 * 60, window_seconds: 24 * 60 * 60 }
+}
+
+// Build rate limits from an AUTH_RATE_LIMITS JSON string. Throws if it's invalid.
+export function loadRateLimits(json) {
+  const overrides = json ? JSON.parse(json) : {}
+
+  const limits = Object.fromEntries(Object.entries(DEFAULT_RATE_LIMITS).map(([name, defaults]) =>
+    [name, { ...defaults, ...overrides[name] }]
+  ))
+
+  for (const [name, settings] of Object.entries(limits)) {
+    for (const [key, value] of Object.entries(settings)) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${name}.${key} must be a whole number of 1 or more`)
+      }
+    }
+  }
+
+  if (limits.lockout.base_seconds > limits.lockout.max_seconds) {
+    throw new Error('lockout.base_seconds cannot be more than lockout.max_seconds')
+  }
+
+  return limits
+}
+
+// How often finished windows are cleared out of the memory store
+const CLEANUP_INTERVAL_MS = 60 * 1000
+
+export function createMemoryRateLimitStore() {
+  const entries = new Map()
+
+  const live = key => {
+    const entry = entries.get(key)
+    if (entry && entry.resetAt <= Date.now()) {
+      entries.delete(key)
+      return null
+    }
+    return entry || null
+  }
+
+  // So the map doesn't keep every key it has ever seen
+  setInterval(() => {
+    const now = Date.now()
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key)
+    }
+  }, CLEANUP_INTERVAL_MS).unref()
+
+  return {
+    async increment(key, windowMs) {
+      const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs }
+      entry.count += 1
+      entries.set(key, entry)
+      return { ...entry }
+    },
+
+    async get(key) {
+      const entry = live(key)
+      return entry ? { ...entry } : null
+    },
+
+    async reset(key) {
+      entries.delete(key)
+    }
+  }
+}
+
+const secondsUntil = timestamp => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000))
+
+// Express middleware allowing `max` requests per key in a fixed window. Each
+// rule's key(req) names what is counted (an IP, an email...); rules whose key
+// comes back empty are skipped. The rule closest to its limit sets the
+// RateLimit-* headers, and any rule over its limit answers 429 with Retry-After.
+// If the store fails, requests are let through rather than locking everyone out.
+export function createRateLimiter({ store, name, windowSeconds, rules }) {
+  const windowMs = windowSeconds * 1000
+
+  return async (req, res, next) => {
+    let results
+    try {
+      results = await Promise.all(rules.map(async rule => {
+        const key = rule.key(req)
+        if (!key) return null
+
+        const { count, resetAt } = await store.increment(`${name}:${rule.name}:${key}`, windowMs)
+        return { max: rule.max, remaining: rule.max - count, resetAt }
+      }))
+    } catch (err) {
+      console.error(`Rate limiter ${name} failed:`, err.message)
+      return next()
+    }
+
+    const tightest = results
+      .filter(Boolean)
+      .sort((a, b) => a.remaining - b.remaining || b.resetAt - a.resetAt)[0]
+
+    if (!tightest) return next()
+
+    const reset = secondsUntil(tightest.resetAt)
+
+    res.set({
+      'RateLimit-Policy': `${tightest.max};w=${windowSeconds}`,
+      'RateLimit-Limit': String(tightest.max),
+      'RateLimit-Remaining': String(Math.max(tightest.remaining, 0)),
+      'RateLimit-Reset': String(reset)
+    })
+
+    if (tightest.remaining < 0) {
+      res.set('Retry-After', String(reset))
+      return res.status(429).json({
+        error: 'Too many requests, please try again later',
+        code: 'RATE_LIMITED',
+        retry_after: reset
+      })
+    }
+
+    next()
+  }
+}
+
+// Lockouts after repeated failed logins, with the lock doubling each time.
+// check/recordFailure return { retryAfter } (seconds) while locked, else null.
+export function createLoginLockout({ store, maxFailures, baseSeconds, maxSeconds, windowSeconds }) {
+  const failuresKey = key => `lockout:failures:${key}`
+  const lockKey = key => `lockout:lock:${key}`
+
+  async function check(key) {
+    const lock = await store.get(lockKey(key))
+    return lock ? { retryAfter: secondsUntil(lock.resetAt) } : null
+  }
+
+  async function recordFailure(key) {
+    const { count } = await store.increment(failuresKey(key), windowSeconds * 1000)
+    if (count < maxFailures) return null
+
+    const lockSeconds = Math.min(baseSeconds * 2 ** (count - maxFailures), maxSeconds)
+    const lock = await store.increment(lockKey(key), lockSeconds * 1000)
+    return { retryAfter: secondsUntil(lock.resetAt) }
+  }
+
+  async function recordSuccess(key) {
+    await Promise.all([store.reset(failuresKey(key)), store.reset(lockKey(key))])
+  }
+
+  return { check, recordFailure, recordSuccess }
+}
@@ -0,0 +1,74 @@
+// File storage for uploads. Every backend has the same shape:
+//   put(path, buffer, contentType) -> public URL
+//   remove(paths) -> removes files, missing ones are ignored
+// 'local' writes to disk (dev and tests), 'supabase' uses Supabase Storage (prod).
+
+import fs from 'fs/promises'
+import path from 'path'
+
+export const STORAGE_DRIVERS = ['local', 'supabase']
+
+// Store files under a local directory, served by the app at publicPath
+export function createLocalStorage({ directory, publicPath = '/uploads' }) {
+  const root = path.resolve(directory)
+
+  // Keep every path inside the root directory
+  const resolve = filePath => {
+    const fullPath = path.resolve(root, filePath)
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage path: ${filePath}`)
+    }
+    return fullPath
+  }
+
+  return {
+    driver: 'local',
+    root,
+
+    async put(filePath, buffer) {
+      const fullPath = resolve(filePath)
+      await fs.mkdir(path.dirname(fullPath), { recursive: true })
+      await fs.writeFile(fullPath, buffer)
+      return `${publicPath}/${filePath}`
+    },
+
+    async remove(filePaths) {
+      await Promise.all(filePaths.map(filePath => fs.rm(resolve(filePath), { force: true })))
+    }
+  }
+}
+
+// Store files in a public Supabase Storage bucket
+export function createSupabaseStorage(supabase, { bucket }) {
+  const files = () => supabase.storage.from(bucket)
+
+  return {
+    driver: 'supabase',
+
+    async put(filePath, buffer, contentType) {
+      const { error } = await files().upload(filePath, buffer, { contentType, upsert: true })
+      if (error) throw error
+      return files().getPublicUrl(filePath).data.publicUrl
+    },
+
+    async remove(filePaths) {
+      if (filePaths.length === 0) return
+      const { error } = await files().remove(filePaths)
+      if (error) throw error
+    }
+  }
+}
+
+// Pick a backend from config: { driver, directory, publicPath, bucket }
+export function createStorage(supabase, { driver = 'local', ...options } = {}) {
+  if (driver === 'supabase') {
+    if (!options.bucket) throw new Error('A bucket is required for Supabase storage')
+    return createSupabaseStorage(supabase, options)
+  }
+
+  if (driver === 'local') {
+    return createLocalStorage(options)
+  }
+
+  throw new Error(`Unknown storage driver "${driver}", use one of: ${STORAGE_DRIVERS.join(', ')}`)
+}
@@ -0,0 +1,298 @@
+// Request validation. Schemas are built from the helpers below, e.g.
+//
+//   object({ quantity: integer({ min: 1 }), note: string({ max: 200 }).optional() })
+//
+// and validate({ params, query, body }) checks a request against them. Bad
+// requests get a 400 VALIDATION_ERROR listing every problem found; good ones
+// go on with the parsed values in place of req.params/query/body. Query
+// strings and CSV cells are text, so numbers and booleans are read from text
+// too. Fields are required unless marked optional(), and keys a schema
+// doesn't mention are passed through untouched.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Every schema has a type, the options it was built with (kept so it can be
+// described elsewhere, like API docs), and read(value, path, issues), which
+// returns { value } or { problem } finishing the sentence "<field> ...".
+// Nested schemas push their own issues and return { value }.
+function schema(type, options, read) {
+  return {
+    type,
+    options,
+    read,
+    isOptional: false,
+    isNullable: false,
+    defaultValue: undefined,
+    optional() {
+      return { ...this, isOptional: true }
+    },
+    nullable() {
+      return { ...this, isNullable: true }
+    },
+    // Used when the field isn't sent (so it's optional too)
+    default(value) {
+      return { ...this, isOptional: true, defaultValue: value }
+    }
+  }
+}
+
+// Path segments as they'd be written in JavaScript, e.g. variants[0].sku
+function describePath(path, location) {
+  if (path.length === 0) return location
+
+  return path.reduce((label, key) =>
+    typeof key === 'number' ? `${label}[${key}]` : label ? `${label}.${key}` : key
+  , '')
+}
+
+function readValue(fieldSchema, value, path, issues) {
+  if (value === undefined) {
+    if (fieldSchema.defaultValue !== undefined) return fieldSchema.defaultValue
+    if (!fieldSchema.isOptional) issues.push({ path, problem: 'is required' })
+    return undefined
+  }
+
+  if (value === null && fieldSchema.isNullable) return null
+
+  const { value: parsed, problem } = fieldSchema.read(value, path, issues)
+
+  if (problem) {
+    issues.push({ path, problem: fieldSchema.options.message || problem })
+    return undefined
+  }
+
+  return parsed
+}
+
+// Number from a number or numeric text, NaN for anything else
+function toNumber(value) {
+  if (typeof value === 'number') return value
+  if (typeof value === 'string' && value.trim() !== '') return Number(value)
+  return NaN
+}
+
+// options: { min, max, integer, positive, message }
+export function number(options = {}) {
+  const { min, max, integer: whole = false, positive = false } = options
+  const kind = whole ? 'whole number' : 'number'
+
+  const expected = positive ? `a positive ${kind}`
+    : min !== undefined && max !== undefined ? `a ${kind} from ${min} to ${max}`
+    : min !== undefined ? `a ${kind} of ${min} or more`
+    : max !== undefined ? `a ${kind} of ${max} or less`
+    : `a ${kind}`
+
+  return schema(whole ? 'integer' : 'number', options, value => {
+    const parsed = toNumber(value)
+
+    const valid = Number.isFinite(parsed) &&
+      (!whole || Number.isInteger(parsed)) &&
+      (!positive || parsed > 0) &&
+      (min === undefined || parsed >= min) &&
+      (max === undefined || parsed <= max)
+
+    return valid ? { value: parsed } : { problem: `must be ${expected}` }
+  })
+}
+
+export function integer(options = {}) {
+  return number({ ...options, integer: true })
+}
+
+// options: { min, max, trim (default true), pattern, message }
+export function string(options = {}) {
+  const { min, max, trim = true, pattern } = options
+
+  return schema('string', options, value => {
+    if (typeof value !== 'string') return { problem: 'must be text' }
+
+    const parsed = trim ? value.trim() : value
+
+    if (min !== undefined && parsed.length < min) {
+      return { problem: min === 1 ? 'cannot be empty' : `must be at least ${min} characters` }
+    }
+    if (max !== undefined && parsed.length > max) {
+      return { problem: `can be at most ${max} characters` }
+    }
+    if (pattern && !pattern.test(parsed)) {
+      return { problem: 'is not in the right format' }
+    }
+
+    return { value: parsed }
+  })
+}
+
+// true/false, also read from 'true'/'false'/'1'/'0'
+export function boolean(options = {}) {
+  return schema('boolean', options, value => {
+    if (typeof value === 'boolean') return { value }
+    if (value === 'true' || value === '1') return { value: true }
+    if (value === 'false' || value === '0') return { value: false }
+    return { problem: 'must be true or false' }
+  })
+}
+
+export function uuid(options = {}) {
+  return schema('uuid', options, value =>
+    typeof value === 'string' && UUID_PATTERN.test(value)
+      ? { value: value.toLowerCase() }
+      : { problem: 'must be a valid id' }
+  )
+}
+
+export function email(options = {}) {
+  return schema('email', options, value => {
+    const parsed = typeof value === 'string' ? value.trim() : ''
+    return EMAIL_PATTERN.test(parsed) && parsed.length <= 254
+      ? { value: parsed }
+      : { problem: 'must be an email address' }
+  })
+}
+
+// An http(s) URL. options: { allowEmpty } lets '' through, e.g. to clear a field
+export function url(options = {}) {
+  return schema('url', options, value => {
+    if (typeof value !== 'string') return { problem: 'must be a valid URL' }
+    if (value === '' && options.allowEmpty) return { value }
+
+    try {
+      const { protocol } = new URL(value)
+      if (protocol === 'http:' || protocol === 'https:') return { value }
+    } catch {
+      // Falls through to the problem below
+    }
+
+    return { problem: 'must be a valid URL' }
+  })
+}
+
+// A date or date-time, given back as an ISO timestamp
+export function date(options = {}) {
+  return schema('date', options, value => {
+    const time = typeof value === 'string' ? Date.parse(value) : NaN
+    return Number.isNaN(time) ? { problem: 'must be a date' } : { value: new Date(time).toISOString() }
+  })
+}
+
+export function oneOf(values, options = {}) {
+  return schema('enum', { ...options, values }, value =>
+    values.includes(value) ? { value } : { problem: `must be one of: ${values.join(', ')}` }
+  )
+}
+
+// options: { min, max, message }
+export function array(item, options = {}) {
+  const { min, max } = options
+
+  return schema('array', { ...options, item }, (value, path, issues) => {
+    if (!Array.isArray(value)) return { problem: 'must be a list' }
+
+    if (min !== undefined && value.length < min) {
+      return { problem: min === 1 ? 'cannot be empty' : `must have at least ${min} items` }
+    }
+    if (max !== undefined && value.length > max) {
+      return { problem: `can have at most ${max} items` }
+    }
+
+    return { value: value.map((entry, index) => readValue(item, entry, [...path, index], issues)) }
+  })
+}
+
+// Anything at all, for values checked by hand
+export function any(options = {}) {
+  return schema('any', options, value => ({ value }))
+}
+
+// Fields not sent stay missing from the parsed object (unless they have a
+// default), so `body.x !== undefined` still means "x was sent"
+export function object(shape, options = {}) {
+  return {
+    ...schema('object', { ...options, shape }, (value, path, issues) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { problem: 'must be an object' }
+      }
+
+      const parsed = { ...value }
+
+      for (const [key, fieldSchema] of Object.entries(shape)) {
+        const fieldValue = readValue(fieldSchema, value[key], [...path, key], issues)
+
+        if (fieldValue === undefined) {
+          delete parsed[key]
+        } else {
+          parsed[key] = fieldValue
+        }
+      }
+
+      return { value: parsed }
+    }),
+    // The same object with every field optional, e.g. for updates
+    partial() {
+      return object(Object.fromEntries(Object.entries(shape).map(([key, fieldSchema]) =>
+        [key, { ...fieldSchema, isOptional: true, defaultValue: undefined }]
+      )), options)
+    }
+  }
+}
+
+// Check a value against a schema. Returns { value } with the parsed value,
+// or { issues } listing each problem as { path, message }; location names
+// the value in messages about the whole of it ('body must be an object').
+export function check(valueSchema, value, location = 'value') {
+  const found = []
+  const parsed = readValue(valueSchema, value, [], found)
+
+  if (found.length === 0) return { value: parsed }
+
+  return {
+    issues: found.map(({ path, problem }) => {
+      const field = describePath(path, location)
+      return { path: field, message: `${field} ${problem}` }
+    })
+  }
+}
+
+const REQUEST_PARTS = ['params', 'query', 'body']
+
+// Route middleware checking req.params, req.query and req.body against the
+// schemas given for them, e.g. validate({ params: object({ id: uuid() }) })
+export function validate(schemas) {
+  const middleware = (req, res, next) => {
+    const issues = []
+    const parsed = {}
+
+    for (const part of REQUEST_PARTS) {
+      if (!schemas[part]) continue
+
+      // No body at all (no Content-Type) is checked like an empty one, and
+      // empty query params (?min_price=) count as not sent
+      const input = part === 'query'
+        ? Object.fromEntries(Object.entries(req.query).filter(([, value]) => value !== ''))
+        : req[part] ?? {}
+
+      const { value, issues: partIssues } = check(schemas[part], input, part)
+
+      if (partIssues) {
+        issues.push(...partIssues.map(issue => ({ location: part, ...issue })))
+      } else {
+        parsed[part] = value
+      }
+    }
+
+    if (issues.length > 0) {
+      return res.status(400).json({
+        error: issues[0].message,
+        code: 'VALIDATION_ERROR',
+        issues
+      })
+    }
+
+    Object.assign(req, parsed)
+    next()
+  }
+
+  // Kept so the schemas can be read back, e.g. for API docs (lib/openapi.js)
+  middleware.schemas = schemas
+  return middleware
+}
@@ -0,0 +1,281 @@
+// Outbound webhooks. emit() queues a delivery per subscribed endpoint and
+// sends it straight away; failed sends are retried with exponential backoff
+// by processDue(), which the app runs on a timer. Endpoints and deliveries
+// are kept in the data layer's webhookEndpoints and webhookDeliveries
+// repositories (lib/data/index.js).
+//
+// Requests are POSTs of { id, type, created_at, data } with headers
+//   X-Webhook-Id         event id (the same across retries)
+//   X-Webhook-Event      event type
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// keyed with the endpoint's secret.
+//
+// Endpoint hostnames are resolved before each attempt and the request goes
+// to the address that was checked, so a name can't be pointed at a private
+// network between the check and the connection. Response bodies are never
+// read back, only the status.
+
+import crypto from 'crypto'
+import dns from 'dns'
+import http from 'http'
+import https from 'https'
+import net from 'net'
+
+export const WEBHOOK_EVENTS = [
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'cart.item_added',
+  'stock.low'
+]
+
+export const WEBHOOK_SCOPES = ['seller', 'platform']
+
+const DEFAULT_MAX_ATTEMPTS = 6
+const DEFAULT_RETRY_DELAY_MS = 30 * 1000
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000
+const DEFAULT_TIMEOUT_MS = 10 * 1000
+// How long a delivery being sent is kept from other workers
+const CLAIM_MS = 60 * 1000
+const DUE_BATCH_SIZE = 50
+
+export function createWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`
+}
+
+// The X-Webhook-Signature value for a request body
+export function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  return `t=${timestamp},v1=${signature}`
+}
+
+// Why a URL can't be a webhook endpoint, or null if it can. Loopback and
+// private network addresses are refused unless allowPrivate is set.
+export function getWebhookUrlProblem(value, { allowPrivate = false } = {}) {
+  let url
+  try {
+    url = new URL(value)
+  } catch {
+    return 'url must be a valid URL'
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return 'url must use http or https'
+  }
+
+  if (url.username || url.password) {
+    return 'url cannot contain credentials'
+  }
+
+  if (!allowPrivate && isPrivateHost(url.hostname)) {
+    return 'url cannot point at a local or private network address'
+  }
+
+  return null
+}
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase()
+
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true
+
+  return isPrivateAddress(host)
+}
+
+// Loopback, private, link-local, shared and multicast addresses
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number)
+    return a === 0 || a === 10 || a === 127 || a >= 224 || (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127)
+  }
+
+  if (net.isIPv6(address)) {
+    return address === '::' || address === '::1' || address.startsWith('fc') || address.startsWith('fd') ||
+      address.startsWith('fe80') || address.startsWith('ff') || address.startsWith('::ffff:')
+  }
+
+  return false
+}
+
+// The address to send to for a URL's hostname. Throws if any address it
+// resolves to is private, unless allowPrivate is set.
+async function resolveEndpoint(url, allowPrivate) {
+  const host = url.hostname.replace(/^\[|\]$/g, '')
+
+  if (!allowPrivate && isPrivateHost(host)) {
+    throw new Error('Endpoint is a local or private network address')
+  }
+
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true })
+
+  if (!allowPrivate && addresses.some(({ address }) => isPrivateAddress(address.toLowerCase()))) {
+    throw new Error('Endpoint resolves to a local or private network address')
+  }
+
+  return addresses[0]
+}
+
+// POST a body to a URL, connecting only to the given address. Resolves with
+// the response status; redirects are not followed and the body is discarded.
+function post(url, { address, family }, headers, body, timeoutMs) {
+  const client = url.protocol === 'https:' ? https : http
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: (hostname, options, callback) => options.all
+        ? callback(null, [{ address, family }])
+        : callback(null, address, family)
+    }, response => {
+      response.resume()
+      clearTimeout(timer)
+      resolve(response.statusCode)
+    })
+
+    const timer = setTimeout(() => {
+      request.destroy(new Error(`No response within ${timeoutMs}ms`))
+    }, timeoutMs)
+
+    request.on('error', err => {
+      clearTimeout(timer)
+      reject(err)
+    })
+
+    request.end(body)
+  })
+}
+
+// Delay before retry number `attempt` (1 = the first retry)
+export function getRetryDelay(attempt, baseDelayMs = DEFAULT_RETRY_DELAY_MS) {
+  return Math.min(baseDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS)
+}
+
+// db is the app's repositories (createRepositories),
+// options: { maxAttempts, retryDelayMs, timeoutMs, allowPrivate }
+export function createWebhookDispatcher(db, {
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  allowPrivate = false
+} = {}) {
+  // Active endpoints that want an event: the seller's own, plus platform ones
+  async function findSubscribers(event, sellerId) {
+    const { data, error } = await db.webhookEndpoints.findSubscribers(event, sellerId)
+
+    if (error) throw error
+    return data
+  }
+
+  // Take a due delivery for this worker, null if another one got it first
+  async function claim(deliveryId) {
+    const { data, error } = await db.webhookDeliveries.claim(
+      deliveryId,
+      new Date(Date.now() + CLAIM_MS).toISOString()
+    )
+
+    if (error) throw error
+    return data
+  }
+
+  // One attempt at sending a claimed delivery, recording how it went
+  async function attempt(delivery) {
+    const endpoint = delivery.webhook_endpoints
+    const attempts = delivery.attempts + 1
+    const result = { response_status: null, error: null }
+
+    if (!endpoint?.is_active) {
+      result.error = 'Endpoint is disabled'
+    } else {
+      const body = JSON.stringify(delivery.payload)
+
+      try {
+        const url = new URL(endpoint.url)
+        const status = await post(url, await resolveEndpoint(url, allowPrivate), {
+          'Content-Type': 'application/json',
+          'User-Agent': 'GoBuy-Webhooks/1.0',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Signature': signWebhookPayload(endpoint.secret, body)
+        }, body, timeoutMs)
+
+        result.response_status = status
+        if (status < 200 || status >= 300) result.error = `Endpoint responded with ${status}`
+      } catch (err) {
+        result.error = err.message
+      }
+    }
+
+    const succeeded = !result.error
+    const givesUp = !succeeded && (attempts >= maxAttempts || !endpoint?.is_active)
+    const now = new Date()
+
+    const { data, error } = await db.webhookDeliveries.update(delivery.id, {
+      ...result,
+      attempts,
+      status: succeeded ? 'succeeded' : givesUp ? 'failed' : 'pending',
+      last_attempt_at: now.toISOString(),
+      delivered_at: succeeded ? now.toISOString() : null,
+      next_attempt_at: succeeded || givesUp
+        ? null
+        : new Date(now.getTime() + getRetryDelay(attempts, retryDelayMs)).toISOString()
+    })
+
+    if (error) throw error
+    return data
+  }
+
+  async function send(deliveryId) {
+    const delivery = await claim(deliveryId)
+    return delivery ? attempt(delivery) : null
+  }
+
+  // Queue an event for every subscribed endpoint and send it. Resolves once
+  // the first attempts are done; returns the deliveries.
+  async function emit(event, data, { sellerId } = {}) {
+    if (!WEBHOOK_EVENTS.includes(event)) throw new Error(`Unknown webhook event "${event}"`)
+
+    const endpoints = await findSubscribers(event, sellerId)
+    if (endpoints.length === 0) return []
+
+    const payload = { id: crypto.randomUUID(), type: event, created_at: new Date().toISOString(), data }
+
+    const { data: deliveries, error } = await db.webhookDeliveries.insert(endpoints.map(endpoint => ({
+      endpoint_id: endpoint.id,
+      event_id: payload.id,
+      event,
+      payload
+    })))
+
+    if (error) throw error
+
+    return Promise.all(deliveries.map(delivery => send(delivery.id)))
+  }
+
+  // Retry deliveries whose backoff has run out. Returns how many were attempted.
+  async function processDue() {
+    const { data, error } = await db.webhookDeliveries.listDue(DUE_BATCH_SIZE)
+
+    if (error) throw error
+
+    const sent = await Promise.all(data.map(delivery => send(delivery.id)))
+    return sent.filter(Boolean).length
+  }
+
+  // Send a delivery again now, whatever its status. Its attempts start over.
+  async function redeliver(deliveryId) {
+    const { error } = await db.webhookDeliveries.update(deliveryId, {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString()
+    })
+
+    if (error) throw error
+    return send(deliveryId)
+  }
+
+  return { emit, processDue, redeliver }
+}
@@ -2,6 +2,78 @@ import { createClient } from '@supabase/supabase-js'
 import express from 'express'
 import dotenv from 'dotenv'
 import cors from 'cors'
+import crypto from 'crypto'
+import multer from 'multer'
+import {
+  COUPON_TYPES,
+  calculateCouponDiscount,
+  getCouponProblem,
+  getUsageProblem
+} from './lib/coupons.js'
+import { calculateCartTotals, loadPricingRules } from './lib/pricing.js'
+import {
+  BASE_CURRENCY,
+  CURRENCIES,
+  CURRENCY_CODES,
+  convertMinor,
+  fitsMinorUnit,
+  fromMinor,
+  toMinor,
+  toMoney,
+  toRateMap
+} from './lib/currency.js'
+import { createGuestToken, verifyGuestToken } from './lib/guest-token.js'
+import { parseCsv, toCsv } from './lib/csv.js'
+import { MAX_IMAGE_BYTES, getImageProblem, imageFiles, processImage, storeImage } from './lib/images.js'
+import { createStorage } from './lib/storage.js'
+import { createRepositories } from './lib/data/index.js'
+import { createTokenVerifier } from './lib/auth-tokens.js'
+import { createAuthCookies, needsCsrfHeader } from './lib/auth-cookies.js'
+import { apiNotFound, createErrorFormatter, createErrorHandler } from './lib/errors.js'
+import {
+  any,
+  array,
+  boolean,
+  check,
+  date,
+  email,
+  integer,
+  number,
+  object,
+  oneOf,
+  string,
+  url,
+  uuid,
+  validate
+} from './lib/validation.js'
+import {
+  createLoginLockout,
+  createMemoryRateLimitStore,
+  createRateLimiter,
+  loadRateLimits
+} from './lib/rate-limit.js'
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_SCOPES,
+  createWebhookDispatcher,
+  createWebhookSecret,
+  getWebhookUrlProblem
+} from './lib/webhooks.js'
+import {
+  buildOpenApiSpec,
+  findUndocumentedRoutes,
+  findUnknownDocs,
+  listRoutes,
+  renderDocsPage
+} from './lib/openapi.js'
+import { API_DOCS, API_SCHEMAS, API_SECURITY_SCHEMES } from './lib/api-docs.js'
+import {
+  V1_DEPRECATED_AT,
+  createDeprecationHeaders,
+  createEnvelope,
+  envelopeSchema,
+  loadApiVersions
+} from './lib/api-versions.js'
 
 // Load environment variables
 dotenv.config()
@@ -10,55 +82,4755 @@ const supabaseUrl = process.env.SUPABASE_URL
 const supabaseAdminKey = process.env.SUPABASE_SERVICE_KEY
 const supabaseClientKey = process.env.SUPABASE_ANON_KEY
 const FRONTEND_URL = process.env.FRONTEND_URL
+// Where products, carts, profiles and auth live: 'supabase' or 'memory'
+const DATA_BACKEND = process.env.DATA_BACKEND || 'supabase'
+// Lets access tokens be verified locally. Without it in memory mode a random
+// one is used, so tokens only outlive the process with an explicit secret.
+const JWT_SECRET = process.env.SUPABASE_JWT_SECRET ||
+  (DATA_BACKEND === 'memory' ? crypto.randomBytes(32).toString('hex') : undefined)
+// Server errors carry the underlying error message (details) only outside
+// production, or with EXPOSE_ERROR_DETAILS=true
+const EXPOSE_ERROR_DETAILS = process.env.EXPOSE_ERROR_DETAILS
+  ? process.env.EXPOSE_ERROR_DETAILS === 'true'
+  : process.env.NODE_ENV !== 'production'
+// Signs guest cart tokens; falls back to the service key so it's never unset
+const GUEST_TOKEN_SECRET = process.env.GUEST_TOKEN_SECRET || supabaseAdminKey || crypto.randomBytes(32).toString('hex')
 
-if (!supabaseUrl || !supabaseAdminKey) {
+if (DATA_BACKEND === 'supabase' && (!supabaseUrl || !supabaseAdminKey)) {
   console.error('Missing required environment variables! Supabase URL or Service Key')
   process.exit(1)
 }
 
-const supabase = createClient(supabaseUrl, supabaseAdminKey)
+// Shipping and tax rules, see lib/pricing.js for the format
+let pricingRules
+try {
+  pricingRules = loadPricingRules(process.env.PRICING_RULES)
+} catch (err) {
+  console.error('Invalid PRICING_RULES:', err.message)
+  process.exit(1)
+}
+
+// Carting an item holds its stock for CART_HOLD_MINUTES (15 by default), so
+// nobody else can cart the same units. Expired holds are released every
+// CART_HOLD_SWEEP_SECONDS.
+const CART_HOLD_SECONDS = (Number(process.env.CART_HOLD_MINUTES) || 15) * 60
+const CART_HOLD_SWEEP_SECONDS = Number(process.env.CART_HOLD_SWEEP_SECONDS) || 60
+// Guests get tokens for free, so a guest cart line holds at most
+// GUEST_CART_MAX_QUANTITY units; signing in lifts the cap
+const GUEST_CART_MAX_QUANTITY = Number(process.env.GUEST_CART_MAX_QUANTITY) || 10
+
+// Deleting an account (DELETE /api/auth/profile) waits ACCOUNT_DELETION_GRACE_DAYS
+// (14 by default) so it can be cancelled. Accounts whose wait is over are
+// deleted every ACCOUNT_DELETION_SWEEP_MINUTES.
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14
+const ACCOUNT_DELETION_SWEEP_MINUTES = Number(process.env.ACCOUNT_DELETION_SWEEP_MINUTES) || 60
+
+// Exchange rates are read for most product and cart requests, so they are
+// cached for EXCHANGE_RATE_CACHE_SECONDS (60 by default). Updating them
+// through the admin API clears the cache.
+const EXCHANGE_RATE_CACHE_SECONDS = Number(process.env.EXCHANGE_RATE_CACHE_SECONDS) || 60
+
+// Rate limits and login lockouts for auth routes (and guest carts), see
+// lib/rate-limit.js for the AUTH_RATE_LIMITS format
+let rateLimits
+try {
+  rateLimits = loadRateLimits(process.env.AUTH_RATE_LIMITS)
+} catch (err) {
+  console.error('Invalid AUTH_RATE_LIMITS:', err.message)
+  process.exit(1)
+}
+
+// Which API versions are mounted (API_VERSIONS, all of them by default) and
+// when v1 is switched off (API_V1_SUNSET), see lib/api-versions.js
+let apiVersions
+try {
+  apiVersions = loadApiVersions({
+    versions: process.env.API_VERSIONS,
+    v1Sunset: process.env.API_V1_SUNSET
+  })
+} catch (err) {
+  console.error('Invalid API version config:', err.message)
+  process.exit(1)
+}
+
+// Used by the supabase data backend and STORAGE_DRIVER=supabase, with
+// DATA_BACKEND=memory it points at a local Supabase if configured. It never
+// holds a session, so it always acts as the service role.
+const supabase = createClient(supabaseUrl || 'http://localhost:54321', supabaseAdminKey || 'memory', {
+  auth: { persistSession: false, autoRefreshToken: false }
+})
+
+// Everything the API stores, see lib/data/index.js
+let db
+try {
+  db = createRepositories({
+    backend: DATA_BACKEND,
+    supabase,
+    url: supabaseUrl,
+    anonKey: supabaseClientKey,
+    jwtSecret: JWT_SECRET,
+    seedFile: process.env.DATA_SEED_FILE
+  })
+} catch (err) {
+  console.error('Invalid data backend config:', err.message)
+  process.exit(1)
+}
+
+// Checks Bearer tokens for the authentication middleware, see lib/auth-tokens.js.
+// HS256 tokens need SUPABASE_JWT_SECRET, asymmetric ones use the project's JWKS
+// (SUPABASE_JWKS_URL to override); anything else is asked of Supabase Auth and
+// cached for AUTH_CACHE_TTL_MS.
+const tokenVerifier = createTokenVerifier({
+  jwtSecret: JWT_SECRET,
+  jwksUrl: DATA_BACKEND === 'supabase'
+    ? process.env.SUPABASE_JWKS_URL || `${supabaseUrl.replace(/\/$/, '')}/auth/v1/.well-known/jwks.json`
+    : undefined,
+  issuer: DATA_BACKEND === 'supabase'
+    ? process.env.SUPABASE_JWT_ISSUER || `${supabaseUrl.replace(/\/$/, '')}/auth/v1`
+    : undefined,
+  getUser: token => db.auth.getUser(token),
+  cacheTtlMs: Number(process.env.AUTH_CACHE_TTL_MS) || undefined
+})
+
+// Login sessions in httpOnly cookies instead of the JSON body, when
+// AUTH_COOKIES=true. AUTH_COOKIE_SAME_SITE (lax by default) has to be none
+// for a frontend on another site; see lib/auth-cookies.js.
+let authCookies
+try {
+  authCookies = createAuthCookies({
+    enabled: process.env.AUTH_COOKIES === 'true',
+    sameSite: process.env.AUTH_COOKIE_SAME_SITE || undefined,
+    secure: process.env.AUTH_COOKIE_SECURE ? process.env.AUTH_COOKIE_SECURE === 'true' : undefined
+  })
+} catch (err) {
+  console.error('Invalid auth cookie config:', err.message)
+  process.exit(1)
+}
+
+// Outbound webhooks, see lib/webhooks.js. Failed deliveries are retried
+// WEBHOOK_MAX_ATTEMPTS times in all, backing off from WEBHOOK_RETRY_SECONDS.
+// Lets webhooks point at localhost and private networks, for development
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+const webhooks = createWebhookDispatcher(db, {
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || undefined,
+  retryDelayMs: (Number(process.env.WEBHOOK_RETRY_SECONDS) || 30) * 1000,
+  allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS
+})
+// How often failed deliveries are checked for a retry
+const WEBHOOK_POLL_SECONDS = Number(process.env.WEBHOOK_POLL_SECONDS) || 15
+
+// Where uploaded images go: STORAGE_DRIVER=local (default, files in UPLOAD_DIR
+// served at /uploads) or STORAGE_DRIVER=supabase (public STORAGE_BUCKET)
+let storage
+try {
+  storage = createStorage(supabase, {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    directory: process.env.UPLOAD_DIR || 'uploads',
+    publicPath: `${process.env.PUBLIC_URL || ''}/uploads`,
+    bucket: process.env.STORAGE_BUCKET
+  })
+} catch (err) {
+  console.error('Invalid storage config:', err.message)
+  process.exit(1)
+}
+
+// Uploads are kept in memory until they have been checked and resized
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES }
+})
+
+const app = express()
+
+// Behind a proxy or load balancer, set TRUST_PROXY (a hop count or true) so
+// req.ip, which rate limits are keyed by, is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY)
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true')
+}
+
+// Every error response gets a code, and server errors lose their details in
+// production, see lib/errors.js
+app.use(createErrorFormatter({ exposeDetails: EXPOSE_ERROR_DETAILS }))
+
+// Middleware CORS
+app.use(cors({
+  origin: [
+    'https://gobuy-frontend.vercel.app',
+    'localhost:5173',
+    'http://localhost:5173',
+  ],
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 
+    'Authorization', 
+    'X-Requested-With',
+    'Accept',
+    'Origin',
+    'X-Guest-Token'
+  ],
+  exposedHeaders: [
+    'X-Guest-Token',
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After',
+    'Deprecation',
+    'Sunset',
+    'Link',
+    'X-Total-Count',
+    'X-Next-Cursor'
+  ]
+}))
+
+app.options('*', cors())
+// Bulk imports can be far bigger than the default 100kb body limit
+app.use(
+  ['/api/my-products/import', '/api/v1/my-products/import', '/api/v2/me/products/import'],
+  express.json({ limit: '5mb' }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' })
+)
+app.use(express.json())
+app.use(express.urlencoded({ extended: true }))
+
+if (storage.driver === 'local') {
+  app.use('/uploads', express.static(storage.root, { maxAge: '7d' }))
+}
+
+// Authentication for every API route. A valid Bearer token (or access token
+// cookie, see authCookies) puts the user on req.user (and the token on
+// req.token); a bad one is kept in req.authError so routes that need a login
+// can turn it away with requireAuth, while public routes still work.
+// Suspended users are turned away here.
+app.use('/api', async (req, res, next) => {
+  const headerToken = req.headers.authorization?.split(' ')[1]
+  const token = headerToken || authCookies.accessToken(req)
+
+  if (!token) return next()
+
+  if (!headerToken && needsCsrfHeader(req)) {
+    return res.status(403).json({
+      error: 'Requests signed in by cookie need an X-Requested-With header',
+      code: 'CSRF_HEADER_REQUIRED'
+    })
+  }
+
+  try {
+    const { user, error } = await tokenVerifier.verify(token)
+
+    if (error) {
+      req.authError = error
+      return next()
+    }
+
+    const suspension = await getSuspension(user.id)
+
+    if (suspension) {
+      return res.status(403).json({ 
+        error: 'Your account has been suspended',
+        code: 'ACCOUNT_SUSPENDED',
+        reason: suspension.reason
+      })
+    }
+
+    req.user = user
+    req.token = token
+    next()
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Route guard: the request must come from a signed-in user
+function requireAuth(req, res, next) {
+  if (req.user) return next()
+
+  if (req.authError) {
+    return res.status(401).json({ 
+      error: 'Invalid or expired token',
+      code: 'INVALID_TOKEN',
+      details: req.authError.message 
+    })
+  }
+
+  return res.status(401).json({ error: 'No token provided', code: 'AUTH_REQUIRED' })
+}
+
+// Route guard: the signed-in user must have a role, e.g. requireRole('admin').
+// Goes after requireAuth.
+function requireRole(role) {
+  const guard = async (req, res, next) => {
+    try {
+      if (await hasRole(req.user, role)) return next()
+
+      return res.status(403).json({ 
+        error: `${role.charAt(0).toUpperCase()}${role.slice(1)} access required`,
+        code: 'FORBIDDEN'
+      })
+    } catch (err) {
+      return res.status(500).json({
+        error: 'Internal server error',
+        details: err.message
+      })
+    }
+  }
+
+  // Shown in the API docs
+  guard.role = role
+  return guard
+}
+
+// Route guard: the signed-in user must be the seller of product :id. The
+// product is left on req.product; action goes into the 403 message
+// ("You can only <action> your own products"). Goes after requireAuth.
+function requireProductOwner(action) {
+  return async (req, res, next) => {
+    try {
+      const { data: product, error } = await db.products.findById(req.params.id, {
+        columns: 'id, seller_id, title, moderated_at, stock_quantity, price, currency'
+      })
+
+      if (error || !product) {
+        return res.status(404).json({ error: 'Product not found', code: 'PRODUCT_NOT_FOUND' })
+      }
+
+      if (product.seller_id !== req.user.id) {
+        return res.status(403).json({ error: `You can only ${action} your own products`, code: 'FORBIDDEN' })
+      }
+
+      req.product = product
+      next()
+    } catch (err) {
+      return res.status(500).json({
+        error: 'Internal server error',
+        details: err.message
+      })
+    }
+  }
+}
+
+// Suspension checks are cached briefly, suspending through the admin API
+// clears the cache entry straight away
+const SUSPENSION_CACHE_MS = 30 * 1000
+const SUSPENSION_BAN_DURATION = '876000h' // 100 years, until lifted
+const suspensionCache = new Map()
+
+// Helper function to get a user's suspension, or null if they're not suspended
+async function getSuspension(userId) {
+  const cached = suspensionCache.get(userId)
+  if (cached && cached.expiresAt > Date.now()) return cached.suspension
+
+  const { data: profile, error } = await db.profiles.findById(userId, 'is_suspended, suspension_reason')
+
+  if (error) throw error
+
+  const suspension = profile?.is_suspended ? { reason: profile.suspension_reason } : null
+
+  if (suspensionCache.size > 10000) suspensionCache.clear()
+  suspensionCache.set(userId, { suspension, expiresAt: Date.now() + SUSPENSION_CACHE_MS })
+
+  return suspension
+}
+
+// CURRENCIES
+// Products are listed and charged in their own currency; buyers can have
+// prices converted for display, see lib/currency.js
+let exchangeRateCache = null
+
+// Helper function to get the exchange rates as a map like { USD: 1, EUR: 0.92 }.
+// If they can't be read only the base currency is there, so nothing else converts.
+async function getExchangeRates() {
+  if (exchangeRateCache && exchangeRateCache.expiresAt > Date.now()) return exchangeRateCache.rates
+
+  const { data, error } = await db.exchangeRates.list('currency, rate')
+
+  if (error) {
+    console.error('Failed to load exchange rates:', error.message)
+  }
+
+  const rates = toRateMap(data)
+  exchangeRateCache = { rates, expiresAt: Date.now() + EXCHANGE_RATE_CACHE_SECONDS * 1000 }
+
+  return rates
+}
+
+// Query param for routes showing prices: the currency to show them in
+const CURRENCY_QUERY = {
+  currency: oneOf(CURRENCY_CODES, { description: 'Show prices converted to this currency' }).optional()
+}
+
+// Helper function to work out the currency a buyer wants prices shown in:
+// ?currency=, else the one in their profile. Returns { currency, rates },
+// currency being null when prices stay in each listing's own.
+async function getPriceDisplay(req) {
+  let currency = req.query.currency || null
+
+  if (!currency && req.user) {
+    const { data: profile } = await db.profiles.findById(req.user.id, 'currency')
+    currency = profile?.currency || null
+  }
+
+  return { currency, rates: currency ? await getExchangeRates() : {} }
+}
+
+// Helper function to drop the columns a product row keeps for the database's
+// own use (price_base, which only sorts and filters by price) before it is
+// sent to a client or a webhook
+function withoutInternalColumns(product) {
+  if (!product) return product
+
+  const { price_base: _priceBase, ...rest } = product
+  return rest
+}
+
+// Helper function to add integer prices to a product and its variants:
+// price_minor in the listing currency and, when a display currency is given,
+// display_price ({ currency, amount, amount_minor }, null without a rate)
+function withPrices(product, display = {}) {
+  if (!product || product.price == null) return withoutInternalColumns(product)
+
+  const currency = product.currency || BASE_CURRENCY
+
+  const priceFields = price => {
+    const minor = toMinor(price, currency)
+    const converted = display.currency && convertMinor(minor, currency, display.currency, display.rates)
+
+    return {
+      price_minor: minor,
+      ...(display.currency && {
+        display_price: converted === null ? null : toMoney(converted, display.currency)
+      })
+    }
+  }
+
+  const withVariantPrices = variants => variants.map(variant =>
+    variant.price == null ? { ...variant, price_minor: null } : { ...variant, ...priceFields(variant.price) }
+  )
+
+  return {
+    ...withoutInternalColumns(product),
+    currency,
+    ...priceFields(product.price),
+    ...(product.variants && { variants: withVariantPrices(product.variants) }),
+    ...(product.product_variants && { product_variants: withVariantPrices(product.product_variants) })
+  }
+}
+
+// Helper function to check a product's price and its variants' fit the
+// listing currency (no cents on JPY). Returns an error message or null.
+function getPriceProblem({ price, variants = [] }, currency) {
+  const prices = [price, ...variants.map(variant => variant.price)].filter(value => value != null)
+
+  if (prices.every(value => fitsMinorUnit(value, currency))) return null
+
+  return CURRENCIES[currency] === 0
+    ? `${currency} prices must be whole numbers`
+    : `${currency} prices can have at most ${CURRENCIES[currency]} decimals`
+}
+
+// API VERSIONS
+// Every route below is registered on v1, which keeps the original paths and
+// response shapes and is served at /api/v1 and (for older clients) /api. v2
+// mounts the same handlers under its own paths, see V2_ROUTES further down.
+const v1 = express.Router()
+
+v1.use(createDeprecationHeaders({
+  deprecatedAt: V1_DEPRECATED_AT,
+  sunset: apiVersions.v1Sunset,
+  link: apiVersions.mounted.includes('v2') ? '</api/v2/docs>; rel="deprecation"; type="text/html"' : undefined
+}))
+
+// API CALLS TO SUPABASE
+// Sort options for the product listing. Prices are compared in
+// BASE_CURRENCY (price_base), listings without an exchange rate come last.
+const PRODUCT_SORTS = {
+  newest: { column: 'created_at', ascending: false },
+  oldest: { column: 'created_at', ascending: true },
+  price_asc: { column: 'price_base', ascending: true },
+  price_desc: { column: 'price_base', ascending: false },
+  title: { column: 'title', ascending: true }
+}
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+// Route params for routes on a single record
+const ID_PARAMS = object({ id: uuid() })
+
+// Query params read by parsePaginationQuery
+const PAGINATION_FIELDS = {
+  limit: integer({ min: 1, max: MAX_PAGE_SIZE }).optional(),
+  page: integer({ min: 1 }).optional(),
+  cursor: string().optional()
+}
+
+// Query params read by parseProductListQuery
+const PRODUCT_LIST_FIELDS = {
+  q: string().optional(),
+  search: string().optional(),
+  category: string().optional(),
+  // In the currency prices are shown in (BASE_CURRENCY if none), compared
+  // with each listing's price converted; listings without a rate are left out
+  min_price: number({ min: 0, description: 'In the currency prices are shown in, see currency' }).optional(),
+  max_price: number({ min: 0, description: 'In the currency prices are shown in, see currency' }).optional(),
+  in_stock: boolean().optional(),
+  is_active: oneOf(['true', 'false', '1', '0', 'all'], { message: 'must be true, false or all' }).optional(),
+  sort: oneOf(Object.keys(PRODUCT_SORTS)).optional(),
+  // Send { products, pagination } instead of the bare array
+  with_pagination: boolean().optional(),
+  ...CURRENCY_QUERY,
+  ...PAGINATION_FIELDS
+}
+
+// Product fields sellers can set, shared by create, update and bulk import
+const PRODUCT_FIELDS = {
+  title: string({ min: 1 }),
+  description: string({ min: 1 }),
+  price: number({ min: 0 }),
+  // Defaults to BASE_CURRENCY; variant prices are in it too
+  currency: oneOf(CURRENCY_CODES).optional(),
+  stock_quantity: integer({ min: 0 }).optional(),
+  // Kilograms, used for shipping
+  weight_kg: number({ min: 0 }).optional(),
+  image_url: url({ allowEmpty: true }).nullable().optional(),
+  category: string().nullable().optional(),
+  sku: string({ max: 64 }).nullable().optional(),
+  is_active: boolean().optional(),
+  // null (or empty) uses the default threshold asked for in /api/seller-stats
+  low_stock_threshold: integer({ min: 0 }).nullable().optional()
+}
+
+// Limits for product options and variants
+const MAX_PRODUCT_OPTIONS = 3
+const MAX_PRODUCT_VARIANTS = 100
+
+// Options look like { name: 'Size', values: ['S', 'M'] }, variants like
+// { id?, sku, options: { Size: 'M' }, price?, stock_quantity, is_active? }.
+// How they fit together is checked by parseVariantInput.
+const PRODUCT_VARIANT_FIELDS = {
+  options: array(object({
+    name: string({ min: 1, max: 50 }),
+    values: array(any(), { min: 1 })
+  }), { max: MAX_PRODUCT_OPTIONS }).optional(),
+  variants: array(object({
+    id: uuid().optional(),
+    sku: string({ min: 1, max: 64 }),
+    options: object({}).optional(),
+    price: number({ min: 0 }).nullable().optional(),
+    stock_quantity: integer({ min: 0 }).default(0),
+    is_active: boolean().optional()
+  }), { max: MAX_PRODUCT_VARIANTS }).optional()
+}
+
+// Get all products (search, filter, sort and paginate with query params)
+v1.get('/posts', validate({ query: object(PRODUCT_LIST_FIELDS) }), async (req, res) => {
+  try {
+    const { options, error: queryError } = parseProductListQuery(req.query)
+
+    if (queryError) {
+      return res.status(400).json({ error: queryError, code: 'VALIDATION_ERROR' })
+    }
+
+    // Inactive listings are only shown to their seller, or to admins
+    if (options.isActive !== true && !(req.user && await hasRole(req.user, 'admin'))) {
+      if (!req.user) {
+        return res.status(401).json({ 
+          error: 'Sign in to list inactive products',
+          code: 'AUTH_REQUIRED'
+        })
+      }
+
+      options.sellerId = req.user.id
+    }
+
+    const display = await getPriceDisplay(req)
+    const { range, failure } = toBasePriceRange(options, display)
+
+    if (failure) {
+      const { status, ...body } = failure
+      return res.status(status).json(body)
+    }
+
+    const { data, error, count } = await db.products.list({
+      ...options,
+      ...range,
+      sort: PRODUCT_SORTS[options.sort]
+    })
+  
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch products',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    const products = (data || []).map(product => withPrices(product, display))
+    const pagination = buildPagination(options, count)
+
+    // v1 sends the bare array it always has, with the pagination in headers
+    // (or in the body with ?with_pagination=true); v2 puts it in meta
+    res.set({
+      'X-Total-Count': String(pagination.total),
+      ...(pagination.nextCursor && { 'X-Next-Cursor': pagination.nextCursor })
+    })
+
+    if (req.query.with_pagination || res.locals.envelope) {
+      return res.json({ products, pagination })
+    }
+
+    res.json(products)
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal error',
+      details: err.message
+    })
+  }
+})
+
+// Number of related products shown on a product page
+const RELATED_PRODUCTS_LIMIT = 4
+
+// Get a single product with its seller and related products
+v1.get('/posts/:id', validate({ params: ID_PARAMS, query: object(CURRENCY_QUERY) }), async (req, res) => {
+  try {
+    const { product, error } = await getProductWithVariants(req.params.id, { activeVariantsOnly: true })
+
+    // Malformed ids come back as a query error, treat them as unknown too
+    if (error || !product || !product.is_active) {
+      return res.status(404).json({ 
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      })
+    }
+
+    // Public seller summary only, never the whole profile
+    const { data: profile } = await db.profiles.findById(product.seller_id, 'username, avatar_url')
+
+    let related = []
+    if (product.category) {
+      const { data: relatedProducts } = await db.products.list({
+        category: product.category,
+        isActive: true,
+        excludeId: product.id,
+        sort: PRODUCT_SORTS.newest,
+        limit: RELATED_PRODUCTS_LIMIT,
+        columns: 'id, title, price, currency, image_url, category, stock_quantity'
+      })
+
+      related = relatedProducts || []
+    }
+
+    const display = await getPriceDisplay(req)
+    
+    res.json({
+      product: withPrices(product, display),
+      seller: {
+        id: product.seller_id,
+        username: profile?.username || null,
+        avatar_url: profile?.avatar_url || null
+      },
+      related: related.map(relatedProduct => withPrices(relatedProduct, display))
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal error',
+      details: err.message
+    })
+  }
+})
+
+// Add new product
+v1.post('/posts', requireAuth, validate({
+  body: object({ ...PRODUCT_FIELDS, ...PRODUCT_VARIANT_FIELDS })
+}), async(req, res) => {
+  const user = req.user
+  const token = req.token
+
+  const { options, variants } = req.body
+  const fields = toProductFields(req.body)
+
+  // Optional size/color/etc. variants, each with its own SKU, price and stock
+  let variantInput = null
+  if (options !== undefined || variants !== undefined) {
+    variantInput = parseVariantInput({ options, variants })
+
+    if (variantInput.error) {
+      return res.status(400).json({ error: variantInput.error, code: 'VALIDATION_ERROR' })
+    }
+  }
+
+  const newProduct = {
+    seller_id: user.id,
+    image_url: null,
+    category: null,
+    stock_quantity: 0,
+    weight_kg: 0,
+    currency: BASE_CURRENCY,
+    is_active: true,
+    ...fields
+  }
+
+  const priceProblem = getPriceProblem({ price: newProduct.price, variants: variantInput?.variants }, newProduct.currency)
+
+  if (priceProblem) {
+    return res.status(400).json({ error: priceProblem, code: 'VALIDATION_ERROR' })
+  }
+
+  try {
+    // Insert with the user's token so row level security applies
+    const { data, error } = await db.products.create(newProduct, { token })
+
+    // SKUs are unique per seller
+    if (error?.code === '23505') {
+      return res.status(409).json({ 
+        error: 'You already have a product with this SKU',
+        code: 'SKU_TAKEN'
+      })
+    }
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to create product',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    if (!data || data.length === 0) {
+      return res.status(500).json({ 
+        error: 'Product creation failed - no data returned',
+        code: 'DATABASE_ERROR'
+      })
+    }
+
+    if (!variantInput) {
+      emitWebhookEvent('product.created', user.id, { product: withoutInternalColumns(data[0]) })
+
+      return res.status(201).json({
+        message: 'Product created successfully',
+        product: withPrices(data[0])
+      })
+    }
+
+    try {
+      await saveProductVariants(data[0].id, variantInput)
+    } catch (variantError) {
+      // Don't leave a half-created product behind
+      await db.products.remove(data[0].id)
+
+      const skuTaken = variantError.code === '23505'
+      return res.status(skuTaken ? 409 : 500).json({ 
+        error: skuTaken ? 'A variant SKU is already in use' : 'Failed to create product variants',
+        code: skuTaken ? 'SKU_TAKEN' : 'DATABASE_ERROR',
+        ...(!skuTaken && { details: variantError.message })
+      })
+    }
+
+    const { product } = await getProductWithVariants(data[0].id)
+
+    emitWebhookEvent('product.created', user.id, { product: withoutInternalColumns(product || data[0]) })
+    
+    res.status(201).json({
+      message: 'Product created successfully',
+      product: withPrices(product)
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// REVIEW ENDPOINTS
+const MAX_REVIEW_LENGTH = 2000
+
+const REVIEW_FIELDS = {
+  rating: integer({ min: 1, max: 5 }),
+  body: string({ max: MAX_REVIEW_LENGTH }).default('')
+}
+
+const REVIEW_PARAMS = object({ id: uuid(), reviewId: uuid() })
+
+// Get reviews for a product
+v1.get('/posts/:id/reviews', validate({
+  params: ID_PARAMS,
+  query: object(PAGINATION_FIELDS)
+}), async (req, res) => {
+  try {
+    const { pagination, error: queryError } = parsePaginationQuery(req.query)
+
+    if (queryError) {
+      return res.status(400).json({ error: queryError, code: 'VALIDATION_ERROR' })
+    }
+
+    const { limit, offset } = pagination
+
+    const { data: product, error: productError } = await db.products.findById(req.params.id, { columns: 'id, average_rating, review_count' })
+
+    if (productError || !product) {
+      return res.status(404).json({ 
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      })
+    }
+
+    const { data, error, count } = await db.reviews.list(product.id, { limit, offset })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch reviews',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    // Attach the public part of each reviewer's profile
+    const reviewerIds = [...new Set((data || []).map(review => review.user_id))]
+    let profilesById = {}
+
+    if (reviewerIds.length > 0) {
+      const { data: profiles } = await db.profiles.findByIds(reviewerIds, 'id, username, avatar_url')
+
+      profilesById = Object.fromEntries((profiles || []).map(profile => [profile.id, profile]))
+    }
+    
+    res.json({
+      reviews: (data || []).map(review => ({
+        ...review,
+        reviewer: {
+          id: review.user_id,
+          username: profilesById[review.user_id]?.username || null,
+          avatar_url: profilesById[review.user_id]?.avatar_url || null
+        }
+      })),
+      average_rating: product.average_rating,
+      review_count: product.review_count,
+      pagination: buildPagination(pagination, count)
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal error',
+      details: err.message
+    })
+  }
+})
+
+// Add a review to a product
+v1.post('/posts/:id/reviews', requireAuth, validate({
+  params: ID_PARAMS,
+  body: object(REVIEW_FIELDS)
+}), async (req, res) => {
+  try {
+    const user = req.user
+
+    const productId = req.params.id
+    const { rating, body } = req.body
+
+    const { data: product, error: productError } = await db.products.findById(productId, { columns: 'id, seller_id, title' })
+
+    if (productError || !product) {
+      return res.status(404).json({ 
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      })
+    }
+
+    if (product.seller_id === user.id) {
+      return res.status(403).json({ 
+        error: 'You cannot review your own product',
+        code: 'FORBIDDEN'
+      })
+    }
+
+    const { data, error } = await db.reviews.create({
+      product_id: product.id,
+      user_id: user.id,
+      rating,
+      body
+    })
+
+    if (error) {
+      // Unique (product_id, user_id) violation
+      if (error.code === '23505') {
+        return res.status(409).json({ 
+          error: 'You have already reviewed this product',
+          code: 'REVIEW_EXISTS',
+          suggestion: 'Edit your existing review instead'
+        })
+      }
+
+      return res.status(500).json({ 
+        error: 'Failed to add review',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    res.status(201).json({
+      message: `Review added for "${product.title}"`,
+      review: data[0]
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Update a review (author only)
+v1.put('/posts/:id/reviews/:reviewId', requireAuth, validate({
+  params: REVIEW_PARAMS,
+  body: object(REVIEW_FIELDS).partial()
+}), async (req, res) => {
+  try {
+    const user = req.user
+
+    const { id: productId, reviewId } = req.params
+    const { rating, body } = req.body
+
+    if (rating === undefined && body === undefined) {
+      return res.status(400).json({ 
+        error: 'Nothing to update: provide rating and/or body',
+        code: 'VALIDATION_ERROR'
+      })
+    }
+
+    const { data: review, error: reviewError } = await db.reviews.findById(productId, reviewId, 'id, user_id')
+
+    if (reviewError || !review) {
+      return res.status(404).json({ 
+        error: 'Review not found',
+        code: 'REVIEW_NOT_FOUND'
+      })
+    }
+
+    if (review.user_id !== user.id) {
+      return res.status(403).json({ 
+        error: 'You can only edit your own reviews',
+        code: 'FORBIDDEN'
+      })
+    }
+
+    const updates = {
+      updated_at: new Date().toISOString()
+    }
+
+    if (rating !== undefined) updates.rating = rating
+    if (body !== undefined) updates.body = body
+
+    // Double-check ownership
+    const { data, error } = await db.reviews.update(reviewId, updates, { userId: user.id })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to update review',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    res.json({
+      message: 'Review updated successfully',
+      review: data[0]
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Delete a review (author only)
+v1.delete('/posts/:id/reviews/:reviewId', requireAuth, validate({ params: REVIEW_PARAMS }), async (req, res) => {
+  try {
+    const user = req.user
+
+    const { id: productId, reviewId } = req.params
+
+    const { data: review, error: reviewError } = await db.reviews.findById(productId, reviewId, 'id, user_id')
+
+    if (reviewError || !review) {
+      return res.status(404).json({ 
+        error: 'Review not found',
+        code: 'REVIEW_NOT_FOUND'
+      })
+    }
+
+    if (review.user_id !== user.id) {
+      return res.status(403).json({ 
+        error: 'You can only delete your own reviews',
+        code: 'FORBIDDEN'
+      })
+    }
+
+    // Double-check ownership
+    const { error } = await db.reviews.remove(reviewId, { userId: user.id })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to delete review',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    res.json({
+      message: 'Review deleted successfully'
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// AUTHENTICATION ENDPOINTS
+// Attempts are limited per IP and per email from one IP, so nobody can use
+// up a user's logins from elsewhere; routes that send email get a stricter
+// quota per email. Limiter state is per process (createMemoryRateLimitStore).
+const rateLimitStore = createMemoryRateLimitStore()
+
+const authRateLimit = createRateLimiter({
+  store: rateLimitStore,
+  name: 'auth',
+  windowSeconds: rateLimits.auth.window_seconds,
+  rules: [
+    { name: 'ip', max: rateLimits.auth.per_ip, key: req => req.ip },
+    {
+      name: 'email',
+      max: rateLimits.auth.per_email,
+      key: req => {
+        const email = normalizeEmail(req.body?.email)
+        return email && `${email}|${req.ip}`
+      }
+    }
+  ]
+})
+
+// Guest carts cost nothing to start, so new guest tokens and guest adds are
+// counted per IP (signed-in users aren't)
+const guestCartRateLimit = createRateLimiter({
+  store: rateLimitStore,
+  name: 'guest_cart',
+  windowSeconds: rateLimits.guest_cart.window_seconds,
+  rules: [
+    { name: 'new_guest', max: rateLimits.guest_cart.new_guests_per_ip, key: req => !req.user && !req.headers['x-guest-token'] && req.ip },
+    { name: 'ip', max: rateLimits.guest_cart.per_ip, key: req => !req.user && req.ip }
+  ]
+})
+
+const emailRateLimit = createRateLimiter({
+  store: rateLimitStore,
+  name: 'email',
+  windowSeconds: rateLimits.email.window_seconds,
+  rules: [
+    { name: 'ip', max: rateLimits.email.per_ip, key: req => req.ip },
+    { name: 'email', max: rateLimits.email.per_email, key: req => normalizeEmail(req.body?.email) }
+  ]
+})
+
+// Failed logins lock out one email from one IP, so nobody can lock a user
+// out of their account from elsewhere
+const loginLockout = createLoginLockout({
+  store: rateLimitStore,
+  maxFailures: rateLimits.lockout.max_failures,
+  baseSeconds: rateLimits.lockout.base_seconds,
+  maxSeconds: rateLimits.lockout.max_seconds,
+  windowSeconds: rateLimits.lockout.window_seconds
+})
+
+// Helper function to compare emails the way auth does
+function normalizeEmail(email) {
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null
+}
+
+const MIN_PASSWORD_LENGTH = 6
+
+// Passwords are taken exactly as typed, spaces included. PASSWORD is the
+// policy for new ones, everywhere a password is set.
+const PASSWORD = string({ min: MIN_PASSWORD_LENGTH, trim: false })
+
+const CREDENTIALS = object({
+  email: email(),
+  password: string({ min: 1, trim: false })
+})
+
+// Register new user (sends a confirmation email, so it has the email quota too)
+v1.post('/auth/register', authRateLimit, emailRateLimit, validate({
+  body: object({
+    email: email(),
+    password: PASSWORD
+  })
+}), async (req, res) => {
+  try {
+    const { email, password } = req.body
+      
+    const { data, error } = await db.auth.signUp({
+      email: email,
+      password: password,
+      options: {
+        data: {
+          full_name: '',
+          avatar_url: ''
+        }
+      }
+    })
+    
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Registration failed',
+        code: 'REGISTRATION_FAILED',
+        details: error.message 
+      })
+    }
+    
+    res.status(201).json({
+      message: 'Registration successful'
+    })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Login user
+v1.post('/auth/login', authRateLimit, validate({ body: CREDENTIALS }), async (req, res) => {
+  try {
+    const { email, password } = req.body
+
+    const lockoutKey = `${normalizeEmail(email)}|${req.ip}`
+    const lock = await loginLockout.check(lockoutKey)
+
+    if (lock) {
+      res.set('Retry-After', String(lock.retryAfter))
+      return res.status(429).json({ 
+        error: 'Too many failed login attempts, please try again later',
+        code: 'LOGIN_LOCKED',
+        retry_after: lock.retryAfter
+      })
+    }
+    
+    const { data, error } = await db.auth.signInWithPassword({
+      email: email,
+      password: password
+    })
+    
+    if (error) {
+      const newLock = await loginLockout.recordFailure(lockoutKey)
+
+      if (newLock) {
+        res.set('Retry-After', String(newLock.retryAfter))
+      }
+
+      return res.status(401).json({ 
+        error: 'Login failed',
+        code: 'INVALID_CREDENTIALS',
+        details: error.message,
+        ...(newLock && { retry_after: newLock.retryAfter })
+      })
+    }
+
+    await loginLockout.recordSuccess(lockoutKey)
+
+    // Bring along anything the visitor put in their cart before logging in
+    let cartMerge
+    const guestId = verifyGuestToken(req.headers['x-guest-token'], GUEST_TOKEN_SECRET)
+
+    if (guestId && data.user) {
+      try {
+        cartMerge = await mergeGuestCart(guestId, data.user.id)
+      } catch (mergeError) {
+        // Don't fail the login over it, the frontend can retry POST /api/cart/merge
+        console.error('Failed to merge guest cart on login:', mergeError.message)
+        cartMerge = {
+          error: 'Your guest cart could not be merged',
+          ...(EXPOSE_ERROR_DETAILS && { details: mergeError.message })
+        }
+      }
+    }
+    
+    res.json({
+      message: 'Login successful',
+      user: {
+        id: data.user?.id,
+        email: data.user?.email,
+        name: data.user?.user_metadata?.full_name || data.user?.email,
+        avatar_url: data.user?.user_metadata?.avatar_url
+      },
+      session: authCookies.setSession(res, data.session),
+      ...(cartMerge && { cartMerge })
+    })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Swap a refresh token (from the body, or the cookie) for a new session. Each
+// refresh token works once; the new session carries the next one.
+v1.post('/auth/refresh', validate({
+  body: object({ refresh_token: string({ min: 1 }).optional() })
+}), async (req, res) => {
+  try {
+    const cookieToken = authCookies.refreshToken(req)
+    const refreshToken = req.body.refresh_token || cookieToken
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refresh_token is required', code: 'VALIDATION_ERROR' })
+    }
+
+    if (!req.body.refresh_token && needsCsrfHeader(req)) {
+      return res.status(403).json({
+        error: 'Requests signed in by cookie need an X-Requested-With header',
+        code: 'CSRF_HEADER_REQUIRED'
+      })
+    }
+
+    const { data, error } = await db.auth.refreshSession({ refresh_token: refreshToken })
+
+    if (error || !data.session) {
+      if (cookieToken) authCookies.clear(res)
+
+      return res.status(401).json({
+        error: 'Invalid or expired refresh token',
+        code: 'INVALID_REFRESH_TOKEN',
+        details: error?.message
+      })
+    }
+
+    res.json({
+      message: 'Session refreshed',
+      user: {
+        id: data.user?.id,
+        email: data.user?.email,
+        name: data.user?.user_metadata?.full_name || data.user?.email,
+        avatar_url: data.user?.user_metadata?.avatar_url
+      },
+      session: authCookies.setSession(res, data.session)
+    })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Helper function to check the signed-in user's password before a sensitive
+// change. Wrong guesses count towards the login lockout, like failed logins.
+// Returns { session }, a new session proving the password was right, or
+// { failure }.
+async function checkCurrentPassword(req, password) {
+  const lockoutKey = `${normalizeEmail(req.user.email)}|${req.ip}`
+  const lock = await loginLockout.check(lockoutKey)
+
+  if (lock) {
+    return {
+      failure: {
+        status: 429,
+        error: 'Too many failed attempts, please try again later',
+        code: 'LOGIN_LOCKED',
+        retry_after: lock.retryAfter
+      }
+    }
+  }
+
+  const { data, error } = await db.auth.verifyPassword({ email: req.user.email, password })
+
+  if (error || !data.session) {
+    const newLock = await loginLockout.recordFailure(lockoutKey)
+
+    return {
+      failure: {
+        status: 403,
+        error: 'Current password is incorrect',
+        code: 'INVALID_PASSWORD',
+        ...(newLock && { retry_after: newLock.retryAfter })
+      }
+    }
+  }
+
+  await loginLockout.recordSuccess(lockoutKey)
+  return { session: data.session }
+}
+
+// Email a password reset link. The answer is the same whether or not there's
+// an account, so this can't be used to find out who has one. Supabase's
+// reset email template has to link to
+//   {{ .RedirectTo }}?token_hash={{ .TokenHash }}&type=recovery
+// so the frontend page gets a token_hash for POST /api/auth/reset-password.
+v1.post('/auth/forgot-password', emailRateLimit, validate({ body: object({ email: email() }) }), async (req, res) => {
+  try {
+    const { email } = req.body
+
+    const { error } = await db.auth.resetPasswordForEmail(email, {
+      redirectTo: `${FRONTEND_URL}/auth/reset-password`
+    })
+
+    if (error) {
+      console.error('Failed to send password reset email:', error.message)
+    }
+
+    res.json({
+      message: 'If there is an account for that email, a password reset link is on its way'
+    })
+
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Set a new password with the token_hash from a reset link. Every session of
+// the account is logged out, so log in again with the new password.
+v1.post('/auth/reset-password', authRateLimit, validate({
+  body: object({
+    token_hash: string({ min: 1 }),
+    password: PASSWORD
+  })
+}), async (req, res) => {
+  try {
+    const { token_hash, password } = req.body
+
+    const { data, error } = await db.auth.verifyOtp({ token_hash, type: 'recovery' })
+
+    if (error || !data.user) {
+      return res.status(400).json({
+        error: 'This reset link is invalid or has expired',
+        code: 'INVALID_LINK',
+        details: error?.message
+      })
+    }
+
+    const { error: updateError } = await db.auth.updateUserById(data.user.id, { password })
+
+    if (updateError) {
+      return res.status(400).json({
+        error: 'Password could not be reset, please ask for a new link',
+        code: 'PASSWORD_RESET_FAILED',
+        details: updateError.message
+      })
+    }
+
+    // Whoever knew the old password shouldn't stay logged in
+    if (data.session) {
+      const { error: signOutError } = await db.auth.signOut(data.session.access_token, 'global')
+
+      if (signOutError) {
+        console.error('Failed to end sessions after a password reset:', signOutError.message)
+      }
+    }
+    tokenVerifier.revoke({ userId: data.user.id })
+
+    res.json({
+      message: 'Password has been reset, please log in with your new password'
+    })
+
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Change password, giving the current one. Every other session is logged
+// out; carry on with the session sent back, the one used so far has ended too.
+v1.put('/auth/password', requireAuth, authRateLimit, validate({
+  body: object({
+    current_password: string({ min: 1, trim: false }),
+    new_password: PASSWORD
+  })
+}), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body
+
+    if (current_password === new_password) {
+      return res.status(400).json({
+        error: 'The new password has to be different from the current one',
+        code: 'SAME_PASSWORD'
+      })
+    }
+
+    const { session, failure } = await checkCurrentPassword(req, current_password)
+
+    if (failure) {
+      const { status, ...body } = failure
+      if (body.retry_after) res.set('Retry-After', String(body.retry_after))
+      return res.status(status).json(body)
+    }
+
+    const { error } = await db.auth.updateUserById(req.user.id, { password: new_password })
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Password could not be changed',
+        code: 'PASSWORD_CHANGE_FAILED',
+        details: error.message
+      })
+    }
+
+    // The session checkCurrentPassword started is the one that carries on
+    const { error: signOutError } = await db.auth.signOut(session.access_token, 'others')
+
+    if (signOutError) {
+      console.error('Failed to end other sessions after a password change:', signOutError.message)
+    }
+    tokenVerifier.revoke({ userId: req.user.id, exceptToken: session.access_token })
+
+    res.json({
+      message: 'Password changed, you have been logged out everywhere else',
+      session: authCookies.setSession(res, session)
+    })
+
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Change email, giving the current password. Nothing changes until the link
+// sent to the new address (and, with Supabase's secure email change, the old
+// one too) is followed; its template has to link to
+//   {{ .RedirectTo }}?token_hash={{ .TokenHash }}&type=email_change
+// for POST /api/auth/email/confirm.
+v1.put('/auth/email', requireAuth, authRateLimit, emailRateLimit, validate({
+  body: object({
+    email: email(),
+    password: string({ min: 1, trim: false })
+  })
+}), async (req, res) => {
+  try {
+    const { email, password } = req.body
+
+    if (normalizeEmail(email) === normalizeEmail(req.user.email)) {
+      return res.status(400).json({ error: 'That is already your email', code: 'SAME_EMAIL' })
+    }
+
+    const { session, failure } = await checkCurrentPassword(req, password)
+
+    if (failure) {
+      const { status, ...body } = failure
+      if (body.retry_after) res.set('Retry-After', String(body.retry_after))
+      return res.status(status).json(body)
+    }
+
+    // Only needed to check the password
+    await db.auth.signOut(session.access_token, 'local')
+
+    const { error } = await db.auth.updateUser(req.token, { email }, {
+      redirectTo: `${FRONTEND_URL}/auth/confirm-email`
+    })
+
+    if (error) {
+      const taken = error.code === 'email_exists'
+
+      return res.status(taken ? 409 : 400).json({
+        error: taken ? 'Another account already uses that email' : 'Email could not be changed',
+        code: taken ? 'EMAIL_TAKEN' : 'EMAIL_CHANGE_FAILED',
+        ...(!taken && { details: error.message })
+      })
+    }
+
+    res.json({
+      message: 'Check your inbox, the email changes once the link we sent is followed',
+      pending_email: email
+    })
+
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Confirm an email change with the token_hash from its link. Works without
+// being logged in, the link may be opened anywhere.
+v1.post('/auth/email/confirm', authRateLimit, validate({
+  body: object({ token_hash: string({ min: 1 }) })
+}), async (req, res) => {
+  try {
+    const { data, error } = await db.auth.verifyOtp({ token_hash: req.body.token_hash, type: 'email_change' })
+
+    if (error || !data.user) {
+      const taken = error?.code === 'email_exists'
+
+      return res.status(taken ? 409 : 400).json({
+        error: taken ? 'Another account already uses that email' : 'This confirmation link is invalid or has expired',
+        code: taken ? 'EMAIL_TAKEN' : 'INVALID_LINK',
+        ...(!taken && { details: error?.message })
+      })
+    }
+
+    // Following the link signs in, which isn't what it's for here
+    if (data.session) {
+      await db.auth.signOut(data.session.access_token, 'local')
+    }
+
+    // With secure email change, the first of the two links leaves new_email set
+    const pendingEmail = data.user.new_email || null
+
+    res.json({
+      message: pendingEmail
+        ? 'Confirmed, now follow the link sent to the other address'
+        : 'Email changed',
+      email: data.user.email,
+      pending_email: pendingEmail
+    })
+
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Magic Link Login
+v1.post('/auth/magic-link', emailRateLimit, validate({ body: object({ email: email() }) }), async (req, res) => {
+  try {
+    const { email } = req.body
+        
+    const { data, error } = await db.auth.signInWithOtp({
+      email: email,
+      options: {
+        shouldCreateUser: true,
+        emailRedirectTo: `${FRONTEND_URL}/auth/callback`,
+      }
+    })
+    
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Failed to send magic link',
+        code: 'MAGIC_LINK_FAILED',
+        details: error.message 
+      })
+    }
+    
+    res.json({
+      message: 'Magic link sent successfully',
+      email: email
+    })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Google OAuth Login
+v1.post('/auth/google', async (req, res) => {
+  try {
+    const { data, error } = await db.auth.signInWithOAuth({
+      provider: 'google',
+      options: {
+        redirectTo: `${process.env.FRONTEND_URL || 'https://gobuy-frontend.vercel.app/'}/auth/callback`
+      }
+    })
+    
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Failed to initiate Google login',
+        code: 'OAUTH_FAILED',
+        details: error.message 
+      })
+    }
+    
+    res.json({
+      message: 'Google OAuth initiated',
+      redirectUrl: data.url
+    })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Get current session
+v1.get('/auth/session', requireAuth, async (req, res) => {
+  try {
+    const user = req.user
+    const token = req.token
+    
+    res.json({
+      session: {
+        // Left to the cookie when sessions are kept in cookies
+        ...(!authCookies.enabled && { access_token: token }),
+        user: user
+      },
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.user_metadata?.full_name || user.email,
+        avatar_url: user.user_metadata?.avatar_url
+      }
+    })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+// Add these cart API endpoints to your existing backend server
+
+// Shipping and tax region codes like 'AU' or 'US-CA'
+const REGION = string({ pattern: /^[A-Za-z]{2}(-[A-Za-z0-9]{1,3})?$/, message: 'must be a code like AU or US-CA' })
+
+// Get user's cart items
+v1.get('/cart', validate({ query: object(CURRENCY_QUERY) }), async (req, res) => {
+  try {
+    const { owner, failure: ownerFailure } = await resolveCartOwner(req)
+
+    if (ownerFailure) {
+      const { status, ...body } = ownerFailure
+      return res.status(status).json(body)
+    }
+
+    // Get cart items with product details
+    const { data, error } = await db.cartItems.list(owner)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch cart items',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    // Show the applied coupon's share of the discount on each line, in the
+    // currency the cart summary is in
+    const display = await getPriceDisplay(req)
+    const pricing = await getCartPricing(data || [], display.currency)
+    const { coupon, lines } = await evaluateCartCoupon(owner.user?.id, data || [], pricing)
+    const discountsById = new Map((lines || []).map(line => [line.id, line]))
+    
+    res.json((data || []).map(item => {
+      const line = discountsById.get(item.id)
+
+      return {
+        ...item,
+        products: withPrices(item.products, display),
+        discount: line?.discount || 0,
+        discount_minor: line?.discount_minor || 0,
+        discount_currency: pricing.currency,
+        coupon_code: line?.discount_minor > 0 ? coupon.code : null,
+        hold: describeHold(item)
+      }
+    }))
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal error',
+      details: err.message
+    })
+  }
+})
+
+// Get cart totals: line totals, discount, shipping, tax and grand total, in the
+// buyer's display currency when every line converts to it. checkout_currency
+// is what the order would be charged in.
+v1.get('/cart/summary', validate({
+  query: object({ region: REGION.optional(), ...CURRENCY_QUERY })
+}), async (req, res) => {
+  try {
+    const { owner, failure: ownerFailure } = await resolveCartOwner(req)
+
+    if (ownerFailure) {
+      const { status, ...body } = ownerFailure
+      return res.status(status).json(body)
+    }
+
+    const { region } = req.query
+
+    const { data: cartItems, error } = await db.cartItems.list(owner)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch cart items',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    const { currency: displayCurrency } = await getPriceDisplay(req)
+    const pricing = await getCartPricing(cartItems || [], displayCurrency)
+
+    if (!pricing.currency) {
+      return res.status(409).json({ 
+        error: 'Your cart has products in currencies that cannot be added up, an exchange rate is missing',
+        code: 'EXCHANGE_RATE_MISSING'
+      })
+    }
+
+    const { totals, coupon, couponProblem } = await priceCart(owner.user?.id, cartItems || [], region, pricing)
+    
+    res.json({
+      ...totals,
+      checkout_currency: pricing.checkoutCurrency,
+      coupon: coupon ? { ...toPublicCoupon(coupon), problem: couponProblem || null } : null,
+      // Checkout will refuse these until they're removed or back in stock
+      unavailable: getUnavailableCartItems(cartItems || [])
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal error',
+      details: err.message
+    })
+  }
+})
+
+// Add item to cart
+v1.post('/cart', guestCartRateLimit, validate({
+  body: object({
+    product_id: uuid(),
+    variant_id: uuid().nullable().optional(),
+    quantity: integer({ min: 1 }).default(1)
+  })
+}), async (req, res) => {
+  try {
+    const { owner, failure: ownerFailure } = await resolveCartOwner(req, { createGuest: true })
+
+    if (ownerFailure) {
+      const { status, ...body } = ownerFailure
+      return res.status(status).json(body)
+    }
+
+    const { product_id, variant_id, quantity } = req.body
+
+    const { product, cartItem, failure } = await addItemToCart(owner, product_id, quantity, variant_id)
+
+    if (failure) {
+      const { status, ...body } = failure
+      return res.status(status).json(body)
+    }
+    
+    // First item for a new visitor: hand back the guest token for their cart
+    if (owner.newGuestToken) {
+      res.set('X-Guest-Token', owner.newGuestToken)
+    }
+    
+    res.status(201).json({
+      message: `Added "${product.title}" to cart`,
+      cartItem,
+      ...(owner.newGuestToken && { guestToken: owner.newGuestToken })
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Merge a guest cart into the signed-in user's cart. Password login does this
+// itself; magic link and Google sign-ins finish on the frontend, which calls
+// this with both the new Bearer token and the old X-Guest-Token.
+v1.post('/cart/merge', requireAuth, async (req, res) => {
+  try {
+    const user = req.user
+
+    const guestId = verifyGuestToken(req.headers['x-guest-token'], GUEST_TOKEN_SECRET)
+
+    if (!guestId) {
+      return res.status(400).json({ 
+        error: 'Valid guest token is required',
+        code: 'INVALID_GUEST_TOKEN'
+      })
+    }
+
+    const cartMerge = await mergeGuestCart(guestId, user.id)
+    
+    res.json({
+      message: `Merged ${cartMerge.merged.length} item(s) into your cart`,
+      cartMerge
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Apply a coupon code to the cart
+v1.post('/cart/coupon', requireAuth, validate({
+  query: object(CURRENCY_QUERY),
+  body: object({ code: string({ min: 1 }) })
+}), async (req, res) => {
+  try {
+    const user = req.user
+
+    const { code } = req.body
+
+    const { data: coupon, error: couponError } = await db.coupons.findByCode(code.toUpperCase())
+
+    if (couponError || !coupon) {
+      return res.status(404).json({ 
+        error: 'Invalid coupon code',
+        code: 'COUPON_NOT_FOUND'
+      })
+    }
+
+    const { data: cartItems, error: cartError } = await db.cartItems.list(userCartOwner(user))
+
+    if (cartError) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch cart items',
+        code: 'DATABASE_ERROR',
+        details: cartError.message 
+      })
+    }
+
+    if (!cartItems || cartItems.length === 0) {
+      return res.status(400).json({ 
+        error: 'Cart is empty',
+        code: 'CART_EMPTY'
+      })
+    }
+
+    const { currency: displayCurrency } = await getPriceDisplay(req)
+    const pricing = await getCartPricing(cartItems, displayCurrency)
+
+    if (!pricing.currency) {
+      return res.status(409).json({ 
+        error: 'Your cart has products in currencies that cannot be added up, an exchange rate is missing',
+        code: 'EXCHANGE_RATE_MISSING'
+      })
+    }
+
+    const { problem, currency, discount, discount_minor, lines } =
+      await evaluateCoupon(coupon, user.id, cartItems, pricing)
+
+    if (problem) {
+      return res.status(400).json({ 
+        error: problem,
+        code: 'COUPON_NOT_APPLICABLE'
+      })
+    }
+
+    // Only one coupon per cart, a new code replaces the old one
+    const { error } = await db.coupons.apply(user.id, coupon.id)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to apply coupon',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    res.json({
+      message: `Coupon "${coupon.code}" applied`,
+      coupon: toPublicCoupon(coupon),
+      currency,
+      discount,
+      discount_minor,
+      lines
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Remove the coupon from the cart
+v1.delete('/cart/coupon', requireAuth, async (req, res) => {
+  try {
+    const user = req.user
+
+    const { error } = await db.coupons.removeApplied(user.id)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to remove coupon',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    res.json({
+      message: 'Coupon removed'
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Update cart item quantity
+v1.put('/cart/:id', validate({
+  params: ID_PARAMS,
+  body: object({ quantity: integer({ min: 1 }) })
+}), async (req, res) => {
+  try {
+    const { owner, failure: ownerFailure } = await resolveCartOwner(req)
+
+    if (ownerFailure) {
+      const { status, ...body } = ownerFailure
+      return res.status(status).json(body)
+    }
+
+    const cartItemId = req.params.id
+    const { quantity } = req.body
+
+    // Verify cart item belongs to user and get product info
+    const { data: cartItem, error: cartError } = await db.cartItems.findById(owner, cartItemId)
+
+    if (cartError || !cartItem) {
+      return res.status(404).json({ 
+        error: 'Cart item not found',
+        code: 'CART_ITEM_NOT_FOUND'
+      })
+    }
+
+    const limitFailure = getGuestQuantityFailure(owner, quantity)
+
+    if (limitFailure) {
+      const { status, ...body } = limitFailure
+      return res.status(status).json(body)
+    }
+
+    // The hold follows the new quantity and starts over
+    const { cartItem: updatedItem, available, error } = await holdCartItem(owner, {
+      productId: cartItem.product_id,
+      variantId: cartItem.variant_id,
+      quantity
+    })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to update cart item',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    if (!updatedItem) {
+      return res.status(400).json({ 
+        error: 'Quantity exceeds available stock',
+        code: 'INSUFFICIENT_STOCK',
+        available,
+        requested: quantity
+      })
+    }
+    
+    res.json({
+      message: `Updated quantity for "${cartItem.products.title}"`,
+      cartItem: { ...updatedItem, hold: describeHold(updatedItem) }
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Remove item from cart
+v1.delete('/cart/:id', validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const { owner, failure: ownerFailure } = await resolveCartOwner(req)
+
+    if (ownerFailure) {
+      const { status, ...body } = ownerFailure
+      return res.status(status).json(body)
+    }
+
+    const cartItemId = req.params.id
+
+    // Verify cart item belongs to user
+    const { data: cartItem, error: cartError } = await db.cartItems.findById(owner, cartItemId)
+
+    if (cartError || !cartItem) {
+      return res.status(404).json({ 
+        error: 'Cart item not found',
+        code: 'CART_ITEM_NOT_FOUND'
+      })
+    }
+
+    // Delete cart item
+    const { error } = await db.cartItems.remove(owner, cartItemId)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to remove cart item',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    res.json({
+      message: `Removed "${cartItem.products.title}" from cart`
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Clear entire cart
+v1.delete('/cart', async (req, res) => {
+  try {
+    const { owner, failure: ownerFailure } = await resolveCartOwner(req)
+
+    if (ownerFailure) {
+      const { status, ...body } = ownerFailure
+      return res.status(status).json(body)
+    }
+
+    // Delete all cart items for user
+    const { error } = await db.cartItems.clear(owner)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to clear cart',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    res.json({
+      message: 'Cart cleared successfully'
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Helper function to work out whose cart a request is for: the signed-in user
+// (Bearer token) or an anonymous visitor (X-Guest-Token header). With
+// createGuest, a visitor with neither gets a new guest token (owner.newGuestToken).
+// Returns { owner } or { failure } holding the status and error body to send.
+async function resolveCartOwner(req, { createGuest = false } = {}) {
+  if (req.authError) {
+    return { failure: {
+      status: 401,
+      error: 'Invalid or expired token',
+      code: 'INVALID_TOKEN',
+      details: req.authError.message
+    } }
+  }
+
+  if (req.user) {
+    return { owner: userCartOwner(req.user) }
+  }
+
+  const guestToken = req.headers['x-guest-token']
+
+  if (guestToken) {
+    const guestId = verifyGuestToken(guestToken, GUEST_TOKEN_SECRET)
+
+    if (!guestId) {
+      return { failure: {
+        status: 401,
+        error: 'Invalid or expired guest token',
+        code: 'INVALID_GUEST_TOKEN'
+      } }
+    }
+
+    return { owner: guestCartOwner(guestId) }
+  }
+
+  if (createGuest) {
+    const { token: newGuestToken, guestId } = createGuestToken(GUEST_TOKEN_SECRET)
+    return { owner: { ...guestCartOwner(guestId), newGuestToken } }
+  }
+
+  return { failure: { status: 401, error: 'No token provided', code: 'AUTH_REQUIRED' } }
+}
+
+// Helper functions describing whose cart it is (see lib/data/index.js)
+function userCartOwner(user) {
+  return { type: 'user', id: user.id, user }
+}
+
+function guestCartOwner(guestId) {
+  return { type: 'guest', id: guestId, user: null }
+}
+
+// Helper function to move a guest cart into a user's cart once they sign in.
+// Quantities of the same product add up and are capped at the stock left
+// (other carts' holds aside); inactive or sold-out products are dropped.
+// Returns what happened to each line.
+async function mergeGuestCart(guestId, userId) {
+  const guestOwner = guestCartOwner(guestId)
+  const userOwner = { type: 'user', id: userId }
+
+  const { data: guestItems, error: guestError } = await db.cartItems.list(guestOwner)
+
+  if (guestError) throw new Error(`Failed to fetch guest cart: ${guestError.message}`)
+
+  const { data: userItems, error: userError } = await db.cartItems.list(userOwner)
+
+  if (userError) throw new Error(`Failed to fetch cart items: ${userError.message}`)
+
+  const result = { merged: [], capped: [], skipped: [] }
+
+  for (const item of guestItems || []) {
+    const product = item.products
+    const variant = item.product_variants
+    const variantId = item.variant_id || null
+    const isActive = product?.is_active && variant?.is_active !== false
+    const stock = variant ? variant.stock_quantity : product?.stock_quantity
+
+    if (!product || !isActive || stock <= 0) {
+      result.skipped.push({
+        product_id: item.product_id,
+        variant_id: variantId,
+        title: product?.title,
+        reason: !product ? 'not_found' : !isActive ? 'inactive' : 'out_of_stock'
+      })
+      continue
+    }
+
+    const existing = userItems?.find(userItem => 
+      userItem.product_id === item.product_id && (userItem.variant_id || null) === variantId
+    )
+    const requested = (existing?.quantity || 0) + item.quantity
+
+    // The guest line goes first so its hold passes to the user's line
+    const { error: removeError } = await db.cartItems.remove(guestOwner, item.id)
+
+    if (removeError) throw new Error(`Failed to merge cart item: ${removeError.message}`)
+
+    const { cartItem, available, error } = await holdCartItem(userOwner, {
+      productId: item.product_id,
+      variantId,
+      quantity: requested,
+      partial: true
+    })
+
+    if (error) throw new Error(`Failed to merge cart item: ${error.message}`)
+
+    // Everything left is held in other carts
+    if (!cartItem) {
+      result.skipped.push({ product_id: item.product_id, variant_id: variantId, title: product.title, reason: 'out_of_stock' })
+      continue
+    }
+
+    const quantity = cartItem.quantity
+
+    result.merged.push({ product_id: item.product_id, variant_id: variantId, title: product.title, quantity })
+
+    if (quantity < requested) {
+      result.capped.push({ product_id: item.product_id, variant_id: variantId, title: product.title, requested, available })
+    }
+  }
+
+  const { error: deleteError } = await db.cartItems.clear(guestOwner)
+
+  if (deleteError) throw new Error(`Failed to clear guest cart: ${deleteError.message}`)
+
+  return result
+}
+
+// Helper function to work out the coupon applied to a user's cart, priced as
+// in getCartPricing. Returns { coupon: null } when there is none (or no user,
+// or no currency to price the cart in), otherwise what evaluateCoupon returns.
+async function evaluateCartCoupon(userId, cartItems, pricing) {
+  // Guests can't use coupons, usage limits are per user
+  if (!userId || !pricing.currency) {
+    return { coupon: null }
+  }
+
+  const { data: applied } = await db.coupons.findApplied(userId)
+
+  if (!applied) {
+    return { coupon: null }
+  }
+
+  return evaluateCoupon(applied, userId, cartItems, pricing)
+}
+
+// Helper function to check a coupon against a user's cart.
+// Returns { coupon, currency, discount, discount_minor, lines } or { coupon, problem }
+// if it can't be used.
+async function evaluateCoupon(coupon, userId, cartItems, pricing) {
+  const problem = getCouponProblem(coupon)
+  if (problem) {
+    return { coupon, problem }
+  }
+
+  const [{ count: totalUses }, { count: userUses }] = await Promise.all([
+    db.coupons.countRedemptions(coupon.id),
+    db.coupons.countRedemptions(coupon.id, { userId })
+  ])
+
+  const usageProblem = getUsageProblem(coupon, { totalUses: totalUses || 0, userUses: userUses || 0 })
+  if (usageProblem) {
+    return { coupon, problem: usageProblem }
+  }
+
+  const { currency, discount, discount_minor, lines, error } = calculateCouponDiscount(
+    coupon,
+    toPricingLines(cartItems, pricing),
+    pricing
+  )
+  if (error) {
+    return { coupon, problem: error }
+  }
+
+  return { coupon, currency, discount, discount_minor, lines }
+}
+
+// Helper function to pick the currency to price a cart in: the display
+// currency if every line (and the shipping rules, in BASE_CURRENCY) converts
+// to it, else the one its products are listed in, else BASE_CURRENCY.
+// Returns { currency, checkoutCurrency, rates }; checkoutCurrency is what an
+// order would be charged in (null when products are listed in different
+// currencies) and currency is null if nothing fits.
+async function getCartPricing(cartItems, displayCurrency = null) {
+  const listed = [...new Set(cartItems
+    .filter(item => item.products)
+    .map(item => item.products.currency || BASE_CURRENCY))]
+  const checkoutCurrency = listed.length > 1 ? null : listed[0] || displayCurrency || BASE_CURRENCY
+  const rates = await getExchangeRates()
+
+  const convertsTo = currency => [...listed, BASE_CURRENCY]
+    .every(from => from === currency || (rates[from] && rates[currency]))
+  const currency = [displayCurrency, checkoutCurrency, BASE_CURRENCY]
+    .find(candidate => candidate && convertsTo(candidate)) || null
+
+  return { currency, checkoutCurrency, rates }
+}
+
+// Helper function to price a user's cart with their coupon and the shipping/tax rules,
+// in the currency picked by getCartPricing (pricing is { currency, rates }).
+// A coupon that can't be used is returned with couponProblem and gives no discount.
+async function priceCart(userId, cartItems, region, pricing) {
+  const { coupon, problem, lines } = await evaluateCartCoupon(userId, cartItems, pricing)
+  const lineDiscounts = new Map((lines || []).map(line => [line.id, line.discount_minor]))
+
+  const totals = calculateCartTotals(toPricingLines(cartItems, pricing), {
+    rules: pricingRules,
+    region,
+    lineDiscounts,
+    currency: pricing.currency,
+    rates: pricing.rates
+  })
+
+  return { totals, coupon, couponProblem: problem }
+}
+
+// Helper function to flatten cart rows (joined with products) for pricing, with
+// unit prices converted to the cart's currency
+function toPricingLines(cartItems, { currency, rates }) {
+  return cartItems
+    .filter(item => item.products)
+    .map(item => {
+      const listingCurrency = item.products.currency || BASE_CURRENCY
+      const price = toMinor(item.product_variants?.price ?? item.products.price, listingCurrency)
+
+      return {
+        id: item.id,
+        product_id: item.product_id,
+        variant_id: item.variant_id || null,
+        title: item.products.title,
+        unit_price_minor: convertMinor(price, listingCurrency, currency, rates),
+        quantity: item.quantity,
+        category: item.products.category,
+        seller_id: item.products.seller_id,
+        weight_kg: item.products.weight_kg
+      }
+    })
+}
+
+// Helper function to pick the coupon fields buyers are allowed to see
+function toPublicCoupon(coupon) {
+  return {
+    code: coupon.code,
+    description: coupon.description,
+    discount_type: coupon.discount_type,
+    discount_value: coupon.discount_value,
+    min_cart_value: coupon.min_cart_value,
+    currency: coupon.currency || BASE_CURRENCY,
+    expires_at: coupon.expires_at,
+    category: coupon.category,
+    seller_id: coupon.seller_id
+  }
+}
+
+// Helper function to add a product (or one of its variants) to a cart (see resolveCartOwner),
+// merging with an existing line, and tell the seller's webhooks (cart.item_added).
+// Returns { product, variant, cartItem }, or { failure } holding the status and
+// error body to send.
+async function addItemToCart(owner, productId, quantity, variantId = null) {
+  // First, check if product exists and is available
+  const { data: product, error: productError } = await db.products.findById(productId, { details: true })
+
+  if (productError || !product) {
+    return { failure: {
+      status: 404,
+      error: 'Product not found',
+      code: 'PRODUCT_NOT_FOUND'
+    } }
+  }
+
+  if (!product.is_active) {
+    return { failure: {
+      status: 400,
+      error: 'Product is not active',
+      code: 'PRODUCT_INACTIVE'
+    } }
+  }
+
+  // Products with variants are bought (and stocked) per variant
+  const activeVariants = (product.product_variants || []).filter(v => v.is_active)
+  let variant = null
+
+  if (variantId) {
+    variant = product.product_variants?.find(v => v.id === variantId)
+
+    if (!variant) {
+      return { failure: {
+        status: 404,
+        error: 'Variant not found',
+        code: 'VARIANT_NOT_FOUND'
+      } }
+    }
+
+    if (!variant.is_active) {
+      return { failure: {
+        status: 400,
+        error: 'Variant is not active',
+        code: 'VARIANT_INACTIVE'
+      } }
+    }
+  } else if (activeVariants.length > 0) {
+    return { failure: {
+      status: 400,
+      error: 'Please choose a variant',
+      code: 'VARIANT_REQUIRED',
+      variants: activeVariants.map(({ id, sku, options, stock_quantity }) => ({ id, sku, options, stock_quantity }))
+    } }
+  }
+
+  // Check if item already exists in cart, adding to it holds the new total
+  const { data: existingItem } = await db.cartItems.findLine(owner, productId, variant?.id)
+  const currentInCart = existingItem?.quantity || 0
+
+  const limitFailure = getGuestQuantityFailure(owner, currentInCart + quantity)
+  if (limitFailure) return { failure: limitFailure }
+
+  const { cartItem, available, error } = await holdCartItem(owner, {
+    productId,
+    variantId: variant?.id,
+    quantity: currentInCart + quantity
+  })
+
+  if (error) {
+    return { failure: {
+      status: 500,
+      error: existingItem ? 'Failed to update cart item' : 'Failed to add item to cart',
+      code: 'DATABASE_ERROR',
+      details: error.message
+    } }
+  }
+
+  // Units held in other carts don't count as available
+  if (!cartItem) {
+    return { failure: existingItem
+      ? {
+        status: 400,
+        error: 'Cannot add more items than available stock',
+        code: 'INSUFFICIENT_STOCK',
+        currentInCart,
+        available,
+        requested: quantity
+      }
+      : {
+        status: 400,
+        error: 'Insufficient stock',
+        code: 'INSUFFICIENT_STOCK',
+        available,
+        requested: quantity
+      } }
+  }
+
+  emitWebhookEvent('cart.item_added', product.seller_id, {
+    product: { id: product.id, title: product.title },
+    variant_id: cartItem.variant_id,
+    quantity,
+    cart_quantity: cartItem.quantity
+  })
+
+  return { product, variant, cartItem: { ...cartItem, hold: describeHold(cartItem) } }
+}
+
+// Helper function to check a guest cart line stays within GUEST_CART_MAX_QUANTITY.
+// Returns a failure, or null if the quantity is fine.
+function getGuestQuantityFailure(owner, quantity) {
+  if (owner.type !== 'guest' || quantity <= GUEST_CART_MAX_QUANTITY) return null
+
+  return {
+    status: 400,
+    error: `Guest carts can hold up to ${GUEST_CART_MAX_QUANTITY} of an item, sign in to buy more`,
+    code: 'GUEST_CART_LIMIT',
+    max: GUEST_CART_MAX_QUANTITY,
+    requested: quantity
+  }
+}
+
+// Helper function to set a cart line (created if missing) to a quantity and hold
+// that much stock for CART_HOLD_SECONDS. Returns { cartItem }, { available } when
+// the stock other carts aren't holding falls short, or { error }. With partial,
+// the line gets what's left instead of falling short.
+async function holdCartItem(owner, { productId, variantId = null, quantity, partial = false }) {
+  const { data, error } = await db.cartItems.hold(owner, {
+    productId,
+    variantId: variantId || null,
+    quantity,
+    holdSeconds: CART_HOLD_SECONDS,
+    partial
+  })
+
+  if (error) {
+    const [code, left] = error.message.split(':')
+    return code === 'INSUFFICIENT_STOCK' ? { available: Number(left) } : { error }
+  }
+
+  const { available, ...cartItem } = data
+  return { cartItem, available }
+}
+
+// Helper function to describe a cart line's stock hold, null once it has run out
+function describeHold(item) {
+  const expiresIn = item.held_until ? Math.ceil((new Date(item.held_until) - Date.now()) / 1000) : 0
+
+  if (!item.held_quantity || expiresIn <= 0) {
+    return null
+  }
+
+  return {
+    quantity: item.held_quantity,
+    expires_at: item.held_until,
+    expires_in_seconds: expiresIn
+  }
+}
+
+// WISHLIST ENDPOINTS
+// Get user's wishlist, flagging items that can't be bought right now
+v1.get('/wishlist', requireAuth, validate({ query: object(CURRENCY_QUERY) }), async (req, res) => {
+  try {
+    const user = req.user
+
+    const { data, error } = await db.wishlistItems.list(user.id)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch wishlist',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    const display = await getPriceDisplay(req)
+    
+    res.json((data || []).map(item => {
+      const unavailableReason = !item.products ? 'not_found'
+        : !item.products.is_active ? 'inactive'
+        : item.products.stock_quantity <= 0 ? 'out_of_stock'
+        : null
+
+      return {
+        ...item,
+        products: withPrices(item.products, display),
+        available: unavailableReason === null,
+        unavailable_reason: unavailableReason
+      }
+    }))
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal error',
+      details: err.message
+    })
+  }
+})
+
+// Save product to wishlist
+v1.post('/wishlist', requireAuth, validate({ body: object({ product_id: uuid() }) }), async (req, res) => {
+  try {
+    const user = req.user
+
+    const { product_id } = req.body
+
+    const { data: product, error: productError } = await db.products.findById(product_id, { columns: 'id, title, is_active' })
+
+    // Inactive listings are hidden, answer as GET /posts/:id does
+    if (productError || !product || !product.is_active) {
+      return res.status(404).json({ 
+        error: 'Product not found',
+        code: 'PRODUCT_NOT_FOUND'
+      })
+    }
+
+    // Saving twice is a no-op rather than an error
+    const { data, error } = await db.wishlistItems.add(user.id, product.id)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to save product to wishlist',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    res.status(201).json({
+      message: `Saved "${product.title}" to wishlist`,
+      wishlistItem: data?.[0] || null
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Remove item from wishlist
+v1.delete('/wishlist/:id', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const user = req.user
+
+    const { data, error } = await db.wishlistItems.remove(user.id, req.params.id)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to remove wishlist item',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ 
+        error: 'Wishlist item not found',
+        code: 'WISHLIST_ITEM_NOT_FOUND'
+      })
+    }
+    
+    res.json({
+      message: `Removed "${data[0].products?.title}" from wishlist`
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Move wishlist item to cart (same checks as adding to cart, variant_id for products with variants)
+v1.post('/wishlist/:id/move-to-cart', requireAuth, validate({
+  params: ID_PARAMS,
+  body: object({
+    quantity: integer({ min: 1 }).default(1),
+    variant_id: uuid().nullable().optional()
+  })
+}), async (req, res) => {
+  try {
+    const user = req.user
+
+    const { quantity, variant_id } = req.body
+
+    const { data: wishlistItem, error: wishlistError } = await db.wishlistItems.findById(user.id, req.params.id, 'id, product_id')
+
+    if (wishlistError || !wishlistItem) {
+      return res.status(404).json({ 
+        error: 'Wishlist item not found',
+        code: 'WISHLIST_ITEM_NOT_FOUND'
+      })
+    }
+
+    const { product, cartItem, failure } = await addItemToCart(userCartOwner(user), wishlistItem.product_id, quantity, variant_id)
+
+    if (failure) {
+      const { status, ...body } = failure
+      return res.status(status).json(body)
+    }
+
+    // Only leave the wishlist once it's safely in the cart
+    const { error } = await db.wishlistItems.remove(user.id, wishlistItem.id)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Added to cart but failed to remove from wishlist',
+        code: 'DATABASE_ERROR',
+        details: error.message,
+        cartItem
+      })
+    }
+    
+    res.status(201).json({
+      message: `Moved "${product.title}" to cart`,
+      cartItem
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+
+// ORDER ENDPOINTS
+// Allowed order status transitions
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+}
+
+// Statuses the seller of every line in the order may set (buyers can only
+// cancel). 'paid' is left to the payment flow, or an admin.
+const SELLER_ORDER_STATUSES = ['shipped', 'delivered', 'cancelled']
+
+// Checkout: turn the user's cart into an order
+v1.post('/orders', requireAuth, validate({ body: object({ region: REGION.optional() }) }), async (req, res) => {
+  try {
+    const user = req.user
+
+    const { region } = req.body
+
+    // Check the cart up front so we can tell the buyer exactly what's wrong
+    const { data: cartItems, error: cartError } = await db.cartItems.list(userCartOwner(user))
+
+    if (cartError) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch cart items',
+        code: 'DATABASE_ERROR',
+        details: cartError.message 
+      })
+    }
+
+    if (!cartItems || cartItems.length === 0) {
+      return res.status(400).json({ 
+        error: 'Cart is empty',
+        code: 'CART_EMPTY'
+      })
+    }
+
+    const unavailable = getUnavailableCartItems(cartItems)
+
+    if (unavailable.length > 0) {
+      return res.status(409).json({ 
+        error: 'Some items in your cart are no longer available',
+        code: 'CART_ITEMS_UNAVAILABLE',
+        items: unavailable
+      })
+    }
+
+    // Orders are charged in the currency the products are listed in
+    const pricing = await getCartPricing(cartItems)
+
+    if (!pricing.checkoutCurrency) {
+      return res.status(409).json({ 
+        error: 'Your cart has products listed in different currencies, check them out separately',
+        code: 'MIXED_CURRENCIES',
+        currencies: [...new Set(cartItems.map(item => item.products.currency || BASE_CURRENCY))]
+      })
+    }
+
+    // Shipping and tax rules are in BASE_CURRENCY
+    if (!pricing.rates[pricing.checkoutCurrency]) {
+      return res.status(409).json({ 
+        error: `Orders in ${pricing.checkoutCurrency} cannot be priced yet, an exchange rate is missing`,
+        code: 'EXCHANGE_RATE_MISSING'
+      })
+    }
+
+    // Same math as GET /api/cart/summary, so the buyer pays what they saw
+    const { totals, coupon, couponProblem } = await priceCart(user.id, cartItems, region, {
+      currency: pricing.checkoutCurrency,
+      rates: pricing.rates
+    })
+
+    // A coupon that stopped being valid blocks checkout rather than
+    // silently charging the buyer full price
+    if (couponProblem) {
+      return res.status(409).json({ 
+        error: 'Your coupon can no longer be applied',
+        code: 'COUPON_NOT_APPLICABLE',
+        reason: couponProblem,
+        suggestion: 'Remove the coupon and try again'
+      })
+    }
+
+    // Keyed by cart item id, one product can have a line per variant
+    const lineDiscounts = Object.fromEntries(
+      totals.lines.map(line => [line.id, line.discount])
+    )
+
+    // The database re-checks everything while holding row locks, so stock
+    // that changed since the check above still fails the whole checkout
+    const { data: orderId, error: checkoutError } = await db.orders.checkout(user.id, {
+      couponId: coupon?.id || null,
+      lineDiscounts,
+      shippingAmount: totals.shipping,
+      taxAmount: totals.tax,
+      taxRegion: totals.region
+    })
+
+    if (checkoutError) {
+      const [code, productId] = (checkoutError.message || '').split(':')
+
+      if (code === 'COUPON_INVALID' || code === 'COUPON_LIMIT_REACHED') {
+        return res.status(409).json({ 
+          error: 'Your coupon can no longer be applied',
+          code: 'COUPON_NOT_APPLICABLE',
+          reason: code === 'COUPON_INVALID' ? 'Coupon is no longer valid' : 'Coupon usage limit has been reached',
+          suggestion: 'Remove the coupon and try again'
+        })
+      }
+
+      if (code === 'PRODUCT_INACTIVE' || code === 'INSUFFICIENT_STOCK') {
+        return res.status(409).json({ 
+          error: 'Some items in your cart are no longer available',
+          code: 'CART_ITEMS_UNAVAILABLE',
+          items: [{
+            product_id: productId,
+            reason: code === 'PRODUCT_INACTIVE' ? 'inactive' : 'insufficient_stock'
+          }]
+        })
+      }
+
+      if (code === 'CART_EMPTY') {
+        return res.status(400).json({ 
+          error: 'Cart is empty',
+          code: 'CART_EMPTY'
+        })
+      }
+
+      if (code === 'MIXED_CURRENCIES') {
+        return res.status(409).json({ 
+          error: 'Your cart has products listed in different currencies, check them out separately',
+          code: 'MIXED_CURRENCIES'
+        })
+      }
+
+      return res.status(500).json({ 
+        error: 'Checkout failed',
+        code: 'DATABASE_ERROR',
+        details: checkoutError.message 
+      })
+    }
+
+    emitStockLowAfterCheckout(cartItems)
+
+    const { data: order, error: orderError } = await db.orders.findById(orderId)
+
+    if (orderError || !order) {
+      return res.status(500).json({ 
+        error: 'Order was placed but could not be loaded',
+        code: 'DATABASE_ERROR',
+        orderId,
+        details: orderError?.message 
+      })
+    }
+    
+    res.status(201).json({
+      message: 'Order placed successfully',
+      order
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Get user's order history
+v1.get('/orders', requireAuth, async (req, res) => {
+  try {
+    const user = req.user
+
+    const { data, error } = await db.orders.listByUser(user.id)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch orders',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    res.json({
+      orders: data || [],
+      count: data?.length || 0
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal error',
+      details: err.message
+    })
+  }
+})
+
+// Get a single order
+v1.get('/orders/:id', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const user = req.user
+
+    const { data: order, error } = await db.orders.findById(req.params.id, { userId: user.id })
+
+    if (error || !order) {
+      return res.status(404).json({ 
+        error: 'Order not found',
+        code: 'ORDER_NOT_FOUND'
+      })
+    }
+    
+    res.json({ order })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal error',
+      details: err.message
+    })
+  }
+})
+
+// Update order status (buyer can cancel, the seller of the whole order moves
+// it along, admins can set any status)
+v1.put('/orders/:id/status', requireAuth, validate({
+  params: ID_PARAMS,
+  body: object({ status: oneOf(Object.keys(ORDER_STATUS_TRANSITIONS)) })
+}), async (req, res) => {
+  try {
+    const user = req.user
+
+    const orderId = req.params.id
+    const { status } = req.body
+
+    const { data: order, error: orderError } = await db.orders.findById(orderId)
+
+    const items = order?.order_items || []
+    const isBuyer = order?.user_id === user.id
+    const sellsSome = items.some(item => item.seller_id === user.id)
+    const isAdmin = !!order && await hasRole(user, 'admin')
+
+    if (orderError || !order || (!isBuyer && !sellsSome && !isAdmin)) {
+      return res.status(404).json({ 
+        error: 'Order not found',
+        code: 'ORDER_NOT_FOUND'
+      })
+    }
+
+    // A seller with one line of a multi-seller order can't ship or cancel
+    // the other sellers' lines with it
+    const sellsAll = sellsSome && items.every(item => item.seller_id === user.id)
+
+    const canSet = isAdmin ||
+      (isBuyer && status === 'cancelled') || 
+      (sellsAll && SELLER_ORDER_STATUSES.includes(status))
+
+    if (!canSet) {
+      return res.status(403).json({ 
+        error: sellsSome && !sellsAll && SELLER_ORDER_STATUSES.includes(status)
+          ? 'This order has items from other sellers, only an admin can change its status'
+          : `You are not allowed to mark this order as ${status}`,
+        code: 'FORBIDDEN'
+      })
+    }
+
+    if (!ORDER_STATUS_TRANSITIONS[order.status].includes(status)) {
+      return res.status(400).json({ 
+        error: `Cannot change order from ${order.status} to ${status}`,
+        code: 'INVALID_STATUS_TRANSITION',
+        allowed: ORDER_STATUS_TRANSITIONS[order.status]
+      })
+    }
+
+    if (status === 'cancelled') {
+      // Cancelling puts the stock back, so it runs in the database
+      const { error } = await db.orders.cancel(orderId, order.status)
+
+      if (error) {
+        const changed = error.message === 'ORDER_STATUS_CHANGED'
+        return res.status(changed ? 409 : 500).json({ 
+          error: changed ? 'Order status changed, please reload and try again' : 'Failed to cancel order',
+          code: changed ? 'ORDER_STATUS_CHANGED' : 'DATABASE_ERROR',
+          ...(!changed && { details: error.message })
+        })
+      }
+    } else {
+      // Only if nobody changed it meanwhile
+      const { data, error } = await db.orders.updateStatus(orderId, order.status, status)
+
+      if (error) {
+        return res.status(500).json({ 
+          error: 'Failed to update order status',
+          code: 'DATABASE_ERROR',
+          details: error.message 
+        })
+      }
+
+      if (!data || data.length === 0) {
+        return res.status(409).json({ 
+          error: 'Order status changed, please reload and try again',
+          code: 'ORDER_STATUS_CHANGED'
+        })
+      }
+    }
+
+    const { data: updatedOrder } = await db.orders.findById(orderId)
+    
+    res.json({
+      message: `Order marked as ${status}`,
+      order: updatedOrder
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Helper function to find cart items that can't be bought right now
+function getUnavailableCartItems(cartItems) {
+  const unavailable = []
+
+  for (const item of cartItems) {
+    const product = item.products
+    const variant = item.product_variants
+    // Variant lines are stocked (and switched off) per variant
+    const stock = variant ? variant.stock_quantity : product?.stock_quantity
+    const variantId = item.variant_id || null
+
+    if (!product || (variantId && !variant)) {
+      unavailable.push({ product_id: item.product_id, variant_id: variantId, reason: 'not_found' })
+    } else if (!product.is_active || variant?.is_active === false) {
+      unavailable.push({ product_id: item.product_id, variant_id: variantId, title: product.title, reason: 'inactive' })
+    } else if (stock < item.quantity) {
+      unavailable.push({ 
+        product_id: item.product_id, 
+        variant_id: variantId,
+        title: product.title, 
+        reason: 'insufficient_stock',
+        available: stock,
+        requested: item.quantity
+      })
+    }
+  }
+
+  return unavailable
+}
+
+// Logout user
+v1.post('/auth/logout', validate({
+  body: object({ everywhere: boolean().default(false) })
+}), async (req, res) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1] || authCookies.accessToken(req)
+    const { everywhere } = req.body
+
+    if (everywhere && !token) {
+      return res.status(401).json({ error: 'No token provided', code: 'AUTH_REQUIRED' })
+    }
+    
+    if (token) {
+      // Ends the session the token belongs to, or every session of its user
+      const { error } = await db.auth.signOut(token, everywhere ? 'global' : 'local')
+      
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Logout failed',
+          code: 'LOGOUT_FAILED',
+          details: error.message 
+        })
+      }
+
+      tokenVerifier.revoke(everywhere ? { token, userId: req.user?.id } : { token })
+    }
+
+    authCookies.clear(res)
+    
+    res.json({
+      message: everywhere ? 'Logged out of every session' : 'Logout successful'
+    })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Get user profile
+v1.get('/auth/profile', requireAuth, async (req, res) => {
+  try {
+    const user = req.user
+
+    // Tokens don't carry sign-up and sign-in times, the auth record does
+    const { data: { user: account } } = await db.auth.getUserById(user.id)
+    
+    let profileData = {}
+    try {
+      const { data: profile, error: profileError } = await db.profiles.findById(
+        user.id,
+        'username, website, avatar_url, google_id, currency, deletion_scheduled_for'
+      )
+      
+      if (profile && !profileError) {
+        profileData = profile
+      }
+    } catch (err) {
+      // Profile table might not exist or user might not have a profile record
+    }
+    
+    res.json({
+      user: {
+        id: user.id,
+        email: user.email,
+        name: profileData.username || user.user_metadata?.full_name || user.email,
+        username: profileData.username || user.user_metadata?.full_name,
+        website: profileData.website || '',
+        avatar_url: profileData.avatar_url || user.user_metadata?.avatar_url,
+        google_id: profileData.google_id || user.user_metadata?.provider_id,
+        created_at: account?.created_at,
+        last_sign_in_at: account?.last_sign_in_at,
+        email_confirmed_at: account?.email_confirmed_at,
+        currency: profileData.currency || null,
+        deletion_scheduled_for: profileData.deletion_scheduled_for || null
+      }
+    })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Update user profile
+v1.put('/auth/profile', requireAuth, validate({
+  body: object({
+    username: string({ max: 50 }).nullable().optional(),
+    name: string({ max: 50 }).nullable().optional(),
+    website: url({ allowEmpty: true }).nullable().optional(),
+    avatar_url: url({ allowEmpty: true }).nullable().optional(),
+    // Show prices in this currency, null for each listing's own
+    currency: oneOf(CURRENCY_CODES).nullable().optional()
+  })
+}), async (req, res) => {
+  try {
+    const user = req.user
+    
+    const { username, name, website, avatar_url, currency } = req.body
+    
+    const updates = {
+      id: user.id,
+      username: username || name || user.email,
+      website: website || '',
+      avatar_url: avatar_url || '',
+      ...(currency !== undefined && { currency }),
+      updated_at: new Date().toISOString()
+    }
+    
+    const { data, error } = await db.profiles.upsert(updates)
+    
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to update profile',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    try {
+      await db.auth.updateUserById(user.id, {
+        user_metadata: {
+          full_name: username || name,
+          avatar_url: avatar_url
+        }
+      })
+    } catch (metaError) {
+      // Continue anyway, profile table update is more important
+    }
+    
+    res.json({
+      message: 'Profile updated successfully',
+      user: {
+        id: user.id,
+        email: user.email,
+        name: updates.username,
+        username: updates.username,
+        website: updates.website,
+        avatar_url: updates.avatar_url,
+        ...(currency !== undefined && { currency }),
+        updated_at: updates.updated_at
+      }
+    })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Upload a profile picture (multipart/form-data, field "avatar").
+// Stored cropped to a square; avatar_url points at the medium version.
+v1.post('/auth/profile/avatar', requireAuth, async (req, res) => {
+  try {
+    const user = req.user
+
+    const { files, failure } = await receiveImages(req, res, 'avatar', 1)
+
+    if (failure) {
+      const { status, ...body } = failure
+      return res.status(status).json(body)
+    }
+
+    const { processed, failure: processFailure } = await processUploads(files, { square: true })
+
+    if (processFailure) {
+      const { status, ...body } = processFailure
+      return res.status(status).json(body)
+    }
+
+    let stored
+    try {
+      stored = await storeImage(storage, `avatars/${user.id}/${crypto.randomUUID()}`, processed[0])
+    } catch (storageError) {
+      return res.status(502).json({ 
+        error: 'Failed to store avatar',
+        code: 'STORAGE_ERROR',
+        details: storageError.message 
+      })
+    }
+
+    const { data: previous } = await db.profiles.findById(user.id, 'avatar_path')
+
+    const { error } = await db.profiles.upsert({
+      id: user.id,
+      avatar_url: stored.urls.medium,
+      avatar_path: stored.folder,
+      updated_at: new Date().toISOString()
+    })
+
+    if (error) {
+      await removeImageFolders([stored.folder])
+      return res.status(500).json({ 
+        error: 'Failed to update avatar',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    if (previous?.avatar_path) {
+      await removeImageFolders([previous.avatar_path])
+    }
+    
+    res.json({
+      message: 'Avatar updated successfully',
+      avatar: {
+        url: stored.urls.original,
+        medium_url: stored.urls.medium,
+        thumbnail_url: stored.urls.thumbnail
+      },
+      avatar_url: stored.urls.medium
+    })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Remove the uploaded profile picture
+v1.delete('/auth/profile/avatar', requireAuth, async (req, res) => {
+  try {
+    const user = req.user
+
+    const { data: profile } = await db.profiles.findById(user.id, 'avatar_path')
+
+    const { error } = await db.profiles.update(user.id, {
+      avatar_url: '',
+      avatar_path: null,
+      updated_at: new Date().toISOString()
+    })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to remove avatar',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    if (profile?.avatar_path) {
+      await removeImageFolders([profile.avatar_path])
+    }
+
+    res.json({ message: 'Avatar removed successfully' })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Download everything kept about you: the auth account, profile, cart,
+// wishlist, orders, reviews and the products you list, as a JSON file
+v1.get('/auth/profile/export', requireAuth, async (req, res) => {
+  try {
+    const user = req.user
+
+    const results = await Promise.all([
+      db.auth.getUserById(user.id),
+      db.profiles.findById(user.id),
+      db.cartItems.list({ type: 'user', id: user.id }),
+      db.wishlistItems.list(user.id),
+      db.orders.listByUser(user.id),
+      db.reviews.listByUser(user.id),
+      db.products.listBySeller(user.id, { details: true })
+    ])
+    const failed = results.find(result => result.error)
+
+    if (failed) {
+      return res.status(500).json({ 
+        error: 'Failed to export your data',
+        code: 'DATABASE_ERROR',
+        details: failed.error.message 
+      })
+    }
+
+    const [
+      { data: { user: account } },
+      { data: profile },
+      { data: cartItems },
+      { data: wishlistItems },
+      { data: orders },
+      { data: reviews },
+      { data: products }
+    ] = results
+    const exportedAt = new Date().toISOString()
+
+    res.set('Content-Disposition', `attachment; filename="gobuy-data-${exportedAt.slice(0, 10)}.json"`)
+    res.json({
+      exported_at: exportedAt,
+      account: {
+        id: account.id,
+        email: account.email,
+        phone: account.phone || null,
+        created_at: account.created_at,
+        last_sign_in_at: account.last_sign_in_at,
+        email_confirmed_at: account.email_confirmed_at,
+        user_metadata: account.user_metadata,
+        app_metadata: account.app_metadata
+      },
+      profile,
+      cart_items: cartItems,
+      wishlist_items: wishlistItems,
+      orders,
+      reviews,
+      products: products.map(withoutInternalColumns)
+    })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Ask for your account to be deleted. Nothing happens for
+// ACCOUNT_DELETION_GRACE_DAYS: you can still log in, your listings stay on
+// sale, and POST /api/auth/profile/restore cancels. After that the account
+// goes for good, see deleteAccount.
+v1.delete('/auth/profile', requireAuth, async (req, res) => {
+  try {
+    const user = req.user
+
+    const { data: profile, error: profileError } = await db.profiles.findById(user.id, 'deletion_scheduled_for')
+
+    if (profileError) {
+      return res.status(500).json({ 
+        error: 'Failed to schedule account deletion',
+        code: 'DATABASE_ERROR',
+        details: profileError.message 
+      })
+    }
+
+    if (profile?.deletion_scheduled_for) {
+      return res.json({
+        message: 'Your account is already scheduled for deletion',
+        deletion_scheduled_for: profile.deletion_scheduled_for
+      })
+    }
+
+    const now = new Date()
+    const scheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString()
+
+    const { error } = await db.profiles.upsert({
+      id: user.id,
+      deletion_requested_at: now.toISOString(),
+      deletion_scheduled_for: scheduledFor,
+      updated_at: now.toISOString()
+    })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to schedule account deletion',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    res.json({
+      message: `Your account will be deleted on ${scheduledFor.slice(0, 10)}, log in and cancel before then to keep it`,
+      deletion_scheduled_for: scheduledFor
+    })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Cancel a pending account deletion
+v1.post('/auth/profile/restore', requireAuth, async (req, res) => {
+  try {
+    const user = req.user
+
+    const { data: profile, error: profileError } = await db.profiles.findById(user.id, 'deletion_scheduled_for')
+
+    if (profileError) {
+      return res.status(500).json({ 
+        error: 'Failed to cancel account deletion',
+        code: 'DATABASE_ERROR',
+        details: profileError.message 
+      })
+    }
+
+    if (!profile?.deletion_scheduled_for) {
+      return res.status(409).json({
+        error: 'Your account is not scheduled for deletion',
+        code: 'DELETION_NOT_SCHEDULED'
+      })
+    }
+
+    const { error } = await db.profiles.update(user.id, {
+      deletion_requested_at: null,
+      deletion_scheduled_for: null,
+      updated_at: new Date().toISOString()
+    })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to cancel account deletion',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    res.json({ message: 'Account deletion cancelled' })
+    
+  } catch (err) {
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: err.message 
+    })
+  }
+})
+
+// Helper function to delete an account once its grace period is over.
+// - Its listings are taken off sale and lose their seller and SKU, but are
+//   kept so other people's reviews, wishlists and orders still point
+//   somewhere. They can never be bought again, so they are also taken out of
+//   every cart they sit in, guest carts included, releasing their holds.
+// - Its own cart is emptied.
+// - Its orders are kept for the sellers' sales records, but anonymised: they
+//   lose their buyer and tax region.
+// - The auth user, profile and avatar are deleted. Reviews, wishlist, cart
+//   coupon and webhooks go with the auth user (on delete cascade).
+// Throws if a step fails; each step can run again, so the next sweep retries.
+async function deleteAccount(userId) {
+  const { data: listings, error: listingsError } = await db.products.listBySeller(userId, { columns: 'id' })
+
+  if (listingsError) throw listingsError
+
+  const deletedAt = new Date().toISOString()
+
+  for (const { id } of listings) {
+    const { error: cartError } = await db.cartItems.removeByProduct(id)
+    if (cartError) throw cartError
+
+    const { error } = await db.products.update(id, {
+      is_active: false,
+      seller_id: null,
+      sku: null,
+      seller_deleted_at: deletedAt
+    })
+    if (error) throw error
+  }
+
+  const { error: cartError } = await db.cartItems.clear({ type: 'user', id: userId })
+  if (cartError) throw cartError
+
+  const { error: ordersError } = await db.orders.anonymiseByUser(userId)
+  if (ordersError) throw ordersError
+
+  const { data: profile } = await db.profiles.findById(userId, 'avatar_path')
+
+  // Already gone if an earlier try got this far
+  const { error: authError } = await db.auth.deleteUser(userId)
+  if (authError && authError.status !== 404) throw authError
+
+  const { error: profileError } = await db.profiles.remove(userId)
+  if (profileError) throw profileError
+
+  if (profile?.avatar_path) {
+    await removeImageFolders([profile.avatar_path])
+  }
+
+  tokenVerifier.revoke({ userId })
+  suspensionCache.delete(userId)
+}
+
+// Helper function to check a bulk import row with the same rules as POST /api/posts.
+// Returns { fields } with the parsed values of the fields that were sent, or { error }.
+function parseProductInput(row) {
+  const { value, issues } = check(object(PRODUCT_FIELDS), row, 'row')
+
+  if (issues) return { error: issues[0].message }
+
+  return { fields: toProductFields(value) }
+}
+
+// Helper function to pick the PRODUCT_FIELDS out of a checked body. Empty
+// image URLs, categories and SKUs are saved as null.
+function toProductFields(body) {
+  const fields = pickFields(body, PRODUCT_FIELDS)
+
+  for (const key of ['image_url', 'category', 'sku']) {
+    if (fields[key] === '') fields[key] = null
+  }
+
+  return fields
+}
+
+// Helper function to keep the fields of a schema shape that were sent
+function pickFields(body, shape) {
+  return Object.fromEntries(
+    Object.keys(shape)
+      .filter(key => body[key] !== undefined)
+      .map(key => [key, body[key]])
+  )
+}
+
+const MODERATED_LISTING_ERROR = 'This listing was deactivated by an admin and cannot be reactivated'
+
+// Helper function to check the options/variants sent with a product (see
+// PRODUCT_VARIANT_FIELDS) and that they fit together.
+// Returns { options, variants } ready to save, or { error }.
+function parseVariantInput({ options, variants }) {
+  if (!Array.isArray(options) || !Array.isArray(variants)) {
+    return { error: 'options and variants must be sent together, both as lists' }
+  }
+
+  const { value: input, issues } = check(object(PRODUCT_VARIANT_FIELDS), { options, variants })
+
+  if (issues) return { error: issues[0].message }
+
+  if (variants.length > 0 && options.length === 0) {
+    return { error: 'Variants need at least one option (like Size or Color)' }
+  }
+
+  const parsedOptions = []
+  for (const [position, { name, values: rawValues }] of input.options.entries()) {
+    const values = [...new Set(rawValues.map(value => String(value).trim()).filter(Boolean))]
+
+    if (parsedOptions.some(parsed => parsed.name === name)) {
+      return { error: `Option "${name}" is listed twice` }
+    }
+    if (values.length === 0) {
+      return { error: `Option "${name}" needs at least one value` }
+    }
+
+    parsedOptions.push({ name, values, position })
+  }
+
+  const parsedVariants = []
+  const seenSkus = new Set()
+  const seenCombos = new Set()
+
+  for (const [position, variant] of input.variants.entries()) {
+    const { sku } = variant
+
+    if (seenSkus.has(sku)) {
+      return { error: `SKU "${sku}" is used by more than one variant` }
+    }
+    seenSkus.add(sku)
+
+    const variantOptions = {}
+    for (const option of parsedOptions) {
+      const value = variant.options?.[option.name]
+      if (!option.values.includes(value)) {
+        return { error: `Variant "${sku}" needs a ${option.name} of: ${option.values.join(', ')}` }
+      }
+      variantOptions[option.name] = value
+    }
+
+    const combo = JSON.stringify(variantOptions)
+    if (seenCombos.has(combo)) {
+      return { error: `Variant "${sku}" has the same options as another variant` }
+    }
+    seenCombos.add(combo)
+
+    parsedVariants.push({
+      id: variant.id,
+      sku,
+      options: variantOptions,
+      price: variant.price ?? null,
+      stock_quantity: variant.stock_quantity,
+      is_active: variant.is_active ?? true,
+      position
+    })
+  }
+
+  return { options: parsedOptions, variants: parsedVariants }
+}
+
+// Helper function to replace a product's options and variants with new ones,
+// all or nothing (see save_product_variants). Existing variants are matched by
+// id or SKU and updated in place, so carts keep pointing at them. Variants left
+// out are deleted, or just deactivated if they're sitting in someone's cart.
+// Throws on database errors.
+async function saveProductVariants(productId, { options, variants }) {
+  const { error } = await db.productVariants.save(productId, { options, variants })
+
+  if (error) throw error
+}
+
+// Helper function to load a product with its options, variants and images, in order
+async function getProductWithVariants(productId, { activeVariantsOnly = false } = {}) {
+  const { data: product, error } = await db.products.findById(productId, { details: true })
+
+  if (error || !product) return { product: null, error }
+
+  return { product: withSortedVariants(product, { activeVariantsOnly }) }
+}
+
+// Helper function to tidy the embedded options/variants/images on a product row
+function withSortedVariants(row, { activeVariantsOnly = false } = {}) {
+  const { product_options, product_variants, product_images, ...product } = row
+  const byPosition = (a, b) => a.position - b.position
+
+  return {
+    ...product,
+    options: [...(product_options || [])].sort(byPosition),
+    variants: [...(product_variants || [])]
+      .filter(variant => !activeVariantsOnly || variant.is_active)
+      .sort(byPosition),
+    ...(product_images && { images: [...product_images].sort(byPosition) })
+  }
+}
+
+// Helper function to turn product listing query params (checked against
+// PRODUCT_LIST_FIELDS) into list options. Returns { options } or { error }.
+function parseProductListQuery(query) {
+  const options = {}
+
+  const search = cleanSearchTerm(query.q ?? query.search)
+  if (search) options.search = search
+
+  if (query.category) options.category = query.category
+  if (query.min_price !== undefined) options.minPrice = query.min_price
+  if (query.max_price !== undefined) options.maxPrice = query.max_price
+
+  if (options.minPrice !== undefined && options.maxPrice !== undefined && options.minPrice > options.maxPrice) {
+    return { error: 'min_price cannot be greater than max_price' }
+  }
+
+  if (query.in_stock !== undefined) options.inStock = query.in_stock
+
+  // Inactive products are hidden unless asked for (is_active=false or all)
+  if (query.is_active === undefined) {
+    options.isActive = true
+  } else if (query.is_active !== 'all') {
+    options.isActive = parseBooleanParam(query.is_active)
+  }
+
+  options.sort = query.sort || 'newest'
+
+  const { pagination, error } = parsePaginationQuery(query)
+  if (error) return { error }
+
+  return { options: { ...options, ...pagination } }
+}
+
+// Helper function to turn min_price/max_price list options, given in the
+// currency prices are shown in (BASE_CURRENCY if none), into BASE_CURRENCY to
+// compare with each listing's price_base. Rounded outwards to price_base's
+// 4 decimals, so a listing priced exactly at a bound is still in.
+// Returns { range } or { failure } when the currency has no rate.
+function toBasePriceRange({ minPrice, maxPrice }, display) {
+  const currency = display.currency || BASE_CURRENCY
+
+  if ((minPrice === undefined && maxPrice === undefined) || currency === BASE_CURRENCY) {
+    return { range: { minPrice, maxPrice } }
+  }
+
+  const rate = display.rates[currency]
+
+  if (!rate) {
+    return { failure: { 
+      status: 409, 
+      error: `Prices cannot be filtered in ${currency} yet, an exchange rate is missing`,
+      code: 'EXCHANGE_RATE_MISSING'
+    } }
+  }
+
+  const toBase = (price, round) => price === undefined ? undefined : round(price / rate * 10000) / 10000
+
+  return { range: { minPrice: toBase(minPrice, Math.floor), maxPrice: toBase(maxPrice, Math.ceil) } }
+}
+
+// Helper function to make a search term safe to put in a filter
+function cleanSearchTerm(value) {
+  return (value ?? '').toString()
+    .replace(/[%_*,()"\\]/g, ' ') // Characters with meaning in PostgREST filters
+    .trim()
+    .slice(0, 100)
+}
+
+// Helper function to read limit with page or cursor query params (checked
+// against PAGINATION_FIELDS)
+function parsePaginationQuery(query) {
+  const limit = query.limit ?? DEFAULT_PAGE_SIZE
+
+  // A cursor wins over page if both are sent
+  if (query.cursor) {
+    const offset = decodeCursor(query.cursor)
+    if (offset === undefined) {
+      return { error: 'Invalid cursor' }
+    }
+    return { pagination: { limit, offset } }
+  }
+
+  const page = query.page ?? 1
+
+  return { pagination: { limit, offset: (page - 1) * limit } }
+}
+
+// Helper function to describe a page of results in responses
+function buildPagination({ limit, offset }, count) {
+  const total = count || 0
+  const nextOffset = offset + limit
+  const hasMore = nextOffset < total
+
+  return {
+    total,
+    limit,
+    offset,
+    page: Math.floor(offset / limit) + 1,
+    totalPages: Math.ceil(total / limit),
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(nextOffset) : null
+  }
+}
+
+// Helper function to read 'true'/'false' query params
+function parseBooleanParam(value) {
+  if (value === 'true' || value === '1') return true
+  if (value === 'false' || value === '0') return false
+  return undefined
+}
+
+// Helper functions for opaque pagination cursors
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url')
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor.toString(), 'base64url').toString())
+    return Number.isInteger(offset) && offset >= 0 ? offset : undefined
+  } catch (err) {
+    return undefined
+  }
+}
+// Add this endpoint after your existing product endpoints and before the authentication endpoints
+
+// Get current user's products (seller dashboard)
+v1.get('/my-products', requireAuth, async (req, res) => {
+  try {
+    const user = req.user
+
+    // Get products created by this user
+    const { data, error } = await db.products.listBySeller(user.id, { details: true })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch your products',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    res.json({
+      products: (data || []).map(product => withPrices(withSortedVariants(product))),
+      count: data?.length || 0,
+      seller: {
+        id: user.id,
+        email: user.email,
+        name: user.user_metadata?.full_name || user.email
+      }
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal error',
+      details: err.message
+    })
+  }
+})
+
+// BULK IMPORT / EXPORT ENDPOINTS
+const MAX_IMPORT_ROWS = 1000
+
+// Columns in CSV exports, also what CSV imports read
+const PRODUCT_CSV_COLUMNS = [
+  'id',
+  'sku',
+  'title',
+  'description',
+  'price',
+  'currency',
+  'category',
+  'stock_quantity',
+  'weight_kg',
+  'image_url',
+  'is_active',
+  'low_stock_threshold'
+]
+
+// Import products from a CSV file (Content-Type: text/csv) or JSON (a list of
+// products, or { products: [...] }). Rows with an id or a SKU the seller
+// already uses update that product, other rows create one. With
+// ?dry_run=true the report is worked out but nothing is saved.
+v1.post('/my-products/import', requireAuth, validate({
+  query: object({ dry_run: boolean().default(false) })
+}), async (req, res) => {
+  try {
+    const user = req.user
+    const token = req.token
+
+    const dryRun = req.query.dry_run
+    const { rows, error: readError } = readImportRows(req)
+
+    if (readError) {
+      return res.status(400).json({ error: readError, code: 'VALIDATION_ERROR' })
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'No products to import', code: 'VALIDATION_ERROR' })
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ 
+        error: `Too many products, import at most ${MAX_IMPORT_ROWS} at a time`,
+        code: 'VALIDATION_ERROR'
+      })
+    }
+
+    // The seller's current products, to match rows by id or SKU
+    const { data: existing, error: existingError } = await db.products.listBySeller(user.id, { details: true })
+
+    if (existingError) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch your products',
+        code: 'DATABASE_ERROR',
+        details: existingError.message 
+      })
+    }
+
+    const byId = new Map(existing.map(product => [product.id, product]))
+    const bySku = new Map(existing.filter(product => product.sku).map(product => [product.sku, product]))
+    const seen = new Set()
+    const report = []
+
+    for (const [index, row] of rows.entries()) {
+      const sku = typeof row.sku === 'string' ? row.sku.trim() : row.sku
+      const entry = { row: index + 1, id: row.id || null, sku: sku || null, title: row.title || null }
+      const reject = error => report.push({ ...entry, action: 'rejected', error })
+
+      const match = row.id ? byId.get(String(row.id)) : bySku.get(sku)
+
+      if (row.id && !match) {
+        reject('No product of yours has this id')
+        continue
+      }
+
+      const key = match?.id || (sku && `sku:${sku}`)
+      if (key && seen.has(key)) {
+        reject('Same product as an earlier row')
+        continue
+      }
+      if (key) seen.add(key)
+
+      // Same rules as POST /api/posts
+      const { fields, error: validationError } = parseProductInput(row)
+      if (validationError) {
+        reject(validationError)
+        continue
+      }
+
+      if (fields.is_active === true && match?.moderated_at) {
+        reject(MODERATED_LISTING_ERROR)
+        continue
+      }
+
+      const skuOwner = fields.sku && bySku.get(fields.sku)
+      if (skuOwner && skuOwner.id !== match?.id) {
+        reject('SKU is already used by another of your products')
+        continue
+      }
+
+      let variantInput = null
+      if (row.options !== undefined || row.variants !== undefined) {
+        variantInput = parseVariantInput(row)
+        if (variantInput.error) {
+          reject(variantInput.error)
+          continue
+        }
+      }
+
+      const priceProblem = getPriceProblem({
+        price: fields.price ?? match?.price,
+        variants: variantInput?.variants
+      }, fields.currency || match?.currency || BASE_CURRENCY)
+
+      if (priceProblem) {
+        reject(priceProblem)
+        continue
+      }
+
+      // Products with variants get their stock from the variants
+      const warnings = []
+      const hasVariants = variantInput
+        ? variantInput.variants.length > 0
+        : match?.product_variants?.length > 0
+
+      if (hasVariants && fields.stock_quantity !== undefined) {
+        delete fields.stock_quantity
+        warnings.push('stock_quantity ignored, this product has variants')
+      }
+
+      const action = match ? 'updated' : 'created'
+
+      if (dryRun) {
+        report.push({ ...entry, action, ...(warnings.length && { warnings }) })
+        continue
+      }
+
+      const { data, error } = match
+        ? await db.products.update(match.id, { ...fields, updated_at: new Date().toISOString() }, { sellerId: user.id, token })
+        : await db.products.create({
+          seller_id: user.id,
+          image_url: null,
+          category: null,
+          stock_quantity: 0,
+          weight_kg: 0,
+          currency: BASE_CURRENCY,
+          is_active: true,
+          ...fields
+        }, { token })
+
+      if (error || !data || data.length === 0) {
+        reject(error?.code === '23505'
+          ? 'SKU is already used by another of your products'
+          : `Product could not be ${action}${EXPOSE_ERROR_DETAILS && error ? `: ${error.message}` : ''}`)
+        continue
+      }
+
+      const productId = data[0].id
+
+      if (variantInput) {
+        try {
+          await saveProductVariants(productId, variantInput)
+        } catch (variantError) {
+          warnings.push(variantError.code === '23505'
+            ? 'Variants not saved: a variant SKU is already in use'
+            : `Variants not saved${EXPOSE_ERROR_DETAILS ? `: ${variantError.message}` : ''}`)
+        }
+      }
+
+      if (fields.sku) bySku.set(fields.sku, { id: productId, sku: fields.sku })
+
+      emitWebhookEvent(match ? 'product.updated' : 'product.created', user.id, {
+        product: withoutInternalColumns(data[0]),
+        ...(match && { changes: Object.keys(fields) })
+      })
+
+      if (match) {
+        const { product: updated } = variantInput ? await getProductWithVariants(productId) : {}
+        emitStockLowIfCrossed(withSortedVariants(match), updated || data[0])
+      }
+
+      report.push({ ...entry, id: productId, action, ...(warnings.length && { warnings }) })
+    }
+
+    const count = action => report.filter(entry => entry.action === action).length
+    const summary = {
+      total: report.length,
+      created: count('created'),
+      updated: count('updated'),
+      rejected: count('rejected')
+    }
+    
+    res.json({
+      message: dryRun 
+        ? 'Dry run complete, nothing was saved' 
+        : `Imported ${summary.created + summary.updated} of ${summary.total} products`,
+      dry_run: dryRun,
+      summary,
+      report
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Export the seller's catalog as a CSV or JSON download (?format=csv|json)
+v1.get('/my-products/export', requireAuth, validate({
+  query: object({ format: oneOf(['csv', 'json']).default('json') })
+}), async (req, res) => {
+  try {
+    const user = req.user
+
+    const { format } = req.query
+
+    const { data, error } = await db.products.listBySeller(user.id, { details: true, ascending: true })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch your products',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    const products = (data || []).map(product => withSortedVariants(product))
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`)
+
+    if (format === 'csv') {
+      // Flat product fields only, variants need the JSON format
+      return res.type('text/csv').send(toCsv(products, PRODUCT_CSV_COLUMNS))
+    }
+
+    // Same shape the JSON import accepts, so an export can be edited and re-imported
+    res.json({
+      exported_at: new Date().toISOString(),
+      count: products.length,
+      products: products.map(product => ({
+        ...Object.fromEntries(PRODUCT_CSV_COLUMNS.map(column => [column, product[column]])),
+        options: product.options.map(({ name, values }) => ({ name, values })),
+        variants: product.variants.map(({ id, sku, options, price, stock_quantity, is_active }) => 
+          ({ id, sku, options, price, stock_quantity, is_active }))
+      }))
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal error',
+      details: err.message
+    })
+  }
+})
+
+// Helper function to get product rows from an import request body
+function readImportRows(req) {
+  if (req.is('text/csv') || req.is('text/plain')) {
+    try {
+      return { rows: parseCsv(typeof req.body === 'string' ? req.body : '').map(toProductRow) }
+    } catch (err) {
+      return { error: `Could not read CSV: ${err.message}` }
+    }
+  }
+
+  const rows = Array.isArray(req.body) ? req.body : req.body?.products
+
+  if (!Array.isArray(rows)) {
+    return { error: 'Send a CSV file (Content-Type: text/csv) or a JSON list of products' }
+  }
+
+  if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    return { error: 'Each product must be an object' }
+  }
+
+  return { rows }
+}
+
+// Helper function to turn a CSV row (all text) into product input.
+// Empty cells count as not sent; booleans are read from true/false.
+function toProductRow(record) {
+  const row = {}
+
+  for (const column of PRODUCT_CSV_COLUMNS) {
+    const value = record[column]?.trim()
+    if (value === undefined || value === '') continue
+    row[column] = column === 'is_active' ? (parseBooleanParam(value) ?? value) : value
+  }
+
+  return row
+}
+
+// Update existing product (seller can edit their own products)
+v1.put('/my-products/:id', requireAuth, validate({
+  params: ID_PARAMS,
+  body: object({ ...PRODUCT_FIELDS, ...PRODUCT_VARIANT_FIELDS }).partial()
+}), requireProductOwner('edit'), async (req, res) => {
+  try {
+    const user = req.user
+
+    const productId = req.params.id
+    const { stock_quantity, options, variants } = req.body
+    const fields = toProductFields(req.body)
+
+    // Sending options + variants replaces the product's whole variant setup
+    let variantInput = null
+    if (options !== undefined || variants !== undefined) {
+      variantInput = parseVariantInput({ options, variants })
+
+      if (variantInput.error) {
+        return res.status(400).json({ error: variantInput.error, code: 'VALIDATION_ERROR' })
+      }
+    }
+
+    if (fields.is_active === true && req.product.moderated_at) {
+      return res.status(403).json({ 
+        error: MODERATED_LISTING_ERROR,
+        code: 'LISTING_MODERATED'
+      })
+    }
+
+    const priceProblem = getPriceProblem({
+      price: fields.price ?? req.product.price,
+      variants: variantInput?.variants
+    }, fields.currency || req.product.currency || BASE_CURRENCY)
+
+    if (priceProblem) {
+      return res.status(400).json({ error: priceProblem, code: 'VALIDATION_ERROR' })
+    }
+
+    // With variants, the product's stock is the sum of theirs
+    if (stock_quantity !== undefined) {
+      let hasVariants = variantInput ? variantInput.variants.length > 0 : false
+
+      if (!variantInput) {
+        const { count } = await db.productVariants.countByProduct(productId)
+
+        hasVariants = count > 0
+      }
+
+      if (hasVariants) {
+        return res.status(400).json({ 
+          error: 'This product has variants, set stock_quantity on each variant instead',
+          code: 'VALIDATION_ERROR'
+        })
+      }
+    }
+
+    // The variants as they were, to tell whether their stock got low
+    const { product: before } = variantInput ? await getProductWithVariants(productId) : {}
+
+    if (variantInput) {
+      try {
+        await saveProductVariants(productId, variantInput)
+      } catch (variantError) {
+        const skuTaken = variantError.code === '23505'
+        return res.status(skuTaken ? 409 : 500).json({ 
+          error: skuTaken ? 'A variant SKU is already in use' : 'Failed to update product variants',
+          code: skuTaken ? 'SKU_TAKEN' : 'DATABASE_ERROR',
+          ...(!skuTaken && { details: variantError.message })
+        })
+      }
+    }
+
+    // Prepare update object (only include fields that are provided)
+    const updates = {
+      ...fields,
+      updated_at: new Date().toISOString()
+    }
+
+    // Update the product
+    const { data, error } = await db.products.update(productId, updates, { sellerId: user.id }) // Double-check ownership
+
+    // SKUs are unique per seller
+    if (error?.code === '23505') {
+      return res.status(409).json({ 
+        error: 'You already have a product with this SKU',
+        code: 'SKU_TAKEN'
+      })
+    }
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to update product',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ 
+        error: 'Product not found or update failed',
+        code: 'PRODUCT_NOT_FOUND'
+      })
+    }
+    
+    const { product } = await getProductWithVariants(productId)
+
+    emitWebhookEvent('product.updated', user.id, { product: withoutInternalColumns(product || data[0]), changes: Object.keys(fields) })
+    emitStockLowIfCrossed(before || req.product, product || data[0])
+    
+    res.json({
+      message: 'Product updated successfully',
+      product: withPrices(product || data[0])
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Delete product (seller can delete their own products)
+v1.delete('/my-products/:id', requireAuth, validate({ params: ID_PARAMS }), requireProductOwner('delete'), async (req, res) => {
+  try {
+    const user = req.user
+
+    const productId = req.params.id
+    const existingProduct = req.product
+
+    // Check if product is in any carts before deleting
+    const { count: cartCount, error: cartError } = await db.cartItems.countByProduct(productId)
+
+    if (cartError) {
+      return res.status(500).json({ 
+        error: 'Failed to check cart dependencies',
+        code: 'DATABASE_ERROR',
+        details: cartError.message 
+      })
+    }
+
+    // If product is in carts, you might want to either:
+    // 1. Prevent deletion
+    // 2. Remove from carts first
+    // For now, let's prevent deletion if it's in someone's cart
+    if (cartCount > 0) {
+      return res.status(400).json({ 
+        error: 'Cannot delete product that is currently in customer carts',
+        code: 'PRODUCT_IN_CARTS',
+        suggestion: 'Consider marking it as inactive instead'
+      })
+    }
+
+    // Image rows go with the product, their files are removed afterwards
+    const { data: images } = await db.productImages.listByProduct(productId, 'storage_path')
+
+    // Delete the product
+    const { error } = await db.products.remove(productId, { sellerId: user.id }) // Double-check ownership
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to delete product',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    if (images?.length) {
+      await removeImageFolders(images.map(image => image.storage_path))
+    }
+
+    emitWebhookEvent('product.deleted', user.id, { product: { id: productId, title: existingProduct.title } })
+    
+    res.json({
+      message: `Product "${existingProduct.title}" deleted successfully`
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// PRODUCT IMAGE ENDPOINTS
+const MAX_PRODUCT_IMAGES = 10
+
+const IMAGE_PARAMS = object({ id: uuid(), imageId: uuid() })
+
+// Upload images for a product (multipart/form-data, field "images").
+// The first image becomes the primary one if the product has none yet.
+v1.post('/my-products/:id/images', requireAuth, validate({ params: ID_PARAMS }), requireProductOwner('add images to'), async (req, res) => {
+  try {
+    const productId = req.params.id
+
+    // Only read the body once we know who is uploading
+    const { files, failure } = await receiveImages(req, res, 'images', MAX_PRODUCT_IMAGES)
+
+    if (failure) {
+      const { status, ...body } = failure
+      return res.status(status).json(body)
+    }
+
+    const { data: existing, error: imagesError } = await db.productImages.listByProduct(productId, 'position, is_primary')
+
+    if (imagesError) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch images',
+        code: 'DATABASE_ERROR',
+        details: imagesError.message 
+      })
+    }
+
+    if (existing.length + files.length > MAX_PRODUCT_IMAGES) {
+      return res.status(400).json({ 
+        error: `A product can have at most ${MAX_PRODUCT_IMAGES} images`,
+        code: 'TOO_MANY_IMAGES',
+        remaining: MAX_PRODUCT_IMAGES - existing.length
+      })
+    }
+
+    const { processed, failure: processFailure } = await processUploads(files)
+
+    if (processFailure) {
+      const { status, ...body } = processFailure
+      return res.status(status).json(body)
+    }
+
+    let position = existing.reduce((max, image) => Math.max(max, image.position + 1), 0)
+    let needsPrimary = !existing.some(image => image.is_primary)
+    const stored = []
+    const rows = []
+
+    try {
+      for (const image of processed) {
+        const { folder, urls } = await storeImage(storage, `products/${productId}/${crypto.randomUUID()}`, image)
+        stored.push(folder)
+
+        rows.push({
+          product_id: productId,
+          storage_path: folder,
+          url: urls.original,
+          thumbnail_url: urls.thumbnail,
+          medium_url: urls.medium,
+          content_type: image.original.contentType,
+          size_bytes: image.original.buffer.length,
+          width: image.width,
+          height: image.height,
+          position: position++,
+          is_primary: needsPrimary
+        })
+        needsPrimary = false
+      }
+    } catch (storageError) {
+      await removeImageFolders(stored)
+      return res.status(502).json({ 
+        error: 'Failed to store images',
+        code: 'STORAGE_ERROR',
+        details: storageError.message 
+      })
+    }
+
+    const { data: images, error } = await db.productImages.insert(rows)
+
+    if (error) {
+      await removeImageFolders(stored)
+      return res.status(500).json({ 
+        error: 'Failed to save images',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+    
+    res.status(201).json({
+      message: `${images.length} image(s) uploaded`,
+      images: images.sort((a, b) => a.position - b.position)
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Reorder a product's images, body: { image_ids: [...] } listing every image
+v1.put('/my-products/:id/images/order', requireAuth, validate({
+  params: ID_PARAMS,
+  body: object({ image_ids: array(uuid(), { min: 1 }) })
+}), requireProductOwner('change images of'), async (req, res) => {
+  try {
+    const { image_ids } = req.body
+
+    // Checked and applied in one go in the database
+    const { error } = await db.productImages.reorder(req.params.id, image_ids)
+
+    if (error) {
+      const mismatch = error.message === 'IMAGE_ORDER_MISMATCH'
+      return res.status(mismatch ? 400 : 500).json({ 
+        error: mismatch ? 'image_ids must list every image of this product exactly once' : 'Failed to reorder images',
+        code: mismatch ? 'VALIDATION_ERROR' : 'DATABASE_ERROR',
+        ...(!mismatch && { details: error.message })
+      })
+    }
+
+    const { images, error: imagesError } = await getProductImages(req.params.id)
+
+    if (imagesError) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch images',
+        code: 'DATABASE_ERROR',
+        details: imagesError.message 
+      })
+    }
+    
+    res.json({
+      message: 'Images reordered successfully',
+      images
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Make an image the product's primary image (shown in listings as image_url)
+v1.put('/my-products/:id/images/:imageId/primary', requireAuth, validate({ params: IMAGE_PARAMS }), requireProductOwner('change images of'), async (req, res) => {
+  try {
+    const { error } = await db.productImages.setPrimary(req.params.id, req.params.imageId)
+
+    if (error) {
+      const notFound = error.message === 'IMAGE_NOT_FOUND'
+      return res.status(notFound ? 404 : 500).json({ 
+        error: notFound ? 'Image not found' : 'Failed to set primary image',
+        code: notFound ? 'IMAGE_NOT_FOUND' : 'DATABASE_ERROR',
+        ...(!notFound && { details: error.message })
+      })
+    }
+
+    const { images, error: imagesError } = await getProductImages(req.params.id)
+
+    if (imagesError) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch images',
+        code: 'DATABASE_ERROR',
+        details: imagesError.message 
+      })
+    }
+    
+    res.json({
+      message: 'Primary image updated successfully',
+      images
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Delete a product image and its files
+v1.delete('/my-products/:id/images/:imageId', requireAuth, validate({ params: IMAGE_PARAMS }), requireProductOwner('change images of'), async (req, res) => {
+  try {
+    // Deleting the primary image promotes the next one
+    const { data, error } = await db.productImages.remove(req.params.id, req.params.imageId)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to delete image',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ 
+        error: 'Image not found',
+        code: 'IMAGE_NOT_FOUND'
+      })
+    }
+
+    await removeImageFolders(data.map(image => image.storage_path))
+
+    const { images } = await getProductImages(req.params.id)
+    
+    res.json({
+      message: 'Image deleted successfully',
+      images: images || []
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Helper function to load a product's images in display order
+async function getProductImages(productId) {
+  const { data, error } = await db.productImages.listByProduct(productId)
+
+  return { images: data, error }
+}
+
+// Helper function to read multipart image uploads from a request.
+// Runs inside the handler so anonymous requests never get their body buffered.
+function receiveImages(req, res, field, maxCount) {
+  return new Promise(resolve => {
+    imageUpload.array(field, maxCount)(req, res, err => {
+      if (err?.code === 'LIMIT_FILE_SIZE') {
+        return resolve({ failure: { 
+          status: 413, 
+          error: `Image is too large, the limit is ${MAX_IMAGE_BYTES / 1024 / 1024} MB`,
+          code: 'IMAGE_TOO_LARGE'
+        } })
+      }
+
+      if (err?.code === 'LIMIT_FILE_COUNT' || err?.code === 'LIMIT_UNEXPECTED_FILE') {
+        return resolve({ failure: { 
+          status: 400, 
+          error: `Send at most ${maxCount} image(s) in the "${field}" field`,
+          code: 'INVALID_UPLOAD'
+        } })
+      }
+
+      if (err) {
+        return resolve({ failure: { status: 400, error: 'Invalid upload', code: 'INVALID_UPLOAD', details: err.message } })
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return resolve({ failure: { 
+          status: 400, 
+          error: `No image uploaded, send multipart/form-data with a "${field}" field`,
+          code: 'INVALID_UPLOAD'
+        } })
+      }
+
+      resolve({ files: req.files })
+    })
+  })
+}
+
+// Helper function to check and resize uploaded images before anything is stored
+async function processUploads(files, options) {
+  const processed = []
+
+  for (const file of files) {
+    const problem = getImageProblem(file)
+
+    if (problem) {
+      return { failure: { status: 400, error: problem, code: 'INVALID_IMAGE', file: file.originalname } }
+    }
+
+    try {
+      processed.push(await processImage(file, options))
+    } catch (err) {
+      return { failure: { 
+        status: 400, 
+        error: 'Could not read image',
+        code: 'INVALID_IMAGE',
+        file: file.originalname, 
+        details: err.message 
+      } }
+    }
+  }
+
+  return { processed }
+}
+
+// Helper function to remove stored image files. Failures are only logged,
+// a leftover file is better than failing the request that removed its row.
+async function removeImageFolders(folders) {
+  try {
+    await storage.remove(folders.flatMap(folder => imageFiles(folder)))
+  } catch (err) {
+    console.error('Failed to remove image files:', err.message)
+  }
+}
+
+// Get seller statistics/dashboard data for a date range (?from=&to=, YYYY-MM-DD,
+// last 30 days by default): counts, category and price band breakdowns, low
+// stock products (?low_stock= sets the threshold for products without their
+// own) and a daily series. Worked out in the database. Inventory values and
+// price bands are in the display currency (BASE_CURRENCY if none is set).
+v1.get('/seller-stats', requireAuth, validate({
+  query: object({
+    from: string().optional(),
+    to: string().optional(),
+    low_stock: integer({ min: 0 }).optional(),
+    price_bands: string().optional(),
+    ...CURRENCY_QUERY
+  })
+}), async (req, res) => {
+  try {
+    const user = req.user
+
+    const { options, error: queryError } = parseStatsQuery(req.query)
+
+    if (queryError) {
+      return res.status(400).json({ error: queryError, code: 'VALIDATION_ERROR' })
+    }
+
+    const { currency: displayCurrency } = await getPriceDisplay(req)
+    const currency = displayCurrency || BASE_CURRENCY
+
+    const { data: analytics, error } = await db.products.sellerStats(user.id, {
+      from: options.from,
+      to: options.to,
+      lowStockThreshold: options.lowStockThreshold,
+      priceBands: options.priceBands,
+      currency
+    })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch seller statistics',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
+    }
+
+    const { statistics, categories, priceBands, lowStock, daily } = analytics
+
+    res.json({
+      seller: {
+        id: user.id,
+        email: user.email,
+        name: user.user_metadata?.full_name || user.email
+      },
+      range: {
+        from: toDateString(options.from),
+        to: toDateString(new Date(options.to - DAY_MS))
+      },
+      currency,
+      statistics: {
+        ...statistics,
+        ...toInventoryValue(statistics.totalInventoryValue, currency, 'totalInventoryValue')
+      },
+      categories: categories.map(category => ({
+        ...category,
+        ...toInventoryValue(category.inventoryValue, currency, 'inventoryValue')
+      })),
+      priceBands,
+      lowStock,
+      daily,
+      summary: {
+        message: `You have ${statistics.totalProducts} products, ${statistics.activeProducts} active, ${statistics.lowStockProducts} low on stock`
+      }
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal error',
+      details: err.message
+    })
+  }
+})
+
+// Seller stats defaults and limits
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_STATS_DAYS = 30
+const MAX_STATS_DAYS = 366
+const DEFAULT_LOW_STOCK_THRESHOLD = 5
+const DEFAULT_PRICE_BANDS = [10, 25, 50, 100, 250]
+const MAX_PRICE_BANDS = 20
+
+// Helper function to read /api/seller-stats params. from and to are whole UTC
+// days, to included; price_bands are comma separated band edges ("10,50,100").
+// Returns { options } with to as the (exclusive) end, or { error }.
+function parseStatsQuery(query) {
+  const parseDay = value => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null
+    const date = new Date(`${value}T00:00:00Z`)
+    return Number.isNaN(date.getTime()) || toDateString(date) !== value ? null : date
+  }
+
+  const today = new Date(`${toDateString(new Date())}T00:00:00Z`)
+  let to = new Date(today.getTime() + DAY_MS)
+  if (query.to !== undefined) {
+    const day = parseDay(query.to)
+    if (!day) return { error: 'to must be a date like 2026-01-31' }
+    to = new Date(day.getTime() + DAY_MS)
+  }
+
+  let from = new Date(to.getTime() - DEFAULT_STATS_DAYS * DAY_MS)
+  if (query.from !== undefined) {
+    from = parseDay(query.from)
+    if (!from) return { error: 'from must be a date like 2026-01-01' }
+  }
+
+  if (from >= to) {
+    return { error: 'from cannot be after to' }
+  }
+
+  if ((to - from) / DAY_MS > MAX_STATS_DAYS) {
+    return { error: `The range can be at most ${MAX_STATS_DAYS} days` }
+  }
 
-const app = express()
+  const lowStockThreshold = query.low_stock ?? DEFAULT_LOW_STOCK_THRESHOLD
 
-// Middleware CORS
-app.use(cors({
-  origin: [
-    'https://gobuy-frontend.vercel.app',
-    'localhost:5173',
-    'http://localhost:5173',
-  ],
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: [
-    'Content-Type', 
-    'Authorization', 
-    'X-Requested-With',
-    'Accept',
-    'Origin'
-  ]
-}))
+  let priceBands = DEFAULT_PRICE_BANDS
+  if (query.price_bands !== undefined) {
+    priceBands = query.price_bands.split(',').map(edge => edge.trim() === '' ? NaN : Number(edge))
+    if (priceBands.some(edge => !Number.isFinite(edge) || edge <= 0) || priceBands.length > MAX_PRICE_BANDS) {
+      return { error: `price_bands must be up to ${MAX_PRICE_BANDS} positive numbers, like 10,50,100` }
+    }
+    priceBands = [...new Set(priceBands)].sort((a, b) => a - b)
+  }
 
-app.options('*', cors())
-app.use(express.json())
-app.use(express.urlencoded({ extended: true }))
+  return { options: { from, to, lowStockThreshold, priceBands } }
+}
 
-// API CALLS TO SUPABASE
-// Get all products
-app.get('/api/posts', async (req, res) => {
+// Helper function to format a date as YYYY-MM-DD (UTC)
+function toDateString(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+// Helper function to round an inventory value worked out in the database to
+// the currency's minor unit, as { [key]: 12.5, [key + 'Minor']: 1250 }
+function toInventoryValue(value, currency, key) {
+  const minor = toMinor(value, currency)
+  return { [key]: fromMinor(minor, currency), [`${key}Minor`]: minor }
+}
+
+// SELLER COUPON ENDPOINTS
+// Coupons a seller creates only ever discount their own products
+const COUPON_FIELDS = {
+  code: string({ pattern: /^[A-Za-z0-9_-]{3,32}$/, message: 'must be 3-32 letters, numbers, dashes or underscores' }),
+  discount_type: oneOf(COUPON_TYPES),
+  discount_value: number({ positive: true }),
+  min_cart_value: number({ min: 0 }).optional(),
+  // What fixed discounts and min_cart_value are in, BASE_CURRENCY by default
+  currency: oneOf(CURRENCY_CODES).optional(),
+  max_uses: integer({ min: 1 }).nullable().optional(),
+  max_uses_per_user: integer({ min: 1 }).nullable().optional(),
+  starts_at: date().nullable().optional(),
+  expires_at: date().nullable().optional(),
+  description: string().nullable().optional(),
+  category: string().nullable().optional(),
+  is_active: boolean().optional()
+}
+
+// Get current user's coupons
+v1.get('/my-coupons', requireAuth, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('products')
-      .select('*')
-      .order('created_at', { ascending: false })
-  
+    const user = req.user
+
+    const { data, error } = await db.coupons.listBySeller(user.id)
+
     if (error) {
-      return res.status(400).json({ 
-        error: 'Failed to fetch products', 
+      return res.status(500).json({ 
+        error: 'Failed to fetch your coupons',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
     
-    res.json(data)
+    res.json({
+      coupons: (data || []).map(({ coupon_redemptions, ...coupon }) => ({
+        ...coupon,
+        times_used: coupon_redemptions?.[0]?.count || 0
+      })),
+      count: data?.length || 0
+    })
     
   } catch (err) {
     return res.status(500).json({
@@ -68,80 +4840,41 @@ app.get('/api/posts', async (req, res) => {
   }
 })
 
-// Add new product
-app.post('/api/posts', async(req, res) => {
-  const authHeader = req.headers.authorization
-  const token = authHeader?.split(' ')[1]
-  
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' })
-  }
-
-  // Use admin client to verify the token directly
-  const { data: { user }, error: authError } = await supabase.auth.getUser(token)
-  
-  if (authError || !user) {
-    return res.status(401).json({ 
-      error: 'Invalid or expired token',
-      details: authError?.message 
-    })
-  }
+// Create a coupon for the current user's products
+v1.post('/my-coupons', requireAuth, validate({ body: object(COUPON_FIELDS) }), async (req, res) => {
+  try {
+    const user = req.user
 
-  const { title, description, price, image_url, category, stock_quantity, is_active } = req.body
-  
-  if (!title || !description || price === undefined) {
-    return res.status(400).json({ 
-      error: 'Missing required fields: title, description, price' 
-    })
-  }
+    const { fields, error: validationError } = parseCouponInput(req.body)
 
-  // Create the anon client with the user's token for the insert
-  const supabaseWithAuth = createClient(
-    supabaseUrl, 
-    supabaseClientKey,
-    {
-      global: {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      }
+    if (validationError) {
+      return res.status(400).json({ error: validationError, code: 'VALIDATION_ERROR' })
     }
-  )
-
-  const newProduct = {
-    seller_id: user.id,                    
-    title: title,                        
-    description: description,            
-    price: parseFloat(price),            
-    image_url: image_url || null,        
-    category: category || null,     
-    stock_quantity: stock_quantity || 0, 
-    is_active: is_active !== undefined ? is_active : true
-  }
 
-  try {
-    // Use the authenticated anon client for the insert
-    const { data, error } = await supabaseWithAuth
-      .from('products')
-      .insert(newProduct)
-      .select()
+    const { data, error } = await db.coupons.create({
+      ...fields,
+      seller_id: user.id,
+      created_by: user.id
+    })
 
     if (error) {
-      return res.status(400).json({ 
-        error: 'Failed to create product', 
+      if (error.code === '23505') {
+        return res.status(409).json({ 
+          error: 'A coupon with this code already exists',
+          code: 'COUPON_CODE_TAKEN'
+        })
+      }
+
+      return res.status(500).json({ 
+        error: 'Failed to create coupon',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
     
-    if (!data || data.length === 0) {
-      return res.status(400).json({ 
-        error: 'Product creation failed - no data returned' 
-      })
-    }
-    
     res.status(201).json({
-      message: 'Product created successfully',
-      product: data[0]
+      message: 'Coupon created successfully',
+      coupon: data[0]
     })
     
   } catch (err) {
@@ -152,377 +4885,390 @@ app.post('/api/posts', async(req, res) => {
   }
 })
 
-// AUTHENTICATION ENDPOINTS
-// Register new user
-app.post('/api/auth/register', async (req, res) => {
+// Update a coupon (seller can edit their own coupons, e.g. to deactivate them)
+v1.put('/my-coupons/:id', requireAuth, validate({
+  params: ID_PARAMS,
+  body: object(COUPON_FIELDS).partial()
+}), async (req, res) => {
   try {
-    const { email, password } = req.body
-    
-    if (!email || !password) {
-      return res.status(400).json({ 
-        error: 'Email and password are required' 
+    const user = req.user
+
+    const { data: coupon, error: fetchError } = await db.coupons.findById(req.params.id, { sellerId: user.id })
+
+    if (fetchError) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch coupon',
+        code: 'DATABASE_ERROR',
+        details: fetchError.message 
       })
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({ 
-        error: 'Password must be at least 6 characters long' 
+    if (!coupon) {
+      return res.status(404).json({ 
+        error: 'Coupon not found',
+        code: 'COUPON_NOT_FOUND'
       })
     }
-      
-    const { data, error } = await supabase.auth.signUp({
-      email: email,
-      password: password,
-      options: {
-        data: {
-          full_name: '',
-          avatar_url: ''
-        }
-      }
-    })
-    
+
+    const { fields, error: validationError } = parseCouponInput(req.body, coupon)
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError, code: 'VALIDATION_ERROR' })
+    }
+
+    const { data, error } = await db.coupons.update(req.params.id, {
+      ...fields,
+      updated_at: new Date().toISOString()
+    }, { sellerId: user.id })
+
     if (error) {
-      return res.status(400).json({ 
-        error: 'Registration failed',
+      if (error.code === '23505') {
+        return res.status(409).json({ 
+          error: 'A coupon with this code already exists',
+          code: 'COUPON_CODE_TAKEN'
+        })
+      }
+
+      return res.status(500).json({ 
+        error: 'Failed to update coupon',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ 
+        error: 'Coupon not found',
+        code: 'COUPON_NOT_FOUND'
+      })
+    }
     
-    res.status(201).json({
-      message: 'Registration successful'
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon: data[0]
     })
     
   } catch (err) {
-    res.status(500).json({ 
+    return res.status(500).json({
       error: 'Internal server error',
-      details: err.message 
+      details: err.message
     })
   }
 })
 
-// Login user
-app.post('/api/auth/login', async (req, res) => {
+// Helper function to tidy the coupon fields sent by a seller (checked against
+// COUPON_FIELDS) and check they agree with each other. For an update, pass the
+// stored coupon: fields left out are checked against its values. Returns
+// { fields } or { error }.
+function parseCouponInput(body, current = {}) {
+  const fields = pickFields(body, COUPON_FIELDS)
+
+  if (fields.code) fields.code = fields.code.toUpperCase()
+
+  for (const key of ['description', 'category']) {
+    if (fields[key] !== undefined) fields[key] = fields[key] || null
+  }
+
+  const merged = { ...current, ...fields }
+
+  if (merged.discount_type === 'percentage' && Number(merged.discount_value) > 100) {
+    return { error: 'A percentage discount cannot be more than 100' }
+  }
+
+  if (merged.starts_at && merged.expires_at && new Date(merged.starts_at) >= new Date(merged.expires_at)) {
+    return { error: 'expires_at must be after starts_at' }
+  }
+
+  return { fields }
+}
+
+// WEBHOOK ENDPOINTS
+// Sellers get events about their own products; admins can also register
+// 'platform' endpoints that get every seller's. See lib/webhooks.js for the
+// payload and signature format.
+const MAX_WEBHOOKS_PER_USER = 10
+
+// Everything but the secret, which is only shown when an endpoint is created
+const WEBHOOK_ENDPOINT_COLUMNS = 'id, scope, url, events, description, is_active, created_at, updated_at'
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed']
+
+// Whether url may be used is checked by parseWebhookInput
+const WEBHOOK_FIELDS = {
+  url: string({ min: 1 }),
+  events: array(oneOf(WEBHOOK_EVENTS), { min: 1 }),
+  description: string({ max: 200 }).nullable().optional(),
+  is_active: boolean().optional(),
+  scope: oneOf(WEBHOOK_SCOPES).optional()
+}
+
+const DELIVERY_PARAMS = object({ id: uuid(), deliveryId: uuid() })
+
+// Get current user's webhook endpoints
+v1.get('/webhooks', requireAuth, async (req, res) => {
   try {
-    const { email, password } = req.body
-    
-    if (!email || !password) {
-      return res.status(400).json({ 
-        error: 'Email and password are required' 
-      })
-    }
-    
-    const { data, error } = await supabase.auth.signInWithPassword({
-      email: email,
-      password: password
-    })
-    
+    const user = req.user
+
+    const { data, error } = await db.webhookEndpoints.listByOwner(user.id, WEBHOOK_ENDPOINT_COLUMNS)
+
     if (error) {
-      return res.status(401).json({ 
-        error: 'Login failed',
+      return res.status(500).json({ 
+        error: 'Failed to fetch webhooks',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
     
     res.json({
-      message: 'Login successful',
-      user: {
-        id: data.user?.id,
-        email: data.user?.email,
-        name: data.user?.user_metadata?.full_name || data.user?.email,
-        avatar_url: data.user?.user_metadata?.avatar_url
-      },
-      session: data.session
+      webhooks: data || [],
+      events: WEBHOOK_EVENTS
     })
     
   } catch (err) {
-    res.status(500).json({ 
+    return res.status(500).json({
       error: 'Internal server error',
-      details: err.message 
+      details: err.message
     })
   }
 })
 
-// Magic Link Login
-app.post('/api/auth/magic-link', async (req, res) => {
+// Register a webhook endpoint, body: { url, events: [...], description?, scope? }.
+// The response holds the signing secret, it isn't shown again.
+v1.post('/webhooks', requireAuth, validate({ body: object(WEBHOOK_FIELDS) }), async (req, res) => {
   try {
-    const { email } = req.body
-    
-    if (!email) {
+    const user = req.user
+
+    const { fields, error: validationError } = parseWebhookInput(req.body)
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError, code: 'VALIDATION_ERROR' })
+    }
+
+    if (fields.scope === 'platform' && !(await hasRole(user, 'admin'))) {
+      return res.status(403).json({ 
+        error: 'Only admins can register platform webhooks',
+        code: 'FORBIDDEN'
+      })
+    }
+
+    const { count, error: countError } = await db.webhookEndpoints.countByOwner(user.id)
+
+    if (countError) {
+      return res.status(500).json({ 
+        error: 'Failed to check your webhooks',
+        code: 'DATABASE_ERROR',
+        details: countError.message 
+      })
+    }
+
+    if (count >= MAX_WEBHOOKS_PER_USER) {
       return res.status(400).json({ 
-        error: 'Email is required' 
+        error: `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`,
+        code: 'WEBHOOK_LIMIT_REACHED'
       })
     }
-        
-    const { data, error } = await supabase.auth.signInWithOtp({
-      email: email,
-      options: {
-        shouldCreateUser: true,
-        emailRedirectTo: `${FRONTEND_URL}/auth/callback`,
-      }
-    })
-    
+
+    const { data, error } = await db.webhookEndpoints.create({
+      scope: 'seller',
+      ...fields,
+      owner_id: user.id,
+      secret: createWebhookSecret()
+    }, `${WEBHOOK_ENDPOINT_COLUMNS}, secret`)
+
     if (error) {
-      return res.status(400).json({ 
-        error: 'Failed to send magic link',
+      return res.status(500).json({ 
+        error: 'Failed to create webhook',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
     
-    res.json({
-      message: 'Magic link sent successfully',
-      email: email
+    res.status(201).json({
+      message: 'Webhook created, keep the secret somewhere safe, it won\'t be shown again',
+      webhook: data
     })
     
   } catch (err) {
-    res.status(500).json({ 
+    return res.status(500).json({
       error: 'Internal server error',
-      details: err.message 
+      details: err.message
     })
   }
 })
 
-// Google OAuth Login
-app.post('/api/auth/google', async (req, res) => {
+// Update a webhook endpoint (url, events, description, is_active)
+v1.put('/webhooks/:id', requireAuth, validate({
+  params: ID_PARAMS,
+  body: object(WEBHOOK_FIELDS).partial()
+}), async (req, res) => {
   try {
-    const { data, error } = await supabase.auth.signInWithOAuth({
-      provider: 'google',
-      options: {
-        redirectTo: `${process.env.FRONTEND_URL || 'https://gobuy-frontend.vercel.app/'}/auth/callback`
-      }
-    })
-    
-    if (error) {
+    const user = req.user
+
+    const { fields, error: validationError } = parseWebhookInput(req.body)
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError, code: 'VALIDATION_ERROR' })
+    }
+
+    if (fields.scope !== undefined) {
       return res.status(400).json({ 
-        error: 'Failed to initiate Google login',
+        error: 'scope cannot be changed, register a new webhook instead',
+        code: 'VALIDATION_ERROR'
+      })
+    }
+
+    const { data, error } = await db.webhookEndpoints.update(req.params.id, user.id, {
+      ...fields,
+      updated_at: new Date().toISOString()
+    }, WEBHOOK_ENDPOINT_COLUMNS)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to update webhook',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ 
+        error: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND'
+      })
+    }
     
     res.json({
-      message: 'Google OAuth initiated',
-      redirectUrl: data.url
+      message: 'Webhook updated successfully',
+      webhook: data[0]
     })
     
   } catch (err) {
-    res.status(500).json({ 
+    return res.status(500).json({
       error: 'Internal server error',
-      details: err.message 
+      details: err.message
     })
   }
 })
 
-// Get current session
-app.get('/api/auth/session', async (req, res) => {
+// Delete a webhook endpoint and its delivery log
+v1.delete('/webhooks/:id', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' })
+    const user = req.user
+
+    const { data, error } = await db.webhookEndpoints.remove(req.params.id, user.id)
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to delete webhook',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
     }
-    
-    const { data: { user }, error } = await supabase.auth.getUser(token)
-    
-    if (error || !user) {
-      return res.status(401).json({ error: 'Invalid token' })
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ 
+        error: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND'
+      })
     }
     
     res.json({
-      session: {
-        access_token: token,
-        user: user
-      },
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.user_metadata?.full_name || user.email,
-        avatar_url: user.user_metadata?.avatar_url
-      }
+      message: 'Webhook deleted successfully'
     })
     
   } catch (err) {
-    res.status(500).json({ 
+    return res.status(500).json({
       error: 'Internal server error',
-      details: err.message 
+      details: err.message
     })
   }
 })
-// Add these cart API endpoints to your existing backend server
 
-// Get user's cart items
-app.get('/api/cart', async (req, res) => {
+// Delivery log for a webhook endpoint, newest first (?status=, ?event=)
+v1.get('/webhooks/:id/deliveries', requireAuth, validate({
+  params: ID_PARAMS,
+  query: object({
+    ...PAGINATION_FIELDS,
+    status: oneOf(WEBHOOK_DELIVERY_STATUSES).optional(),
+    event: oneOf(WEBHOOK_EVENTS).optional()
+  })
+}), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' })
+    const user = req.user
+
+    const { pagination, error: paginationError } = parsePaginationQuery(req.query)
+
+    if (paginationError) {
+      return res.status(400).json({ error: paginationError, code: 'VALIDATION_ERROR' })
     }
 
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
-    
-    if (authError || !user) {
-      return res.status(401).json({ 
-        error: 'Invalid or expired token',
-        details: authError?.message 
-      })
+    const { status, event } = req.query
+
+    const { failure } = await findOwnWebhook(req.params.id, user.id)
+
+    if (failure) {
+      const { status: failureStatus, ...body } = failure
+      return res.status(failureStatus).json(body)
     }
 
-    // Get cart items with product details
-    const { data, error } = await supabase
-      .from('cart_items')
-      .select(`
-        *,
-        products (
-          id,
-          title,
-          description,
-          price,
-          image_url,
-          category,
-          stock_quantity,
-          is_active
-        )
-      `)
-      .eq('user_id', user.id)
-      .order('added_at', { ascending: false })
+    const { limit, offset } = pagination
+
+    const { data, error, count } = await db.webhookDeliveries.list(req.params.id, { status, event, limit, offset })
 
     if (error) {
-      return res.status(400).json({ 
-        error: 'Failed to fetch cart items', 
+      return res.status(500).json({ 
+        error: 'Failed to fetch deliveries',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
-    
-    res.json(data || [])
+
+    res.json({
+      deliveries: data || [],
+      pagination: buildPagination(pagination, count)
+    })
     
   } catch (err) {
     return res.status(500).json({
-      error: 'Internal error',
+      error: 'Internal server error',
       details: err.message
     })
   }
 })
 
-// Add item to cart
-app.post('/api/cart', async (req, res) => {
+// Send a delivery again now, e.g. once the receiving end is fixed
+v1.post('/webhooks/:id/deliveries/:deliveryId/redeliver', requireAuth, validate({ params: DELIVERY_PARAMS }), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' })
-    }
+    const user = req.user
 
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
-    
-    if (authError || !user) {
-      return res.status(401).json({ 
-        error: 'Invalid or expired token',
-        details: authError?.message 
-      })
-    }
+    const { failure } = await findOwnWebhook(req.params.id, user.id)
 
-    const { product_id, quantity = 1 } = req.body
-    
-    if (!product_id) {
-      return res.status(400).json({ 
-        error: 'Product ID is required' 
-      })
+    if (failure) {
+      const { status, ...body } = failure
+      return res.status(status).json(body)
     }
 
-    // First, check if product exists and is available
-    const { data: product, error: productError } = await supabase
-      .from('products')
-      .select('id, title, stock_quantity, is_active')
-      .eq('id', product_id)
-      .single()
+    const { data: delivery, error: deliveryError } = await db.webhookDeliveries.findById(req.params.id, req.params.deliveryId, 'id')
 
-    if (productError || !product) {
+    if (deliveryError || !delivery) {
       return res.status(404).json({ 
-        error: 'Product not found',
-        details: productError?.message 
+        error: 'Delivery not found',
+        code: 'DELIVERY_NOT_FOUND'
       })
     }
 
-    if (!product.is_active) {
-      return res.status(400).json({ 
-        error: 'Product is not active' 
-      })
-    }
+    const result = await webhooks.redeliver(delivery.id)
 
-    if (product.stock_quantity < quantity) {
-      return res.status(400).json({ 
-        error: 'Insufficient stock',
-        available: product.stock_quantity,
-        requested: quantity
+    // Another worker is already sending it
+    if (!result) {
+      return res.status(409).json({ 
+        error: 'This delivery is being sent right now, try again shortly',
+        code: 'DELIVERY_IN_PROGRESS'
       })
     }
-
-    // Check if item already exists in cart
-    const { data: existingItem, error: existingError } = await supabase
-      .from('cart_items')
-      .select('*')
-      .eq('user_id', user.id)
-      .eq('product_id', product_id)
-      .single()
-
-    let result
-
-    if (existingItem && !existingError) {
-      // Update existing cart item
-      const newQuantity = existingItem.quantity + quantity
-      
-      if (newQuantity > product.stock_quantity) {
-        return res.status(400).json({ 
-          error: 'Cannot add more items than available stock',
-          currentInCart: existingItem.quantity,
-          available: product.stock_quantity,
-          requested: quantity
-        })
-      }
-
-      const { data, error } = await supabase
-        .from('cart_items')
-        .update({ 
-          quantity: newQuantity,
-          added_at: new Date().toISOString()
-        })
-        .eq('id', existingItem.id)
-        .select()
-
-      if (error) {
-        return res.status(400).json({ 
-          error: 'Failed to update cart item', 
-          details: error.message 
-        })
-      }
-
-      result = data[0]
-    } else {
-      // Create new cart item
-      const { data, error } = await supabase
-        .from('cart_items')
-        .insert({
-          user_id: user.id,
-          product_id: product_id,
-          quantity: quantity
-        })
-        .select()
-
-      if (error) {
-        return res.status(400).json({ 
-          error: 'Failed to add item to cart', 
-          details: error.message 
-        })
-      }
-
-      result = data[0]
-    }
     
-    res.status(201).json({
-      message: `Added "${product.title}" to cart`,
-      cartItem: result
+    res.json({
+      message: result.status === 'succeeded' ? 'Delivered successfully' : 'Delivery failed, it will be retried',
+      delivery: result
     })
     
   } catch (err) {
@@ -533,141 +5279,169 @@ app.post('/api/cart', async (req, res) => {
   }
 })
 
-// Update cart item quantity
-app.put('/api/cart/:id', async (req, res) => {
-  try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' })
-    }
+// Helper function to tidy webhook endpoint fields (checked against
+// WEBHOOK_FIELDS) and check the url can be sent to. Returns { fields } or { error }.
+function parseWebhookInput(body) {
+  const fields = pickFields(body, WEBHOOK_FIELDS)
 
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
-    
-    if (authError || !user) {
-      return res.status(401).json({ 
-        error: 'Invalid or expired token',
-        details: authError?.message 
-      })
-    }
+  if (fields.url !== undefined) {
+    const problem = getWebhookUrlProblem(fields.url, { allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS })
+    if (problem) return { error: problem }
+  }
 
-    const cartItemId = req.params.id
-    const { quantity } = req.body
-    
-    if (!quantity || quantity < 1) {
-      return res.status(400).json({ 
-        error: 'Quantity must be at least 1' 
-      })
-    }
+  if (fields.events) fields.events = [...new Set(fields.events)]
+  if (fields.description !== undefined) fields.description = fields.description || null
 
-    // Verify cart item belongs to user and get product info
-    const { data: cartItem, error: cartError } = await supabase
-      .from('cart_items')
-      .select(`
-        *,
-        products (
-          stock_quantity,
-          title
-        )
-      `)
-      .eq('id', cartItemId)
-      .eq('user_id', user.id)
-      .single()
+  return { fields }
+}
 
-    if (cartError || !cartItem) {
-      return res.status(404).json({ 
-        error: 'Cart item not found',
-        details: cartError?.message 
-      })
-    }
+// Helper function to check a webhook endpoint exists and belongs to the user
+async function findOwnWebhook(webhookId, userId) {
+  const { data: webhook, error } = await db.webhookEndpoints.findById(webhookId, userId, 'id')
 
-    if (quantity > cartItem.products.stock_quantity) {
-      return res.status(400).json({ 
-        error: 'Quantity exceeds available stock',
-        available: cartItem.products.stock_quantity,
-        requested: quantity
+  if (error || !webhook) {
+    return { failure: { status: 404, error: 'Webhook not found', code: 'WEBHOOK_NOT_FOUND' } }
+  }
+
+  return { webhook }
+}
+
+// Helper function to send a marketplace event to subscribed webhooks. Runs in
+// the background, so a slow or broken endpoint never holds up a request.
+function emitWebhookEvent(event, sellerId, data) {
+  webhooks.emit(event, data, { sellerId })
+    .catch(err => console.error(`Failed to send ${event} webhooks:`, err.message))
+}
+
+// Helper function to send stock.low when a change takes a product's stock, or
+// one of its variants', down to its low stock threshold (or the default one).
+// before and after are the product as it was and as it is now, with variants
+// as getProductWithVariants gives them when theirs may have changed.
+function emitStockLowIfCrossed(before, after) {
+  if (!after.is_active) return
+
+  const threshold = after.low_stock_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD
+  const crossed = (was, is) => was.stock_quantity > threshold && is.stock_quantity <= threshold
+
+  const variantsBefore = new Map((before.variants || []).map(variant => [variant.id, variant]))
+  const lowVariants = (after.variants || []).filter(variant =>
+    variant.is_active && variantsBefore.has(variant.id) && crossed(variantsBefore.get(variant.id), variant)
+  )
+
+  if (!crossed(before, after) && lowVariants.length === 0) return
+
+  emitWebhookEvent('stock.low', after.seller_id, {
+    product: {
+      id: after.id,
+      title: after.title,
+      sku: after.sku,
+      stock_quantity: after.stock_quantity,
+      low_stock_threshold: threshold,
+      ...(lowVariants.length > 0 && {
+        variants: lowVariants.map(({ id, sku, options, stock_quantity }) => ({ id, sku, options, stock_quantity }))
       })
     }
+  })
+}
+
+// Helper function to send stock.low for the products a checkout took stock
+// from. cartItems are the buyer's cart lines as they were before it. Runs in
+// the background, like emitWebhookEvent.
+function emitStockLowAfterCheckout(cartItems) {
+  const before = new Map()
+
+  for (const item of cartItems) {
+    const product = before.get(item.product_id) || { stock_quantity: item.products.stock_quantity, variants: [] }
+    if (item.product_variants) product.variants.push(item.product_variants)
+    before.set(item.product_id, product)
+  }
 
-    // Update quantity
-    const { data, error } = await supabase
-      .from('cart_items')
-      .update({ quantity })
-      .eq('id', cartItemId)
-      .select()
+  Promise.all([...before].map(async ([productId, was]) => {
+    const { product } = await getProductWithVariants(productId)
+    if (product) emitStockLowIfCrossed(was, product)
+  })).catch(err => console.error('Failed to check stock after checkout:', err.message))
+}
+
+// CURRENCY ENDPOINTS
+// Currencies products can be listed and shown in, with their exchange rates
+// (null where admins haven't set one, those prices aren't converted)
+v1.get('/currencies', async (req, res) => {
+  try {
+    const { data, error } = await db.exchangeRates.list()
 
     if (error) {
-      return res.status(400).json({ 
-        error: 'Failed to update cart item', 
+      return res.status(500).json({ 
+        error: 'Failed to fetch exchange rates',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
-    
+
+    const rows = new Map((data || []).map(row => [row.currency, row]))
+
     res.json({
-      message: `Updated quantity for "${cartItem.products.title}"`,
-      cartItem: data[0]
+      base_currency: BASE_CURRENCY,
+      currencies: CURRENCY_CODES.map(code => ({
+        code,
+        minor_units: CURRENCIES[code],
+        rate: code === BASE_CURRENCY ? 1 : Number(rows.get(code)?.rate) || null,
+        rate_updated_at: rows.get(code)?.updated_at || null
+      }))
     })
     
   } catch (err) {
     return res.status(500).json({
-      error: 'Internal server error',
+      error: 'Internal error',
       details: err.message
     })
   }
 })
 
-// Remove item from cart
-app.delete('/api/cart/:id', async (req, res) => {
-  try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' })
-    }
+// ADMIN ENDPOINTS
+// Admins have app_metadata.role = 'admin' (set with the service key) or
+// profiles.role = 'admin'. Every moderation action is logged to admin_actions.
 
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
-    
-    if (authError || !user) {
-      return res.status(401).json({ 
-        error: 'Invalid or expired token',
-        details: authError?.message 
-      })
-    }
+const USER_ROLES = ['user', 'admin']
 
-    const cartItemId = req.params.id
+const MODERATION_REASON = object({ reason: string({ min: 1 }) })
 
-    // Verify cart item belongs to user
-    const { data: cartItem, error: cartError } = await supabase
-      .from('cart_items')
-      .select('*, products(title)')
-      .eq('id', cartItemId)
-      .eq('user_id', user.id)
-      .single()
+// List and search all users (?q= email or username, ?role=, ?suspended=)
+v1.get('/admin/users', requireAuth, requireRole('admin'), validate({
+  query: object({
+    ...PAGINATION_FIELDS,
+    q: string().optional(),
+    role: oneOf(USER_ROLES).optional(),
+    suspended: boolean().optional()
+  })
+}), async (req, res) => {
+  try {
+    const { pagination, error: paginationError } = parsePaginationQuery(req.query)
 
-    if (cartError || !cartItem) {
-      return res.status(404).json({ 
-        error: 'Cart item not found',
-        details: cartError?.message 
-      })
+    if (paginationError) {
+      return res.status(400).json({ error: paginationError, code: 'VALIDATION_ERROR' })
     }
 
-    // Delete cart item
-    const { error } = await supabase
-      .from('cart_items')
-      .delete()
-      .eq('id', cartItemId)
+    const { role, suspended } = req.query
+
+    const { data, error } = await db.admin.searchUsers({
+      search: cleanSearchTerm(req.query.q) || null,
+      role: role || null,
+      suspended: suspended ?? null,
+      limit: pagination.limit,
+      offset: pagination.offset
+    })
 
     if (error) {
-      return res.status(400).json({ 
-        error: 'Failed to remove cart item', 
+      return res.status(500).json({ 
+        error: 'Failed to fetch users',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
-    
+
     res.json({
-      message: `Removed "${cartItem.products.title}" from cart`
+      users: (data || []).map(({ total_count, ...row }) => row),
+      pagination: buildPagination(pagination, data?.[0]?.total_count)
     })
     
   } catch (err) {
@@ -678,40 +5452,47 @@ app.delete('/api/cart/:id', async (req, res) => {
   }
 })
 
-// Clear entire cart
-app.delete('/api/cart', async (req, res) => {
+// Suspend a user, body: { reason }. They are blocked from every
+// authenticated route and can't sign in until unsuspended.
+v1.post('/admin/users/:id/suspend', requireAuth, requireRole('admin'), validate({
+  params: ID_PARAMS,
+  body: MODERATION_REASON
+}), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' })
+    const user = req.user
+
+    const targetId = req.params.id
+    const { reason } = req.body
+
+    if (targetId === user.id) {
+      return res.status(400).json({ error: 'You cannot suspend yourself', code: 'VALIDATION_ERROR' })
     }
 
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
-    
-    if (authError || !user) {
-      return res.status(401).json({ 
-        error: 'Invalid or expired token',
-        details: authError?.message 
-      })
+    const { data: { user: target }, error: targetError } = await db.auth.getUserById(targetId)
+
+    if (targetError || !target) {
+      return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' })
     }
 
-    // Delete all cart items for user
-    const { error } = await supabase
-      .from('cart_items')
-      .delete()
-      .eq('user_id', user.id)
+    if (await hasRole(target, 'admin')) {
+      return res.status(403).json({ error: 'Admins cannot be suspended, remove their role first', code: 'FORBIDDEN' })
+    }
+
+    const { error } = await setSuspension(target, { suspended: true, reason })
 
     if (error) {
-      return res.status(400).json({ 
-        error: 'Failed to clear cart', 
+      return res.status(500).json({ 
+        error: 'Failed to suspend user',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
+
+    await logAdminAction(user, 'user.suspended', 'user', targetId, reason)
     
     res.json({
-      message: 'Cart cleared successfully'
+      message: `User ${target.email} suspended`,
+      user: { id: targetId, email: target.email, is_suspended: true, suspension_reason: reason }
     })
     
   } catch (err) {
@@ -721,317 +5502,253 @@ app.delete('/api/cart', async (req, res) => {
     })
   }
 })
-// Logout user
-app.post('/api/auth/logout', async (req, res) => {
-  try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (token) {
-      const { error } = await supabase.auth.signOut()
-      
-      if (error) {
-        return res.status(400).json({ 
-          error: 'Logout failed',
-          details: error.message 
-        })
-      }
-    }
-    
-    res.json({
-      message: 'Logout successful'
-    })
-    
-  } catch (err) {
-    res.status(500).json({ 
-      error: 'Internal server error',
-      details: err.message 
-    })
-  }
-})
 
-// Get user profile
-app.get('/api/auth/profile', async (req, res) => {
+// Lift a user's suspension
+v1.post('/admin/users/:id/unsuspend', requireAuth, requireRole('admin'), validate({
+  params: ID_PARAMS,
+  body: MODERATION_REASON.partial()
+}), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' })
-    }
-    
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
-    
-    if (authError || !user) {
-      return res.status(401).json({ error: 'Invalid token' })
+    const user = req.user
+
+    const targetId = req.params.id
+
+    const { data: { user: target }, error: targetError } = await db.auth.getUserById(targetId)
+
+    if (targetError || !target) {
+      return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' })
     }
-    
-    let profileData = {}
-    try {
-      const { data: profile, error: profileError } = await supabase
-        .from('profiles')
-        .select('username, website, avatar_url, google_id')
-        .eq('id', user.id)
-        .single()
-      
-      if (profile && !profileError) {
-        profileData = profile
-      }
-    } catch (err) {
-      // Profile table might not exist or user might not have a profile record
+
+    const { error } = await setSuspension(target, { suspended: false })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to unsuspend user',
+        code: 'DATABASE_ERROR',
+        details: error.message 
+      })
     }
+
+    await logAdminAction(user, 'user.unsuspended', 'user', targetId, req.body.reason)
     
     res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        name: profileData.username || user.user_metadata?.full_name || user.email,
-        username: profileData.username || user.user_metadata?.full_name,
-        website: profileData.website || '',
-        avatar_url: profileData.avatar_url || user.user_metadata?.avatar_url,
-        google_id: profileData.google_id || user.user_metadata?.provider_id,
-        created_at: user.created_at,
-        last_sign_in_at: user.last_sign_in_at,
-        email_confirmed_at: user.email_confirmed_at
-      }
+      message: `User ${target.email} unsuspended`,
+      user: { id: targetId, email: target.email, is_suspended: false }
     })
     
   } catch (err) {
-    res.status(500).json({ 
+    return res.status(500).json({
       error: 'Internal server error',
-      details: err.message 
+      details: err.message
     })
   }
 })
 
-// Update user profile
-app.put('/api/auth/profile', async (req, res) => {
+// List and search all products, active or not. Takes the same filters as
+// GET /api/posts plus ?seller_id= and ?moderated=true|false.
+v1.get('/admin/products', requireAuth, requireRole('admin'), validate({
+  query: object({
+    ...PRODUCT_LIST_FIELDS,
+    seller_id: uuid().optional(),
+    moderated: boolean().optional()
+  })
+}), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' })
-    }
-    
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
-    
-    if (authError || !user) {
-      return res.status(401).json({ error: 'Invalid token' })
-    }
-    
-    const { username, name, website, avatar_url } = req.body
-    
-    if (username && username.length > 50) {
-      return res.status(400).json({ error: 'Username too long (max 50 characters)' })
-    }
-    
-    if (website && !isValidUrl(website)) {
-      return res.status(400).json({ error: 'Invalid website URL' })
-    }
-    
-    if (avatar_url && !isValidUrl(avatar_url)) {
-      return res.status(400).json({ error: 'Invalid avatar URL' })
+    // Admins see inactive listings unless they filter them out
+    const { options, error: queryError } = parseProductListQuery({ is_active: 'all', ...req.query })
+
+    if (queryError) {
+      return res.status(400).json({ error: queryError, code: 'VALIDATION_ERROR' })
     }
-    
-    const updates = {
-      id: user.id,
-      username: username || name || user.email,
-      website: website || '',
-      avatar_url: avatar_url || '',
-      updated_at: new Date().toISOString()
+
+    const { range, failure } = toBasePriceRange(options, await getPriceDisplay(req))
+
+    if (failure) {
+      const { status, ...body } = failure
+      return res.status(status).json(body)
     }
-    
-    const { data, error } = await supabase
-      .from('profiles')
-      .upsert(updates, { 
-        onConflict: 'id',
-        returning: 'representation' 
-      })
-      .select()
-    
+
+    const { data, error, count } = await db.products.list({
+      ...options,
+      ...range,
+      searchSku: true,
+      sellerId: req.query.seller_id,
+      moderated: req.query.moderated,
+      sort: PRODUCT_SORTS[options.sort]
+    })
+  
     if (error) {
-      return res.status(400).json({ 
-        error: 'Failed to update profile',
+      return res.status(500).json({ 
+        error: 'Failed to fetch products',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
-    
-    try {
-      await supabase.auth.updateUser({
-        data: {
-          full_name: username || name,
-          avatar_url: avatar_url
-        }
-      })
-    } catch (metaError) {
-      // Continue anyway, profile table update is more important
-    }
-    
-    res.json({
-      message: 'Profile updated successfully',
-      user: {
-        id: user.id,
-        email: user.email,
-        name: updates.username,
-        username: updates.username,
-        website: updates.website,
-        avatar_url: updates.avatar_url,
-        updated_at: updates.updated_at
-      }
+
+    res.json({
+      products: (data || []).map(withoutInternalColumns),
+      pagination: buildPagination(options, count)
     })
     
   } catch (err) {
-    res.status(500).json({ 
+    return res.status(500).json({
       error: 'Internal server error',
-      details: err.message 
+      details: err.message
     })
   }
 })
 
-// Helper function to validate URLs
-function isValidUrl(string) {
-  if (!string) return true
-  
-  try {
-    const url = new URL(string)
-    return url.protocol === 'http:' || url.protocol === 'https:'
-  } catch (err) {
-    return false
-  }
-}
-// Add this endpoint after your existing product endpoints and before the authentication endpoints
-
-// Get current user's products (seller dashboard)
-app.get('/api/my-products', async (req, res) => {
+// Deactivate a listing that breaks policy, body: { reason }.
+// The seller can't reactivate it, only an admin can.
+v1.post('/admin/products/:id/deactivate', requireAuth, requireRole('admin'), validate({
+  params: ID_PARAMS,
+  body: MODERATION_REASON
+}), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' })
-    }
+    const user = req.user
 
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
-    
-    if (authError || !user) {
-      return res.status(401).json({ 
-        error: 'Invalid or expired token',
-        details: authError?.message 
-      })
-    }
+    const { reason } = req.body
 
-    // Get products created by this user
-    const { data, error } = await supabase
-      .from('products')
-      .select('*')
-      .eq('seller_id', user.id)
-      .order('created_at', { ascending: false })
+    const now = new Date().toISOString()
+    const { data, error } = await db.products.update(req.params.id, {
+      is_active: false,
+      moderated_at: now,
+      moderated_by: user.id,
+      moderation_reason: reason,
+      updated_at: now
+    })
 
     if (error) {
-      return res.status(400).json({ 
-        error: 'Failed to fetch your products', 
+      return res.status(500).json({ 
+        error: 'Failed to deactivate product',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Product not found', code: 'PRODUCT_NOT_FOUND' })
+    }
+
+    await logAdminAction(user, 'product.deactivated', 'product', req.params.id, reason, {
+      seller_id: data[0].seller_id,
+      title: data[0].title
+    })
     
     res.json({
-      products: data || [],
-      count: data?.length || 0,
-      seller: {
-        id: user.id,
-        email: user.email,
-        name: user.user_metadata?.full_name || user.email
-      }
+      message: `Product "${data[0].title}" deactivated`,
+      product: withoutInternalColumns(data[0])
     })
     
   } catch (err) {
     return res.status(500).json({
-      error: 'Internal error',
+      error: 'Internal server error',
       details: err.message
     })
   }
 })
 
-// Update existing product (seller can edit their own products)
-app.put('/api/my-products/:id', async (req, res) => {
+// Reactivate a listing an admin deactivated
+v1.post('/admin/products/:id/reactivate', requireAuth, requireRole('admin'), validate({
+  params: ID_PARAMS,
+  body: MODERATION_REASON.partial()
+}), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' })
-    }
+    const user = req.user
 
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
-    
-    if (authError || !user) {
-      return res.status(401).json({ 
-        error: 'Invalid or expired token',
-        details: authError?.message 
+    const { data, error } = await db.products.update(req.params.id, {
+      is_active: true,
+      moderated_at: null,
+      moderated_by: null,
+      moderation_reason: null,
+      updated_at: new Date().toISOString()
+    })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to reactivate product',
+        code: 'DATABASE_ERROR',
+        details: error.message 
       })
     }
 
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Product not found', code: 'PRODUCT_NOT_FOUND' })
+    }
+
+    await logAdminAction(user, 'product.reactivated', 'product', req.params.id, req.body.reason, {
+      seller_id: data[0].seller_id,
+      title: data[0].title
+    })
+    
+    res.json({
+      message: `Product "${data[0].title}" reactivated`,
+      product: withoutInternalColumns(data[0])
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: err.message
+    })
+  }
+})
+
+// Remove a listing for good, body: { reason }. Unlike a seller deleting
+// their own product, this also takes it out of every cart.
+v1.delete('/admin/products/:id', requireAuth, requireRole('admin'), validate({
+  params: ID_PARAMS,
+  body: MODERATION_REASON
+}), async (req, res) => {
+  try {
+    const user = req.user
+
     const productId = req.params.id
-    const { title, description, price, image_url, category, stock_quantity, is_active } = req.body
+    const { reason } = req.body
 
-    // Verify the product belongs to this user
-    const { data: existingProduct, error: checkError } = await supabase
-      .from('products')
-      .select('seller_id')
-      .eq('id', productId)
-      .single()
+    const { data: product, error: productError } = await db.products.findById(productId, { columns: 'id, seller_id, title' })
 
-    if (checkError || !existingProduct) {
-      return res.status(404).json({ 
-        error: 'Product not found',
-        details: checkError?.message 
-      })
+    if (productError || !product) {
+      return res.status(404).json({ error: 'Product not found', code: 'PRODUCT_NOT_FOUND' })
     }
 
-    if (existingProduct.seller_id !== user.id) {
-      return res.status(403).json({ 
-        error: 'You can only edit your own products' 
-      })
-    }
+    // Image rows go with the product, their files are removed afterwards
+    const { data: images } = await db.productImages.listByProduct(productId, 'storage_path')
 
-    // Prepare update object (only include fields that are provided)
-    const updates = {
-      updated_at: new Date().toISOString()
-    }
+    const { error: cartError } = await db.cartItems.removeByProduct(productId)
 
-    if (title !== undefined) updates.title = title
-    if (description !== undefined) updates.description = description
-    if (price !== undefined) updates.price = parseFloat(price)
-    if (image_url !== undefined) updates.image_url = image_url
-    if (category !== undefined) updates.category = category
-    if (stock_quantity !== undefined) updates.stock_quantity = parseInt(stock_quantity)
-    if (is_active !== undefined) updates.is_active = is_active
+    if (cartError) {
+      return res.status(500).json({ 
+        error: 'Failed to remove product from carts',
+        code: 'DATABASE_ERROR',
+        details: cartError.message 
+      })
+    }
 
-    // Update the product
-    const { data, error } = await supabase
-      .from('products')
-      .update(updates)
-      .eq('id', productId)
-      .eq('seller_id', user.id) // Double-check ownership
-      .select()
+    // Order history keeps its rows, order_items.product_id becomes null
+    const { error } = await db.products.remove(productId)
 
     if (error) {
-      return res.status(400).json({ 
-        error: 'Failed to update product', 
+      return res.status(500).json({ 
+        error: 'Failed to remove product',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
 
-    if (!data || data.length === 0) {
-      return res.status(404).json({ 
-        error: 'Product not found or update failed' 
-      })
+    if (images?.length) {
+      await removeImageFolders(images.map(image => image.storage_path))
     }
+
+    await logAdminAction(user, 'product.removed', 'product', productId, reason, {
+      seller_id: product.seller_id,
+      title: product.title
+    })
+
+    emitWebhookEvent('product.deleted', product.seller_id, { product: { id: productId, title: product.title } })
     
     res.json({
-      message: 'Product updated successfully',
-      product: data[0]
+      message: `Product "${product.title}" removed`
     })
     
   } catch (err) {
@@ -1042,87 +5759,91 @@ app.put('/api/my-products/:id', async (req, res) => {
   }
 })
 
-// Delete product (seller can delete their own products)
-app.delete('/api/my-products/:id', async (req, res) => {
+// Platform-wide version of /api/seller-stats, inventory value in BASE_CURRENCY
+v1.get('/admin/stats', requireAuth, requireRole('admin'), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' })
-    }
+    // Counted in the database, there can be far too many rows to fetch
+    const { data: statistics, error } = await db.admin.platformStats()
 
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
-    
-    if (authError || !user) {
-      return res.status(401).json({ 
-        error: 'Invalid or expired token',
-        details: authError?.message 
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch platform statistics',
+        code: 'DATABASE_ERROR',
+        details: error.message 
       })
     }
 
-    const productId = req.params.id
-
-    // Verify the product belongs to this user and get product info
-    const { data: existingProduct, error: checkError } = await supabase
-      .from('products')
-      .select('seller_id, title')
-      .eq('id', productId)
-      .single()
-
-    if (checkError || !existingProduct) {
-      return res.status(404).json({ 
-        error: 'Product not found',
-        details: checkError?.message 
-      })
-    }
+    res.json({
+      currency: BASE_CURRENCY,
+      statistics: {
+        ...statistics,
+        ...toInventoryValue(statistics.totalInventoryValue, BASE_CURRENCY, 'totalInventoryValue')
+      },
+      summary: {
+        message: `${statistics.totalProducts} products from ${statistics.totalSellers} sellers, ${statistics.activeProducts} active`
+      }
+    })
+    
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Internal error',
+      details: err.message
+    })
+  }
+})
 
-    if (existingProduct.seller_id !== user.id) {
-      return res.status(403).json({ 
-        error: 'You can only delete your own products' 
-      })
-    }
+// Set exchange rates, body: { rates: { EUR: 0.92, JPY: 151.2 } } with how much
+// of each currency one BASE_CURRENCY buys. Currencies left out keep theirs.
+v1.put('/admin/exchange-rates', requireAuth, requireRole('admin'), validate({
+  body: object({
+    rates: object(Object.fromEntries(CURRENCY_CODES
+      .filter(code => code !== BASE_CURRENCY)
+      .map(code => [code, number({ positive: true }).optional()])))
+  })
+}), async (req, res) => {
+  try {
+    const user = req.user
 
-    // Check if product is in any carts before deleting
-    const { data: cartItems, error: cartError } = await supabase
-      .from('cart_items')
-      .select('id')
-      .eq('product_id', productId)
+    const { rates } = req.body
+    const codes = Object.keys(rates)
+    const unknown = codes.filter(code => code === BASE_CURRENCY || CURRENCIES[code] === undefined)
 
-    if (cartError) {
+    if (unknown.length > 0) {
       return res.status(400).json({ 
-        error: 'Failed to check cart dependencies', 
-        details: cartError.message 
+        error: unknown[0] === BASE_CURRENCY
+          ? `${BASE_CURRENCY} is the base currency, its rate is always 1`
+          : `rates.${unknown[0]} is not a supported currency`,
+        code: 'VALIDATION_ERROR'
       })
     }
 
-    // If product is in carts, you might want to either:
-    // 1. Prevent deletion
-    // 2. Remove from carts first
-    // For now, let's prevent deletion if it's in someone's cart
-    if (cartItems && cartItems.length > 0) {
-      return res.status(400).json({ 
-        error: 'Cannot delete product that is currently in customer carts',
-        suggestion: 'Consider marking it as inactive instead'
-      })
+    if (codes.length === 0) {
+      return res.status(400).json({ error: 'rates cannot be empty', code: 'VALIDATION_ERROR' })
     }
 
-    // Delete the product
-    const { error } = await supabase
-      .from('products')
-      .delete()
-      .eq('id', productId)
-      .eq('seller_id', user.id) // Double-check ownership
+    const updatedAt = new Date().toISOString()
+
+    const { data, error } = await db.exchangeRates.upsert(codes.map(code => ({
+      currency: code,
+      rate: rates[code],
+      updated_at: updatedAt,
+      updated_by: user.id
+    })))
 
     if (error) {
-      return res.status(400).json({ 
-        error: 'Failed to delete product', 
+      return res.status(500).json({ 
+        error: 'Failed to update exchange rates',
+        code: 'DATABASE_ERROR',
         details: error.message 
       })
     }
+
+    exchangeRateCache = null
     
     res.json({
-      message: `Product "${existingProduct.title}" deleted successfully`
+      message: `Updated ${codes.length} exchange ${codes.length === 1 ? 'rate' : 'rates'}`,
+      base_currency: BASE_CURRENCY,
+      rates: data
     })
     
   } catch (err) {
@@ -1133,111 +5854,474 @@ app.delete('/api/my-products/:id', async (req, res) => {
   }
 })
 
-// Get seller statistics/dashboard data
-app.get('/api/seller-stats', async (req, res) => {
+// Moderation log, newest first (?target_type=user|product, ?target_id=, ?admin_id=)
+v1.get('/admin/actions', requireAuth, requireRole('admin'), validate({
+  query: object({
+    ...PAGINATION_FIELDS,
+    target_type: oneOf(['user', 'product']).optional(),
+    target_id: uuid().optional(),
+    admin_id: uuid().optional()
+  })
+}), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization
-    const token = authHeader?.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' })
-    }
+    const { pagination, error: paginationError } = parsePaginationQuery(req.query)
 
-    const { data: { user }, error: authError } = await supabase.auth.getUser(token)
-    
-    if (authError || !user) {
-      return res.status(401).json({ 
-        error: 'Invalid or expired token',
-        details: authError?.message 
-      })
+    if (paginationError) {
+      return res.status(400).json({ error: paginationError, code: 'VALIDATION_ERROR' })
     }
 
-    // Get product statistics
-    const { data: products, error: productsError } = await supabase
-      .from('products')
-      .select('id, is_active, stock_quantity, price, created_at')
-      .eq('seller_id', user.id)
+    const { target_type, target_id, admin_id } = req.query
+    const { limit, offset } = pagination
 
-    if (productsError) {
-      return res.status(400).json({ 
-        error: 'Failed to fetch seller statistics', 
-        details: productsError.message 
+    const { data, error, count } = await db.admin.listActions({
+      targetType: target_type,
+      targetId: target_id,
+      adminId: admin_id,
+      limit,
+      offset
+    })
+
+    if (error) {
+      return res.status(500).json({ 
+        error: 'Failed to fetch admin actions',
+        code: 'DATABASE_ERROR',
+        details: error.message 
       })
     }
 
-    // Calculate statistics
-    const totalProducts = products.length
-    const activeProducts = products.filter(p => p.is_active).length
-    const inactiveProducts = totalProducts - activeProducts
-    const outOfStockProducts = products.filter(p => p.stock_quantity === 0).length
-    const totalValue = products.reduce((sum, p) => sum + (p.price * p.stock_quantity), 0)
-    
-    // Get recent products (last 7 days)
-    const weekAgo = new Date()
-    weekAgo.setDate(weekAgo.getDate() - 7)
-    const recentProducts = products.filter(p => new Date(p.created_at) > weekAgo).length
-
     res.json({
-      seller: {
-        id: user.id,
-        email: user.email,
-        name: user.user_metadata?.full_name || user.email
-      },
-      statistics: {
-        totalProducts,
-        activeProducts,
-        inactiveProducts,
-        outOfStockProducts,
-        recentProducts,
-        totalInventoryValue: totalValue
-      },
-      summary: {
-        message: `You have ${totalProducts} products, ${activeProducts} active`
-      }
+      actions: data || [],
+      pagination: buildPagination(pagination, count)
     })
     
   } catch (err) {
     return res.status(500).json({
-      error: 'Internal error',
+      error: 'Internal server error',
       details: err.message
     })
   }
 })
+
+// Helper function to check a user's role. app_metadata can only be set with
+// the service key; user_metadata is editable by the user, so it's never trusted.
+async function hasRole(user, role) {
+  if (user.app_metadata?.role === role) return true
+
+  const { data: profile } = await db.profiles.findById(user.id, 'role')
+
+  return profile?.role === role
+}
+
+// Helper function to suspend or unsuspend a user. The profile flag blocks
+// tokens already issued, the auth ban stops new sign-ins.
+async function setSuspension(target, { suspended, reason = null }) {
+  const { data: profile } = await db.profiles.findById(target.id, 'id')
+
+  const changes = {
+    is_suspended: suspended,
+    suspended_at: suspended ? new Date().toISOString() : null,
+    suspension_reason: suspended ? reason : null,
+    updated_at: new Date().toISOString()
+  }
+
+  const { error } = profile
+    ? await db.profiles.update(target.id, changes)
+    : await db.profiles.upsert({ id: target.id, username: target.email, ...changes })
+
+  if (error) return { error }
+
+  suspensionCache.delete(target.id)
+
+  const { error: banError } = await db.auth.updateUserById(target.id, {
+    ban_duration: suspended ? SUSPENSION_BAN_DURATION : 'none'
+  })
+
+  return { error: banError }
+}
+
+// Helper function to record a moderation action. A failed log write is
+// only reported, the action itself already happened.
+async function logAdminAction(admin, action, targetType, targetId, reason, details = {}) {
+  const { error } = await db.admin.logAction({
+    admin_id: admin.id,
+    action,
+    target_type: targetType,
+    target_id: targetId,
+    reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+    details
+  })
+
+  if (error) {
+    console.error(`Failed to log admin action ${action}:`, error.message)
+  }
+}
+
 // Health check endpoint
-app.get('/api/health', (req, res) => {
+v1.get('/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     message: 'Backend server is running',
     timestamp: new Date().toISOString(),
+    versions: apiVersions.mounted,
     endpoints: {
       products: {
         getAll: '/api/posts',
+        getOne: '/api/posts/:id',
+        reviews: '/api/posts/:id/reviews',
+        addReview: 'POST /api/posts/:id/reviews',
+        updateReview: 'PUT /api/posts/:id/reviews/:reviewId',
+        deleteReview: 'DELETE /api/posts/:id/reviews/:reviewId',
         create: 'POST /api/posts',
         myProducts: '/api/my-products',
+        importProducts: 'POST /api/my-products/import',
+        exportProducts: '/api/my-products/export',
         updateProduct: 'PUT /api/my-products/:id',
         deleteProduct: 'DELETE /api/my-products/:id',
+        uploadImages: 'POST /api/my-products/:id/images',
+        reorderImages: 'PUT /api/my-products/:id/images/order',
+        setPrimaryImage: 'PUT /api/my-products/:id/images/:imageId/primary',
+        deleteImage: 'DELETE /api/my-products/:id/images/:imageId',
         sellerStats: '/api/seller-stats'
       },
       cart: {
         getCart: '/api/cart',
+        summary: '/api/cart/summary',
         addToCart: 'POST /api/cart',
         updateItem: 'PUT /api/cart/:id',
         removeItem: 'DELETE /api/cart/:id',
-        clearCart: 'DELETE /api/cart'
+        clearCart: 'DELETE /api/cart',
+        mergeGuestCart: 'POST /api/cart/merge',
+        applyCoupon: 'POST /api/cart/coupon',
+        removeCoupon: 'DELETE /api/cart/coupon'
+      },
+      coupons: {
+        myCoupons: '/api/my-coupons',
+        createCoupon: 'POST /api/my-coupons',
+        updateCoupon: 'PUT /api/my-coupons/:id'
+      },
+      wishlist: {
+        getWishlist: '/api/wishlist',
+        addToWishlist: 'POST /api/wishlist',
+        removeItem: 'DELETE /api/wishlist/:id',
+        moveToCart: 'POST /api/wishlist/:id/move-to-cart'
+      },
+      orders: {
+        checkout: 'POST /api/orders',
+        getOrders: '/api/orders',
+        getOrder: '/api/orders/:id',
+        updateStatus: 'PUT /api/orders/:id/status'
       },
       auth: {
         register: '/api/auth/register',
         login: '/api/auth/login',
+        refresh: 'POST /api/auth/refresh',
         logout: '/api/auth/logout',
+        forgotPassword: 'POST /api/auth/forgot-password',
+        resetPassword: 'POST /api/auth/reset-password',
+        changePassword: 'PUT /api/auth/password',
+        changeEmail: 'PUT /api/auth/email',
+        confirmEmail: 'POST /api/auth/email/confirm',
         magicLink: '/api/auth/magic-link',
         google: '/api/auth/google',
         session: '/api/auth/session',
-        profile: '/api/auth/profile'
+        profile: '/api/auth/profile',
+        uploadAvatar: 'POST /api/auth/profile/avatar',
+        removeAvatar: 'DELETE /api/auth/profile/avatar',
+        exportData: '/api/auth/profile/export',
+        deleteAccount: 'DELETE /api/auth/profile',
+        restoreAccount: 'POST /api/auth/profile/restore'
+      },
+      webhooks: {
+        list: '/api/webhooks',
+        create: 'POST /api/webhooks',
+        update: 'PUT /api/webhooks/:id',
+        delete: 'DELETE /api/webhooks/:id',
+        deliveries: '/api/webhooks/:id/deliveries',
+        redeliver: 'POST /api/webhooks/:id/deliveries/:deliveryId/redeliver'
+      },
+      currencies: {
+        list: '/api/currencies'
+      },
+      admin: {
+        users: '/api/admin/users',
+        suspendUser: 'POST /api/admin/users/:id/suspend',
+        unsuspendUser: 'POST /api/admin/users/:id/unsuspend',
+        products: '/api/admin/products',
+        deactivateProduct: 'POST /api/admin/products/:id/deactivate',
+        reactivateProduct: 'POST /api/admin/products/:id/reactivate',
+        removeProduct: 'DELETE /api/admin/products/:id',
+        stats: '/api/admin/stats',
+        exchangeRates: 'PUT /api/admin/exchange-rates',
+        actions: '/api/admin/actions'
+      },
+      docs: {
+        openapi: '/api/openapi.json',
+        ui: '/api/docs'
       }
     }
   })
 })
 
+// API V2
+// v2 paths for the v1 routes: [method, v2 path, v1 path, data key]. The data
+// key is the field of the v1 body that becomes data in the envelope (true for
+// the whole body, null for none), see lib/api-versions.js.
+const V2_ROUTES = [
+  ['get', '/products', '/posts', 'products'],
+  ['post', '/products', '/posts', 'product'],
+  ['get', '/products/:id', '/posts/:id', 'product'],
+  ['get', '/products/:id/reviews', '/posts/:id/reviews', 'reviews'],
+  ['post', '/products/:id/reviews', '/posts/:id/reviews', 'review'],
+  ['put', '/products/:id/reviews/:reviewId', '/posts/:id/reviews/:reviewId', 'review'],
+  ['delete', '/products/:id/reviews/:reviewId', '/posts/:id/reviews/:reviewId', null],
+
+  ['post', '/auth/register', '/auth/register', null],
+  ['post', '/auth/login', '/auth/login', 'session'],
+  ['post', '/auth/refresh', '/auth/refresh', 'session'],
+  ['post', '/auth/forgot-password', '/auth/forgot-password', null],
+  ['post', '/auth/reset-password', '/auth/reset-password', null],
+  ['post', '/auth/email/confirm', '/auth/email/confirm', null],
+  ['post', '/auth/magic-link', '/auth/magic-link', null],
+  ['post', '/auth/google', '/auth/google', null],
+  ['get', '/auth/session', '/auth/session', 'session'],
+  ['post', '/auth/logout', '/auth/logout', null],
+
+  ['get', '/me', '/auth/profile', 'user'],
+  ['put', '/me', '/auth/profile', 'user'],
+  ['post', '/me/avatar', '/auth/profile/avatar', 'avatar'],
+  ['delete', '/me/avatar', '/auth/profile/avatar', null],
+  ['get', '/me/export', '/auth/profile/export', true],
+  ['delete', '/me', '/auth/profile', null],
+  ['post', '/me/restore', '/auth/profile/restore', null],
+  ['put', '/me/password', '/auth/password', 'session'],
+  ['put', '/me/email', '/auth/email', null],
+  ['get', '/me/products', '/my-products', 'products'],
+  ['post', '/me/products/import', '/my-products/import', 'report'],
+  ['get', '/me/products/export', '/my-products/export', 'products'],
+  ['put', '/me/products/:id', '/my-products/:id', 'product'],
+  ['delete', '/me/products/:id', '/my-products/:id', null],
+  ['post', '/me/products/:id/images', '/my-products/:id/images', 'images'],
+  ['put', '/me/products/:id/images/order', '/my-products/:id/images/order', 'images'],
+  ['put', '/me/products/:id/images/:imageId/primary', '/my-products/:id/images/:imageId/primary', 'images'],
+  ['delete', '/me/products/:id/images/:imageId', '/my-products/:id/images/:imageId', 'images'],
+  ['get', '/me/stats', '/seller-stats', true],
+  ['get', '/me/coupons', '/my-coupons', 'coupons'],
+  ['post', '/me/coupons', '/my-coupons', 'coupon'],
+  ['put', '/me/coupons/:id', '/my-coupons/:id', 'coupon'],
+
+  ['get', '/cart', '/cart', true],
+  ['delete', '/cart', '/cart', null],
+  ['get', '/cart/summary', '/cart/summary', true],
+  ['post', '/cart/items', '/cart', 'cartItem'],
+  ['put', '/cart/items/:id', '/cart/:id', 'cartItem'],
+  ['delete', '/cart/items/:id', '/cart/:id', null],
+  ['post', '/cart/merge', '/cart/merge', 'cartMerge'],
+  ['post', '/cart/coupon', '/cart/coupon', 'coupon'],
+  ['delete', '/cart/coupon', '/cart/coupon', null],
+
+  ['get', '/wishlist', '/wishlist', true],
+  ['post', '/wishlist', '/wishlist', 'wishlistItem'],
+  ['delete', '/wishlist/:id', '/wishlist/:id', null],
+  ['post', '/wishlist/:id/move-to-cart', '/wishlist/:id/move-to-cart', 'cartItem'],
+
+  ['get', '/orders', '/orders', 'orders'],
+  ['post', '/orders', '/orders', 'order'],
+  ['get', '/orders/:id', '/orders/:id', 'order'],
+  ['put', '/orders/:id/status', '/orders/:id/status', 'order'],
+
+  ['get', '/webhooks', '/webhooks', 'webhooks'],
+  ['post', '/webhooks', '/webhooks', 'webhook'],
+  ['put', '/webhooks/:id', '/webhooks/:id', 'webhook'],
+  ['delete', '/webhooks/:id', '/webhooks/:id', null],
+  ['get', '/webhooks/:id/deliveries', '/webhooks/:id/deliveries', 'deliveries'],
+  ['post', '/webhooks/:id/deliveries/:deliveryId/redeliver', '/webhooks/:id/deliveries/:deliveryId/redeliver', 'delivery'],
+
+  ['get', '/admin/users', '/admin/users', 'users'],
+  ['post', '/admin/users/:id/suspend', '/admin/users/:id/suspend', 'user'],
+  ['post', '/admin/users/:id/unsuspend', '/admin/users/:id/unsuspend', 'user'],
+  ['get', '/admin/products', '/admin/products', 'products'],
+  ['post', '/admin/products/:id/deactivate', '/admin/products/:id/deactivate', 'product'],
+  ['post', '/admin/products/:id/reactivate', '/admin/products/:id/reactivate', 'product'],
+  ['delete', '/admin/products/:id', '/admin/products/:id', null],
+  ['get', '/admin/stats', '/admin/stats', true],
+  ['put', '/admin/exchange-rates', '/admin/exchange-rates', 'rates'],
+  ['get', '/admin/actions', '/admin/actions', 'actions'],
+  ['get', '/currencies', '/currencies', 'currencies'],
+
+  ['get', '/health', '/health', true]
+]
+
+const v2 = express.Router()
+const v1Routes = listRoutes(v1)
+
+for (const [method, path, v1Path, dataKey] of V2_ROUTES) {
+  const route = v1Routes.find(candidate => candidate.method === method && candidate.path === v1Path)
+
+  if (!route) {
+    throw new Error(`V2_ROUTES: there is no v1 route ${method.toUpperCase()} ${v1Path}`)
+  }
+
+  v2[method](path, createEnvelope(dataKey), ...route.handlers)
+}
+
+// v2 docs, the v1 ones with the new paths and enveloped responses
+const V2_API_DOCS = Object.fromEntries(V2_ROUTES.flatMap(([method, path, v1Path, dataKey]) => {
+  const doc = API_DOCS[`${method.toUpperCase()} ${v1Path}`]
+  if (!doc) return []
+
+  return [[`${method.toUpperCase()} ${path}`, {
+    ...doc,
+    ...(!doc.responseContent && { response: envelopeSchema(doc.v2Response || doc.response, dataKey) })
+  }]]
+}))
+
+// API DOCS
+// An OpenAPI document per version, built once every route is registered (see
+// below) from lib/api-docs.js and the schemas each route validates against
+const apiDocs = {
+  v1: {
+    router: v1,
+    docs: API_DOCS,
+    version: '1.0.0',
+    deprecated: true,
+    description: 'Deprecated, use v2. Responses carry Deprecation and Sunset headers saying when v1 goes away.'
+  },
+  v2: {
+    router: v2,
+    docs: {
+      ...V2_API_DOCS,
+      'GET /openapi.json': API_DOCS['GET /openapi.json'],
+      'GET /docs': API_DOCS['GET /docs']
+    },
+    version: '2.0.0',
+    deprecated: false,
+    description: 'Successful responses come back as { data, meta }: data is the resource or list asked for, ' +
+      'meta anything sent along with it.'
+  }
+}
+
+const openApiSpecs = {}
+
+for (const [version, { router }] of Object.entries(apiDocs)) {
+  // OpenAPI 3 document describing every route of the version
+  router.get('/openapi.json', (req, res) => {
+    res.json(openApiSpecs[version])
+  })
+
+  // Interactive docs for the document above
+  router.get('/docs', (req, res) => {
+    res.type('html').send(renderDocsPage({ title: `GoBuy API ${version}`, specUrl: 'openapi.json' }))
+  })
+}
+
+const apiDocsProblems = Object.entries(apiDocs).flatMap(([version, settings]) => {
+  const routes = listRoutes(settings.router)
+
+  openApiSpecs[version] = buildOpenApiSpec({
+    info: {
+      title: 'GoBuy API',
+      version: settings.version,
+      description: 'Marketplace backend: products, carts, orders, selling tools and admin moderation. ' +
+        `${settings.description} Errors come back as { error, code }, see the Error schema.`
+    },
+    servers: [{ url: `/api/${version}` }],
+    deprecated: settings.deprecated,
+    routes,
+    docs: settings.docs,
+    schemas: API_SCHEMAS,
+    authGuard: requireAuth,
+    securitySchemes: API_SECURITY_SCHEMES
+  })
+
+  return [
+    ...findUndocumentedRoutes(routes, openApiSpecs[version])
+      .map(route => `${version} ${route} is missing from lib/api-docs.js`),
+    ...findUnknownDocs(routes, settings.docs)
+      .map(route => `${version} ${route} is in lib/api-docs.js but no such route exists`)
+  ]
+})
+
+// npm run check:openapi fails if the docs and the routes don't match
+if (process.env.CHECK_OPENAPI === 'true') {
+  apiDocsProblems.forEach(problem => console.error(problem))
+
+  if (apiDocsProblems.length === 0) {
+    const routeCount = Object.values(apiDocs).reduce((count, { router }) => count + listRoutes(router).length, 0)
+    console.log(`API docs cover all ${routeCount} routes`)
+  }
+
+  process.exit(apiDocsProblems.length === 0 ? 0 : 1)
+}
+
+apiDocsProblems.forEach(problem => console.warn(`API docs: ${problem}`))
+
+// Versions set by API_VERSIONS. The unversioned /api alias leaves alone
+// paths starting with a version, so /api/v2/... never ends up in v1.
+const VERSIONED_PATH = /^\/v\d+(\/|$)/
+
+if (apiVersions.mounted.includes('v2')) {
+  app.use('/api/v2', v2)
+}
+if (apiVersions.mounted.includes('v1')) {
+  app.use('/api/v1', v1)
+  app.use('/api', (req, res, next) => VERSIONED_PATH.test(req.path) ? next() : v1(req, res, next))
+}
+
+// Anything left unanswered under /api, then errors thrown along the way
+app.use('/api', apiNotFound)
+app.use(createErrorHandler({ exposeDetails: EXPOSE_ERROR_DETAILS }))
+
+// Background sweeper for stock holds that have run out. Expired holds already
+// don't count against stock, this clears them off the cart lines.
+async function releaseExpiredHolds() {
+  try {
+    const { data: released, error } = await db.cartItems.releaseExpiredHolds()
+
+    if (error) throw error
+
+    if (released > 0) {
+      console.log(`Released ${released} expired stock hold(s)`)
+    }
+  } catch (err) {
+    console.error('Failed to release expired stock holds:', err.message)
+  }
+}
+
+setInterval(releaseExpiredHolds, CART_HOLD_SWEEP_SECONDS * 1000).unref()
+
+// Background deletion of accounts whose grace period is over
+async function deleteDueAccounts() {
+  try {
+    const { data: due, error } = await db.profiles.listDueForDeletion(new Date().toISOString())
+
+    if (error) throw error
+
+    for (const { id } of due) {
+      try {
+        await deleteAccount(id)
+        console.log(`Deleted account ${id}`)
+      } catch (err) {
+        console.error(`Failed to delete account ${id}:`, err.message)
+      }
+    }
+  } catch (err) {
+    console.error('Failed to delete accounts due for deletion:', err.message)
+  }
+}
+
+setInterval(deleteDueAccounts, ACCOUNT_DELETION_SWEEP_MINUTES * 60 * 1000).unref()
+
+// Background retries for webhook deliveries whose backoff has run out
+async function retryWebhookDeliveries() {
+  try {
+    await webhooks.processDue()
+  } catch (err) {
+    console.error('Failed to retry webhook deliveries:', err.message)
+  }
+}
+
+setInterval(retryWebhookDeliveries, WEBHOOK_POLL_SECONDS * 1000).unref()
+
 const PORT = process.env.PORT || 3001
 app.listen(PORT, () => {
   console.log(`🚀 Backend server running on port ${PORT}`)
@@ -0,0 +1,156 @@
+-- Orders: a snapshot of a user's cart taken at checkout
+
+create table if not exists public.orders (
+  id uuid primary key default gen_random_uuid(),
+  -- Null once the buyer deleted their account: the order stays, it's part
+  -- of the sellers' sales records
+  user_id uuid references auth.users (id) on delete set null,
+  status text not null default 'pending'
+    check (status in ('pending', 'paid', 'shipped', 'delivered', 'cancelled')),
+  total_amount numeric(12, 2) not null default 0,
+  item_count integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  paid_at timestamptz,
+  shipped_at timestamptz,
+  delivered_at timestamptz,
+  cancelled_at timestamptz
+);
+
+create index if not exists orders_user_id_idx on public.orders (user_id, created_at desc);
+
+-- Line items keep a frozen copy of the product title and price, so later
+-- edits (or deletion) of the product don't change order history
+create table if not exists public.order_items (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders (id) on delete cascade,
+  product_id uuid references public.products (id) on delete set null,
+  seller_id uuid,
+  title text not null,
+  image_url text,
+  unit_price numeric(12, 2) not null,
+  quantity integer not null check (quantity > 0),
+  line_total numeric(12, 2) not null
+);
+
+create index if not exists order_items_order_id_idx on public.order_items (order_id);
+create index if not exists order_items_seller_id_idx on public.order_items (seller_id);
+
+-- Buyers can read their own orders; only the API (service role) writes them
+alter table public.orders enable row level security;
+alter table public.order_items enable row level security;
+
+drop policy if exists "Users can read their own orders" on public.orders;
+create policy "Users can read their own orders"
+  on public.orders for select
+  using (user_id = auth.uid());
+
+drop policy if exists "Users can read their own order items" on public.order_items;
+create policy "Users can read their own order items"
+  on public.order_items for select
+  using (exists (
+    select 1 from public.orders o where o.id = order_id and o.user_id = auth.uid()
+  ));
+
+-- Turn the user's cart into an order in one transaction.
+-- Raises CART_EMPTY, PRODUCT_INACTIVE:<id> or INSUFFICIENT_STOCK:<id>
+-- and rolls everything back if any item can't be bought.
+create or replace function public.checkout_cart(p_user_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order_id uuid;
+  v_item record;
+begin
+  -- Lock the carted products so two checkouts can't sell the same unit
+  perform 1
+    from products p
+    join cart_items c on c.product_id = p.id
+   where c.user_id = p_user_id
+     for update of p;
+
+  if not exists (select 1 from cart_items where user_id = p_user_id) then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  for v_item in
+    select c.product_id, c.quantity, p.stock_quantity, p.is_active
+      from cart_items c
+      join products p on p.id = c.product_id
+     where c.user_id = p_user_id
+  loop
+    if not v_item.is_active then
+      raise exception 'PRODUCT_INACTIVE:%', v_item.product_id;
+    end if;
+
+    if v_item.stock_quantity < v_item.quantity then
+      raise exception 'INSUFFICIENT_STOCK:%', v_item.product_id;
+    end if;
+  end loop;
+
+  insert into orders (user_id) values (p_user_id) returning id into v_order_id;
+
+  insert into order_items (order_id, product_id, seller_id, title, image_url, unit_price, quantity, line_total)
+  select v_order_id, p.id, p.seller_id, p.title, p.image_url, p.price, c.quantity, p.price * c.quantity
+    from cart_items c
+    join products p on p.id = c.product_id
+   where c.user_id = p_user_id;
+
+  update products p
+     set stock_quantity = p.stock_quantity - c.quantity,
+         updated_at = now()
+    from cart_items c
+   where c.product_id = p.id
+     and c.user_id = p_user_id;
+
+  update orders o
+     set total_amount = totals.total_amount,
+         item_count = totals.item_count
+    from (
+      select coalesce(sum(line_total), 0) as total_amount,
+             coalesce(sum(quantity), 0) as item_count
+        from order_items
+       where order_id = v_order_id
+    ) totals
+   where o.id = v_order_id;
+
+  delete from cart_items where user_id = p_user_id;
+
+  return v_order_id;
+end;
+$$;
+
+-- Cancel an order and put its stock back. p_from_status guards against
+-- the order having moved on since the caller read it.
+create or replace function public.cancel_order(p_order_id uuid, p_from_status text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update orders
+     set status = 'cancelled',
+         cancelled_at = now(),
+         updated_at = now()
+   where id = p_order_id
+     and status = p_from_status;
+
+  if not found then
+    raise exception 'ORDER_STATUS_CHANGED';
+  end if;
+
+  update products p
+     set stock_quantity = p.stock_quantity + oi.quantity,
+         updated_at = now()
+    from order_items oi
+   where oi.order_id = p_order_id
+     and oi.product_id = p.id;
+end;
+$$;
+
+revoke execute on function public.checkout_cart(uuid) from public, anon, authenticated;
+revoke execute on function public.cancel_order(uuid, text) from public, anon, authenticated;
@@ -0,0 +1,57 @@
+-- Product reviews: one per user per product, rating 1-5
+
+create table if not exists public.product_reviews (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references public.products (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  rating smallint not null check (rating between 1 and 5),
+  body text not null default '',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (product_id, user_id)
+);
+
+create index if not exists product_reviews_product_id_idx
+  on public.product_reviews (product_id, created_at desc);
+
+-- Only the API (service role) writes reviews, anyone can read them
+alter table public.product_reviews enable row level security;
+
+drop policy if exists "Product reviews are public" on public.product_reviews;
+create policy "Product reviews are public"
+  on public.product_reviews for select
+  using (true);
+
+-- Rating summary kept on the product row so listings get it for free
+alter table public.products
+  add column if not exists average_rating numeric(3, 2),
+  add column if not exists review_count integer not null default 0;
+
+create or replace function public.refresh_product_rating()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_product_id uuid := coalesce(new.product_id, old.product_id);
+begin
+  update products p
+     set average_rating = stats.average_rating,
+         review_count = stats.review_count
+    from (
+      select round(avg(rating)::numeric, 2) as average_rating,
+             count(*)::integer as review_count
+        from product_reviews
+       where product_id = v_product_id
+    ) stats
+   where p.id = v_product_id;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists product_reviews_refresh_rating on public.product_reviews;
+create trigger product_reviews_refresh_rating
+  after insert or update of rating or delete on public.product_reviews
+  for each row execute function public.refresh_product_rating();
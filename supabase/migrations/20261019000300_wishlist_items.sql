@@ -0,0 +1,21 @@
+-- Wishlist: products a user saved for later (no stock is reserved)
+
+create table if not exists public.wishlist_items (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  product_id uuid not null references public.products (id) on delete cascade,
+  added_at timestamptz not null default now(),
+  unique (user_id, product_id)
+);
+
+create index if not exists wishlist_items_user_id_idx
+  on public.wishlist_items (user_id, added_at desc);
+
+-- Users only ever see and change their own wishlist
+alter table public.wishlist_items enable row level security;
+
+drop policy if exists "Users manage their own wishlist" on public.wishlist_items;
+create policy "Users manage their own wishlist"
+  on public.wishlist_items for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
@@ -0,0 +1,210 @@
+-- Coupons: percentage or fixed-amount codes applied to a user's cart
+
+create table if not exists public.coupons (
+  id uuid primary key default gen_random_uuid(),
+  code text not null unique check (code = upper(code)),
+  description text,
+  discount_type text not null check (discount_type in ('percentage', 'fixed')),
+  discount_value numeric(12, 2) not null check (discount_value > 0),
+  min_cart_value numeric(12, 2) not null default 0,
+  starts_at timestamptz,
+  expires_at timestamptz,
+  max_uses integer check (max_uses > 0),
+  max_uses_per_user integer check (max_uses_per_user > 0),
+  -- Optional restrictions: only lines in this category / from this seller
+  category text,
+  seller_id uuid references auth.users (id) on delete cascade,
+  created_by uuid references auth.users (id) on delete set null,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (discount_type <> 'percentage' or discount_value <= 100)
+);
+
+-- The coupon currently applied to each user's cart
+create table if not exists public.cart_coupons (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  coupon_id uuid not null references public.coupons (id) on delete cascade,
+  applied_at timestamptz not null default now()
+);
+
+-- One row per order that used a coupon; counted for usage limits
+create table if not exists public.coupon_redemptions (
+  id uuid primary key default gen_random_uuid(),
+  coupon_id uuid not null references public.coupons (id) on delete cascade,
+  -- Kept like the order when the user deletes their account, so it still
+  -- counts towards max_uses
+  user_id uuid references auth.users (id) on delete set null,
+  order_id uuid not null references public.orders (id) on delete cascade,
+  discount_amount numeric(12, 2) not null,
+  redeemed_at timestamptz not null default now()
+);
+
+create index if not exists coupon_redemptions_coupon_user_idx
+  on public.coupon_redemptions (coupon_id, user_id);
+
+-- Only the API (service role) writes coupons and their uses. Codes aren't
+-- readable at all, so they can't be listed; users can read their own rows.
+alter table public.coupons enable row level security;
+alter table public.cart_coupons enable row level security;
+alter table public.coupon_redemptions enable row level security;
+
+drop policy if exists "Users can read their own cart coupon" on public.cart_coupons;
+create policy "Users can read their own cart coupon"
+  on public.cart_coupons for select
+  using (user_id = auth.uid());
+
+drop policy if exists "Users can read their own coupon redemptions" on public.coupon_redemptions;
+create policy "Users can read their own coupon redemptions"
+  on public.coupon_redemptions for select
+  using (user_id = auth.uid());
+
+alter table public.orders
+  add column if not exists subtotal_amount numeric(12, 2) not null default 0,
+  add column if not exists discount_amount numeric(12, 2) not null default 0,
+  add column if not exists coupon_id uuid references public.coupons (id) on delete set null;
+
+alter table public.order_items
+  add column if not exists discount_amount numeric(12, 2) not null default 0;
+
+-- Checkout now takes the cart coupon and the per-line discounts worked out
+-- by the API ({ "<product_id>": amount }). Usage limits are re-checked here
+-- with the coupon row locked so two checkouts can't both take the last use.
+-- Extra errors: COUPON_INVALID, COUPON_LIMIT_REACHED.
+drop function if exists public.checkout_cart(uuid);
+
+create or replace function public.checkout_cart(
+  p_user_id uuid,
+  p_coupon_id uuid default null,
+  p_line_discounts jsonb default '{}'::jsonb
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order_id uuid;
+  v_item record;
+  v_coupon coupons%rowtype;
+begin
+  -- Lock the carted products so two checkouts can't sell the same unit
+  perform 1
+    from products p
+    join cart_items c on c.product_id = p.id
+   where c.user_id = p_user_id
+     for update of p;
+
+  if not exists (select 1 from cart_items where user_id = p_user_id) then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  for v_item in
+    select c.product_id, c.quantity, p.stock_quantity, p.is_active
+      from cart_items c
+      join products p on p.id = c.product_id
+     where c.user_id = p_user_id
+  loop
+    if not v_item.is_active then
+      raise exception 'PRODUCT_INACTIVE:%', v_item.product_id;
+    end if;
+
+    if v_item.stock_quantity < v_item.quantity then
+      raise exception 'INSUFFICIENT_STOCK:%', v_item.product_id;
+    end if;
+  end loop;
+
+  if p_coupon_id is not null then
+    select * into v_coupon from coupons where id = p_coupon_id for update;
+
+    if not found
+       or not v_coupon.is_active
+       or (v_coupon.starts_at is not null and v_coupon.starts_at > now())
+       or (v_coupon.expires_at is not null and v_coupon.expires_at <= now()) then
+      raise exception 'COUPON_INVALID';
+    end if;
+
+    if (v_coupon.max_uses is not null
+        and (select count(*) from coupon_redemptions where coupon_id = p_coupon_id) >= v_coupon.max_uses)
+       or (v_coupon.max_uses_per_user is not null
+        and (select count(*) from coupon_redemptions
+              where coupon_id = p_coupon_id and user_id = p_user_id) >= v_coupon.max_uses_per_user) then
+      raise exception 'COUPON_LIMIT_REACHED';
+    end if;
+  end if;
+
+  insert into orders (user_id, coupon_id) values (p_user_id, p_coupon_id) returning id into v_order_id;
+
+  insert into order_items (order_id, product_id, seller_id, title, image_url, unit_price, quantity, line_total, discount_amount)
+  select v_order_id, p.id, p.seller_id, p.title, p.image_url, p.price, c.quantity, p.price * c.quantity,
+         least(coalesce((p_line_discounts ->> p.id::text)::numeric, 0), p.price * c.quantity)
+    from cart_items c
+    join products p on p.id = c.product_id
+   where c.user_id = p_user_id;
+
+  update products p
+     set stock_quantity = p.stock_quantity - c.quantity,
+         updated_at = now()
+    from cart_items c
+   where c.product_id = p.id
+     and c.user_id = p_user_id;
+
+  update orders o
+     set subtotal_amount = totals.subtotal_amount,
+         discount_amount = totals.discount_amount,
+         total_amount = totals.subtotal_amount - totals.discount_amount,
+         item_count = totals.item_count
+    from (
+      select coalesce(sum(line_total), 0) as subtotal_amount,
+             coalesce(sum(discount_amount), 0) as discount_amount,
+             coalesce(sum(quantity), 0) as item_count
+        from order_items
+       where order_id = v_order_id
+    ) totals
+   where o.id = v_order_id;
+
+  if p_coupon_id is not null then
+    insert into coupon_redemptions (coupon_id, user_id, order_id, discount_amount)
+    select p_coupon_id, p_user_id, v_order_id, discount_amount
+      from orders
+     where id = v_order_id;
+  end if;
+
+  delete from cart_items where user_id = p_user_id;
+  delete from cart_coupons where user_id = p_user_id;
+
+  return v_order_id;
+end;
+$$;
+
+-- Cancelling an order also gives its coupon use back
+create or replace function public.cancel_order(p_order_id uuid, p_from_status text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update orders
+     set status = 'cancelled',
+         cancelled_at = now(),
+         updated_at = now()
+   where id = p_order_id
+     and status = p_from_status;
+
+  if not found then
+    raise exception 'ORDER_STATUS_CHANGED';
+  end if;
+
+  update products p
+     set stock_quantity = p.stock_quantity + oi.quantity,
+         updated_at = now()
+    from order_items oi
+   where oi.order_id = p_order_id
+     and oi.product_id = p.id;
+
+  delete from coupon_redemptions where order_id = p_order_id;
+end;
+$$;
+
+revoke execute on function public.checkout_cart(uuid, uuid, jsonb) from public, anon, authenticated;
@@ -0,0 +1,124 @@
+-- Shipping and tax: product weights for weight-based shipping, and the
+-- shipping/tax worked out by the API's pricing rules stored on each order
+
+alter table public.products
+  add column if not exists weight_kg numeric(10, 3) not null default 0 check (weight_kg >= 0);
+
+alter table public.orders
+  add column if not exists shipping_amount numeric(12, 2) not null default 0,
+  add column if not exists tax_amount numeric(12, 2) not null default 0,
+  add column if not exists tax_region text;
+
+drop function if exists public.checkout_cart(uuid, uuid, jsonb);
+
+-- Same as before, plus the order's shipping and tax from the API
+create or replace function public.checkout_cart(
+  p_user_id uuid,
+  p_coupon_id uuid default null,
+  p_line_discounts jsonb default '{}'::jsonb,
+  p_shipping_amount numeric default 0,
+  p_tax_amount numeric default 0,
+  p_tax_region text default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order_id uuid;
+  v_item record;
+  v_coupon coupons%rowtype;
+begin
+  -- Lock the carted products so two checkouts can't sell the same unit
+  perform 1
+    from products p
+    join cart_items c on c.product_id = p.id
+   where c.user_id = p_user_id
+     for update of p;
+
+  if not exists (select 1 from cart_items where user_id = p_user_id) then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  for v_item in
+    select c.product_id, c.quantity, p.stock_quantity, p.is_active
+      from cart_items c
+      join products p on p.id = c.product_id
+     where c.user_id = p_user_id
+  loop
+    if not v_item.is_active then
+      raise exception 'PRODUCT_INACTIVE:%', v_item.product_id;
+    end if;
+
+    if v_item.stock_quantity < v_item.quantity then
+      raise exception 'INSUFFICIENT_STOCK:%', v_item.product_id;
+    end if;
+  end loop;
+
+  if p_coupon_id is not null then
+    select * into v_coupon from coupons where id = p_coupon_id for update;
+
+    if not found
+       or not v_coupon.is_active
+       or (v_coupon.starts_at is not null and v_coupon.starts_at > now())
+       or (v_coupon.expires_at is not null and v_coupon.expires_at <= now()) then
+      raise exception 'COUPON_INVALID';
+    end if;
+
+    if (v_coupon.max_uses is not null
+        and (select count(*) from coupon_redemptions where coupon_id = p_coupon_id) >= v_coupon.max_uses)
+       or (v_coupon.max_uses_per_user is not null
+        and (select count(*) from coupon_redemptions
+              where coupon_id = p_coupon_id and user_id = p_user_id) >= v_coupon.max_uses_per_user) then
+      raise exception 'COUPON_LIMIT_REACHED';
+    end if;
+  end if;
+
+  insert into orders (user_id, coupon_id, shipping_amount, tax_amount, tax_region)
+  values (p_user_id, p_coupon_id, p_shipping_amount, p_tax_amount, p_tax_region)
+  returning id into v_order_id;
+
+  insert into order_items (order_id, product_id, seller_id, title, image_url, unit_price, quantity, line_total, discount_amount)
+  select v_order_id, p.id, p.seller_id, p.title, p.image_url, p.price, c.quantity, p.price * c.quantity,
+         least(coalesce((p_line_discounts ->> p.id::text)::numeric, 0), p.price * c.quantity)
+    from cart_items c
+    join products p on p.id = c.product_id
+   where c.user_id = p_user_id;
+
+  update products p
+     set stock_quantity = p.stock_quantity - c.quantity,
+         updated_at = now()
+    from cart_items c
+   where c.product_id = p.id
+     and c.user_id = p_user_id;
+
+  update orders o
+     set subtotal_amount = totals.subtotal_amount,
+         discount_amount = totals.discount_amount,
+         total_amount = totals.subtotal_amount - totals.discount_amount + o.shipping_amount + o.tax_amount,
+         item_count = totals.item_count
+    from (
+      select coalesce(sum(line_total), 0) as subtotal_amount,
+             coalesce(sum(discount_amount), 0) as discount_amount,
+             coalesce(sum(quantity), 0) as item_count
+        from order_items
+       where order_id = v_order_id
+    ) totals
+   where o.id = v_order_id;
+
+  if p_coupon_id is not null then
+    insert into coupon_redemptions (coupon_id, user_id, order_id, discount_amount)
+    select p_coupon_id, p_user_id, v_order_id, discount_amount
+      from orders
+     where id = v_order_id;
+  end if;
+
+  delete from cart_items where user_id = p_user_id;
+  delete from cart_coupons where user_id = p_user_id;
+
+  return v_order_id;
+end;
+$$;
+
+revoke execute on function public.checkout_cart(uuid, uuid, jsonb, numeric, numeric, text) from public, anon, authenticated;
@@ -0,0 +1,17 @@
+-- Carts for anonymous visitors, keyed by the id inside their signed guest
+-- token. Moved into cart_items when the guest signs in.
+
+create table if not exists public.guest_cart_items (
+  id uuid primary key default gen_random_uuid(),
+  guest_id uuid not null,
+  product_id uuid not null references public.products (id) on delete cascade,
+  quantity integer not null check (quantity > 0),
+  added_at timestamptz not null default now(),
+  unique (guest_id, product_id)
+);
+
+create index if not exists guest_cart_items_guest_id_idx
+  on public.guest_cart_items (guest_id, added_at desc);
+
+-- Only the API (service role) touches guest carts
+alter table public.guest_cart_items enable row level security;
@@ -0,0 +1,365 @@
+-- Product variants: options like size/color/storage, and variants with
+-- their own SKU, price override and stock
+
+create table if not exists public.product_options (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references public.products (id) on delete cascade,
+  name text not null,
+  "values" text[] not null default '{}',
+  position integer not null default 0,
+  unique (product_id, name)
+);
+
+create table if not exists public.product_variants (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references public.products (id) on delete cascade,
+  -- Unique within the product, different products can share SKUs
+  sku text not null,
+  -- e.g. { "Size": "M", "Color": "Red" }
+  options jsonb not null default '{}'::jsonb,
+  -- null means the product's price
+  price numeric(12, 2) check (price >= 0),
+  stock_quantity integer not null default 0 check (stock_quantity >= 0),
+  is_active boolean not null default true,
+  position integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  -- Checked at commit, so a save can swap two variants' SKUs or options
+  unique (product_id, sku) deferrable initially deferred,
+  unique (product_id, options) deferrable initially deferred
+);
+
+create index if not exists product_variants_product_id_idx
+  on public.product_variants (product_id, position);
+
+-- Only the API (service role) writes options and variants, anyone can read them
+alter table public.product_options enable row level security;
+alter table public.product_variants enable row level security;
+
+drop policy if exists "Product options are public" on public.product_options;
+create policy "Product options are public"
+  on public.product_options for select
+  using (true);
+
+drop policy if exists "Product variants are public" on public.product_variants;
+create policy "Product variants are public"
+  on public.product_variants for select
+  using (true);
+
+-- A product with variants shows the total stock of its active variants,
+-- so listings, in_stock filters and seller stats keep working unchanged
+create or replace function public.sync_product_stock_from_variants()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_product_id uuid := coalesce(new.product_id, old.product_id);
+begin
+  update products
+     set stock_quantity = (
+           select coalesce(sum(stock_quantity), 0)
+             from product_variants
+            where product_id = v_product_id
+              and is_active
+         )
+   where id = v_product_id;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists product_variants_sync_stock on public.product_variants;
+create trigger product_variants_sync_stock
+  after insert or update of stock_quantity, is_active or delete on public.product_variants
+  for each row execute function public.sync_product_stock_from_variants();
+
+-- Cart lines are per product + variant now
+alter table public.cart_items
+  add column if not exists variant_id uuid references public.product_variants (id) on delete cascade;
+
+alter table public.cart_items drop constraint if exists cart_items_user_id_product_id_key;
+alter table public.cart_items
+  add constraint cart_items_user_product_variant_key unique nulls not distinct (user_id, product_id, variant_id);
+
+alter table public.guest_cart_items
+  add column if not exists variant_id uuid references public.product_variants (id) on delete cascade;
+
+alter table public.guest_cart_items drop constraint if exists guest_cart_items_guest_id_product_id_key;
+alter table public.guest_cart_items
+  add constraint guest_cart_items_guest_product_variant_key unique nulls not distinct (guest_id, product_id, variant_id);
+
+-- Replace a product's options and variants in one go, so a failure halfway
+-- leaves the old ones in place. p_options is [{ name, values, position }],
+-- p_variants [{ id?, sku, options, price, stock_quantity, is_active,
+-- position }]. Existing variants are matched by id or SKU and updated in
+-- place, so carts keep pointing at them. Variants left out are deleted, or
+-- just deactivated if they're sitting in someone's cart.
+create or replace function public.save_product_variants(
+  p_product_id uuid,
+  p_options jsonb,
+  p_variants jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_variant jsonb;
+  v_match uuid;
+  -- The existing variant each of p_variants updates, null for new ones
+  v_matches uuid[] := '{}';
+begin
+  -- Two saves of the same product wait for each other
+  perform 1 from products where id = p_product_id for update;
+
+  if not found then
+    raise exception 'PRODUCT_NOT_FOUND';
+  end if;
+
+  delete from product_options where product_id = p_product_id;
+
+  insert into product_options (product_id, name, "values", position)
+  select p_product_id,
+         o ->> 'name',
+         array(select jsonb_array_elements_text(o -> 'values')),
+         (o ->> 'position')::integer
+    from jsonb_array_elements(p_options) o;
+
+  for v_variant in select * from jsonb_array_elements(p_variants) loop
+    select id into v_match
+      from product_variants
+     where product_id = p_product_id
+       and (id::text = v_variant ->> 'id' or sku = v_variant ->> 'sku')
+       and not (id = any (array_remove(v_matches, null)))
+     order by id::text = v_variant ->> 'id' desc nulls last
+     limit 1;
+
+    v_matches := v_matches || v_match;
+  end loop;
+
+  -- Clear out old variants first so their SKUs/options are free to reuse
+  update product_variants v
+     set is_active = false,
+         updated_at = now()
+   where v.product_id = p_product_id
+     and not (v.id = any (array_remove(v_matches, null)))
+     and (exists (select 1 from cart_items c where c.variant_id = v.id)
+          or exists (select 1 from guest_cart_items g where g.variant_id = v.id));
+
+  delete from product_variants v
+   where v.product_id = p_product_id
+     and not (v.id = any (array_remove(v_matches, null)))
+     and not exists (select 1 from cart_items c where c.variant_id = v.id)
+     and not exists (select 1 from guest_cart_items g where g.variant_id = v.id);
+
+  for i in 1 .. coalesce(array_length(v_matches, 1), 0) loop
+    v_variant := p_variants -> (i - 1);
+
+    if v_matches[i] is not null then
+      update product_variants
+         set sku = v_variant ->> 'sku',
+             options = v_variant -> 'options',
+             price = (v_variant ->> 'price')::numeric,
+             stock_quantity = coalesce((v_variant ->> 'stock_quantity')::integer, 0),
+             is_active = coalesce((v_variant ->> 'is_active')::boolean, true),
+             position = (v_variant ->> 'position')::integer,
+             updated_at = now()
+       where id = v_matches[i];
+    else
+      insert into product_variants (product_id, sku, options, price, stock_quantity, is_active, position)
+      values (
+        p_product_id,
+        v_variant ->> 'sku',
+        v_variant -> 'options',
+        (v_variant ->> 'price')::numeric,
+        coalesce((v_variant ->> 'stock_quantity')::integer, 0),
+        coalesce((v_variant ->> 'is_active')::boolean, true),
+        (v_variant ->> 'position')::integer
+      );
+    end if;
+  end loop;
+end;
+$$;
+
+revoke execute on function public.save_product_variants(uuid, jsonb, jsonb) from public, anon, authenticated;
+
+-- Orders keep a copy of the variant that was bought
+alter table public.order_items
+  add column if not exists variant_id uuid references public.product_variants (id) on delete set null,
+  add column if not exists sku text,
+  add column if not exists variant_options jsonb;
+
+-- Checkout prices and takes stock per variant. p_line_discounts is now
+-- keyed by cart item id, since one product can have several lines.
+create or replace function public.checkout_cart(
+  p_user_id uuid,
+  p_coupon_id uuid default null,
+  p_line_discounts jsonb default '{}'::jsonb,
+  p_shipping_amount numeric default 0,
+  p_tax_amount numeric default 0,
+  p_tax_region text default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order_id uuid;
+  v_item record;
+  v_coupon coupons%rowtype;
+begin
+  -- Lock the carted products so two checkouts can't sell the same unit
+  perform 1
+    from products p
+    join cart_items c on c.product_id = p.id
+   where c.user_id = p_user_id
+     for update of p;
+
+  perform 1
+    from product_variants v
+    join cart_items c on c.variant_id = v.id
+   where c.user_id = p_user_id
+     for update of v;
+
+  if not exists (select 1 from cart_items where user_id = p_user_id) then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  for v_item in
+    select c.product_id, c.quantity,
+           coalesce(v.stock_quantity, p.stock_quantity) as stock_quantity,
+           p.is_active and coalesce(v.is_active, true) as is_active
+      from cart_items c
+      join products p on p.id = c.product_id
+      left join product_variants v on v.id = c.variant_id
+     where c.user_id = p_user_id
+  loop
+    if not v_item.is_active then
+      raise exception 'PRODUCT_INACTIVE:%', v_item.product_id;
+    end if;
+
+    if v_item.stock_quantity < v_item.quantity then
+      raise exception 'INSUFFICIENT_STOCK:%', v_item.product_id;
+    end if;
+  end loop;
+
+  if p_coupon_id is not null then
+    select * into v_coupon from coupons where id = p_coupon_id for update;
+
+    if not found
+       or not v_coupon.is_active
+       or (v_coupon.starts_at is not null and v_coupon.starts_at > now())
+       or (v_coupon.expires_at is not null and v_coupon.expires_at <= now()) then
+      raise exception 'COUPON_INVALID';
+    end if;
+
+    if (v_coupon.max_uses is not null
+        and (select count(*) from coupon_redemptions where coupon_id = p_coupon_id) >= v_coupon.max_uses)
+       or (v_coupon.max_uses_per_user is not null
+        and (select count(*) from coupon_redemptions
+              where coupon_id = p_coupon_id and user_id = p_user_id) >= v_coupon.max_uses_per_user) then
+      raise exception 'COUPON_LIMIT_REACHED';
+    end if;
+  end if;
+
+  insert into orders (user_id, coupon_id, shipping_amount, tax_amount, tax_region)
+  values (p_user_id, p_coupon_id, p_shipping_amount, p_tax_amount, p_tax_region)
+  returning id into v_order_id;
+
+  insert into order_items (
+    order_id, product_id, seller_id, title, image_url, variant_id, sku, variant_options,
+    unit_price, quantity, line_total, discount_amount
+  )
+  select v_order_id, p.id, p.seller_id, p.title, p.image_url, v.id, v.sku, v.options,
+         coalesce(v.price, p.price), c.quantity, coalesce(v.price, p.price) * c.quantity,
+         least(coalesce((p_line_discounts ->> c.id::text)::numeric, 0), coalesce(v.price, p.price) * c.quantity)
+    from cart_items c
+    join products p on p.id = c.product_id
+    left join product_variants v on v.id = c.variant_id
+   where c.user_id = p_user_id;
+
+  -- Variant lines come off the variant (its trigger updates the product total)
+  update product_variants v
+     set stock_quantity = v.stock_quantity - c.quantity,
+         updated_at = now()
+    from cart_items c
+   where c.variant_id = v.id
+     and c.user_id = p_user_id;
+
+  update products p
+     set stock_quantity = p.stock_quantity - c.quantity,
+         updated_at = now()
+    from cart_items c
+   where c.product_id = p.id
+     and c.user_id = p_user_id
+     and c.variant_id is null;
+
+  update orders o
+     set subtotal_amount = totals.subtotal_amount,
+         discount_amount = totals.discount_amount,
+         total_amount = totals.subtotal_amount - totals.discount_amount + o.shipping_amount + o.tax_amount,
+         item_count = totals.item_count
+    from (
+      select coalesce(sum(line_total), 0) as subtotal_amount,
+             coalesce(sum(discount_amount), 0) as discount_amount,
+             coalesce(sum(quantity), 0) as item_count
+        from order_items
+       where order_id = v_order_id
+    ) totals
+   where o.id = v_order_id;
+
+  if p_coupon_id is not null then
+    insert into coupon_redemptions (coupon_id, user_id, order_id, discount_amount)
+    select p_coupon_id, p_user_id, v_order_id, discount_amount
+      from orders
+     where id = v_order_id;
+  end if;
+
+  delete from cart_items where user_id = p_user_id;
+  delete from cart_coupons where user_id = p_user_id;
+
+  return v_order_id;
+end;
+$$;
+
+-- Cancelling puts stock back on the variant when there was one
+create or replace function public.cancel_order(p_order_id uuid, p_from_status text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update orders
+     set status = 'cancelled',
+         cancelled_at = now(),
+         updated_at = now()
+   where id = p_order_id
+     and status = p_from_status;
+
+  if not found then
+    raise exception 'ORDER_STATUS_CHANGED';
+  end if;
+
+  update product_variants v
+     set stock_quantity = v.stock_quantity + oi.quantity,
+         updated_at = now()
+    from order_items oi
+   where oi.order_id = p_order_id
+     and oi.variant_id = v.id;
+
+  update products p
+     set stock_quantity = p.stock_quantity + oi.quantity,
+         updated_at = now()
+    from order_items oi
+   where oi.order_id = p_order_id
+     and oi.product_id = p.id
+     and oi.variant_id is null;
+
+  delete from coupon_redemptions where order_id = p_order_id;
+end;
+$$;
@@ -0,0 +1,8 @@
+-- Seller-chosen SKU on products, used to match rows in bulk imports
+
+alter table public.products
+  add column if not exists sku text;
+
+create unique index if not exists products_seller_sku_key
+  on public.products (seller_id, sku)
+  where sku is not null;
@@ -0,0 +1,141 @@
+-- Uploaded product images and avatars. Files live in storage (local disk or
+-- Supabase Storage), each upload in its own folder with original, thumbnail
+-- and medium versions.
+
+create table if not exists public.product_images (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references public.products (id) on delete cascade,
+  -- storage folder holding every version of this image
+  storage_path text not null,
+  url text not null,
+  thumbnail_url text not null,
+  medium_url text not null,
+  content_type text not null,
+  size_bytes integer not null check (size_bytes > 0),
+  width integer not null,
+  height integer not null,
+  position integer not null default 0,
+  is_primary boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists product_images_product_id_idx
+  on public.product_images (product_id, position);
+
+-- At most one primary image per product
+create unique index if not exists product_images_one_primary_idx
+  on public.product_images (product_id)
+  where is_primary;
+
+-- Only the API (service role) writes images, anyone can read them
+alter table public.product_images enable row level security;
+
+drop policy if exists "Product images are public" on public.product_images;
+create policy "Product images are public"
+  on public.product_images for select
+  using (true);
+
+-- Where the current avatar upload lives, so it can be removed when replaced
+alter table public.profiles
+  add column if not exists avatar_path text;
+
+-- Keep products.image_url pointing at the primary image, so listings, carts
+-- and orders keep working unchanged. Deleting the primary image promotes
+-- the first remaining one.
+create or replace function public.sync_product_primary_image()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_product_id uuid := coalesce(new.product_id, old.product_id);
+begin
+  if tg_op = 'DELETE' and old.is_primary then
+    update product_images
+       set is_primary = true
+     where id = (
+             select id
+               from product_images
+              where product_id = v_product_id
+              order by position, created_at
+              limit 1
+           );
+
+    -- The update above syncs image_url when another image was promoted
+    if found then
+      return null;
+    end if;
+  end if;
+
+  update products
+     set image_url = (
+           select url
+             from product_images
+            where product_id = v_product_id
+              and is_primary
+         )
+   where id = v_product_id
+     and (tg_op <> 'DELETE' or old.is_primary);
+
+  return null;
+end;
+$$;
+
+drop trigger if exists product_images_sync_primary on public.product_images;
+create trigger product_images_sync_primary
+  after insert or update of is_primary, url or delete on public.product_images
+  for each row execute function public.sync_product_primary_image();
+
+-- Make one image the product's primary image
+create or replace function public.set_primary_product_image(p_product_id uuid, p_image_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (
+    select 1 from product_images where id = p_image_id and product_id = p_product_id
+  ) then
+    raise exception 'IMAGE_NOT_FOUND';
+  end if;
+
+  -- Clear the old primary first so the unique index never sees two
+  update product_images
+     set is_primary = false
+   where product_id = p_product_id
+     and is_primary
+     and id <> p_image_id;
+
+  update product_images
+     set is_primary = true
+   where id = p_image_id
+     and not is_primary;
+end;
+$$;
+
+-- Put a product's images in the given order; every image must be listed once
+create or replace function public.reorder_product_images(p_product_id uuid, p_image_ids uuid[])
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if cardinality(p_image_ids) <> (select count(distinct id) from unnest(p_image_ids) as id)
+     or (select array_agg(id order by id) from product_images where product_id = p_product_id)
+        is distinct from (select array_agg(id order by id) from unnest(p_image_ids) as id) then
+    raise exception 'IMAGE_ORDER_MISMATCH';
+  end if;
+
+  update product_images i
+     set position = o.position - 1
+    from unnest(p_image_ids) with ordinality as o (id, position)
+   where i.id = o.id;
+end;
+$$;
+
+-- Only the API (service role) calls these, after checking the seller
+revoke execute on function public.set_primary_product_image(uuid, uuid) from public, anon, authenticated;
+revoke execute on function public.reorder_product_images(uuid, uuid[]) from public, anon, authenticated;
@@ -0,0 +1,147 @@
+-- Admin role, user suspension and listing moderation
+
+alter table public.profiles
+  add column if not exists role text not null default 'user'
+    check (role in ('user', 'admin')),
+  add column if not exists is_suspended boolean not null default false,
+  add column if not exists suspended_at timestamptz,
+  add column if not exists suspension_reason text;
+
+-- Users can edit their own profile row, but not make themselves admins or
+-- lift their own suspension: only the API (service role) sets these columns
+create or replace function public.protect_profile_admin_columns()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if current_user not in ('anon', 'authenticated') then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.role <> 'user' or new.is_suspended or new.suspended_at is not null
+       or new.suspension_reason is not null then
+      raise exception 'PROFILE_COLUMN_READ_ONLY';
+    end if;
+  elsif new.role is distinct from old.role
+     or new.is_suspended is distinct from old.is_suspended
+     or new.suspended_at is distinct from old.suspended_at
+     or new.suspension_reason is distinct from old.suspension_reason then
+    raise exception 'PROFILE_COLUMN_READ_ONLY';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_protect_admin_columns on public.profiles;
+create trigger profiles_protect_admin_columns
+  before insert or update on public.profiles
+  for each row execute function public.protect_profile_admin_columns();
+
+-- Set when an admin deactivates a listing; the seller can't reactivate it
+alter table public.products
+  add column if not exists moderated_at timestamptz,
+  add column if not exists moderated_by uuid references auth.users (id) on delete set null,
+  add column if not exists moderation_reason text;
+
+-- What admins did, and why
+create table if not exists public.admin_actions (
+  id uuid primary key default gen_random_uuid(),
+  admin_id uuid references auth.users (id) on delete set null,
+  action text not null,
+  target_type text not null check (target_type in ('user', 'product')),
+  target_id uuid not null,
+  reason text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_actions_created_at_idx
+  on public.admin_actions (created_at desc);
+
+create index if not exists admin_actions_target_idx
+  on public.admin_actions (target_type, target_id, created_at desc);
+
+-- Only the API (service role) touches the log
+alter table public.admin_actions enable row level security;
+
+-- Users joined with their profile, searchable by email or username.
+-- Emails live in auth.users, which the API can't filter through PostgREST.
+create or replace function public.admin_search_users(
+  p_search text default null,
+  p_role text default null,
+  p_suspended boolean default null,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (
+  id uuid,
+  email text,
+  username text,
+  avatar_url text,
+  role text,
+  is_suspended boolean,
+  suspended_at timestamptz,
+  suspension_reason text,
+  product_count bigint,
+  created_at timestamptz,
+  last_sign_in_at timestamptz,
+  total_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select u.id,
+         u.email::text,
+         p.username,
+         p.avatar_url,
+         coalesce(p.role, 'user'),
+         coalesce(p.is_suspended, false),
+         p.suspended_at,
+         p.suspension_reason,
+         (select count(*) from products where seller_id = u.id),
+         u.created_at,
+         u.last_sign_in_at,
+         count(*) over ()
+    from auth.users u
+    left join profiles p on p.id = u.id
+   where (p_search is null
+          or u.email ilike '%' || p_search || '%'
+          or p.username ilike '%' || p_search || '%')
+     and (p_role is null or coalesce(p.role, 'user') = p_role)
+     and (p_suspended is null or coalesce(p.is_suspended, false) = p_suspended)
+   order by u.created_at desc, u.id
+   limit p_limit
+  offset p_offset;
+$$;
+
+-- The /api/seller-stats numbers across every seller, plus user counts
+create or replace function public.admin_platform_stats()
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'totalProducts', count(*),
+    'activeProducts', count(*) filter (where is_active),
+    'inactiveProducts', count(*) filter (where not is_active),
+    'moderatedProducts', count(*) filter (where moderated_at is not null),
+    'outOfStockProducts', count(*) filter (where stock_quantity = 0),
+    'recentProducts', count(*) filter (where created_at > now() - interval '7 days'),
+    'totalInventoryValue', coalesce(sum(price * stock_quantity), 0),
+    'totalSellers', count(distinct seller_id),
+    'totalUsers', (select count(*) from auth.users),
+    'suspendedUsers', (select count(*) from profiles where is_suspended),
+    'admins', (select count(*) from profiles where role = 'admin')
+  )
+  from products;
+$$;
+
+revoke execute on function public.admin_search_users(text, text, boolean, integer, integer) from public, anon, authenticated;
+revoke execute on function public.admin_platform_stats() from public, anon, authenticated;
@@ -0,0 +1,300 @@
+-- Stock holds: carting an item holds its units for a while, so two buyers
+-- can't both cart the last one. A line holds held_quantity units until
+-- held_until; expired holds no longer count and are cleared by a sweeper.
+
+alter table public.cart_items
+  add column if not exists held_quantity integer not null default 0 check (held_quantity >= 0),
+  add column if not exists held_until timestamptz;
+
+alter table public.guest_cart_items
+  add column if not exists held_quantity integer not null default 0 check (held_quantity >= 0),
+  add column if not exists held_until timestamptz;
+
+create index if not exists cart_items_held_idx
+  on public.cart_items (product_id, variant_id)
+  where held_until is not null;
+
+create index if not exists guest_cart_items_held_idx
+  on public.guest_cart_items (product_id, variant_id)
+  where held_until is not null;
+
+-- Units of a product (or variant) held by live holds in other carts than the
+-- given user's or guest's
+create or replace function public.held_stock(
+  p_product_id uuid,
+  p_variant_id uuid,
+  p_user_id uuid default null,
+  p_guest_id uuid default null
+)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(sum(held_quantity), 0)::integer
+    from (
+      select held_quantity
+        from cart_items
+       where product_id = p_product_id
+         and variant_id is not distinct from p_variant_id
+         and held_until > now()
+         and user_id is distinct from p_user_id
+      union all
+      select held_quantity
+        from guest_cart_items
+       where product_id = p_product_id
+         and variant_id is not distinct from p_variant_id
+         and held_until > now()
+         and guest_id is distinct from p_guest_id
+    ) holds;
+$$;
+
+-- Set an owner's cart line (created if missing) to p_quantity units and
+-- hold them for p_hold_seconds. The product row is locked while the stock
+-- left after other carts' holds is worked out. With p_partial the line gets
+-- as many as are left instead of failing. Raises INSUFFICIENT_STOCK:<left>.
+create or replace function public.hold_cart_item(
+  p_owner_type text,
+  p_owner_id uuid,
+  p_product_id uuid,
+  p_variant_id uuid,
+  p_quantity integer,
+  p_hold_seconds integer,
+  p_partial boolean default false
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_stock integer;
+  v_available integer;
+  v_quantity integer := p_quantity;
+  v_held_until timestamptz := now() + make_interval(secs => p_hold_seconds);
+  v_item jsonb;
+begin
+  select stock_quantity into v_stock
+    from products
+   where id = p_product_id
+     for update;
+
+  if not found then
+    raise exception 'PRODUCT_NOT_FOUND';
+  end if;
+
+  if p_variant_id is not null then
+    select stock_quantity into v_stock
+      from product_variants
+     where id = p_variant_id
+       and product_id = p_product_id
+       for update;
+
+    if not found then
+      raise exception 'VARIANT_NOT_FOUND';
+    end if;
+  end if;
+
+  v_available := greatest(v_stock - held_stock(
+    p_product_id,
+    p_variant_id,
+    case when p_owner_type = 'user' then p_owner_id end,
+    case when p_owner_type = 'guest' then p_owner_id end
+  ), 0);
+
+  if v_quantity > v_available then
+    if not p_partial or v_available = 0 then
+      raise exception 'INSUFFICIENT_STOCK:%', v_available;
+    end if;
+
+    v_quantity := v_available;
+  end if;
+
+  if p_owner_type = 'user' then
+    insert into cart_items (user_id, product_id, variant_id, quantity, held_quantity, held_until)
+    values (p_owner_id, p_product_id, p_variant_id, v_quantity, v_quantity, v_held_until)
+    on conflict (user_id, product_id, variant_id) do update
+       set quantity = excluded.quantity,
+           held_quantity = excluded.held_quantity,
+           held_until = excluded.held_until
+    returning to_jsonb(cart_items.*) into v_item;
+  else
+    insert into guest_cart_items (guest_id, product_id, variant_id, quantity, held_quantity, held_until)
+    values (p_owner_id, p_product_id, p_variant_id, v_quantity, v_quantity, v_held_until)
+    on conflict (guest_id, product_id, variant_id) do update
+       set quantity = excluded.quantity,
+           held_quantity = excluded.held_quantity,
+           held_until = excluded.held_until
+    returning to_jsonb(guest_cart_items.*) into v_item;
+  end if;
+
+  return v_item || jsonb_build_object('available', v_available);
+end;
+$$;
+
+-- Clear holds that have run out, returns how many were released
+create or replace function public.release_expired_stock_holds()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_count integer;
+  v_guest_count integer;
+begin
+  update cart_items
+     set held_quantity = 0,
+         held_until = null
+   where held_until <= now();
+  get diagnostics v_user_count = row_count;
+
+  update guest_cart_items
+     set held_quantity = 0,
+         held_until = null
+   where held_until <= now();
+  get diagnostics v_guest_count = row_count;
+
+  return v_user_count + v_guest_count;
+end;
+$$;
+
+-- Checkout can't take units other carts are holding
+create or replace function public.checkout_cart(
+  p_user_id uuid,
+  p_coupon_id uuid default null,
+  p_line_discounts jsonb default '{}'::jsonb,
+  p_shipping_amount numeric default 0,
+  p_tax_amount numeric default 0,
+  p_tax_region text default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order_id uuid;
+  v_item record;
+  v_coupon coupons%rowtype;
+begin
+  -- Lock the carted products so two checkouts can't sell the same unit
+  perform 1
+    from products p
+    join cart_items c on c.product_id = p.id
+   where c.user_id = p_user_id
+     for update of p;
+
+  perform 1
+    from product_variants v
+    join cart_items c on c.variant_id = v.id
+   where c.user_id = p_user_id
+     for update of v;
+
+  if not exists (select 1 from cart_items where user_id = p_user_id) then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  for v_item in
+    select c.product_id, c.quantity,
+           coalesce(v.stock_quantity, p.stock_quantity)
+             - held_stock(c.product_id, c.variant_id, p_user_id) as stock_quantity,
+           p.is_active and coalesce(v.is_active, true) as is_active
+      from cart_items c
+      join products p on p.id = c.product_id
+      left join product_variants v on v.id = c.variant_id
+     where c.user_id = p_user_id
+  loop
+    if not v_item.is_active then
+      raise exception 'PRODUCT_INACTIVE:%', v_item.product_id;
+    end if;
+
+    if v_item.stock_quantity < v_item.quantity then
+      raise exception 'INSUFFICIENT_STOCK:%', v_item.product_id;
+    end if;
+  end loop;
+
+  if p_coupon_id is not null then
+    select * into v_coupon from coupons where id = p_coupon_id for update;
+
+    if not found
+       or not v_coupon.is_active
+       or (v_coupon.starts_at is not null and v_coupon.starts_at > now())
+       or (v_coupon.expires_at is not null and v_coupon.expires_at <= now()) then
+      raise exception 'COUPON_INVALID';
+    end if;
+
+    if (v_coupon.max_uses is not null
+        and (select count(*) from coupon_redemptions where coupon_id = p_coupon_id) >= v_coupon.max_uses)
+       or (v_coupon.max_uses_per_user is not null
+        and (select count(*) from coupon_redemptions
+              where coupon_id = p_coupon_id and user_id = p_user_id) >= v_coupon.max_uses_per_user) then
+      raise exception 'COUPON_LIMIT_REACHED';
+    end if;
+  end if;
+
+  insert into orders (user_id, coupon_id, shipping_amount, tax_amount, tax_region)
+  values (p_user_id, p_coupon_id, p_shipping_amount, p_tax_amount, p_tax_region)
+  returning id into v_order_id;
+
+  insert into order_items (
+    order_id, product_id, seller_id, title, image_url, variant_id, sku, variant_options,
+    unit_price, quantity, line_total, discount_amount
+  )
+  select v_order_id, p.id, p.seller_id, p.title, p.image_url, v.id, v.sku, v.options,
+         coalesce(v.price, p.price), c.quantity, coalesce(v.price, p.price) * c.quantity,
+         least(coalesce((p_line_discounts ->> c.id::text)::numeric, 0), coalesce(v.price, p.price) * c.quantity)
+    from cart_items c
+    join products p on p.id = c.product_id
+    left join product_variants v on v.id = c.variant_id
+   where c.user_id = p_user_id;
+
+  -- Variant lines come off the variant (its trigger updates the product total)
+  update product_variants v
+     set stock_quantity = v.stock_quantity - c.quantity,
+         updated_at = now()
+    from cart_items c
+   where c.variant_id = v.id
+     and c.user_id = p_user_id;
+
+  update products p
+     set stock_quantity = p.stock_quantity - c.quantity,
+         updated_at = now()
+    from cart_items c
+   where c.product_id = p.id
+     and c.user_id = p_user_id
+     and c.variant_id is null;
+
+  update orders o
+     set subtotal_amount = totals.subtotal_amount,
+         discount_amount = totals.discount_amount,
+         total_amount = totals.subtotal_amount - totals.discount_amount + o.shipping_amount + o.tax_amount,
+         item_count = totals.item_count
+    from (
+      select coalesce(sum(line_total), 0) as subtotal_amount,
+             coalesce(sum(discount_amount), 0) as discount_amount,
+             coalesce(sum(quantity), 0) as item_count
+        from order_items
+       where order_id = v_order_id
+    ) totals
+   where o.id = v_order_id;
+
+  if p_coupon_id is not null then
+    insert into coupon_redemptions (coupon_id, user_id, order_id, discount_amount)
+    select p_coupon_id, p_user_id, v_order_id, discount_amount
+      from orders
+     where id = v_order_id;
+  end if;
+
+  -- Deleting the lines releases their holds
+  delete from cart_items where user_id = p_user_id;
+  delete from cart_coupons where user_id = p_user_id;
+
+  return v_order_id;
+end;
+$$;
+
+revoke execute on function public.held_stock(uuid, uuid, uuid, uuid) from public, anon, authenticated;
+revoke execute on function public.hold_cart_item(text, uuid, uuid, uuid, integer, integer, boolean) from public, anon, authenticated;
+revoke execute on function public.release_expired_stock_holds() from public, anon, authenticated;
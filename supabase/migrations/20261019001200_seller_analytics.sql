@@ -0,0 +1,160 @@
+-- Seller analytics: per-product low stock thresholds, a log of stock
+-- changes, and one function that works out /api/seller-stats in the database
+
+-- null means the default threshold the seller asks with
+alter table public.products
+  add column if not exists low_stock_threshold integer check (low_stock_threshold >= 0);
+
+-- Every change to a product's stock, including its starting stock
+create table if not exists public.product_stock_changes (
+  id bigint generated always as identity primary key,
+  product_id uuid not null references public.products (id) on delete cascade,
+  change integer not null,
+  stock_quantity integer not null,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists product_stock_changes_product_idx
+  on public.product_stock_changes (product_id, changed_at);
+
+alter table public.product_stock_changes enable row level security;
+
+create or replace function public.log_product_stock_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_change integer := new.stock_quantity - coalesce(old.stock_quantity, 0);
+begin
+  if v_change <> 0 then
+    insert into product_stock_changes (product_id, change, stock_quantity)
+    values (new.id, v_change, new.stock_quantity);
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists products_log_stock_change on public.products;
+create trigger products_log_stock_change
+  after insert or update of stock_quantity on public.products
+  for each row execute function public.log_product_stock_change();
+
+-- A seller's statistics for [p_from, p_to): counts, category breakdown,
+-- products per price band (p_price_bands are the band edges), active
+-- products at or under their low stock threshold, and a daily series of
+-- listings created and stock added/removed
+create or replace function public.seller_analytics(
+  p_seller_id uuid,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_low_stock_threshold integer default 5,
+  p_price_bands numeric[] default array[10, 25, 50, 100, 250]
+)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with seller_products as (
+    select *
+      from products
+     where seller_id = p_seller_id
+  ),
+  bands as (
+    select edges.band_min, lead(edges.band_min) over (order by edges.band_min) as band_max
+      from (select 0::numeric as band_min union select unnest(p_price_bands)) edges
+  ),
+  days as (
+    select day::date
+      from generate_series(p_from, p_to - interval '1 microsecond', interval '1 day') day
+  )
+  select jsonb_build_object(
+    'statistics', (
+      select jsonb_build_object(
+        'totalProducts', count(*),
+        'activeProducts', count(*) filter (where is_active),
+        'inactiveProducts', count(*) filter (where not is_active),
+        'outOfStockProducts', count(*) filter (where stock_quantity = 0),
+        'lowStockProducts', count(*) filter (
+          where is_active and stock_quantity <= coalesce(low_stock_threshold, p_low_stock_threshold)
+        ),
+        'recentProducts', count(*) filter (where created_at >= p_from and created_at < p_to),
+        'totalInventoryValue', coalesce(sum(price * stock_quantity), 0)
+      )
+        from seller_products
+    ),
+    'categories', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+               'category', category,
+               'products', products,
+               'activeProducts', active_products,
+               'stock', stock,
+               'inventoryValue', inventory_value
+             ) order by products desc, category nulls last), '[]'::jsonb)
+        from (
+          select category,
+                 count(*) as products,
+                 count(*) filter (where is_active) as active_products,
+                 sum(stock_quantity) as stock,
+                 coalesce(sum(price * stock_quantity), 0) as inventory_value
+            from seller_products
+           group by category
+        ) by_category
+    ),
+    'priceBands', (
+      select jsonb_agg(jsonb_build_object(
+               'min', bands.band_min,
+               'max', bands.band_max,
+               'products', (
+                 select count(*)
+                   from seller_products
+                  where price >= bands.band_min
+                    and (bands.band_max is null or price < bands.band_max)
+               )
+             ) order by bands.band_min)
+        from bands
+    ),
+    'lowStock', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+               'id', id,
+               'title', title,
+               'sku', sku,
+               'stock_quantity', stock_quantity,
+               'low_stock_threshold', coalesce(low_stock_threshold, p_low_stock_threshold)
+             ) order by stock_quantity, title), '[]'::jsonb)
+        from seller_products
+       where is_active
+         and stock_quantity <= coalesce(low_stock_threshold, p_low_stock_threshold)
+    ),
+    'daily', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+               'date', days.day,
+               'listingsCreated', (
+                 select count(*)
+                   from seller_products
+                  where created_at >= days.day
+                    and created_at < days.day + 1
+               ),
+               'stockAdded', coalesce(changes.added, 0),
+               'stockRemoved', coalesce(changes.removed, 0)
+             ) order by days.day), '[]'::jsonb)
+        from days
+        left join (
+          select changed_at::date as day,
+                 sum(change) filter (where change > 0) as added,
+                 -sum(change) filter (where change < 0) as removed
+            from product_stock_changes
+           where product_id in (select id from seller_products)
+             and changed_at >= p_from
+             and changed_at < p_to
+           group by changed_at::date
+        ) changes on changes.day = days.day
+    )
+  );
+$$;
+
+revoke execute on function public.seller_analytics(uuid, timestamptz, timestamptz, integer, numeric[]) from public, anon, authenticated;
@@ -0,0 +1,48 @@
+-- Outbound webhooks: endpoints sellers and admins register for marketplace
+-- events, and a log of every delivery (with retries) sent to them
+
+create table if not exists public.webhook_endpoints (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references auth.users (id) on delete cascade,
+  -- 'seller' endpoints get events about the owner's products, 'platform'
+  -- ones (admins only) get every seller's
+  scope text not null default 'seller' check (scope in ('seller', 'platform')),
+  url text not null,
+  -- Signs payloads, see lib/webhooks.js
+  secret text not null,
+  events text[] not null check (cardinality(events) > 0),
+  description text,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists webhook_endpoints_owner_idx
+  on public.webhook_endpoints (owner_id, created_at desc);
+
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  endpoint_id uuid not null references public.webhook_endpoints (id) on delete cascade,
+  event_id uuid not null,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'succeeded', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz default now(),
+  last_attempt_at timestamptz,
+  response_status integer,
+  error text,
+  created_at timestamptz not null default now(),
+  delivered_at timestamptz
+);
+
+create index if not exists webhook_deliveries_endpoint_idx
+  on public.webhook_deliveries (endpoint_id, created_at desc);
+
+create index if not exists webhook_deliveries_due_idx
+  on public.webhook_deliveries (next_attempt_at)
+  where status = 'pending';
+
+-- Only the API (service role) reads or writes webhooks; secrets never leave it
+alter table public.webhook_endpoints enable row level security;
+alter table public.webhook_deliveries enable row level security;
@@ -0,0 +1,17 @@
+-- Account deletion (DELETE /api/auth/profile). Deletion is scheduled a grace
+-- period ahead and can be cancelled until then; the API deletes accounts
+-- whose deletion_scheduled_for has passed.
+
+alter table public.profiles
+  add column if not exists deletion_requested_at timestamptz,
+  add column if not exists deletion_scheduled_for timestamptz;
+
+create index if not exists profiles_deletion_scheduled_for_idx
+  on public.profiles (deletion_scheduled_for)
+  where deletion_scheduled_for is not null;
+
+-- Listings outlive their seller's account, so other people's reviews and
+-- wishlists keep working. They are taken off sale and lose their seller.
+alter table public.products
+  alter column seller_id drop not null,
+  add column if not exists seller_deleted_at timestamptz;
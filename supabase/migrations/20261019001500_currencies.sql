@@ -0,0 +1,392 @@
+-- Multi-currency prices. Products are listed in a currency and orders are
+-- charged in it; buyers can see prices converted to another currency with
+-- the rates below, which admins keep up to date. See lib/currency.js.
+
+alter table public.products
+  add column if not exists currency text not null default 'USD' check (currency ~ '^[A-Z]{3}$');
+
+-- The currency a buyer wants prices shown in, null for each listing's own
+alter table public.profiles
+  add column if not exists currency text check (currency ~ '^[A-Z]{3}$');
+
+-- Fixed discounts and minimum cart values are in the coupon's currency
+alter table public.coupons
+  add column if not exists currency text not null default 'USD' check (currency ~ '^[A-Z]{3}$');
+
+alter table public.orders
+  add column if not exists currency text not null default 'USD' check (currency ~ '^[A-Z]{3}$');
+
+-- How much of each currency one USD buys
+create table if not exists public.exchange_rates (
+  currency text primary key check (currency ~ '^[A-Z]{3}$'),
+  rate numeric(20, 10) not null check (rate > 0),
+  updated_at timestamptz not null default now(),
+  updated_by uuid references auth.users (id) on delete set null
+);
+
+insert into public.exchange_rates (currency, rate)
+values ('USD', 1)
+on conflict (currency) do nothing;
+
+-- Only the API (service role) writes rates, anyone can read them
+alter table public.exchange_rates enable row level security;
+
+drop policy if exists "Exchange rates are public" on public.exchange_rates;
+create policy "Exchange rates are public"
+  on public.exchange_rates for select
+  using (true);
+
+-- Each listing's price in USD, so listings in different currencies can be
+-- sorted and filtered by price together. Kept up to date by the triggers
+-- below (worked out on every write, so it can't be set by hand), null while
+-- the listing's currency has no rate.
+alter table public.products
+  add column if not exists price_base numeric(14, 4);
+
+create index if not exists products_price_base_idx
+  on public.products (price_base);
+
+create or replace function public.set_product_price_base()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  new.price_base := round(new.price / (select rate from exchange_rates where currency = new.currency), 4);
+  return new;
+end;
+$$;
+
+drop trigger if exists products_set_price_base on public.products;
+create trigger products_set_price_base
+  before insert or update on public.products
+  for each row execute function public.set_product_price_base();
+
+-- A new, changed or removed rate reprices the listings in that currency
+create or replace function public.refresh_product_price_base()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update products p
+     set price_base = round(p.price / (select rate from exchange_rates r where r.currency = p.currency), 4)
+   where p.currency in (new.currency, old.currency);
+
+  return null;
+end;
+$$;
+
+drop trigger if exists exchange_rates_refresh_price_base on public.exchange_rates;
+create trigger exchange_rates_refresh_price_base
+  after insert or update of currency, rate or delete on public.exchange_rates
+  for each row execute function public.refresh_product_price_base();
+
+update public.products p
+   set price_base = round(p.price / r.rate, 4)
+  from public.exchange_rates r
+ where r.currency = p.currency;
+
+-- Checkout as before, refusing carts with products listed in different
+-- currencies and recording the order's currency
+create or replace function public.checkout_cart(
+  p_user_id uuid,
+  p_coupon_id uuid default null,
+  p_line_discounts jsonb default '{}'::jsonb,
+  p_shipping_amount numeric default 0,
+  p_tax_amount numeric default 0,
+  p_tax_region text default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order_id uuid;
+  v_item record;
+  v_coupon coupons%rowtype;
+  v_currency text;
+  v_currency_count integer;
+begin
+  -- Lock the carted products so two checkouts can't sell the same unit
+  perform 1
+    from products p
+    join cart_items c on c.product_id = p.id
+   where c.user_id = p_user_id
+     for update of p;
+
+  perform 1
+    from product_variants v
+    join cart_items c on c.variant_id = v.id
+   where c.user_id = p_user_id
+     for update of v;
+
+  if not exists (select 1 from cart_items where user_id = p_user_id) then
+    raise exception 'CART_EMPTY';
+  end if;
+
+  -- One order, one currency: the one its products are listed in
+  select min(p.currency), count(distinct p.currency)
+    into v_currency, v_currency_count
+    from cart_items c
+    join products p on p.id = c.product_id
+   where c.user_id = p_user_id;
+
+  if v_currency_count > 1 then
+    raise exception 'MIXED_CURRENCIES';
+  end if;
+
+  for v_item in
+    select c.product_id, c.quantity,
+           coalesce(v.stock_quantity, p.stock_quantity)
+             - held_stock(c.product_id, c.variant_id, p_user_id) as stock_quantity,
+           p.is_active and coalesce(v.is_active, true) as is_active
+      from cart_items c
+      join products p on p.id = c.product_id
+      left join product_variants v on v.id = c.variant_id
+     where c.user_id = p_user_id
+  loop
+    if not v_item.is_active then
+      raise exception 'PRODUCT_INACTIVE:%', v_item.product_id;
+    end if;
+
+    if v_item.stock_quantity < v_item.quantity then
+      raise exception 'INSUFFICIENT_STOCK:%', v_item.product_id;
+    end if;
+  end loop;
+
+  if p_coupon_id is not null then
+    select * into v_coupon from coupons where id = p_coupon_id for update;
+
+    if not found
+       or not v_coupon.is_active
+       or (v_coupon.starts_at is not null and v_coupon.starts_at > now())
+       or (v_coupon.expires_at is not null and v_coupon.expires_at <= now()) then
+      raise exception 'COUPON_INVALID';
+    end if;
+
+    if (v_coupon.max_uses is not null
+        and (select count(*) from coupon_redemptions where coupon_id = p_coupon_id) >= v_coupon.max_uses)
+       or (v_coupon.max_uses_per_user is not null
+        and (select count(*) from coupon_redemptions
+              where coupon_id = p_coupon_id and user_id = p_user_id) >= v_coupon.max_uses_per_user) then
+      raise exception 'COUPON_LIMIT_REACHED';
+    end if;
+  end if;
+
+  insert into orders (user_id, coupon_id, currency, shipping_amount, tax_amount, tax_region)
+  values (p_user_id, p_coupon_id, v_currency, p_shipping_amount, p_tax_amount, p_tax_region)
+  returning id into v_order_id;
+
+  insert into order_items (
+    order_id, product_id, seller_id, title, image_url, variant_id, sku, variant_options,
+    unit_price, quantity, line_total, discount_amount
+  )
+  select v_order_id, p.id, p.seller_id, p.title, p.image_url, v.id, v.sku, v.options,
+         coalesce(v.price, p.price), c.quantity, coalesce(v.price, p.price) * c.quantity,
+         least(coalesce((p_line_discounts ->> c.id::text)::numeric, 0), coalesce(v.price, p.price) * c.quantity)
+    from cart_items c
+    join products p on p.id = c.product_id
+    left join product_variants v on v.id = c.variant_id
+   where c.user_id = p_user_id;
+
+  -- Variant lines come off the variant (its trigger updates the product total)
+  update product_variants v
+     set stock_quantity = v.stock_quantity - c.quantity,
+         updated_at = now()
+    from cart_items c
+   where c.variant_id = v.id
+     and c.user_id = p_user_id;
+
+  update products p
+     set stock_quantity = p.stock_quantity - c.quantity,
+         updated_at = now()
+    from cart_items c
+   where c.product_id = p.id
+     and c.user_id = p_user_id
+     and c.variant_id is null;
+
+  update orders o
+     set subtotal_amount = totals.subtotal_amount,
+         discount_amount = totals.discount_amount,
+         total_amount = totals.subtotal_amount - totals.discount_amount + o.shipping_amount + o.tax_amount,
+         item_count = totals.item_count
+    from (
+      select coalesce(sum(line_total), 0) as subtotal_amount,
+             coalesce(sum(discount_amount), 0) as discount_amount,
+             coalesce(sum(quantity), 0) as item_count
+        from order_items
+       where order_id = v_order_id
+    ) totals
+   where o.id = v_order_id;
+
+  if p_coupon_id is not null then
+    insert into coupon_redemptions (coupon_id, user_id, order_id, discount_amount)
+    select p_coupon_id, p_user_id, v_order_id, discount_amount
+      from orders
+     where id = v_order_id;
+  end if;
+
+  -- Deleting the lines releases their holds
+  delete from cart_items where user_id = p_user_id;
+  delete from cart_coupons where user_id = p_user_id;
+
+  return v_order_id;
+end;
+$$;
+
+-- Seller statistics as before, with prices converted to p_currency so
+-- inventory values and price bands don't add up different currencies.
+-- Products whose currency has no rate are left out of them and counted in
+-- unconvertedProducts.
+drop function if exists public.seller_analytics(uuid, timestamptz, timestamptz, integer, numeric[]);
+
+create or replace function public.seller_analytics(
+  p_seller_id uuid,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_low_stock_threshold integer default 5,
+  p_price_bands numeric[] default array[10, 25, 50, 100, 250],
+  p_currency text default 'USD'
+)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with seller_products as (
+    select p.*,
+           case
+             when p.currency = p_currency then p.price
+             else p.price / from_rate.rate * to_rate.rate
+           end as display_price
+      from products p
+      left join exchange_rates from_rate on from_rate.currency = p.currency
+      left join exchange_rates to_rate on to_rate.currency = p_currency
+     where p.seller_id = p_seller_id
+  ),
+  bands as (
+    select edges.band_min, lead(edges.band_min) over (order by edges.band_min) as band_max
+      from (select 0::numeric as band_min union select unnest(p_price_bands)) edges
+  ),
+  days as (
+    select day::date
+      from generate_series(p_from, p_to - interval '1 microsecond', interval '1 day') day
+  )
+  select jsonb_build_object(
+    'statistics', (
+      select jsonb_build_object(
+        'totalProducts', count(*),
+        'activeProducts', count(*) filter (where is_active),
+        'inactiveProducts', count(*) filter (where not is_active),
+        'outOfStockProducts', count(*) filter (where stock_quantity = 0),
+        'lowStockProducts', count(*) filter (
+          where is_active and stock_quantity <= coalesce(low_stock_threshold, p_low_stock_threshold)
+        ),
+        'recentProducts', count(*) filter (where created_at >= p_from and created_at < p_to),
+        'totalInventoryValue', coalesce(sum(display_price * stock_quantity), 0),
+        'unconvertedProducts', count(*) filter (where display_price is null)
+      )
+        from seller_products
+    ),
+    'categories', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+               'category', category,
+               'products', products,
+               'activeProducts', active_products,
+               'stock', stock,
+               'inventoryValue', inventory_value
+             ) order by products desc, category nulls last), '[]'::jsonb)
+        from (
+          select category,
+                 count(*) as products,
+                 count(*) filter (where is_active) as active_products,
+                 sum(stock_quantity) as stock,
+                 coalesce(sum(display_price * stock_quantity), 0) as inventory_value
+            from seller_products
+           group by category
+        ) by_category
+    ),
+    'priceBands', (
+      select jsonb_agg(jsonb_build_object(
+               'min', bands.band_min,
+               'max', bands.band_max,
+               'products', (
+                 select count(*)
+                   from seller_products
+                  where display_price >= bands.band_min
+                    and (bands.band_max is null or display_price < bands.band_max)
+               )
+             ) order by bands.band_min)
+        from bands
+    ),
+    'lowStock', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+               'id', id,
+               'title', title,
+               'sku', sku,
+               'stock_quantity', stock_quantity,
+               'low_stock_threshold', coalesce(low_stock_threshold, p_low_stock_threshold)
+             ) order by stock_quantity, title), '[]'::jsonb)
+        from seller_products
+       where is_active
+         and stock_quantity <= coalesce(low_stock_threshold, p_low_stock_threshold)
+    ),
+    'daily', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+               'date', days.day,
+               'listingsCreated', (
+                 select count(*)
+                   from seller_products
+                  where created_at >= days.day
+                    and created_at < days.day + 1
+               ),
+               'stockAdded', coalesce(changes.added, 0),
+               'stockRemoved', coalesce(changes.removed, 0)
+             ) order by days.day), '[]'::jsonb)
+        from days
+        left join (
+          select changed_at::date as day,
+                 sum(change) filter (where change > 0) as added,
+                 -sum(change) filter (where change < 0) as removed
+            from product_stock_changes
+           where product_id in (select id from seller_products)
+             and changed_at >= p_from
+             and changed_at < p_to
+           group by changed_at::date
+        ) changes on changes.day = days.day
+    )
+  );
+$$;
+
+-- Platform statistics as before, with inventory value in USD
+create or replace function public.admin_platform_stats()
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'totalProducts', count(*),
+    'activeProducts', count(*) filter (where is_active),
+    'inactiveProducts', count(*) filter (where not is_active),
+    'moderatedProducts', count(*) filter (where moderated_at is not null),
+    'outOfStockProducts', count(*) filter (where stock_quantity = 0),
+    'recentProducts', count(*) filter (where created_at > now() - interval '7 days'),
+    'totalInventoryValue', coalesce(sum(p.price / r.rate * p.stock_quantity), 0),
+    'unconvertedProducts', count(*) filter (where r.rate is null),
+    'totalSellers', count(distinct seller_id),
+    'totalUsers', (select count(*) from auth.users),
+    'suspendedUsers', (select count(*) from profiles where is_suspended),
+    'admins', (select count(*) from profiles where role = 'admin')
+  )
+  from products p
+  left join exchange_rates r on r.currency = p.currency;
+$$;
+
+revoke execute on function public.seller_analytics(uuid, timestamptz, timestamptz, integer, numeric[], text) from public, anon, authenticated;
+revoke execute on function public.admin_platform_stats() from public, anon, authenticated;
@@ -0,0 +1,35 @@
+-- Platform statistics as before, counting admins the way the API checks
+-- roles: app_metadata.role first, the profile's role otherwise
+
+create or replace function public.admin_platform_stats()
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'totalProducts', count(*),
+    'activeProducts', count(*) filter (where is_active),
+    'inactiveProducts', count(*) filter (where not is_active),
+    'moderatedProducts', count(*) filter (where moderated_at is not null),
+    'outOfStockProducts', count(*) filter (where stock_quantity = 0),
+    'recentProducts', count(*) filter (where created_at > now() - interval '7 days'),
+    'totalInventoryValue', coalesce(sum(p.price / r.rate * p.stock_quantity), 0),
+    'unconvertedProducts', count(*) filter (where r.rate is null),
+    'totalSellers', count(distinct seller_id),
+    'totalUsers', (select count(*) from auth.users),
+    'suspendedUsers', (select count(*) from profiles where is_suspended),
+    'admins', (
+      select count(*)
+        from auth.users u
+        left join profiles pr on pr.id = u.id
+       where u.raw_app_meta_data ->> 'role' = 'admin'
+          or pr.role = 'admin'
+    )
+  )
+  from products p
+  left join exchange_rates r on r.currency = p.currency;
+$$;
+
+revoke execute on function public.admin_platform_stats() from public, anon, authenticated;